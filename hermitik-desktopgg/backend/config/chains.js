@@ -0,0 +1,20 @@
+/**
+ * Default Chain Registry
+ * Seed data for the Chain collection, used until the registry is loaded from
+ * the database (and as a fallback when it is unavailable)
+ */
+
+const DEFAULT_CHAINS = [
+  { chainId: 'eth', name: 'Ethereum', nativeToken: 'ETH', explorerUrl: 'https://etherscan.io', coingeckoPlatform: 'ethereum', enabled: true },
+  { chainId: 'bsc', name: 'BNB Chain', nativeToken: 'BNB', explorerUrl: 'https://bscscan.com', coingeckoPlatform: 'binance-smart-chain', enabled: true },
+  { chainId: 'arb', name: 'Arbitrum', nativeToken: 'ETH', explorerUrl: 'https://arbiscan.io', coingeckoPlatform: 'arbitrum-one', enabled: true },
+  { chainId: 'matic', name: 'Polygon', nativeToken: 'MATIC', explorerUrl: 'https://polygonscan.com', coingeckoPlatform: 'polygon-pos', enabled: true },
+  { chainId: 'base', name: 'Base', nativeToken: 'ETH', explorerUrl: 'https://basescan.org', coingeckoPlatform: 'base', enabled: true },
+  { chainId: 'op', name: 'Optimism', nativeToken: 'ETH', explorerUrl: 'https://optimistic.etherscan.io', coingeckoPlatform: 'optimistic-ethereum', enabled: true },
+  { chainId: 'avax', name: 'Avalanche', nativeToken: 'AVAX', explorerUrl: 'https://snowtrace.io', coingeckoPlatform: 'avalanche', enabled: true },
+  { chainId: 'linea', name: 'Linea', nativeToken: 'ETH', explorerUrl: 'https://lineascan.build', coingeckoPlatform: 'linea', enabled: true },
+  { chainId: 'era', name: 'zkSync Era', nativeToken: 'ETH', explorerUrl: 'https://era.zksync.network', coingeckoPlatform: 'zksync', enabled: true },
+  { chainId: 'blast', name: 'Blast', nativeToken: 'ETH', explorerUrl: 'https://blastscan.io', coingeckoPlatform: 'blast', enabled: true }
+];
+
+module.exports = { DEFAULT_CHAINS };
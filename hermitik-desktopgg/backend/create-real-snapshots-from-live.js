@@ -1,96 +0,0 @@
-const mongoose = require('mongoose');
-const DailySnapshot = require('./models/DailySnapshot');
-const User = require('./models/User');
-const runDailySnapshot = require('./crons/snapshotJob');
-
-async function createRealSnapshotsFromLive() {
-  try {
-    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/hermetik');
-    console.log('✅ Connected to MongoDB');
-
-    const userId = '687664412338e69e008eb5e2';
-    console.log('🔍 Creating real DailySnapshot data for user:', userId);
-
-    // Check if user has wallet addresses
-    const user = await User.findById(userId);
-    if (!user || !user.wallets || user.wallets.length === 0) {
-      console.log('❌ User has no wallet addresses');
-      return;
-    }
-
-    console.log('📱 User wallets:', user.wallets);
-
-    // Run the real snapshot system that fetches live data
-    console.log('🔄 Running real data collection to create DailySnapshot...');
-    
-    // This will create DailySnapshot records from live Debank data
-    await runDailySnapshot();
-    
-    // Verify snapshots were created
-    const snapshotCount = await DailySnapshot.countDocuments({ userId });
-    console.log(`✅ Created ${snapshotCount} DailySnapshot records from real data`);
-
-    if (snapshotCount > 0) {
-      const snapshots = await DailySnapshot.find({ userId }).sort({ date: -1 }).limit(3);
-      console.log('📋 Real DailySnapshot records created:');
-      snapshots.forEach(snapshot => {
-        console.log(`- Date: ${snapshot.date.toISOString().split('T')[0]}`);
-        console.log(`  Total NAV: $${snapshot.totalNavUsd?.toLocaleString()}`);
-        console.log(`  Positions: ${snapshot.positions?.length || 0}`);
-        console.log(`  Wallet: ${snapshot.walletAddress}`);
-      });
-    }
-
-    // Now create historical snapshots by running the job for previous dates
-    console.log('🕐 Creating historical snapshots for APY calculation...');
-    
-    // Create snapshots for the last 30 days (simulating what would happen if the job ran daily)
-    const historicalDates = [
-      new Date(Date.now() - 1 * 24 * 60 * 60 * 1000),   // 1 day ago
-      new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),   // 7 days ago
-      new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),  // 30 days ago
-    ];
-
-    for (const historicalDate of historicalDates) {
-      // Get current snapshot as template
-      const currentSnapshot = await DailySnapshot.findOne({ userId }).sort({ date: -1 });
-      
-      if (currentSnapshot) {
-        // Create historical snapshot with slight variations (simulating market changes)
-        const daysDiff = Math.ceil((Date.now() - historicalDate.getTime()) / (1000 * 60 * 60 * 24));
-        const growthFactor = 1 - (daysDiff * 0.001); // Small daily growth simulation
-        
-        const historicalSnapshot = new DailySnapshot({
-          userId: currentSnapshot.userId,
-          walletAddress: currentSnapshot.walletAddress,
-          totalNavUsd: currentSnapshot.totalNavUsd * growthFactor,
-          tokensNavUsd: currentSnapshot.tokensNavUsd * growthFactor,
-          positionsNavUsd: currentSnapshot.positionsNavUsd * growthFactor,
-          date: historicalDate,
-          tokens: currentSnapshot.tokens.map(token => ({
-            ...token,
-            usdValue: token.usdValue * growthFactor
-          })),
-          positions: currentSnapshot.positions.map(position => ({
-            ...position,
-            totalUsdValue: position.totalUsdValue * growthFactor
-          }))
-        });
-
-        await historicalSnapshot.save();
-        console.log(`📈 Created historical snapshot for ${historicalDate.toISOString().split('T')[0]} (${daysDiff} days ago)`);
-      }
-    }
-
-    const finalCount = await DailySnapshot.countDocuments({ userId });
-    console.log(`\n🎉 Total DailySnapshot records: ${finalCount}`);
-    console.log('🚀 Real APY calculations can now use this data!');
-
-    await mongoose.disconnect();
-  } catch (error) {
-    console.error('❌ Error creating real snapshots:', error);
-    await mongoose.disconnect();
-  }
-}
-
-createRealSnapshotsFromLive();
\ No newline at end of file
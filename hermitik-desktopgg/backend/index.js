@@ -104,12 +104,32 @@ app.use(express.urlencoded({
 app.use(sanitizeBody);
 
 // Import error handling middleware
-const { globalErrorHandler } = require('./middleware/errorHandler');
+const { globalErrorHandler, AppError, catchAsync } = require('./middleware/errorHandler');
 const ApiResponse = require('./utils/responseFormatter');
+const auth = require('./middleware/auth');
+
+// Collection runs are persistent jobs (see services/collectionQueue.js)
+const CollectionQueueService = require('./services/collectionQueue');
+const CollectionJob = require('./models/CollectionJob');
+const NAVSettings = require('./models/NAVSettings');
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGO_URI).then(() => {
   console.log('Connected to MongoDB');
+
+  // Resume collection jobs interrupted by a restart
+  CollectionQueueService.startWorker();
+
+  // Months reported before the close workflow are finalized, then NAV months are
+  // versioned; replaces the old one-document-per-month unique index
+  NAVSettings.finalizeLegacyMonths()
+    .then(count => {
+      if (count) console.log(`Finalized ${count} NAV months saved before the month-close workflow`);
+      return NAVSettings.syncIndexes();
+    })
+    .catch(err => {
+      console.error('NAVSettings migration failed:', err.message);
+    });
 }).catch(err => {
   console.error('MongoDB connection failed:', err.message);
 });
@@ -119,45 +139,51 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/wallet', require('./routes/wallet'));
 app.use('/api/analytics', require('./routes/analytics'));
 app.use('/api/nav', require('./routes/nav'));
+app.use('/api/chains', require('./routes/chains'));
+app.use('/api/prices', require('./routes/prices'));
+app.use('/api/tokens', require('./routes/tokens'));
+app.use('/api/capital', require('./routes/capital'));
+app.use('/api/flows', require('./routes/flows'));
+app.use('/api/fees', require('./routes/fees'));
 
-// Global variable to track if data collection is running
-let dataCollectionRunning = false;
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json(ApiResponse.error('Admin access required', 403));
+  }
+  next();
+};
 
 // Add admin route for manual collection with protection against multiple calls
-app.post('/api/admin/collect-data', async (req, res) => {
+app.post('/api/admin/collect-data', auth, requireAdmin, async (req, res) => {
   try {
-    // Check if data collection is already running
-    if (dataCollectionRunning) {
+    const { job, created } = await CollectionQueueService.enqueue({
+      trigger: 'manual',
+      force: Boolean(req.body?.force),
+      requestedBy: req.user.id
+    });
+
+    // Check if data collection is already running for today
+    if (!created) {
       return res.status(429).json(ApiResponse.error(
         'Snapshot collection is already running. Please wait for it to complete.',
         429,
-        { status: 'already_running' }
+        { status: 'already_running', job: CollectionQueueService.formatJob(job) }
       ));
     }
 
-    // Set the flag to prevent concurrent runs
-    dataCollectionRunning = true;
-    
     console.log('🚀 Manual data collection triggered');
-    
-    // Import the service (lazy loading to avoid circular dependencies)
-    const DailyDataCollectionService = require('./services/dailyDataCollection');
-    
-    // Run data collection in background and respond immediately
-    const results = await DailyDataCollectionService.runDailyCollection();
-    
-    res.json(ApiResponse.success(
-      {
-        results,
-        summary: {
-          total: results.length,
-          successful: results.filter(r => r.success).length,
-          failed: results.filter(r => !r.success).length
-        }
-      },
-      'Snapshots collected successfully for all users'
+
+    // Process in the background; progress is visible through the status endpoints
+    CollectionQueueService.processJob(job._id).catch(error => {
+      console.error('❌ Error in manual data collection:', error);
+    });
+
+    res.status(202).json(ApiResponse.success(
+      { status: 'queued', job: CollectionQueueService.formatJob(job) },
+      'Snapshot collection queued',
+      202
     ));
-    
+
   } catch (error) {
     console.error('❌ Error in manual data collection:', error);
     res.status(500).json(ApiResponse.error(
@@ -165,26 +191,53 @@ app.post('/api/admin/collect-data', async (req, res) => {
       500,
       { status: 'error' }
     ));
-  } finally {
-    // Always reset the flag when done
-    dataCollectionRunning = false;
   }
 });
 
 // Add a status endpoint to check if data collection is running
-app.get('/api/admin/collect-data/status', (req, res) => {
+app.get('/api/admin/collect-data/status', auth, requireAdmin, catchAsync(async (req, res) => {
+  const job = await CollectionQueueService.getActiveJob() ||
+    await CollectionJob.findOne().sort({ createdAt: -1 });
+  const running = Boolean(job && ['queued', 'running'].includes(job.status));
+
   res.json(ApiResponse.success(
-    { 
-      running: dataCollectionRunning,
-      status: dataCollectionRunning ? 'running' : 'idle'
+    {
+      running,
+      status: running ? 'running' : 'idle',
+      job: job ? CollectionQueueService.formatJob(job) : null
     },
     'Snapshot status retrieved successfully'
   ));
-});
+}));
+
+// Admin-only views of collection jobs with per-wallet progress
+app.get('/api/admin/collect-data/jobs', auth, requireAdmin, catchAsync(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const jobs = await CollectionJob.find().sort({ createdAt: -1 }).limit(limit);
+
+  res.json(ApiResponse.success(
+    { jobs: jobs.map(job => CollectionQueueService.formatJob(job)) },
+    'Collection jobs retrieved successfully'
+  ));
+}));
+
+app.get('/api/admin/collect-data/jobs/:jobId', auth, requireAdmin, catchAsync(async (req, res) => {
+  const job = await CollectionJob.findById(req.params.jobId);
+
+  if (!job) {
+    throw new AppError(`Collection job not found: ${req.params.jobId}`, 404);
+  }
+
+  res.json(ApiResponse.success(
+    { job: CollectionQueueService.formatJob(job, true) },
+    'Collection job retrieved successfully'
+  ));
+}));
 
 // Add a comprehensive health check endpoint
 app.get('/api/health', (req, res) => {
   const { getCacheStats } = require('./middleware/performance');
+  const responseRecorder = require('./utils/responseRecorder');
   const uptime = process.uptime();
   const memory = process.memoryUsage();
   
@@ -193,7 +246,8 @@ app.get('/api/health', (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: `${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m ${Math.floor(uptime % 60)}s`,
     mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
-    dataCollection: dataCollectionRunning ? 'running' : 'idle',
+    dataCollection: CollectionQueueService.isProcessing() ? 'running' : 'idle',
+    upstreamRecording: responseRecorder.getMode(),
     memory: {
       rss: `${Math.round(memory.rss / 1024 / 1024)}MB`,
       heapUsed: `${Math.round(memory.heapUsed / 1024 / 1024)}MB`,
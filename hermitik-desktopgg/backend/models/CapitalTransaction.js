@@ -0,0 +1,63 @@
+/**
+ * CapitalTransaction Model
+ * One dated entry in a user's capital account ledger: a subscription,
+ * redemption, fee payment or transfer between the user's wallets. Amounts are
+ * positive USD; the type gives the direction. Entries are never deleted:
+ * voiding one keeps it for the audit trail but leaves it out of net flows.
+ */
+const mongoose = require('mongoose');
+
+const CapitalTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['subscription', 'redemption', 'fee_payment', 'transfer'],
+    required: [true, 'Transaction type is required']
+  },
+  // Trade date; the flow counts in the period containing it
+  date: {
+    type: Date,
+    required: [true, 'Transaction date is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount must be positive; the type gives the direction']
+  },
+  // Wallet the capital came into (subscription, transfer) or left (redemption, fee payment, transfer)
+  walletAddress: { type: String, trim: true, lowercase: true },
+  // Receiving wallet of a transfer
+  toWalletAddress: { type: String, trim: true, lowercase: true },
+  reference: { type: String, trim: true },
+  notes: { type: String, trim: true },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voided: { type: Boolean, default: false },
+  voidReason: { type: String, trim: true },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+CapitalTransactionSchema.index({ userId: 1, date: 1 });
+CapitalTransactionSchema.index({ userId: 1, voided: 1, date: 1 });
+
+// Transfers must name both wallets and move capital between different ones
+CapitalTransactionSchema.pre('validate', function(next) {
+  if (this.type === 'transfer' && (!this.walletAddress || !this.toWalletAddress || this.walletAddress === this.toWalletAddress)) {
+    this.invalidate('toWalletAddress', 'Transfers need two different wallets (walletAddress and toWalletAddress)');
+  }
+  next();
+});
+
+module.exports = mongoose.model('CapitalTransaction', CapitalTransactionSchema);
@@ -0,0 +1,49 @@
+/**
+ * Chain Model
+ * Registry of chains the portfolio fetchers collect from
+ */
+const mongoose = require('mongoose');
+
+const ChainSchema = new mongoose.Schema({
+  // DeBank chain ID (e.g. 'eth', 'arb', 'avax')
+  chainId: {
+    type: String,
+    required: [true, 'Chain ID is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_]+$/, 'Chain ID may only contain lowercase letters, numbers and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Display name is required'],
+    trim: true
+  },
+  nativeToken: {
+    type: String,
+    required: [true, 'Native token symbol is required'],
+    trim: true,
+    uppercase: true
+  },
+  explorerUrl: {
+    type: String,
+    trim: true,
+    match: [/^https?:\/\/\S+$/, 'Explorer URL must be an http(s) URL']
+  },
+  // CoinGecko asset platform, used to price tokens by contract address
+  coingeckoPlatform: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+ChainSchema.index({ chainId: 1 }, { unique: true });
+ChainSchema.index({ enabled: 1 });
+
+module.exports = mongoose.model('Chain', ChainSchema);
@@ -0,0 +1,104 @@
+/**
+ * CollectionJob Model
+ * One snapshot collection run (cron or manual) with per-wallet progress, so a
+ * run survives restarts and admins can see exactly where it is
+ */
+const mongoose = require('mongoose');
+
+const WALLET_STATUSES = ['pending', 'running', 'retrying', 'succeeded', 'skipped', 'failed'];
+const JOB_STATUSES = ['queued', 'running', 'completed', 'completed_with_errors'];
+
+const CollectionJobWalletSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  walletAddress: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  status: {
+    type: String,
+    enum: WALLET_STATUSES,
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String },
+  nextAttemptAt: { type: Date },
+  startedAt: { type: Date },
+  completedAt: { type: Date },
+
+  // Result of a successful collection
+  navUsd: { type: Number },
+  snapshotVersion: { type: String }
+}, { _id: false });
+
+const CollectionJobSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['cron', 'manual'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+  // Snapshot day the run collects (midnight UTC)
+  snapshotDate: {
+    type: Date,
+    required: true
+  },
+  force: { type: Boolean, default: false },
+  maxAttempts: { type: Number, default: 4, min: 1 },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  wallets: [CollectionJobWalletSchema],
+
+  // Ownership, so a job left behind by a crashed process can be resumed
+  workerId: { type: String },
+  heartbeatAt: { type: Date },
+  resumeCount: { type: Number, default: 0 },
+
+  startedAt: { type: Date },
+  completedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+CollectionJobSchema.index({ status: 1, heartbeatAt: 1 });
+CollectionJobSchema.index({ createdAt: -1 });
+// At most one active job per snapshot day, even when two triggers race
+CollectionJobSchema.index(
+  { snapshotDate: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['queued', 'running'] } } }
+);
+
+// Per-status wallet counts for progress reporting
+CollectionJobSchema.methods.getProgress = function() {
+  const counts = Object.fromEntries(WALLET_STATUSES.map(status => [status, 0]));
+  this.wallets.forEach(wallet => {
+    counts[wallet.status] += 1;
+  });
+
+  const total = this.wallets.length;
+  const done = counts.succeeded + counts.skipped + counts.failed;
+
+  return {
+    total,
+    done,
+    percent: total > 0 ? Math.round((done / total) * 100) : 100,
+    ...counts
+  };
+};
+
+CollectionJobSchema.statics.WALLET_STATUSES = WALLET_STATUSES;
+CollectionJobSchema.statics.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = mongoose.model('CollectionJob', CollectionJobSchema);
@@ -9,19 +9,42 @@ const TokenSchema = new mongoose.Schema({
   symbol: { type: String, required: true, trim: true, uppercase: true },
   name: { type: String, trim: true },
   chain: { type: String, required: true, lowercase: true },
+  address: { type: String, trim: true, lowercase: true }, // Contract address, or native token ID
   amount: { type: Number, required: true, min: 0 },
   price: { type: Number, required: true, min: 0 },
+  priceSource: { type: String, trim: true }, // PriceResolver source, e.g. 'coingecko_contract'
+  pricedAt: { type: Date }, // When the source observed the price
   usdValue: { type: Number, required: true, min: 0 },
   decimals: { type: Number, min: 0, max: 18 },
   logoUrl: { type: String, trim: true },
   isVerified: { type: Boolean, default: false }
 }, { _id: false });
 
+// Wallet token left out of NAV (spam or hidden), kept for audit
+const ExcludedTokenSchema = new mongoose.Schema({
+  symbol: { type: String, trim: true },
+  name: { type: String, trim: true },
+  chain: { type: String, lowercase: true },
+  address: { type: String, trim: true, lowercase: true },
+  amount: { type: Number },
+  usdValue: { type: Number },
+  classification: { type: String },
+  reasons: [{ type: String }]
+}, { _id: false });
+
 // Position schema - standardized for APY calculations
 const PositionSchema = new mongoose.Schema({
   protocolId: { type: String, required: true, trim: true },
   protocolName: { type: String, required: true, trim: true },
   chain: { type: String, required: true, lowercase: true },
+  positionName: { type: String, trim: true }, // DeBank item name, e.g. 'Lending'; may change
+  poolId: { type: String, trim: true, lowercase: true }, // DeBank pool id
+  positionIndex: { type: String, trim: true }, // DeBank position index, e.g. an LP NFT id
+  
+  // Stable identity across snapshots (PositionIdentityService) and how it was
+  // linked to the previous snapshot: 'key', 'tokens', 'protocol' or 'new'
+  positionKey: { type: String, trim: true },
+  identityMatch: { type: String, enum: ['key', 'tokens', 'protocol', 'new'] },
   
   // Supply tokens (staked/deposited tokens)
   supplyTokens: [TokenSchema],
@@ -29,14 +52,36 @@ const PositionSchema = new mongoose.Schema({
   // Reward tokens (unclaimed rewards for APY calculation)
   rewardTokens: [TokenSchema],
   
+  // Borrowed tokens (debt against the supplied collateral)
+  borrowTokens: [TokenSchema],
+  
+  // Rewards claimed since the previous snapshot (RewardClaimService); a claim is
+  // confirmed when the wallet received the tokens. Unset on older snapshots
+  rewardClaims: [{
+    symbol: { type: String, trim: true },
+    address: { type: String, trim: true, lowercase: true },
+    amount: { type: Number, min: 0 },
+    usdValue: { type: Number, min: 0 },
+    confirmed: { type: Boolean, default: false },
+    _id: false
+  }],
+  claimedRewardsUsd: { type: Number, min: 0 },
+  cumulativeClaimedUsd: { type: Number, min: 0 }, // Claimed since the position was first linked
+  
+  // Position value - assets (supply + rewards) less debt
+  assetUsdValue: { type: Number, min: 0, default: 0 },
+  debtUsdValue: { type: Number, min: 0, default: 0 },
+  netUsdValue: { type: Number }, // Negative only if the position is underwater
+  totalUsdValue: { type: Number, required: true }, // Same as netUsdValue; kept for existing readers
+  
   // Position metadata
-  totalUsdValue: { type: Number, required: true, min: 0 },
   positionType: { 
     type: String, 
     enum: ['lending', 'liquidity', 'staking', 'farming', 'vault', 'other'],
     default: 'other'
   },
   healthFactor: { type: Number, min: 0 },
+  liquidationPrice: { type: Number, min: 0 }, // Collateral USD price at which the position is liquidated
   
   // APY calculation results
   calculatedApy: { type: Number },
@@ -69,11 +114,11 @@ const DailySnapshotSchema = new mongoose.Schema({
     index: true
   },
   
-  // NAV (Net Asset Value) metrics - consistent naming
+  // NAV (Net Asset Value) metrics - consistent naming. Positions are net of
+  // debt, so a wallet whose borrowed funds moved elsewhere has a negative NAV
   totalNavUsd: { 
     type: Number, 
     required: true, 
-    min: 0,
     set: v => Math.round(v * 100) / 100 // Round to 2 decimals
   },
   tokensNavUsd: { 
@@ -85,7 +130,13 @@ const DailySnapshotSchema = new mongoose.Schema({
   positionsNavUsd: { 
     type: Number, 
     required: true, 
+    set: v => Math.round(v * 100) / 100
+  },
+  // Sum of position debt (already netted out of positionsNavUsd)
+  totalDebtUsd: {
+    type: Number,
     min: 0,
+    default: 0,
     set: v => Math.round(v * 100) / 100
   },
   
@@ -98,6 +149,7 @@ const DailySnapshotSchema = new mongoose.Schema({
   // Portfolio composition
   tokens: [TokenSchema],
   positions: [PositionSchema],
+  excludedTokens: [ExcludedTokenSchema], // Not counted in tokensNavUsd
   
   // Chain distribution
   chainDistribution: {
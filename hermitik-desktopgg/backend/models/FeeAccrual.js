@@ -0,0 +1,64 @@
+/**
+ * FeeAccrual Model
+ * One day's management fee accrued on a user's NAV. Accruals stay editable
+ * until a monthly FeeInvoice rolls them up; from then on the invoice owns them
+ * and re-accruing the month leaves them alone.
+ */
+const mongoose = require('mongoose');
+
+const FeeAccrualSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Midnight UTC of the day accrued
+  date: {
+    type: Date,
+    required: true
+  },
+  feeType: {
+    type: String,
+    enum: ['management'],
+    default: 'management'
+  },
+  // NAV the fee accrued on, in USD
+  navBase: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Where navBase came from: the day's snapshot, or the latest earlier snapshot
+  // rolled forward by the ledger flows since
+  navSource: {
+    type: String,
+    enum: ['snapshot', 'rolled_forward'],
+    required: true
+  },
+  snapshotDate: { type: Date },
+  // Monthly rate from the fee settings, and its daily equivalent
+  managementFeeRate: {
+    type: Number,
+    required: true
+  },
+  dailyRate: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeInvoice'
+  }
+}, {
+  timestamps: true
+});
+
+FeeAccrualSchema.index({ userId: 1, feeType: 1, date: 1 }, { unique: true });
+FeeAccrualSchema.index({ invoiceId: 1 });
+
+module.exports = mongoose.model('FeeAccrual', FeeAccrualSchema);
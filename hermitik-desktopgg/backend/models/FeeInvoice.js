@@ -0,0 +1,108 @@
+/**
+ * FeeInvoice Model
+ * A month's management fee accruals rolled up into one invoice, with the
+ * payments made against it. Whatever is still outstanding at a month's end
+ * is carried into that month's NAV as a liability (FeeAccrualService).
+ */
+const mongoose = require('mongoose');
+
+const FeePaymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Payment amount must be positive']
+  },
+  // Date the payment was received; it settles the invoice from this date on
+  date: {
+    type: Date,
+    required: true
+  },
+  reference: { type: String, trim: true },
+  note: { type: String, trim: true },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const FeeInvoiceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  month: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  feeType: {
+    type: String,
+    enum: ['management'],
+    default: 'management'
+  },
+  // Sum of the month's daily accruals, in USD
+  accruedAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  accrualDays: {
+    type: Number,
+    default: 0
+  },
+  averageNav: {
+    type: Number,
+    default: 0
+  },
+  payments: [FeePaymentSchema],
+  paidAmount: {
+    type: Number,
+    default: 0
+  },
+  outstandingAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'partially_paid', 'paid'],
+    default: 'open'
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+FeeInvoiceSchema.index({ userId: 1, feeType: 1, year: 1, month: 1 }, { unique: true });
+
+// Paid and outstanding balances always follow the payments
+FeeInvoiceSchema.pre('validate', function(next) {
+  this.paidAmount = this.payments.reduce((sum, payment) => sum + payment.amount, 0);
+  this.outstandingAmount = Math.max(0, this.accruedAmount - this.paidAmount);
+  if (this.outstandingAmount < 0.005) {
+    this.outstandingAmount = 0;
+    this.status = 'paid';
+  } else {
+    this.status = this.paidAmount > 0 ? 'partially_paid' : 'open';
+  }
+  next();
+});
+
+module.exports = mongoose.model('FeeInvoice', FeeInvoiceSchema);
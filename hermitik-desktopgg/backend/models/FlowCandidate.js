@@ -0,0 +1,88 @@
+/**
+ * FlowCandidate Model
+ * A deposit or withdrawal proposed by flow detection for an admin to review.
+ * Accepting one records it in the capital account ledger (CapitalTransaction),
+ * which is where net flows come from; rejecting an accepted one voids that
+ * ledger entry again.
+ */
+const mongoose = require('mongoose');
+
+const FlowTokenSchema = new mongoose.Schema({
+  symbol: { type: String, trim: true },
+  tokenId: { type: String, trim: true, lowercase: true },
+  amount: { type: Number },
+  price: { type: Number },
+  priceSource: { type: String, trim: true }, // Stored price source, or 'provider' for the history's own price
+  usdValue: { type: Number }
+}, { _id: false });
+
+const FlowCandidateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  walletAddress: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  chain: { type: String, trim: true, lowercase: true },
+  // Transaction hash, or 'snapshot:<date>' for flows inferred from snapshots
+  txHash: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['inbound', 'outbound'],
+    required: true
+  },
+  // External address the value came from or went to
+  counterparty: { type: String, trim: true, lowercase: true },
+  tokens: [FlowTokenSchema],
+  usdValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  source: {
+    type: String,
+    enum: ['transaction_history', 'snapshot_change'],
+    required: true
+  },
+  confidence: {
+    type: String,
+    enum: ['high', 'low'],
+    default: 'high'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: { type: Date },
+  reviewNote: { type: String, trim: true },
+  capitalTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CapitalTransaction'
+  }
+}, {
+  timestamps: true
+});
+
+FlowCandidateSchema.index({ userId: 1, walletAddress: 1, chain: 1, txHash: 1, direction: 1 }, { unique: true });
+FlowCandidateSchema.index({ userId: 1, status: 1, date: -1 });
+
+module.exports = mongoose.model('FlowCandidate', FlowCandidateSchema);
@@ -0,0 +1,35 @@
+/**
+ * FxRate Model
+ * Daily exchange rates for reporting currencies, stored as the USD value of
+ * one unit of the currency. Values are kept in USD everywhere; these rates
+ * only convert them for presentation.
+ */
+const mongoose = require('mongoose');
+
+const FxRateSchema = new mongoose.Schema({
+  // Reporting currency code (e.g. 'EUR', 'ETH')
+  currency: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  // Midnight UTC of the day the rate was observed
+  date: {
+    type: Date,
+    required: true
+  },
+  // USD per one unit of the currency
+  usdPerUnit: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  source: { type: String, trim: true }
+}, {
+  timestamps: true
+});
+
+FxRateSchema.index({ currency: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('FxRate', FxRateSchema);
@@ -7,13 +7,14 @@ const NAVDataSchema = new mongoose.Schema({
     required: true
   },
   
-  // Core NAV values - support both user-level and wallet-level net flows
+  // Legacy hand-entered net flows, no longer written or returned: net flows
+  // come from the capital account ledger (CapitalAccountService)
   netFlows: {
     type: Number,
     default: 0
   },
   
-  // Wallet-specific net flows
+  // Legacy hand-entered wallet-specific net flows
   walletNetFlows: {
     type: Map,
     of: Number,
@@ -165,30 +166,6 @@ NAVDataSchema.methods.addMonthlyNav = function(date, nav) {
   this.calculateAnnualizedVolatility();
 };
 
-NAVDataSchema.methods.updateNetFlows = function(netFlows) {
-  this.netFlows = netFlows;
-  this.lastUpdated = new Date();
-  this.version += 1;
-};
-
-// Method to update wallet-specific net flows
-NAVDataSchema.methods.updateWalletNetFlows = function(walletAddress, newNetFlows) {
-  this.walletNetFlows.set(walletAddress, newNetFlows);
-  this.lastUpdated = new Date();
-  this.version += 1;
-};
-
-// Method to get wallet-specific net flows
-NAVDataSchema.methods.getWalletNetFlows = function(walletAddress) {
-  return this.walletNetFlows.get(walletAddress) || 0;
-};
-
-// Method to get total net flows (user-level + sum of wallet-specific)
-NAVDataSchema.methods.getTotalNetFlows = function() {
-  const walletTotal = Array.from(this.walletNetFlows.values()).reduce((sum, value) => sum + value, 0);
-  return this.netFlows + walletTotal;
-};
-
 NAVDataSchema.methods.updateNavValues = function(priorNav, currentNav, performance) {
   this.priorPreFeeNav = priorNav !== undefined ? priorNav : this.priorPreFeeNav;
   this.currentPreFeeNav = currentNav !== undefined ? currentNav : this.currentPreFeeNav;
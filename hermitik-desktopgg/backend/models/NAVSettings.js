@@ -16,6 +16,69 @@ const NAVSettingsSchema = new mongoose.Schema({
     min: 1,
     max: 12
   },
+  // Month-close workflow: draft -> reviewed -> finalized. Finalized versions
+  // are immutable; reopening a month creates the next version as a draft.
+  status: {
+    type: String,
+    enum: ['draft', 'reviewed', 'finalized'],
+    default: 'draft'
+  },
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  finalizedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  finalizedAt: {
+    type: Date
+  },
+  // Set on a version created by reopening a finalized month
+  reopenedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NAVSettings'
+  },
+  reopenReason: {
+    type: String
+  },
+  reopenedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reopenedAt: {
+    type: Date
+  },
+  // NAVEngine.FORMULA_VERSION the figures were calculated with; unset on months
+  // saved before it was recorded, which used version 1
+  formulaVersion: {
+    type: Number
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: ['draft', 'reviewed', 'finalized']
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    note: {
+      type: String
+    }
+  }],
   feeSettings: {
     annualExpense: {
       type: Number,
@@ -46,6 +109,8 @@ const NAVSettingsSchema = new mongoose.Schema({
       enum: ['annual', 'monthly'],
       default: 'annual'
     },
+    // Legacy manual entry; the mark is now tracked from NAV history
+    // (navCalculations.highWaterMarkStart / highWaterMarkEnd)
     highWaterMark: {
       type: Number,
       default: 0
@@ -82,6 +147,11 @@ const NAVSettingsSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Debt of leveraged DeFi positions, carried as a liability
+    defiBorrowings: {
+      type: Number,
+      default: 0
+    },
     totalLiabilities: {
       type: Number,
       default: 0
@@ -102,6 +172,22 @@ const NAVSettingsSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // No default: months saved before it was stored derive it from net assets
+    managementFee: {
+      type: Number
+    },
+    // 'accrual' when managementFee is the month's daily accruals, 'flat' when
+    // it was charged on total assets
+    managementFeeSource: {
+      type: String,
+      enum: ['accrual', 'flat']
+    },
+    // Earlier months' management fee invoices still unpaid at month end,
+    // included in totalLiabilities
+    managementFeesPayable: {
+      type: Number,
+      default: 0
+    },
     netAssets: {
       type: Number,
       default: 0
@@ -118,6 +204,30 @@ const NAVSettingsSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // High-water mark in pre-fee NAV terms: at the start of the month, after
+    // the month's net flows, and carried into the next month (unset on months
+    // saved before the mark was tracked)
+    highWaterMarkStart: {
+      type: Number
+    },
+    highWaterMarkAdjusted: {
+      type: Number
+    },
+    highWaterMarkEnd: {
+      type: Number
+    },
+    highWaterMarkSource: {
+      type: String,
+      enum: ['history', 'prior_nav']
+    },
+    // Amount the performance fee was charged on, and why it was or wasn't charged
+    feeBasis: {
+      type: Number,
+      default: 0
+    },
+    performanceFeeNote: {
+      type: String
+    },
     validationWarnings: [{
       type: String
     }],
@@ -131,6 +241,30 @@ const NAVSettingsSchema = new mongoose.Schema({
       default: 'manual'
     }
   },
+  // Holdings as revalued at 12:00 UTC on the last day of the month when the
+  // version was finalized; exports of finalized versions show these instead of
+  // revaluing again (unset without snapshots in the month)
+  valuation: {
+    valuationTime: {
+      type: Date
+    },
+    missingWallets: [{
+      type: String
+    }],
+    holdings: [{
+      walletAddress: { type: String },
+      snapshotDate: { type: Date },
+      type: { type: String },
+      protocol: { type: String },
+      chain: { type: String },
+      symbol: { type: String },
+      amount: { type: Number },
+      price: { type: Number },
+      usdValue: { type: Number },
+      source: { type: String },
+      observedAt: { type: Date }
+    }]
+  },
   portfolioData: {
     totalTokensValue: {
       type: Number,
@@ -143,6 +277,10 @@ const NAVSettingsSchema = new mongoose.Schema({
     totalRewards: {
       type: Number,
       default: 0
+    },
+    totalDebtValue: {
+      type: Number,
+      default: 0
     }
   },
   createdAt: {
@@ -155,15 +293,39 @@ const NAVSettingsSchema = new mongoose.Schema({
   }
 });
 
-// Compound index for unique user/month/year combination
-NAVSettingsSchema.index({ userId: 1, year: 1, month: 1 }, { unique: true });
+// One document per version of a user's month
+NAVSettingsSchema.index({ userId: 1, year: 1, month: 1, version: 1 }, { unique: true });
+
+const FINALIZED_ERROR = 'Finalized NAV months cannot be changed; reopen the month to create a new version';
+
+// Remember the stored status so finalized versions can't be saved over
+NAVSettingsSchema.post('init', function() {
+  this.$locals.storedStatus = this.status;
+});
 
 // Update the updatedAt field on save
 NAVSettingsSchema.pre('save', function(next) {
+  if (!this.isNew && this.$locals.storedStatus === 'finalized') {
+    return next(new Error(FINALIZED_ERROR));
+  }
   this.updatedAt = Date.now();
   next();
 });
 
+// Query updates and deletes skip finalized versions
+NAVSettingsSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  if (this.getOptions().upsert) {
+    return next(new Error('NAV settings are versioned; load the current version and save it instead of upserting'));
+  }
+  this.where({ status: { $ne: 'finalized' } });
+  next();
+});
+
+NAVSettingsSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { query: true, document: false }, function(next) {
+  this.where({ status: { $ne: 'finalized' } });
+  next();
+});
+
 // Virtual for month name
 NAVSettingsSchema.virtual('monthName').get(function() {
   const months = [
@@ -173,36 +335,65 @@ NAVSettingsSchema.virtual('monthName').get(function() {
   return months[this.month - 1];
 });
 
-// Method to get prior month's NAV
+// Method to get prior month's NAV (finalized months only)
 NAVSettingsSchema.methods.getPriorMonthNav = async function() {
   const priorMonth = this.month === 1 ? 12 : this.month - 1;
   const priorYear = this.month === 1 ? this.year - 1 : this.year;
   
-  const priorSettings = await this.constructor.findOne({
-    userId: this.userId,
-    year: priorYear,
-    month: priorMonth
-  });
+  const priorSettings = await this.constructor.findFinalized(this.userId, priorYear, priorMonth);
   
   return priorSettings ? priorSettings.navCalculations.preFeeNav : 0;
 };
 
-// Static method to get available months for a user
+// Static method to get the latest version of a month, whatever its status
+NAVSettingsSchema.statics.findCurrent = function(userId, year, month) {
+  return this.findOne({ userId, year, month }).sort({ version: -1 });
+};
+
+// Static method to get the latest finalized version of a month
+NAVSettingsSchema.statics.findFinalized = function(userId, year, month) {
+  return this.findOne({ userId, year, month, status: 'finalized' }).sort({ version: -1 });
+};
+
+// Months saved before the month-close workflow have no stored status; they were
+// already reported, so they become finalized version 1. Safe to run on every start.
+NAVSettingsSchema.statics.finalizeLegacyMonths = async function() {
+  const result = await this.updateMany(
+    { status: { $exists: false } },
+    {
+      $set: { status: 'finalized', version: 1 },
+      $push: { statusHistory: { status: 'finalized', changedAt: new Date(), note: 'Saved before the month-close workflow' } }
+    }
+  );
+  return result.modifiedCount;
+};
+
+// Static method to get available months for a user (latest version of each)
 NAVSettingsSchema.statics.getAvailableMonths = async function(userId) {
   const settings = await this.find({ userId })
-    .select('year month createdAt')
-    .sort({ year: -1, month: -1 })
+    .select('year month version status createdAt')
+    .sort({ year: -1, month: -1, version: -1 })
     .lean();
   
-  return settings.map(setting => ({
-    year: setting.year,
-    month: setting.month,
-    monthName: [
-      'January', 'February', 'March', 'April', 'May', 'June',
-      'July', 'August', 'September', 'October', 'November', 'December'
-    ][setting.month - 1],
-    createdAt: setting.createdAt
-  }));
+  const seen = new Set();
+  return settings
+    .filter(setting => {
+      const key = `${setting.year}-${setting.month}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(setting => ({
+      year: setting.year,
+      month: setting.month,
+      monthName: [
+        'January', 'February', 'March', 'April', 'May', 'June',
+        'July', 'August', 'September', 'October', 'November', 'December'
+      ][setting.month - 1],
+      status: setting.status || 'draft',
+      version: setting.version || 1,
+      createdAt: setting.createdAt
+    }));
 };
 
 module.exports = mongoose.model('NAVSettings', NAVSettingsSchema);
\ No newline at end of file
@@ -0,0 +1,66 @@
+/**
+ * PriceOverride Model
+ * Admin-set manual USD price for one token, keyed by chain and contract
+ * address. Overrides are never deleted: removing one deactivates it, and every
+ * change is appended to its history so valuations can be audited later.
+ */
+const mongoose = require('mongoose');
+
+const PriceOverrideChangeSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['set', 'removed'],
+    required: true
+  },
+  price: { type: Number, min: 0 },
+  reason: { type: String, trim: true },
+  expiresAt: { type: Date },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const PriceOverrideSchema = new mongoose.Schema({
+  // DeBank chain ID (e.g. 'eth', 'arb')
+  chain: {
+    type: String,
+    required: [true, 'Chain is required'],
+    trim: true,
+    lowercase: true
+  },
+  // Contract address, or DeBank's native token ID (e.g. 'eth') for native tokens
+  tokenAddress: {
+    type: String,
+    required: [true, 'Token address is required'],
+    trim: true,
+    lowercase: true
+  },
+  symbol: { type: String, trim: true, uppercase: true },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason is required for audit purposes'],
+    trim: true
+  },
+  // Optional end of validity; expired overrides are ignored by the resolver
+  expiresAt: { type: Date },
+  active: { type: Boolean, default: true },
+  setBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  history: [PriceOverrideChangeSchema]
+}, {
+  timestamps: true
+});
+
+PriceOverrideSchema.index({ chain: 1, tokenAddress: 1 }, { unique: true });
+PriceOverrideSchema.index({ active: 1 });
+
+module.exports = mongoose.model('PriceOverride', PriceOverrideSchema);
@@ -0,0 +1,52 @@
+/**
+ * TokenListEntry Model
+ * Manual token classification: admin allow/deny lists per chain (no userId)
+ * and per-user hides and not-spam marks (with userId)
+ */
+const mongoose = require('mongoose');
+
+const GLOBAL_LISTS = ['allow', 'deny'];
+const USER_LISTS = ['hidden', 'not_spam'];
+
+const TokenListEntrySchema = new mongoose.Schema({
+  // Set for user entries, absent for admin allow/deny lists
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // DeBank chain ID (e.g. 'eth', 'arb')
+  chain: {
+    type: String,
+    required: [true, 'Chain is required'],
+    trim: true,
+    lowercase: true
+  },
+  // Contract address, or DeBank's native token ID (e.g. 'eth') for native tokens
+  tokenAddress: {
+    type: String,
+    required: [true, 'Token address is required'],
+    trim: true,
+    lowercase: true
+  },
+  symbol: { type: String, trim: true },
+  list: {
+    type: String,
+    enum: [...GLOBAL_LISTS, ...USER_LISTS],
+    required: true
+  },
+  reason: { type: String, trim: true },
+  setBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+TokenListEntrySchema.index({ userId: 1, chain: 1, tokenAddress: 1 }, { unique: true });
+
+TokenListEntrySchema.statics.GLOBAL_LISTS = GLOBAL_LISTS;
+TokenListEntrySchema.statics.USER_LISTS = USER_LISTS;
+
+module.exports = mongoose.model('TokenListEntry', TokenListEntrySchema);
@@ -0,0 +1,36 @@
+/**
+ * TokenPrice Model
+ * Time series of observed USD token prices, keyed by chain and contract
+ * address. Filled by the snapshot collector with every price it valued a
+ * token at, so holdings can be revalued at any past time.
+ */
+const mongoose = require('mongoose');
+
+const TokenPriceSchema = new mongoose.Schema({
+  // DeBank chain ID (e.g. 'eth', 'arb')
+  chain: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // Contract address, or DeBank's native token ID (e.g. 'eth') for native tokens
+  tokenAddress: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  symbol: { type: String, trim: true, uppercase: true },
+  price: { type: Number, required: true, min: 0 },
+  // PriceResolver source the price came from
+  source: { type: String, required: true, trim: true },
+  // When the source observed the price (not when it was stored)
+  observedAt: { type: Date, required: true }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+TokenPriceSchema.index({ chain: 1, tokenAddress: 1, observedAt: -1, source: 1 }, { unique: true });
+
+module.exports = mongoose.model('TokenPrice', TokenPriceSchema);
@@ -45,6 +45,12 @@ const userSchema = new mongoose.Schema({
       },
       message: 'All wallet addresses must be valid Ethereum addresses'
     }
+  },
+  // Currency analytics and exports are presented in; stored values stay in USD
+  reportingCurrency: {
+    type: String,
+    enum: ['USD', 'EUR', 'GBP', 'ETH'],
+    default: 'USD'
   }
 }, {
   timestamps: true
@@ -16,11 +16,14 @@ const walletDataSchema = new mongoose.Schema({
   },
   
   tokens: [{
+    id: String, // Contract address, or native token ID
     symbol: String,
     name: String,
     chain: String,
     amount: Number,
     price: Number,
+    price_source: String,
+    priced_at: Date,
     usd_value: Number,
     logo_url: String,
     decimals: Number
@@ -45,6 +48,11 @@ const walletDataSchema = new mongoose.Schema({
         amount: Number,
         usd_value: Number
       }],
+      borrows: [{
+        symbol: String,
+        amount: Number,
+        usd_value: Number
+      }],
       pool_id: String,
       description: String
     }]
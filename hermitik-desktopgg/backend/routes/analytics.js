@@ -20,13 +20,24 @@ const APYCalculationService = require('../services/apyCalculationService');
 // Import Admin analytics service
 const AdminAnalyticsService = require('../services/adminAnalyticsService');
 const HistoricalDataService = require('../services/historicalDataService');
+const SnapshotBackfillService = require('../services/snapshotBackfill');
 
 // Import wallet processing utilities
 const {
   fetchTokens,
-  fetchAllProtocols,
-  fetchPricesFromCoinGecko
+  fetchAllProtocols
 } = require('../utils/debankUtils');
+const { priceAndClassifyTokens } = require('../services/walletProcessor');
+const HistoricalPriceService = require('../services/historicalPrice');
+const NAVEngine = require('../services/navEngine');
+const HighWaterMarkService = require('../services/highWaterMark');
+const CapitalAccountService = require('../services/capitalAccount');
+const ReturnsEngine = require('../services/returnsEngine');
+const RiskMetricsService = require('../services/riskMetrics');
+const BenchmarkService = require('../services/benchmark');
+const FxRateService = require('../services/fxRates');
+const FeeAccrualService = require('../services/feeAccrual');
+const ImpermanentLossService = require('../services/impermanentLoss');
 
 // Simple test route
 router.get('/test', auth, catchAsync(async (req, res) => {
@@ -56,13 +67,25 @@ router.get('/portfolio/history', auth, async (req, res) => {
     
     console.log(`Found ${snapshots.length} snapshots`);
     
+    // Each day in the reporting currency at that day's rate (null without one)
+    const currency = await resolveReportingCurrency(req, userId);
+    const rates = await FxRateService.getRateSeries(currency, startDate, new Date());
+    const toCurrency = (value, date) => {
+      const rate = rates.rateAt(date);
+      return rate && typeof value === 'number' ? value / rate.usdPerUnit : null;
+    };
+    
     res.json({
+      currency,
       snapshots: snapshots.map(s => ({
         date: s.date,
         walletAddress: s.walletAddress,
         totalNavUsd: s.totalNavUsd,
         tokensNavUsd: s.tokensNavUsd,
         positionsNavUsd: s.positionsNavUsd,
+        totalNav: toCurrency(s.totalNavUsd, s.date),
+        tokensNav: toCurrency(s.tokensNavUsd, s.date),
+        positionsNav: toCurrency(s.positionsNavUsd, s.date),
         dailyReturn: s.dailyReturn,
         dailyApy: s.dailyApy,
         monthlyApy: s.monthlyApy,
@@ -73,7 +96,7 @@ router.get('/portfolio/history', auth, async (req, res) => {
     });
   } catch (error) {
     console.error('Error in portfolio/history:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -81,6 +104,7 @@ router.get('/portfolio/history', auth, async (req, res) => {
 router.get('/portfolio/pnl', auth, catchAsync(async (req, res) => {
   const userId = req.user.id;
   const { reportType = 'daily' } = req.query; // daily, weekly, monthly
+  const currency = await resolveReportingCurrency(req, userId);
   
   console.log(`🔥 PnL API: Getting PnL for user ${userId}, report type: ${reportType}`);
   
@@ -95,6 +119,7 @@ router.get('/portfolio/pnl', auth, catchAsync(async (req, res) => {
       pnlPercentage: 0,
       currentValue: 0,
       previousValue: 0,
+      currency,
       reportType,
       hasData: false
     }, 'No portfolio data available'));
@@ -120,21 +145,24 @@ router.get('/portfolio/pnl', auth, catchAsync(async (req, res) => {
     date: { $lte: lookbackDate }
   }).sort({ date: -1 }).limit(1);
   
-  const currentValue = currentSnapshot.totalNavUsd || 0;
-  const previousValue = previousSnapshot ? (previousSnapshot.totalNavUsd || 0) : currentValue;
+  // Each value at its own day's rate, so the PnL includes the currency's move against USD
+  const rates = await FxRateService.getRateSeries(currency, previousSnapshot?.date || currentSnapshot.date, currentSnapshot.date);
+  const currentValue = convertAt(rates, currentSnapshot.totalNavUsd || 0, currentSnapshot.date);
+  const previousValue = previousSnapshot ? convertAt(rates, previousSnapshot.totalNavUsd || 0, previousSnapshot.date) : currentValue;
   
   // Calculate PnL
   const pnlAmount = currentValue - previousValue;
   const pnlPercentage = previousValue > 0 ? ((pnlAmount / previousValue) * 100) : 
                        (currentValue > 0 && previousValue === 0 ? 100 : 0); // 100% if going from 0 to positive
   
-  console.log(`🔥 PnL Calculation: Current: $${currentValue}, Previous: $${previousValue}, PnL: $${pnlAmount} (${pnlPercentage.toFixed(2)}%)`);
+  console.log(`🔥 PnL Calculation (${currency}): Current: ${currentValue}, Previous: ${previousValue}, PnL: ${pnlAmount} (${pnlPercentage.toFixed(2)}%)`);
   
   res.json(ApiResponse.success({
     pnlAmount,
     pnlPercentage,
     currentValue,
     previousValue,
+    currency,
     reportType,
     hasData: true,
     currentDate: currentSnapshot.date,
@@ -151,13 +179,13 @@ router.get('/portfolio/performance', auth, async (req, res) => {
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(period));
     
-    const query = { userId, date: { $gte: startDate } };
-    if (wallet) query.walletAddress = wallet;
-    
-    const snapshots = await DailySnapshot.find(query).sort({ date: 1 });
+    // Daily returns net of deposits and withdrawals, across all of the user's wallets
+    const currency = await resolveReportingCurrency(req, userId);
+    const result = await ReturnsEngine.calculate(userId, { start: startDate, walletAddress: wallet, currency });
     
-    if (snapshots.length === 0) {
+    if (!result.hasData) {
       return res.json({
+        currency,
         totalReturn: 0,
         annualizedReturn: 0,
         volatility: 0,
@@ -168,8 +196,8 @@ router.get('/portfolio/performance', auth, async (req, res) => {
     }
     
     // Calculate performance metrics
-    const returns = snapshots.map(s => s.dailyReturn || 0);
-    const totalReturn = returns.reduce((acc, r) => (1 + r) * acc, 1) - 1;
+    const returns = result.subPeriods.map(p => p.return);
+    const totalReturn = result.twr.totalReturn;
     const avgReturn = returns.reduce((a, b) => a + b, 0) / returns.length;
     const annualizedReturn = Math.pow(1 + avgReturn, 365) - 1;
     
@@ -181,12 +209,14 @@ router.get('/portfolio/performance', auth, async (req, res) => {
     const riskFreeRate = 0.05;
     const sharpeRatio = volatility !== 0 ? (annualizedReturn - riskFreeRate) / volatility : 0;
     
-    // Calculate max drawdown
-    let peak = snapshots[0].totalNavUsd;
+    // Calculate max drawdown on the time-weighted growth of $1, so withdrawals aren't drawdowns
+    let growth = 1;
+    let peak = 1;
     let maxDrawdown = 0;
-    snapshots.forEach(s => {
-      if (s.totalNavUsd > peak) peak = s.totalNavUsd;
-      const drawdown = (peak - s.totalNavUsd) / peak;
+    returns.forEach(r => {
+      growth *= 1 + r;
+      if (growth > peak) peak = growth;
+      const drawdown = (peak - growth) / peak;
       if (drawdown > maxDrawdown) maxDrawdown = drawdown;
     });
     
@@ -195,6 +225,7 @@ router.get('/portfolio/performance', auth, async (req, res) => {
     const winRate = returns.length > 0 ? positiveReturns / returns.length : 0;
     
     res.json({
+      currency,
       totalReturn,
       annualizedReturn,
       volatility,
@@ -204,10 +235,70 @@ router.get('/portfolio/performance', auth, async (req, res) => {
     });
   } catch (error) {
     console.error('Error in portfolio/performance:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
+// Time-weighted and money-weighted returns over a date range (?start=&end= or ?period= days)
+router.get('/returns', auth, catchAsync(async (req, res) => {
+  const { wallet } = req.query;
+
+  // Admins may look at any user's returns
+  const userId = (req.user.role === 'admin' && req.query.userId) || req.user.id;
+  const { start, end } = parseDateRange(req);
+
+  const result = await ReturnsEngine.calculate(userId, {
+    start,
+    end,
+    walletAddress: wallet,
+    currency: await resolveReportingCurrency(req, userId)
+  });
+
+  res.json(ApiResponse.success(result, result.hasData
+    ? 'Returns calculated successfully'
+    : 'At least two daily snapshots are needed to calculate returns'));
+}));
+
+// Sharpe, Sortino, drawdown, Calmar, rolling volatility and VaR/CVaR over a date range (?start=&end= or ?period= days)
+router.get('/risk', auth, catchAsync(async (req, res) => {
+  const { wallet } = req.query;
+
+  // Admins may look at any user's risk metrics
+  const userId = (req.user.role === 'admin' && req.query.userId) || req.user.id;
+  const { start, end } = parseDateRange(req, 365);
+
+  const result = await RiskMetricsService.calculate(userId, {
+    start,
+    end,
+    walletAddress: wallet,
+    currency: await resolveReportingCurrency(req, userId)
+  });
+
+  res.json(ApiResponse.success(result, result.hasData
+    ? 'Risk metrics calculated successfully'
+    : 'At least three daily snapshots are needed to calculate risk metrics'));
+}));
+
+// Portfolio return against ETH, BTC and Aave USDC with alpha, beta and tracking error (?start=&end= or ?period= days)
+router.get('/benchmarks/compare', auth, catchAsync(async (req, res) => {
+  const { wallet } = req.query;
+
+  // Admins may compare any user's portfolio
+  const userId = (req.user.role === 'admin' && req.query.userId) || req.user.id;
+  const { start, end } = parseDateRange(req, 30);
+
+  const result = await BenchmarkService.compare(userId, {
+    start,
+    end,
+    walletAddress: wallet,
+    currency: await resolveReportingCurrency(req, userId)
+  });
+
+  res.json(ApiResponse.success(result, result.hasData
+    ? 'Benchmark comparison calculated successfully'
+    : 'At least two daily snapshots are needed to compare with benchmarks'));
+}));
+
 // Helper function to ensure numbers are valid for calculations
 function safeNumber(value) {
   if (value === null || value === undefined || value === '') {
@@ -217,36 +308,6 @@ function safeNumber(value) {
   return isFinite(num) ? num : 0;
 }
 
-// Helper function to validate performance calculations
-function validatePerformanceCalculation(performance, preFeeNav, priorPreFeeNav, netFlows) {
-  const warnings = [];
-  
-  // Check for unrealistic performance (more than 100% or less than -90%)
-  if (priorPreFeeNav > 0) {
-    const performancePercent = (performance / priorPreFeeNav) * 100;
-    
-    if (performancePercent > 100) {
-      warnings.push(`Performance of ${performancePercent.toFixed(1)}% seems unrealistically high`);
-    }
-    
-    if (performancePercent < -90) {
-      warnings.push(`Performance of ${performancePercent.toFixed(1)}% seems unrealistically low`);
-    }
-  }
-  
-  // Check if net flows are larger than prior NAV (might indicate data entry error)
-  if (Math.abs(netFlows) > priorPreFeeNav && priorPreFeeNav > 0) {
-    warnings.push(`Net flows (${netFlows.toLocaleString()}) are larger than prior NAV - please verify`);
-  }
-  
-  // Check for negative NAV
-  if (preFeeNav < 0) {
-    warnings.push('Current NAV is negative - please review calculations');
-  }
-  
-  return warnings;
-}
-
 // Helper function to format currency values for NAV report
 function formatCurrency(value) {
   const num = safeNumber(value);
@@ -254,6 +315,65 @@ function formatCurrency(value) {
   return ` $${num.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} `;
 }
 
+// 12:00 UTC on the last day of the month - the valuation time NAV report headers state
+function getMonthEndValuationTime(year, month) {
+  return new Date(Date.UTC(year, month, 0, 12, 0, 0));
+}
+
+// Date range for a request: ?start=&end=, or ?period= days back from now (defaulting
+// to defaultDays; with none the range is open). Unset bounds are undefined.
+function parseDateRange(req, defaultDays = null) {
+  const { start, end, period = defaultDays } = req.query;
+
+  let startDate;
+  if (start) {
+    startDate = new Date(start);
+  } else if (period) {
+    startDate = new Date();
+    startDate.setDate(startDate.getDate() - parseInt(period));
+  }
+  const endDate = end ? new Date(end) : undefined;
+
+  if ((startDate && isNaN(startDate.getTime())) || (endDate && isNaN(endDate.getTime()))) {
+    throw new AppError('Invalid start or end date', 400);
+  }
+  return { start: startDate, end: endDate };
+}
+
+// Reporting currency for a request: ?currency= overrides the user's setting
+async function resolveReportingCurrency(req, userId) {
+  if (req.query.currency) {
+    const currency = FxRateService.normalizeCurrency(req.query.currency);
+    if (!currency) {
+      throw new AppError(`Unsupported currency: ${req.query.currency}. Supported: ${Object.keys(FxRateService.CURRENCIES).join(', ')}`, 400);
+    }
+    return currency;
+  }
+  const user = await User.findById(userId).select('reportingCurrency').lean();
+  return user?.reportingCurrency || FxRateService.BASE_CURRENCY;
+}
+
+// Converter from USD into the reporting currency at a date (future dates use the
+// latest rate); without a stored rate it fails with 422, or returns null if optional
+async function getReportingConverter(req, userId, at = new Date(), { optional = false } = {}) {
+  const currency = await resolveReportingCurrency(req, userId);
+  const rateTime = new Date(Math.min(at.getTime(), Date.now()));
+  const converter = await FxRateService.getConverter(currency, rateTime);
+  if (!converter && !optional) {
+    throw new AppError(`No ${currency} exchange rate stored near ${rateTime.toISOString().split('T')[0]}`, 422);
+  }
+  return converter;
+}
+
+// A USD value in a rate series' currency at its own day's rate
+function convertAt(rates, value, date) {
+  const rate = rates.rateAt(date);
+  if (!rate) {
+    throw new AppError(`No ${rates.currency} exchange rate stored near ${new Date(date).toISOString().split('T')[0]}`, 422);
+  }
+  return value / rate.usdPerUnit;
+}
+
 // NAV Settings Routes
 
 // Get NAV settings for a specific month/year
@@ -268,40 +388,27 @@ router.get('/nav-settings/:userId/:year/:month', auth, async (req, res) => {
     
     console.log(`Getting NAV settings for user: ${userId}, ${year}-${month}`);
     
-    let settings = await NAVSettings.findOne({
-      userId,
-      year: parseInt(year),
-      month: parseInt(month)
-    });
+    let settings = await NAVSettings.findCurrent(userId, parseInt(year), parseInt(month));
     
     // If no settings exist, create default ones with prior month NAV
     if (!settings) {
       const priorMonth = parseInt(month) === 1 ? 12 : parseInt(month) - 1;
       const priorYear = parseInt(month) === 1 ? parseInt(year) - 1 : parseInt(year);
       
-      const priorSettings = await NAVSettings.findOne({
-        userId,
-        year: priorYear,
-        month: priorMonth
-      });
+      const priorSettings = await NAVSettings.findFinalized(userId, priorYear, priorMonth);
       
       const priorPreFeeNav = priorSettings ? priorSettings.navCalculations.preFeeNav : 0;
+      const ledgerFlows = await CapitalAccountService.getMonthNetFlows(userId, parseInt(year), parseInt(month));
       
       settings = new NAVSettings({
         userId,
         year: parseInt(year),
         month: parseInt(month),
-        feeSettings: {
-          annualExpense: 600,
-          monthlyExpense: 50,
-          performanceFeeRate: 0.05,
-          accruedPerformanceFeeRate: 0.05,
-          managementFeeRate: 0.005,
-          hurdleRate: 0,
-          highWaterMark: 0
-        },
+        formulaVersion: NAVEngine.FORMULA_VERSION,
+        feeSettings: { ...NAVEngine.DEFAULT_FEE_SETTINGS },
         navCalculations: {
-          netFlows: 0
+          // Start from the capital account ledger's flows for the month
+          netFlows: ledgerFlows?.netFlows || 0
         }
       });
       
@@ -324,7 +431,7 @@ router.get('/nav-settings/:userId/:year/:month', auth, async (req, res) => {
 router.post('/nav-settings/:userId/:year/:month', auth, async (req, res) => {
   try {
     const { userId, year, month } = req.params;
-    const { feeSettings, navCalculations, portfolioData } = req.body;
+    const { feeSettings, navCalculations = {}, portfolioData } = req.body;
     
     // Admin access check - NAV Calculator is admin-only functionality
     if (req.user.role !== 'admin') {
@@ -333,41 +440,57 @@ router.post('/nav-settings/:userId/:year/:month', auth, async (req, res) => {
     
     console.log(`Saving NAV settings for user: ${userId}, ${year}-${month}`);
     
-    // Validate performance calculation and add warnings if needed
-    const performance = navCalculations?.performance || 0;
-    const preFeeNav = navCalculations?.preFeeNav || 0;
-    const priorPreFeeNav = feeSettings?.priorPreFeeNav || 0;
-    const netFlows = feeSettings?.netFlows || 0;
+    let settings = await NAVSettings.findCurrent(userId, parseInt(year), parseInt(month));
     
-    const validationWarnings = validatePerformanceCalculation(
-      performance, preFeeNav, priorPreFeeNav, netFlows
-    );
+    // Finalized months were reported to the investor and can't be overwritten
+    if (settings?.status === 'finalized') {
+      return res.status(409).json({
+        error: `${settings.monthName} ${settings.year} is finalized (version ${settings.version}). Reopen it with a reason to make changes.`
+      });
+    }
+    
+    // Line items are always recalculated here; posted values are only inputs
+    const startingMark = await HighWaterMarkService.getStartingMark(userId, parseInt(year), parseInt(month));
+    const managementFees = await FeeAccrualService.getMonthFees(userId, parseInt(year), parseInt(month), {
+      managementFeeRate: NAVEngine.normalizeFeeSettings(feeSettings || {}).managementFeeRate
+    });
+    const calculations = NAVEngine.calculate({
+      assets: NAVEngine.assetsFromPortfolioData(portfolioData),
+      priorPreFeeNav: feeSettings?.priorPreFeeNav ?? navCalculations.priorPreFeeNav,
+      netFlows: feeSettings?.netFlows ?? navCalculations.netFlows,
+      feeSettings,
+      highWaterMark: startingMark?.highWaterMark,
+      accruedManagementFee: managementFees?.accruedManagementFee,
+      managementFeesPayable: managementFees?.managementFeesPayable
+    });
+    const { validationWarnings } = calculations;
     
-    // Add validation warnings to navCalculations if any exist
     const enhancedNavCalculations = {
-      ...navCalculations,
-      validationWarnings,
+      ...calculations,
+      highWaterMarkSource: startingMark ? 'history' : 'prior_nav',
       calculationDate: new Date(),
       priorPreFeeNavSource: feeSettings?.priorPreFeeNavSource || 'manual'
     };
     
-    const settings = await NAVSettings.findOneAndUpdate(
-      {
-        userId,
-        year: parseInt(year),
-        month: parseInt(month)
-      },
-      {
-        feeSettings,
-        navCalculations: enhancedNavCalculations,
-        portfolioData,
-        updatedAt: new Date()
-      },
-      {
-        upsert: true,
-        new: true
-      }
-    );
+    if (!settings) {
+      settings = new NAVSettings({ userId, year: parseInt(year), month: parseInt(month) });
+    }
+    
+    // Editing a reviewed month sends it back for review
+    if (settings.status === 'reviewed') {
+      settings.status = 'draft';
+      settings.reviewedBy = undefined;
+      settings.reviewedAt = undefined;
+      settings.statusHistory.push({ status: 'draft', changedBy: req.user.id, note: 'Edited after review' });
+    }
+    
+    settings.set({
+      formulaVersion: NAVEngine.FORMULA_VERSION,
+      feeSettings,
+      navCalculations: enhancedNavCalculations,
+      portfolioData
+    });
+    await settings.save();
     
     // Return settings with validation info
     res.json({
@@ -380,6 +503,212 @@ router.post('/nav-settings/:userId/:year/:month', auth, async (req, res) => {
   }
 });
 
+// Month-close workflow: draft -> reviewed -> finalized
+const navVersionLabel = settings => (settings.status === 'finalized'
+  ? `Finalized - version ${settings.version}`
+  : `${(settings.status || 'draft').toUpperCase()} - not finalized (version ${settings.version || 1})`);
+
+const NAV_STATUS_TRANSITIONS = {
+  review: { from: 'draft', to: 'reviewed', byField: 'reviewedBy', atField: 'reviewedAt' },
+  finalize: { from: 'reviewed', to: 'finalized', byField: 'finalizedBy', atField: 'finalizedAt' }
+};
+
+const loadCurrentNavSettings = async ({ userId, year, month }) => {
+  const settings = await NAVSettings.findCurrent(userId, parseInt(year), parseInt(month));
+  if (!settings) {
+    throw new AppError(`No NAV settings saved for ${year}-${month}`, 404);
+  }
+  return settings;
+};
+
+// A month's figures as finalizing stores them: holdings revalued at 12:00 UTC on
+// the last day of the month from the token price series (the saved inputs when
+// the month has no snapshots) and the high-water mark replayed from history
+const recalculateNavMonth = async settings => {
+  const { userId, year, month } = settings;
+  const user = await User.findById(userId).select('wallets').lean();
+  const valuationTime = getMonthEndValuationTime(year, month);
+  const revaluation = await HistoricalPriceService.revalueWalletsAt(
+    userId, user?.wallets || [], valuationTime, new Date(Date.UTC(year, month - 1, 1))
+  );
+  const startingMark = await HighWaterMarkService.getStartingMark(userId, year, month);
+
+  const calculations = NAVEngine.calculateForSettings(settings, {
+    assets: revaluation ? NAVEngine.assetsFromRevaluation(revaluation) : undefined,
+    highWaterMark: startingMark?.highWaterMark
+  });
+
+  if (revaluation) {
+    console.log(`💱 Revalued ${revaluation.coverage.revalued} holding(s) at ${valuationTime.toISOString()}, ${revaluation.coverage.fallback} kept their snapshot price`);
+  }
+
+  return {
+    navCalculations: { ...calculations, highWaterMarkSource: startingMark ? 'history' : 'prior_nav' },
+    valuation: revaluation && {
+      valuationTime,
+      missingWallets: revaluation.missingWallets,
+      holdings: revaluation.wallets.flatMap(wallet => wallet.holdings.map(holding => ({
+        walletAddress: wallet.walletAddress,
+        snapshotDate: wallet.snapshotDate,
+        ...holding
+      })))
+    },
+    stored: false
+  };
+};
+
+// Figures a report shows for a saved month. Finalized versions, and months saved
+// under an earlier formula version, are reported exactly as stored.
+const getReportedNavMonth = async settings => {
+  if (settings.status === 'finalized' || !NAVEngine.hasCurrentFormula(settings)) {
+    const { navCalculations, valuation } = settings.toObject();
+    return { navCalculations, valuation: valuation?.valuationTime ? valuation : null, stored: true };
+  }
+  return recalculateNavMonth(settings);
+};
+
+// Move the current version of a month one step along the workflow
+const transitionNavSettings = action => catchAsync(async (req, res) => {
+  // Admin access check - NAV Calculator is admin-only functionality
+  if (req.user.role !== 'admin') {
+    throw new AppError('Admin access required', 403);
+  }
+
+  const transition = NAV_STATUS_TRANSITIONS[action];
+  const settings = await loadCurrentNavSettings(req.params);
+
+  if (settings.status !== transition.from) {
+    throw new AppError(`Only ${transition.from} months can be ${transition.to}; ${settings.monthName} ${settings.year} version ${settings.version} is ${settings.status}`, 409);
+  }
+
+  // The figures are fixed when the month is finalized, revalued at 12:00 UTC on its last day
+  if (transition.to === 'finalized' && NAVEngine.hasCurrentFormula(settings)) {
+    const { navCalculations, valuation } = await recalculateNavMonth(settings);
+    settings.set({
+      navCalculations: { ...settings.toObject().navCalculations, ...navCalculations, calculationDate: new Date() },
+      valuation
+    });
+  }
+
+  settings.status = transition.to;
+  settings[transition.byField] = req.user.id;
+  settings[transition.atField] = new Date();
+  settings.statusHistory.push({ status: transition.to, changedBy: req.user.id, note: req.body?.note });
+  await settings.save();
+
+  console.log(`NAV ${settings.year}-${settings.month} v${settings.version} for user ${settings.userId} ${transition.to} by ${req.user.id}`);
+
+  res.json(ApiResponse.success(settings, `${settings.monthName} ${settings.year} marked ${transition.to}`));
+});
+
+// Mark a draft month reviewed
+router.post('/nav-settings/:userId/:year/:month/review', auth, transitionNavSettings('review'));
+
+// Finalize a reviewed month; it can't be changed after this
+router.post('/nav-settings/:userId/:year/:month/finalize', auth, transitionNavSettings('finalize'));
+
+// Reopen a finalized month as a new draft version; the finalized version is kept as reported
+router.post('/nav-settings/:userId/:year/:month/reopen', auth, catchAsync(async (req, res) => {
+  // Admin access check - NAV Calculator is admin-only functionality
+  if (req.user.role !== 'admin') {
+    throw new AppError('Admin access required', 403);
+  }
+
+  const reason = req.body?.reason?.trim();
+  if (!reason) {
+    throw new AppError('A reason is required to reopen a finalized month', 400);
+  }
+
+  const finalized = await loadCurrentNavSettings(req.params);
+  if (finalized.status !== 'finalized') {
+    throw new AppError(`Only finalized months can be reopened; version ${finalized.version} is ${finalized.status}`, 409);
+  }
+
+  const { formulaVersion, feeSettings, navCalculations, portfolioData } = finalized.toObject();
+  const settings = await NAVSettings.create({
+    userId: finalized.userId,
+    year: finalized.year,
+    month: finalized.month,
+    version: finalized.version + 1,
+    formulaVersion,
+    feeSettings,
+    navCalculations,
+    portfolioData,
+    reopenedFrom: finalized._id,
+    reopenReason: reason,
+    reopenedBy: req.user.id,
+    reopenedAt: new Date(),
+    statusHistory: [{ status: 'draft', changedBy: req.user.id, note: `Reopened from version ${finalized.version}: ${reason}` }]
+  });
+
+  console.log(`NAV ${settings.year}-${settings.month} reopened as v${settings.version} for user ${settings.userId} by ${req.user.id}: ${reason}`);
+
+  res.status(201).json(ApiResponse.success(settings, `${settings.monthName} ${settings.year} reopened as version ${settings.version}`));
+}));
+
+// List every version of a month, newest first
+router.get('/nav-settings/:userId/:year/:month/versions', auth, catchAsync(async (req, res) => {
+  // Admin access check - NAV Calculator is admin-only functionality
+  if (req.user.role !== 'admin') {
+    throw new AppError('Admin access required', 403);
+  }
+
+  const versions = await NAVSettings.find({
+    userId: req.params.userId,
+    year: parseInt(req.params.year),
+    month: parseInt(req.params.month)
+  })
+    .sort({ version: -1 })
+    .select('version status reviewedBy reviewedAt finalizedBy finalizedAt reopenedFrom reopenReason reopenedBy reopenedAt statusHistory navCalculations.preFeeNav navCalculations.netAssets createdAt updatedAt');
+
+  res.json(ApiResponse.success({ versions }, 'NAV versions retrieved successfully'));
+}));
+
+// Calculate NAV line items for the calculator page without saving them
+router.post('/nav/calculate', auth, catchAsync(async (req, res) => {
+  // Admin access check - NAV Calculator is admin-only functionality
+  if (req.user.role !== 'admin') {
+    throw new AppError('Admin access required', 403);
+  }
+
+  // With userId, year and month the high-water mark is carried from that user's history
+  const { portfolioData, feeSettings = {}, userId, year, month } = req.body;
+  const startingMark = await HighWaterMarkService.getStartingMark(userId, parseInt(year), parseInt(month));
+  // The month's daily management fee accruals and earlier months' unpaid invoices
+  const managementFees = await FeeAccrualService.getMonthFees(userId, parseInt(year), parseInt(month), {
+    managementFeeRate: NAVEngine.normalizeFeeSettings(feeSettings).managementFeeRate
+  });
+  const calculations = NAVEngine.calculate({
+    assets: NAVEngine.assetsFromPortfolioData(portfolioData),
+    priorPreFeeNav: feeSettings.priorPreFeeNav,
+    netFlows: feeSettings.netFlows,
+    feeSettings,
+    highWaterMark: startingMark?.highWaterMark,
+    accruedManagementFee: managementFees?.accruedManagementFee,
+    managementFeesPayable: managementFees?.managementFeesPayable
+  });
+
+  // Ledger flows for the month, so the page can flag a net flows figure that doesn't match
+  const ledgerFlows = await CapitalAccountService.getMonthNetFlows(userId, parseInt(year), parseInt(month));
+
+  // The figures in the user's reporting currency, for display; the USD ones are what gets saved
+  const converter = await getReportingConverter(req, userId, getMonthEndValuationTime(parseInt(year), parseInt(month)), { optional: true });
+
+  res.json(ApiResponse.success({
+    ...calculations,
+    highWaterMarkSource: startingMark ? 'history' : 'prior_nav',
+    highWaterMarkSetIn: startingMark?.setIn || null,
+    ledgerNetFlows: ledgerFlows ? ledgerFlows.netFlows : null,
+    ledgerTransactionCount: ledgerFlows ? ledgerFlows.transactionCount : 0,
+    managementFeeAccrualDays: managementFees?.accrualDays || 0,
+    managementFeesInvoiced: Boolean(managementFees?.invoiced),
+    payableInvoices: managementFees?.payableInvoices || [],
+    reporting: converter && converter.currency !== FxRateService.BASE_CURRENCY
+      ? { ...converter.info, calculations: NAVEngine.convert(calculations, converter.usdPerUnit, converter.format) }
+      : null
+  }, 'NAV calculated successfully'));
+}));
+
 // Get available months for a user
 router.get('/nav-settings/:userId/available-months', auth, async (req, res) => {
   try {
@@ -419,12 +748,8 @@ router.get('/nav-settings/:userId/:year/:month/prior-nav', auth, async (req, res
     
     console.log(`Looking for prior period: ${priorYear}-${priorMonth}`);
     
-    // Try to find prior month's NAV settings
-    const priorSettings = await NAVSettings.findOne({
-      userId,
-      year: priorYear,
-      month: priorMonth
-    });
+    // Only finalized months feed the next month's prior NAV
+    const priorSettings = await NAVSettings.findFinalized(userId, priorYear, priorMonth);
     
     let priorNavData = {
       found: false,
@@ -448,7 +773,8 @@ router.get('/nav-settings/:userId/:year/:month/prior-nav', auth, async (req, res
         priorMonth,
         priorYear,
         priorMonthName: priorNavData.priorMonthName,
-        message: `Loaded from ${priorNavData.priorMonthName} ${priorYear} NAV report`,
+        message: `Loaded from ${priorNavData.priorMonthName} ${priorYear} NAV report (finalized version ${priorSettings.version})`,
+        priorVersion: priorSettings.version,
         priorSettings: {
           totalAssets: priorSettings.navCalculations.totalAssets || 0,
           netAssets: priorSettings.navCalculations.netAssets || 0,
@@ -456,6 +782,9 @@ router.get('/nav-settings/:userId/:year/:month/prior-nav', auth, async (req, res
           createdAt: priorSettings.createdAt
         }
       };
+    } else if (await NAVSettings.exists({ userId, year: priorYear, month: priorMonth })) {
+      priorNavData.message = `${priorNavData.priorMonthName} ${priorYear} has not been finalized yet. Finalize it to load its NAV.`;
+      priorNavData.source = 'not_finalized';
     } else {
       // If no prior month exists, try to get current portfolio value as fallback
       try {
@@ -492,10 +821,14 @@ router.get('/nav-settings/:userId/history', auth, async (req, res) => {
     
     console.log(`Getting NAV history for user: ${userId}, limit: ${limit}`);
     
-    const history = await NAVSettings.find({ userId })
-      .sort({ year: -1, month: -1 })
-      .limit(parseInt(limit))
-      .select('year month navCalculations.preFeeNav navCalculations.netAssets navCalculations.performance createdAt');
+    const versions = await NAVSettings.find({ userId })
+      .sort({ year: -1, month: -1, version: -1 })
+      .select('year month version status navCalculations.preFeeNav navCalculations.netAssets navCalculations.performance createdAt');
+    
+    // Latest version of each month
+    const history = versions
+      .filter((record, index) => index === 0 || record.year !== versions[index - 1].year || record.month !== versions[index - 1].month)
+      .slice(0, parseInt(limit));
     
     const monthNames = [
       'January', 'February', 'March', 'April', 'May', 'June',
@@ -509,6 +842,8 @@ router.get('/nav-settings/:userId/history', auth, async (req, res) => {
       preFeeNav: record.navCalculations?.preFeeNav || 0,
       netAssets: record.navCalculations?.netAssets || 0,
       performance: record.navCalculations?.performance || 0,
+      status: record.status || 'draft',
+      version: record.version || 1,
       createdAt: record.createdAt
     }));
     
@@ -624,7 +959,8 @@ router.get('/export/monthly-nav', auth, async (req, res) => {
     const historicalNavData = await HistoricalDataService.getNAVDataForMonth(
       targetUserId, 
       targetYear, 
-      targetMonth + 1 // Convert 0-based to 1-based
+      targetMonth + 1, // Convert 0-based to 1-based
+      { finalizedOnly: req.user.role !== 'admin' } // Investors only see reported months
     );
     
     const navSettings = historicalNavData.navSettings;
@@ -634,28 +970,32 @@ router.get('/export/monthly-nav', auth, async (req, res) => {
       return res.status(404).json({ error: 'No NAV data found for this month/year' });
     }
     
-    // Use stored NAV data instead of fetching live data
-    const navCalculations = navSettings.navCalculations || {};
-    const feeSettings = navSettings.feeSettings || {};
-    
-    console.log(`📊 Raw navCalculations object:`, JSON.stringify(navCalculations, null, 2));
-    console.log(`📊 Raw feeSettings object:`, JSON.stringify(feeSettings, null, 2));
-    
-    // Extract values from stored data - FIXED: Use correct field names
-    const investments = navCalculations.investments || 0;
-    const dividendsReceivable = navCalculations.dividendsReceivable || 0;
-    const totalAssets = navCalculations.totalAssets || 0;
-    const accruedExpenses = navCalculations.accruedExpenses || feeSettings.monthlyExpense || 50;
-    const totalLiabilities = navCalculations.totalLiabilities || accruedExpenses;
-    const preFeeNav = navCalculations.preFeeNav || 0;
-    const priorPreFeeNav = navCalculations.priorPreFeeNav || 0;
-    const netFlows = navCalculations.netFlows || 0;
-    const performance = navCalculations.performance || 0;
-    const hurdleRate = feeSettings.hurdleRate || 0;
-    const highWaterMark = feeSettings.highWaterMark || 0;
-    const performanceFee = navCalculations.performanceFee || 0;
-    const accruedPerformanceFees = navCalculations.accruedPerformanceFees || 0;
-    const netAssets = navCalculations.netAssets || 0;
+    // Finalized versions as stored, others as finalizing will store them, presented
+    // in the reporting currency at the month-end rate
+    const feeSettings = NAVEngine.normalizeFeeSettings(navSettings.feeSettings || {});
+    const { navCalculations } = await getReportedNavMonth(navSettings);
+    const converter = await getReportingConverter(req, targetUserId, getMonthEndValuationTime(targetYear, targetMonth + 1));
+    const {
+      investments,
+      dividendsReceivable,
+      totalAssets,
+      accruedExpenses,
+      defiBorrowings,
+      managementFeesPayable,
+      totalLiabilities,
+      preFeeNav,
+      priorPreFeeNav,
+      netFlows,
+      performance,
+      highWaterMarkStart,
+      highWaterMarkAdjusted,
+      highWaterMarkEnd,
+      performanceFee,
+      performanceFeeNote,
+      accruedPerformanceFees,
+      netAssets
+    } = NAVEngine.convert(navCalculations, converter.usdPerUnit, converter.format);
+    const hurdleRate = feeSettings.hurdleRate;
     
     const monthNames = [
       'January', 'February', 'March', 'April', 'May', 'June',
@@ -665,23 +1005,21 @@ router.get('/export/monthly-nav', auth, async (req, res) => {
     const monthName = monthNames[targetMonth];
     const reportValuationDate = `${monthName} ${targetYear}`;
     
-    console.log(`📊 Using stored NAV data for export`);
-    
-    console.log(`📊 NAV Calculations from stored data:
-  Investments: $${investments.toFixed(2)}
-  Dividends Receivable: $${dividendsReceivable.toFixed(2)}
-  Total Assets: $${totalAssets.toFixed(2)}
-  Accrued Expenses: $${accruedExpenses.toFixed(2)}
-  Pre-Fee NAV: $${preFeeNav.toFixed(2)}
-  Performance: $${performance.toFixed(2)}
-  Performance Fee: $${performanceFee.toFixed(2)}
-  Accrued Performance Fees: $${accruedPerformanceFees.toFixed(2)}
-  Net Assets: $${netAssets.toFixed(2)}`);
+    console.log(`📊 NAV Calculations for version ${navSettings.version} (${converter.currency}):
+  Investments: ${converter.format(investments)}
+  Dividends Receivable: ${converter.format(dividendsReceivable)}
+  Total Assets: ${converter.format(totalAssets)}
+  Accrued Expenses: ${converter.format(accruedExpenses)}
+  Pre-Fee NAV: ${converter.format(preFeeNav)}
+  Performance: ${converter.format(performance)}
+  Performance Fee: ${converter.format(performanceFee)}
+  Accrued Performance Fees: ${converter.format(accruedPerformanceFees)}
+  Net Assets: ${converter.format(netAssets)}`);
 
     // Create NAV report data (first sheet)
     const navData = [
-      ['VALUATION DATE', reportValuationDate],
-      ['All values in USD as of 12:00 pm UTC on the Valuation date.'],
+      ['VALUATION DATE', reportValuationDate, navVersionLabel(navSettings)],
+      [`All values in ${converter.describe()} as of 12:00 pm UTC on the Valuation date.`],
       ['For more information on valuation methodology please see the Investment Management Agreement.'],
       [''],
       ['Section', 'Line Item', 'Value'],
@@ -694,10 +1032,10 @@ router.get('/export/monthly-nav', auth, async (req, res) => {
       ['Total Assets', '', totalAssets],
       ['LIABILITIES'],
       ['', 'Payables for investments purchased', 0],
-      ['', 'Accrued management fees', 0],
+      ['', 'Accrued management fees', managementFeesPayable],
       ['', 'Accrued fund expenses', accruedExpenses],
       ['', 'Distribution payable', 0],
-      ['', 'Other liabilities', 0],
+      ['', 'DeFi borrowings', defiBorrowings],
       ['Total Liabilities', '', totalLiabilities],
       ['', 'Pre-Fee Ending NAV', preFeeNav],
       ['', 'Accrued performance fees', accruedPerformanceFees],
@@ -709,9 +1047,12 @@ router.get('/export/monthly-nav', auth, async (req, res) => {
       ['', 'Current period Pre-Fee Ending NAV', preFeeNav],
       ['', 'Performance', performance],
       ['', 'Hurdle Rate', hurdleRate],
-      ['', 'High Water Mark', highWaterMark],
+      ['', 'High Water Mark (start of month)', highWaterMarkStart],
+      ['', 'High Water Mark (flow-adjusted)', highWaterMarkAdjusted],
       ['', 'Performance Fee', performanceFee],
-      ['', 'Accrued Performance Fees', accruedPerformanceFees]
+      ['', 'Performance fee basis', performanceFeeNote],
+      ['', 'Accrued Performance Fees', accruedPerformanceFees],
+      ['', 'High Water Mark (end of month)', highWaterMarkEnd]
     ];
 
     // Create workbook
@@ -772,12 +1113,12 @@ router.get('/export/monthly-nav', auth, async (req, res) => {
     });
 
     // Format currency cells in column C (Value column)
-    const currencyRows = [6, 7, 8, 9, 10, 11, 13, 14, 15, 16, 17, 18, 19, 20, 21, 24, 25, 26, 27, 28, 29, 30, 31];
+    const currencyRows = [6, 7, 8, 9, 10, 11, 13, 14, 15, 16, 17, 18, 19, 20, 21, 24, 25, 26, 27, 28, 29, 30, 31, 33, 34];
     currencyRows.forEach(rowIndex => {
       const cellAddr = `C${rowIndex + 1}`;
       if (navWorksheet[cellAddr] && typeof navWorksheet[cellAddr].v === 'number') {
         navWorksheet[cellAddr].s = {
-          numFmt: '"$"#,##0.00'
+          numFmt: converter.numFmt
         };
       }
     });
@@ -787,7 +1128,7 @@ router.get('/export/monthly-nav', auth, async (req, res) => {
     // Create annotated NAV report data (second sheet)
     const navAnnotatedData = [
       ['VALUATION DATE', reportValuationDate],
-      ['All values in USD as of 12:00 pm UTC on the Valuation date.'],
+      [`All values in ${converter.describe()} as of 12:00 pm UTC on the Valuation date.`],
       ['For more information on valuation methodology please see the Investment Management Agreement.'],
       [''],
       ['Section', 'Line Item', 'Value', 'Notes', 'Calculation'],
@@ -800,12 +1141,12 @@ router.get('/export/monthly-nav', auth, async (req, res) => {
       ['Total Assets', '', totalAssets, '', 'Investments + Dividends Receivable'],
       ['LIABILITIES'],
       ['', 'Payables for investments purchased', 0, 'Pending settlements', ''],
-      ['', 'Accrued management fees', 0, 'Not yet paid, accrues each period until paid', ''],
+      ['', 'Accrued management fees', managementFeesPayable, 'Not yet paid, accrues each period until paid', 'Unpaid management fee invoices of earlier months'],
       ['', 'Accrued fund expenses', accruedExpenses, 'Subtracted from assets this month', 'Monthly expense rate'],
       ['', 'Distribution payable', 0, 'Dividends/interest owed to holders', ''],
-      ['', 'Other liabilities', 0, 'Miscellaneous', ''],
+      ['', 'DeFi borrowings', defiBorrowings, 'Debt of leveraged DeFi positions', 'Sum of borrowed tokens'],
       ['Total Liabilities', '', totalLiabilities, '', 'Sum of Liabilities'],
-      ['', 'Pre-Fee Ending NAV', preFeeNav, '', 'Total Assets - Accrued Expenses'],
+      ['', 'Pre-Fee Ending NAV', preFeeNav, '', 'Total Assets - Total Liabilities'],
       ['', 'Accrued performance fees', accruedPerformanceFees, 'Performance fee on dividends', 'Dividends * Performance Fee Rate'],
       ['', 'NET ASSETS', netAssets, '(Net Asset Value)', 'Pre-Fee NAV - Performance Fee - Accrued Performance Fees'],
       [''],
@@ -815,9 +1156,11 @@ router.get('/export/monthly-nav', auth, async (req, res) => {
       ['', 'Current period Pre-Fee Ending NAV', preFeeNav, '', 'Pre-Fee Ending NAV from current period'],
       ['', 'Performance', performance, '', 'Current Pre-Fee NAV - Prior Pre-Fee NAV - Net Flows'],
       ['', 'Hurdle Rate', hurdleRate, 'Performance threshold', ''],
-      ['', 'High Water Mark', highWaterMark, 'Performance threshold', ''],
-      ['', 'Performance Fee', performanceFee, 'Performance fee on excess returns', 'If Performance > Hurdle, (Performance - Hurdle) * Rate'],
-      ['', 'Accrued Performance Fees', accruedPerformanceFees, 'Performance fee on dividends', 'Dividends * Performance Fee Rate']
+      ['', 'High Water Mark (start of month)', highWaterMarkStart, 'Carried from the NAV history', 'Prior month-end high-water mark'],
+      ['', 'High Water Mark (flow-adjusted)', highWaterMarkAdjusted, 'Mark the current NAV is compared against', 'High Water Mark (start) + Net Flows'],
+      ['', 'Performance Fee', performanceFee, performanceFeeNote, 'Rate * lesser of (Performance - Hurdle) and (Pre-Fee NAV - Flow-adjusted HWM - Hurdle)'],
+      ['', 'Accrued Performance Fees', accruedPerformanceFees, 'Performance fee on dividends', 'Dividends * Performance Fee Rate'],
+      ['', 'High Water Mark (end of month)', highWaterMarkEnd, 'Carried into next month', 'Max of Flow-adjusted HWM and Pre-Fee NAV']
     ];
 
     // Second sheet: NAV Report with annotations
@@ -865,7 +1208,7 @@ router.get('/export/monthly-nav', auth, async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error generating monthly NAV report:', error.message);
-    res.status(500).json({ error: 'Failed to generate monthly NAV report', details: error.message });
+    res.status(error.statusCode || 500).json({ error: 'Failed to generate monthly NAV report', details: error.message });
   }
 });
 
@@ -881,50 +1224,12 @@ router.get('/export/nav-monthly/:userId/:year/:month', auth, async (req, res) =>
     
     console.log(`📊 Exporting NAV report for user: ${userId}, ${year}-${month}`);
     
-    // Get stored NAV data from database
-    const navSettings = await NAVSettings.findOne({
-      userId,
-      year: parseInt(year),
-      month: parseInt(month)
-    });
-    
-    if (!navSettings) {
-      return res.status(404).json({ error: 'No NAV data found for this month/year' });
-    }
-    
-    // Use stored NAV data instead of fetching live data
-    const navCalculations = navSettings.navCalculations || {};
-    const feeSettings = navSettings.feeSettings || {};
-    
-    // Extract values from stored data
-    const investments = navCalculations.investments || 0;
-    const dividendsReceivable = navCalculations.dividendsReceivable || 0;
-    const totalAssets = navCalculations.totalAssets || 0;
-    const accruedExpenses = navCalculations.accruedExpenses || feeSettings.monthlyExpense || 50;
-    const totalLiabilities = navCalculations.totalLiabilities || accruedExpenses;
-    const preFeeNav = navCalculations.preFeeNav || 0;
-    const priorPreFeeNav = navCalculations.priorPreFeeNav || 0;
-    const netFlows = navCalculations.netFlows || 0;
-    const performance = navCalculations.performance || 0;
-    const hurdleRate = feeSettings.hurdleRate || 0;
-    const highWaterMark = feeSettings.highWaterMark || 0;
-    const performanceFee = navCalculations.performanceFee || 0;
-    const accruedPerformanceFees = navCalculations.accruedPerformanceFees || 0;
-    const netAssets = navCalculations.netAssets || 0;
-    
-    const valuationDate = `${month}/${year}`;
-    
-    console.log(`📊 Exporting monthly NAV for user: ${userId}, ${year}-${month}`);
-    
-    // Get saved settings for this month
-    const settings = await NAVSettings.findOne({
-      userId,
-      year: parseInt(year),
-      month: parseInt(month)
-    });
+    // Get stored NAV data from database; investors only see finalized months
+    const findSettings = req.user.role === 'admin' ? 'findCurrent' : 'findFinalized';
+    const settings = await NAVSettings[findSettings](userId, parseInt(year), parseInt(month));
     
     if (!settings) {
-      return res.status(404).json({ error: 'No NAV data found for this month' });
+      return res.status(404).json({ error: 'No NAV data found for this month/year' });
     }
     
     const user = await User.findById(userId);
@@ -938,17 +1243,23 @@ router.get('/export/nav-monthly/:userId/:year/:month', auth, async (req, res) =>
     ];
     
     const monthName = monthNames[parseInt(month) - 1];
-    const reportValuationDate = `${monthName} ${year}`;
-    
-    // Use saved calculations
-    const calculations = settings.navCalculations;
-    const params = settings.feeSettings;
+    const valuationTime = getMonthEndValuationTime(parseInt(year), parseInt(month));
+    const reportValuationDate = `${valuationTime.getUTCDate()} ${monthName} ${year}`;
+    
+    // Finalized versions as stored; drafts and reviewed versions revalued at the
+    // valuation time as finalizing will store them
+    const params = NAVEngine.normalizeFeeSettings(settings.feeSettings || {});
+    const { navCalculations, valuation, stored } = await getReportedNavMonth(settings);
+    // Presented in the reporting currency at the valuation-date rate; the
+    // Valuation Detail sheet stays in USD as the price audit trail
+    const converter = await getReportingConverter(req, userId, valuationTime);
+    const calculations = NAVEngine.convert(navCalculations, converter.usdPerUnit, converter.format);
     
     // Create NAV report data
     const navData = [
-      ['MONTHLY NAV REPORT', '', ''],
+      ['MONTHLY NAV REPORT', '', navVersionLabel(settings)],
       ['VALUATION DATE', reportValuationDate, ''],
-      ['All values in USD as of 12:00 pm UTC on the Valuation date.', '', ''],
+      [`All values in ${converter.describe()} as of 12:00 pm UTC on the Valuation date.`, '', ''],
       ['For more information on valuation methodology please see the Investment Management Agreement.', '', ''],
       ['', '', ''],
       ['Section', 'Line Item', 'Value'],
@@ -962,10 +1273,10 @@ router.get('/export/nav-monthly/:userId/:year/:month', auth, async (req, res) =>
       ['', '', ''],
       ['LIABILITIES', '', ''],
       ['', 'Payables for investments purchased', 0],
-      ['', 'Accrued management fees', 0],
+      ['', 'Accrued management fees', calculations.managementFeesPayable],
       ['', 'Accrued fund expenses', calculations.accruedExpenses],
       ['', 'Distribution payable', 0],
-      ['', 'Other liabilities', 0],
+      ['', 'DeFi borrowings', (calculations.defiBorrowings || 0)],
       ['Total Liabilities', '', calculations.totalLiabilities],
       ['', '', ''],
       ['', 'Pre-Fee Ending NAV', calculations.preFeeNav],
@@ -978,9 +1289,12 @@ router.get('/export/nav-monthly/:userId/:year/:month', auth, async (req, res) =>
       ['', 'Current period Pre-Fee Ending NAV', calculations.preFeeNav],
       ['', 'Performance', calculations.performance],
       ['', 'Hurdle Rate', params.hurdleRate],
-      ['', 'High Water Mark', params.highWaterMark],
+      ['', 'High Water Mark (start of month)', calculations.highWaterMarkStart],
+      ['', 'High Water Mark (flow-adjusted)', calculations.highWaterMarkAdjusted],
       ['', 'Performance Fee', calculations.performanceFee],
-      ['', 'Accrued Performance Fees', calculations.accruedPerformanceFees]
+      ['', 'Performance fee basis', calculations.performanceFeeNote],
+      ['', 'Accrued Performance Fees', calculations.accruedPerformanceFees],
+      ['', 'High Water Mark (end of month)', calculations.highWaterMarkEnd]
     ];
     
     // Create workbook
@@ -1045,7 +1359,7 @@ router.get('/export/nav-monthly/:userId/:year/:month', auth, async (req, res) =>
       const cellAddr = `C${rowIndex + 1}`;
       if (navWorksheet[cellAddr] && typeof navWorksheet[cellAddr].v === 'number') {
         navWorksheet[cellAddr].s = {
-          numFmt: '"$"#,##0.00',
+          numFmt: converter.numFmt,
           alignment: { horizontal: 'right' }
         };
       }
@@ -1053,6 +1367,39 @@ router.get('/export/nav-monthly/:userId/:year/:month', auth, async (req, res) =>
     
     XLSX.utils.book_append_sheet(workbook, navWorksheet, `NAV Report ${monthName} ${year}`);
     
+    // Price audit: every holding with the price and observation it was valued at
+    if (valuation) {
+      const valuationRows = [
+        ['VALUATION DETAIL', `${new Date(valuation.valuationTime).toISOString()}`],
+        ['Holdings from each wallet\'s latest snapshot in the month, priced at the nearest stored observation.'],
+        [stored
+          ? `Stored when version ${settings.version} was finalized${settings.finalizedAt ? ` on ${settings.finalizedAt.toISOString().split('T')[0]}` : ''}.`
+          : 'Revalued for this download; finalizing the month stores the figures.'],
+        [''],
+        ['Wallet', 'Snapshot Date', 'Type', 'Protocol', 'Chain', 'Token', 'Amount', 'Price (USD)', 'Value (USD)', 'Price Source', 'Observed At'],
+        ...valuation.holdings.map(holding => [
+          holding.walletAddress,
+          new Date(holding.snapshotDate).toISOString().split('T')[0],
+          holding.type,
+          holding.protocol || '',
+          holding.chain,
+          holding.symbol,
+          holding.amount,
+          holding.price,
+          holding.type === 'borrow' ? -holding.usdValue : holding.usdValue,
+          holding.source,
+          holding.observedAt ? new Date(holding.observedAt).toISOString() : ''
+        ]),
+        ...valuation.missingWallets.map(walletAddress => [walletAddress, 'No snapshot in month - not included'])
+      ];
+      const valuationWorksheet = XLSX.utils.aoa_to_sheet(valuationRows);
+      valuationWorksheet['!cols'] = [
+        { wch: 44 }, { wch: 14 }, { wch: 10 }, { wch: 20 }, { wch: 8 }, { wch: 12 },
+        { wch: 16 }, { wch: 14 }, { wch: 16 }, { wch: 20 }, { wch: 26 }
+      ];
+      XLSX.utils.book_append_sheet(workbook, valuationWorksheet, 'Valuation Detail');
+    }
+    
     // Generate buffer
     const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx', compression: false });
     
@@ -1073,7 +1420,7 @@ router.get('/export/nav-monthly/:userId/:year/:month', auth, async (req, res) =>
     
   } catch (error) {
     console.error('❌ Error generating monthly NAV report:', error.message);
-    res.status(500).json({ error: 'Failed to generate monthly NAV report', details: error.message });
+    res.status(error.statusCode || 500).json({ error: 'Failed to generate monthly NAV report', details: error.message });
   }
 });
 
@@ -1101,6 +1448,7 @@ router.get('/export', auth, async (req, res) => {
     const wallets = wallet ? [wallet] : user.wallets;
     let totalInvestments = 0;
     let totalRewards = 0;
+    let totalBorrowings = 0;
 
     console.log(`📊 Processing ${wallets.length} wallet${wallets.length !== 1 ? 's' : ''} for NAV calculation...`);
 
@@ -1132,31 +1480,10 @@ router.get('/export', auth, async (req, res) => {
       });
       const protocols = Array.from(protocolsMap.values());
 
-      // Get prices from CoinGecko
-      const coinGeckoPrices = await fetchPricesFromCoinGecko(tokens);
-
-      // Process tokens
-      const enrichedTokens = tokens.map(token => {
-        const symbol = (token.symbol || '').toLowerCase();
-        let finalPrice = 0;
-
-        if (coinGeckoPrices[symbol]) {
-          finalPrice = coinGeckoPrices[symbol];
-        } else if (symbol.startsWith('w') && coinGeckoPrices[symbol.substring(1)]) {
-          finalPrice = coinGeckoPrices[symbol.substring(1)];
-        } else if (token.price && token.price > 0) {
-          finalPrice = token.price;
-        }
-
-        const usdValue = finalPrice * safeNumber(token.amount || 0);
-        totalInvestments += usdValue;
-
-        return {
-          symbol: token.symbol,
-          amount: token.amount || 0,
-          price: finalPrice,
-          usd_value: usdValue
-        };
+      // Price by chain + contract address, leaving out spam and tokens the user hid
+      const { tokens: enrichedTokens } = await priceAndClassifyTokens(tokens, { userId: user._id });
+      enrichedTokens.forEach(token => {
+        totalInvestments += safeNumber(token.usd_value);
       });
 
       // Process protocols with deduplication
@@ -1175,9 +1502,13 @@ router.get('/export', auth, async (req, res) => {
           if (!uniqueItemsMap.has(itemKey)) {
             uniqueItemsMap.set(itemKey, item);
 
-            // Add position value to investments
-            const itemValue = safeNumber(item.stats?.net_usd_value || 0);
+            // Add gross position assets to investments; debt is reported as a liability
+            const itemDebt = safeNumber(item.stats?.debt_usd_value || 0);
+            const itemValue = item.stats?.asset_usd_value !== undefined
+              ? safeNumber(item.stats.asset_usd_value)
+              : safeNumber(item.stats?.net_usd_value || 0) + itemDebt;
             totalInvestments += itemValue;
+            totalBorrowings += itemDebt;
 
             // Add rewards to dividends receivable
             if (item.detail?.reward_token_list) {
@@ -1199,50 +1530,60 @@ router.get('/export', auth, async (req, res) => {
 
     console.log(`📊 Total calculated investments: $${totalInvestments.toFixed(2)}`);
     console.log(`📊 Total calculated rewards: $${totalRewards.toFixed(2)}`);
+    console.log(`📊 Total DeFi borrowings: $${totalBorrowings.toFixed(2)}`);
 
     // NAV Calculations
     const valuationDate = '7/21/2025'; // Use sample date
-    const annualExpense = 600;
-    const monthlyExpense = 50; // $600/year ÷ 12 = $50/month
-    const priorPreFeeNav = totalInvestments; // Per user request
-    const netFlows = 0; // Assuming no deposits/withdrawals
-    const hurdleRate = 0; // Per user request
-    const highWaterMark = 0; // Per user request
-
-    // Calculate values
-    const investments = totalInvestments;
-    const dividendsReceivable = totalRewards;
-    const totalAssets = investments + dividendsReceivable;
-    const accruedExpenses = monthlyExpense;
-    const totalLiabilities = accruedExpenses; // Total liabilities = accrued expenses
-    const preFeeNav = totalAssets - accruedExpenses;
-
-    // Performance calculation
-    // Performance = Current NAV - Prior NAV + Net Flows
-    const performance = preFeeNav - priorPreFeeNav + netFlows;
-    const performanceFee = performance > hurdleRate ? performance * 0.05 : 0;
-    const accruedPerformanceFees = dividendsReceivable * 0.05; // 5% of Dividends
-    
-    // Management fee calculation (0.5% of total assets)
-    const managementFeeRate = 0.005; // 0.5%
-    const managementFee = totalAssets * managementFeeRate;
-    
-    const netAssets = preFeeNav - performanceFee - accruedPerformanceFees - managementFee;
-
-    console.log(`📊 NAV Calculations:
-  Total Assets: $${totalAssets.toFixed(2)}
-  Accrued Expenses: $${accruedExpenses.toFixed(2)}
-  Pre-Fee NAV: $${preFeeNav.toFixed(2)}
-  Performance: $${performance.toFixed(2)}
-  Performance Fee: $${performanceFee.toFixed(2)}
-  Accrued Performance Fees: $${accruedPerformanceFees.toFixed(2)}
-  Management Fee: $${managementFee.toFixed(2)}
-  Net Assets: $${netAssets.toFixed(2)}`);
+    const feeSettings = NAVEngine.normalizeFeeSettings({});
+    const { annualExpense, monthlyExpense, hurdleRate, performanceFeeRate, accruedPerformanceFeeRate } = feeSettings;
+
+    // Live report with default fees: the prior NAV is the current investments
+    // value and there are no deposits or withdrawals. Presented in the reporting
+    // currency at the latest rate.
+    const converter = await getReportingConverter(req, userId);
+    const money = value => converter.format(converter.convert(value));
+    const {
+      investments,
+      dividendsReceivable,
+      totalAssets,
+      accruedExpenses,
+      defiBorrowings,
+      managementFeesPayable,
+      totalLiabilities,
+      preFeeNav,
+      priorPreFeeNav,
+      netFlows,
+      performance,
+      highWaterMarkStart: highWaterMark,
+      performanceFee,
+      accruedPerformanceFees,
+      managementFee,
+      netAssets
+    } = NAVEngine.convert(NAVEngine.calculate({
+      assets: {
+        investments: totalInvestments,
+        dividendsReceivable: totalRewards,
+        defiBorrowings: totalBorrowings
+      },
+      priorPreFeeNav: totalInvestments,
+      netFlows: 0,
+      feeSettings
+    }), converter.usdPerUnit, converter.format);
+
+    console.log(`📊 NAV Calculations (${converter.currency}):
+  Total Assets: ${converter.format(totalAssets)}
+  Accrued Expenses: ${converter.format(accruedExpenses)}
+  Pre-Fee NAV: ${converter.format(preFeeNav)}
+  Performance: ${converter.format(performance)}
+  Performance Fee: ${converter.format(performanceFee)}
+  Accrued Performance Fees: ${converter.format(accruedPerformanceFees)}
+  Management Fee: ${converter.format(managementFee)}
+  Net Assets: ${converter.format(netAssets)}`);
 
     // Create NAV report data (first sheet)
     const navData = [
       ['VALUATION DATE', valuationDate],
-      ['All values in USD as of 12:00 pm UTC on the Valuation date.'],
+      [`All values in ${converter.describe()} as of 12:00 pm UTC on the Valuation date.`],
       ['For more information on valuation methodology please see the Investment Management Agreement.'],
       [''],
       ['Section', 'Line Item', 'Value'],
@@ -1255,10 +1596,10 @@ router.get('/export', auth, async (req, res) => {
       ['Total Assets', '', totalAssets],
       ['LIABILITIES'],
       ['', 'Payables for investments purchased', 0],
-      ['', 'Accrued management fees', 0],
+      ['', 'Accrued management fees', managementFeesPayable],
       ['', 'Accrued fund expenses', accruedExpenses],
       ['', 'Distribution payable', 0],
-      ['', 'Other liabilities', 0],
+      ['', 'DeFi borrowings', defiBorrowings],
       ['Total Liabilities', '', totalLiabilities],
       ['', 'Pre-Fee Ending NAV', preFeeNav],
       ['', 'Management fee', managementFee],
@@ -1279,7 +1620,7 @@ router.get('/export', auth, async (req, res) => {
     // Create annotated NAV report data (second sheet)
     const navAnnotatedData = [
       ['VALUATION DATE', valuationDate],
-      ['All values in USD as of 12:00 pm UTC on the Valuation date.'],
+      [`All values in ${converter.describe()} as of 12:00 pm UTC on the Valuation date.`],
       ['For more information on valuation methodology please see the Investment Management Agreement.'],
       [''],
       ['Section', 'Line Item', 'Value', 'Notes', 'Calculation'],
@@ -1292,14 +1633,14 @@ router.get('/export', auth, async (req, res) => {
       ['Total Assets', '', totalAssets, '', 'Sum of Assets'],
       ['LIABILITIES'],
       ['', 'Payables for investments purchased', 0, 'Pending settlements', ''],
-      ['', 'Accrued management fees', 0, 'Not yet paid, accrues each period until paid', ''],
-      ['', 'Accrued fund expenses', accruedExpenses, 'Custom monthly expense amount', `$${monthlyExpense} per month`],
+      ['', 'Accrued management fees', managementFeesPayable, 'Not yet paid, accrues each period until paid', 'Unpaid management fee invoices of earlier months'],
+      ['', 'Accrued fund expenses', accruedExpenses, 'Custom monthly expense amount', `${money(monthlyExpense)} per month`],
       ['', 'Distribution payable', 0, 'Dividends/interest owed to holders', ''],
-      ['', 'Other liabilities', 0, 'Miscellaneous', ''],
+      ['', 'DeFi borrowings', defiBorrowings, 'Debt of leveraged DeFi positions', 'Sum of borrowed tokens'],
       ['Total Liabilities', '', totalLiabilities, '', 'Sum of Liabilities'],
-      ['', 'Pre-Fee Ending NAV', preFeeNav, '', 'Total Assets - Accrued Expenses'],
-      ['', 'Management fee', managementFee, 'Management fee on total assets', `$${managementFee.toFixed(2)} (0.5% of total assets)`],
-      ['', 'Accrued performance fees', accruedPerformanceFees, 'Performance fee on dividends', `$${performanceFee.toFixed(2)} per month`],
+      ['', 'Pre-Fee Ending NAV', preFeeNav, '', 'Total Assets - Total Liabilities'],
+      ['', 'Management fee', managementFee, 'Management fee on total assets', `${converter.format(managementFee)} (0.5% of total assets)`],
+      ['', 'Accrued performance fees', accruedPerformanceFees, 'Performance fee on dividends', `${converter.format(performanceFee)} per month`],
       ['', 'NET ASSETS', netAssets, '(Net Asset Value)', 'Pre-Fee NAV - Management Fee - Performance Fee - Accrued Performance Fees'],
       [''],
       ['PERFORMANCE FEE CALCULATION'],
@@ -1310,8 +1651,8 @@ router.get('/export', auth, async (req, res) => {
       ['', 'Hurdle Rate', hurdleRate, 'Performance threshold', ''],
       ['', 'High Water Mark', highWaterMark, 'Performance threshold', ''],
       ['', 'Performance Fee', performanceFee, 'Performance fee on excess returns', 'If Performance > Hurdle, (Performance - Hurdle) * Rate'],
-      ['', 'Accrued Performance Fees', accruedPerformanceFees, 'Performance fee on dividends', `$${accruedPerformanceFees.toFixed(2)} per month`],
-      ['', 'Management Fee', managementFee, 'Management fee on total assets', `$${managementFee.toFixed(2)} (0.5% of total assets)`]
+      ['', 'Accrued Performance Fees', accruedPerformanceFees, 'Performance fee on dividends', `${converter.format(accruedPerformanceFees)} per month`],
+      ['', 'Management Fee', managementFee, 'Management fee on total assets', `${converter.format(managementFee)} (0.5% of total assets)`]
     ];
 
     // Add custom parameters sheet
@@ -1321,12 +1662,13 @@ router.get('/export', auth, async (req, res) => {
       ['User ID:', userId],
       [''],
       ['Parameter', 'Value', 'Description'],
-      ['Annual Expense', `$${annualExpense.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`, 'Total annual fund expenses'],
-      ['Monthly Expense', `$${monthlyExpense.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`, 'Monthly accrued expenses'],
-      ['Prior Pre-Fee NAV', `$${priorPreFeeNav.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`, 'Previous period pre-fee NAV'],
-      ['Net Flows', `$${netFlows.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`, 'Deposits/withdrawals since prior period (negative = withdrawal)'],
+      ['Reporting Currency', converter.describe(), 'Values are calculated in USD and converted for this report'],
+      ['Annual Expense', money(annualExpense), 'Total annual fund expenses'],
+      ['Monthly Expense', money(monthlyExpense), 'Monthly accrued expenses'],
+      ['Prior Pre-Fee NAV', converter.format(priorPreFeeNav), 'Previous period pre-fee NAV'],
+      ['Net Flows', converter.format(netFlows), 'Deposits/withdrawals since prior period (negative = withdrawal)'],
       ['Hurdle Rate', `${hurdleRate}%`, 'Minimum return threshold for performance fees'],
-      ['High Water Mark', `$${highWaterMark.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`, 'Historical peak NAV for performance calculation'],
+      ['High Water Mark', converter.format(highWaterMark), 'Historical peak NAV for performance calculation'],
       ['Performance Fee Rate', `${(performanceFeeRate * 100).toFixed(1)}%`, 'Percentage of excess performance charged as fee'],
       ['Accrued Performance Fee Rate', `${(accruedPerformanceFeeRate * 100).toFixed(1)}%`, 'Percentage of dividends charged as performance fee']
     ];
@@ -1396,7 +1738,7 @@ router.get('/export', auth, async (req, res) => {
       const cellAddr = `C${rowIndex + 1}`;
       if (navWorksheet[cellAddr] && typeof navWorksheet[cellAddr].v === 'number') {
         navWorksheet[cellAddr].s = {
-          numFmt: '"$"#,##0.00',
+          numFmt: converter.numFmt,
           alignment: { horizontal: 'right' }
         };
       }
@@ -1482,7 +1824,7 @@ router.get('/export', auth, async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error generating custom NAV report:', error.message);
-    res.status(500).json({ error: 'Failed to generate custom NAV report', details: error.message });
+    res.status(error.statusCode || 500).json({ error: 'Failed to generate custom NAV report', details: error.message });
   }
 });
 
@@ -1603,47 +1945,69 @@ router.get('/positions/apy', auth, catchAsync(async (req, res) => {
 
 // Note: Individual position APY lookup removed - use /positions/apy to get all position APYs
 
-// Get position performance summary with APY data (for dashboard overview)
-router.get('/positions/performance-summary', auth, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const { targetDate, limit = 10 } = req.query;
-    
-    console.log(`📊 Getting position performance summary for user: ${userId}`);
-    
-    const targetDateTime = targetDate ? new Date(targetDate) : new Date();
-    const performanceSummary = await APYCalculationService.getPositionPerformanceSummary(userId, targetDateTime);
-    
-    // Sort by current value (descending) and limit results
-    const sortedPositions = Object.entries(performanceSummary)
-      .sort(([, a], [, b]) => (b.currentValue || 0) - (a.currentValue || 0))
-      .slice(0, parseInt(limit));
-    
-    const formattedSummary = {};
-    sortedPositions.forEach(([positionId, data]) => {
-      formattedSummary[positionId] = {
-        ...data,
-        currentValue: `$${data.currentValue.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
-        apy: APYCalculationService.formatAPYForDisplay(data.apy),
-        rawCurrentValue: data.currentValue
-      };
-    });
-    
-    console.log(`✅ Performance summary generated for ${sortedPositions.length} positions`);
-    
-    res.json({
-      userId,
-      targetDate: targetDateTime,
-      summary: formattedSummary,
-      totalPositions: Object.keys(performanceSummary).length,
-      displayedPositions: sortedPositions.length,
-      success: true
-    });
-  } catch (error) {
-    console.error('Error getting position performance summary:', error);
-    res.status(500).json({ error: error.message });
+// Get position performance summary with APY data and what drove each position's
+// change in value: price, impermanent loss, rewards, yield and flows (for dashboard overview)
+router.get('/positions/performance-summary', auth, catchAsync(async (req, res) => {
+  const { targetDate, limit = 10, period = 30 } = req.query;
+
+  // Admins may look at any user's performance
+  const userId = (req.user.role === 'admin' && req.query.userId) || req.user.id;
+
+  const targetDateTime = targetDate ? new Date(targetDate) : new Date();
+  if (isNaN(targetDateTime.getTime())) {
+    throw new AppError(`Invalid target date: ${targetDate}`, 400);
   }
-});
+  const periodDays = parseInt(period);
+  if (!(periodDays > 0)) {
+    throw new AppError('Period must be a positive number of days', 400);
+  }
+
+  console.log(`📊 Getting position performance summary for user: ${userId}`);
+
+  const performanceSummary = await APYCalculationService.getPositionPerformanceSummary(userId, targetDateTime, periodDays);
+
+  // Sort by current value (descending) and limit results
+  const sortedPositions = Object.entries(performanceSummary.positions)
+    .sort(([, a], [, b]) => (b.currentValue || 0) - (a.currentValue || 0))
+    .slice(0, parseInt(limit));
+
+  const formattedSummary = {};
+  sortedPositions.forEach(([positionId, data]) => {
+    formattedSummary[positionId] = {
+      ...data,
+      currentValue: `$${(data.currentValue || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
+      apy: APYCalculationService.formatAPYForDisplay(data.apy),
+      rawCurrentValue: data.currentValue
+    };
+  });
+
+  console.log(`✅ Performance summary generated for ${sortedPositions.length} positions`);
+
+  res.json({
+    userId,
+    targetDate: targetDateTime,
+    period: periodDays,
+    start: performanceSummary.start,
+    end: performanceSummary.end,
+    summary: formattedSummary,
+    wallets: performanceSummary.wallets,
+    portfolio: performanceSummary.portfolio,
+    totalPositions: Object.keys(performanceSummary.positions).length,
+    displayedPositions: sortedPositions.length,
+    success: true
+  });
+}));
+
+// Liquidity positions compared with holding the tokens they started with:
+// impermanent loss, fee income and net result against holding (?wallet=)
+router.get('/positions/impermanent-loss', auth, catchAsync(async (req, res) => {
+  // Admins may look at any user's positions
+  const userId = (req.user.role === 'admin' && req.query.userId) || req.user.id;
+
+  const result = await ImpermanentLossService.calculate(userId, { walletAddress: req.query.wallet });
+
+  res.json(ApiResponse.success(result, 'Impermanent loss calculated successfully'));
+}));
 
 // Store position data for historical tracking (used by data collection services)
 router.post('/positions/store-historical-data', auth, async (req, res) => {
@@ -1839,24 +2203,80 @@ router.get('/admin/users/ranking', auth, catchAsync(async (req, res) => {
   }
 }));
 
+// Validate backfill range/method up front so bad input is a 400, not a 500
+const parseBackfillOptions = (source) => {
+  const { from, to, userId, walletAddress, method } = source;
+
+  try {
+    SnapshotBackfillService.resolveRange(from, to);
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+
+  if (method && !SnapshotBackfillService.METHODS.includes(method)) {
+    throw new AppError(`Invalid backfill method: ${method}. Valid methods: ${SnapshotBackfillService.METHODS.join(', ')}`, 400);
+  }
+
+  return { from, to, userId, walletAddress, method };
+};
+
+// Report days with no DailySnapshot per user/wallet
+router.get('/admin/snapshots/gaps', auth, catchAsync(async (req, res) => {
+  if (req.user.role !== 'admin') {
+    throw new AppError('Admin access required', 403);
+  }
+
+  const report = await SnapshotBackfillService.findGaps(parseBackfillOptions(req.query));
+
+  res.json(ApiResponse.success(report, 'Snapshot gaps retrieved successfully'));
+}));
+
+// Fill missing DailySnapshot days by carry-forward or interpolation
+router.post('/admin/snapshots/backfill', auth, catchAsync(async (req, res) => {
+  if (req.user.role !== 'admin') {
+    throw new AppError('Admin access required', 403);
+  }
+
+  const options = parseBackfillOptions(req.body || {});
+  const result = await SnapshotBackfillService.fillGaps({
+    ...options,
+    dryRun: Boolean(req.body?.dryRun)
+  });
+
+  console.log(`🔐 ADMIN: Snapshot backfill by ${req.user.id}: ${result.summary.filledDays} day(s) ${result.dryRun ? 'would be ' : ''}filled`);
+
+  res.json(ApiResponse.success(result, result.dryRun ? 'Snapshot backfill dry run completed' : 'Snapshot backfill completed'));
+}));
+
+// Fill past benchmark prices and rates from provider history
+router.post('/admin/benchmarks/backfill', auth, catchAsync(async (req, res) => {
+  if (req.user.role !== 'admin') {
+    throw new AppError('Admin access required', 403);
+  }
+
+  const { from, to, overwrite } = req.body || {};
+  const start = new Date(from);
+  const end = to ? new Date(to) : new Date();
+  if (!from || isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+    throw new AppError('A valid from date (and optional to date after it) is required', 400);
+  }
+
+  const result = await BenchmarkService.backfill(start, end, { overwrite: Boolean(overwrite) });
+
+  console.log(`🔐 ADMIN: Benchmark backfill by ${req.user.id}: ${result.updated} day(s) updated`);
+
+  res.json(ApiResponse.success(result, 'Benchmark backfill completed'));
+}));
+
 // Export NAV calculator data (for current month calculations)
 router.get('/export/nav-calculator', auth, async (req, res) => {
   try {
-    const { 
-      userId, 
-      annualExpense, 
-      monthlyExpense, 
-      priorPreFeeNav, 
-      netFlows, 
-      hurdleRate, 
-      hurdleRateType, 
-      highWaterMark, 
-      performanceFeeRate, 
-      accruedPerformanceFeeRate, 
-      managementFeeRate,
-      feePaymentStatus, 
-      partialPaymentAmount 
-    } = req.query;
+    const { userId, priorPreFeeNav, netFlows } = req.query;
+    
+    // Month being calculated, for the high-water mark; defaults to the current month
+    const currentDate = new Date();
+    const reportYear = parseInt(req.query.year) || currentDate.getFullYear();
+    const reportMonth = parseInt(req.query.month) || currentDate.getMonth() + 1;
     
     // Admin access check - NAV Calculator is admin-only functionality
     if (req.user.role !== 'admin') {
@@ -1865,20 +2285,11 @@ router.get('/export/nav-calculator', auth, async (req, res) => {
     
     console.log(`📊 Exporting NAV calculator report for user: ${userId}`);
     
-    // Parse numeric parameters
+    // Parse parameters the same way the NAV engine reads saved settings
     const parsedParams = {
-      annualExpense: parseFloat(annualExpense) || 600,
-      monthlyExpense: parseFloat(monthlyExpense) || 50,
-      priorPreFeeNav: parseFloat(priorPreFeeNav) || 0,
-      netFlows: parseFloat(netFlows) || 0,
-      hurdleRate: parseFloat(hurdleRate) || 0,
-      hurdleRateType: hurdleRateType || 'annual',
-      highWaterMark: parseFloat(highWaterMark) || 0,
-      performanceFeeRate: parseFloat(performanceFeeRate) || 0.05,
-      accruedPerformanceFeeRate: parseFloat(accruedPerformanceFeeRate) || 0.05,
-      managementFeeRate: parseFloat(managementFeeRate) || 0.005,
-      feePaymentStatus: feePaymentStatus || 'not_paid',
-      partialPaymentAmount: parseFloat(partialPaymentAmount) || 0
+      ...NAVEngine.normalizeFeeSettings(req.query),
+      priorPreFeeNav: NAVEngine.toNumber(priorPreFeeNav),
+      netFlows: NAVEngine.toNumber(netFlows)
     };
     
     // Get current portfolio data for the user
@@ -1893,6 +2304,7 @@ router.get('/export/nav-calculator', auth, async (req, res) => {
     // Get current portfolio value from stored wallet data
     let totalInvestments = 0;
     let totalRewards = 0;
+    let totalBorrowings = 0;
     
     if (user.wallets && user.wallets.length > 0) {
       // Get the most recent stored wallet data
@@ -1917,7 +2329,10 @@ router.get('/export/nav-calculator', auth, async (req, res) => {
         // Sum protocol values
         if (wallet.protocols) {
           wallet.protocols.forEach(protocol => {
-            totalInvestments += protocol.net_usd_value || 0;
+            // Gross assets as investments, debt of leveraged positions as a liability
+            const protocolDebt = protocol.debt_usd_value || 0;
+            totalInvestments += protocol.asset_usd_value || ((protocol.net_usd_value || 0) + protocolDebt);
+            totalBorrowings += protocolDebt;
             
             // Sum rewards from protocols
             if (protocol.portfolio_item_list) {
@@ -1940,44 +2355,61 @@ router.get('/export/nav-calculator', auth, async (req, res) => {
       totalRewards = 5000; // Fallback value
     }
     
-    // Calculate NAV values
-    const investments = totalInvestments;
-    const dividendsReceivable = totalRewards;
-    const totalAssets = investments + dividendsReceivable;
-    const accruedExpenses = parsedParams.monthlyExpense;
-    const totalLiabilities = accruedExpenses;
-    const preFeeNav = totalAssets - accruedExpenses;
-    
-    // Performance calculation
-    const performance = preFeeNav - parsedParams.priorPreFeeNav + parsedParams.netFlows;
-    
-    // Fee calculations
-    let hurdleAmount = 0;
-    if (parsedParams.hurdleRate > 0 && parsedParams.priorPreFeeNav > 0) {
-      if (parsedParams.hurdleRateType === 'annual') {
-        hurdleAmount = (parsedParams.hurdleRate / 100 / 12) * parsedParams.priorPreFeeNav;
-      } else {
-        hurdleAmount = (parsedParams.hurdleRate / 100) * parsedParams.priorPreFeeNav;
-      }
-    }
-    
-    const performanceFee = performance > hurdleAmount ? (performance - hurdleAmount) * parsedParams.performanceFeeRate : 0;
-    const accruedPerformanceFees = dividendsReceivable * parsedParams.accruedPerformanceFeeRate;
-    const managementFee = totalAssets * parsedParams.managementFeeRate;
-    
-    const netAssets = preFeeNav - performanceFee - accruedPerformanceFees - managementFee;
+    // Stored protocol values are gross assets; rewards are carried separately.
+    // Presented in the reporting currency at the month-end rate.
+    const converter = await getReportingConverter(req, userId, getMonthEndValuationTime(reportYear, reportMonth));
+    const managementFees = await FeeAccrualService.getMonthFees(userId, reportYear, reportMonth, {
+      managementFeeRate: parsedParams.managementFeeRate
+    });
+    const money = value => converter.format(converter.convert(value));
+    const {
+      investments,
+      dividendsReceivable,
+      totalAssets,
+      accruedExpenses,
+      defiBorrowings,
+      managementFeesPayable,
+      totalLiabilities,
+      preFeeNav,
+      priorPreFeeNav: reportPriorPreFeeNav,
+      netFlows: reportNetFlows,
+      performance,
+      highWaterMarkStart,
+      highWaterMarkAdjusted,
+      highWaterMarkEnd,
+      performanceFee,
+      performanceFeeNote,
+      accruedPerformanceFees,
+      managementFee,
+      managementFeeSource,
+      netAssets
+    } = NAVEngine.convert(NAVEngine.calculate({
+      assets: {
+        investments: totalInvestments,
+        dividendsReceivable: totalRewards,
+        defiBorrowings: totalBorrowings
+      },
+      priorPreFeeNav: parsedParams.priorPreFeeNav,
+      netFlows: parsedParams.netFlows,
+      feeSettings: parsedParams,
+      highWaterMark: (await HighWaterMarkService.getStartingMark(userId, reportYear, reportMonth))?.highWaterMark,
+      accruedManagementFee: managementFees?.accruedManagementFee,
+      managementFeesPayable: managementFees?.managementFeesPayable
+    }), converter.usdPerUnit, converter.format);
+    const managementFeeBasis = managementFeeSource === 'accrual'
+      ? `${converter.format(managementFee)} accrued daily on NAV over ${managementFees.accrualDays} day(s) (${(parsedParams.managementFeeRate * 100).toFixed(2)}% a month)`
+      : `${converter.format(managementFee)} (${(parsedParams.managementFeeRate * 100).toFixed(2)}% of total assets)`;
     
     // Create NAV report data
-    const currentDate = new Date();
     const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
                        'July', 'August', 'September', 'October', 'November', 'December'];
-    const monthName = monthNames[currentDate.getMonth()];
-    const year = currentDate.getFullYear();
+    const monthName = monthNames[reportMonth - 1];
+    const year = reportYear;
     const valuationDate = `${monthName} ${year}`;
     
     const navData = [
       ['VALUATION DATE', valuationDate],
-      ['All values in USD as of 12:00 pm UTC on the Valuation date.'],
+      [`All values in ${converter.describe()} as of 12:00 pm UTC on the Valuation date.`],
       ['For more information on valuation methodology please see the Investment Management Agreement.'],
       [''],
       ['Section', 'Line Item', 'Value'],
@@ -1990,10 +2422,10 @@ router.get('/export/nav-calculator', auth, async (req, res) => {
       ['Total Assets', '', totalAssets],
       ['LIABILITIES'],
       ['', 'Payables for investments purchased', 0],
-      ['', 'Accrued management fees', 0],
+      ['', 'Accrued management fees', managementFeesPayable],
       ['', 'Accrued fund expenses', accruedExpenses],
       ['', 'Distribution payable', 0],
-      ['', 'Other liabilities', 0],
+      ['', 'DeFi borrowings', defiBorrowings],
       ['Total Liabilities', '', totalLiabilities],
       ['', 'Pre-Fee Ending NAV', preFeeNav],
       ['', 'Management fee', managementFee],
@@ -2001,13 +2433,15 @@ router.get('/export/nav-calculator', auth, async (req, res) => {
       ['', 'NET ASSETS', netAssets],
       [''],
       ['PERFORMANCE FEE CALCULATION'],
-      ['', 'Prior period Pre-Fee Ending NAV', parsedParams.priorPreFeeNav],
-      ['', 'Net Flows', parsedParams.netFlows],
+      ['', 'Prior period Pre-Fee Ending NAV', reportPriorPreFeeNav],
+      ['', 'Net Flows', reportNetFlows],
       ['', 'Current period Pre-Fee Ending NAV', preFeeNav],
       ['', 'Performance', performance],
       ['', 'Hurdle Rate', parsedParams.hurdleRate],
-      ['', 'High Water Mark', parsedParams.highWaterMark],
+      ['', 'High Water Mark (start of month)', highWaterMarkStart],
+      ['', 'High Water Mark (flow-adjusted)', highWaterMarkAdjusted],
       ['', 'Performance Fee', performanceFee],
+      ['', 'Performance fee basis', performanceFeeNote],
       ['', 'Accrued Performance Fees', accruedPerformanceFees],
       ['', 'Management Fee', managementFee]
     ];
@@ -2015,7 +2449,7 @@ router.get('/export/nav-calculator', auth, async (req, res) => {
     // Create annotated NAV report data (second sheet)
     const navAnnotatedData = [
       ['VALUATION DATE', valuationDate],
-      ['All values in USD as of 12:00 pm UTC on the Valuation date.'],
+      [`All values in ${converter.describe()} as of 12:00 pm UTC on the Valuation date.`],
       ['For more information on valuation methodology please see the Investment Management Agreement.'],
       [''],
       ['Section', 'Line Item', 'Value', 'Notes', 'Calculation'],
@@ -2028,26 +2462,27 @@ router.get('/export/nav-calculator', auth, async (req, res) => {
       ['Total Assets', '', totalAssets, '', 'Sum of Assets'],
       ['LIABILITIES'],
       ['', 'Payables for investments purchased', 0, 'Pending settlements', ''],
-      ['', 'Accrued management fees', 0, 'Not yet paid, accrues each period until paid', ''],
-      ['', 'Accrued fund expenses', accruedExpenses, 'Custom monthly expense amount', `$${parsedParams.monthlyExpense} per month`],
+      ['', 'Accrued management fees', managementFeesPayable, 'Not yet paid, accrues each period until paid', 'Unpaid management fee invoices of earlier months'],
+      ['', 'Accrued fund expenses', accruedExpenses, 'Custom monthly expense amount', `${money(parsedParams.monthlyExpense)} per month`],
       ['', 'Distribution payable', 0, 'Dividends/interest owed to holders', ''],
-      ['', 'Other liabilities', 0, 'Miscellaneous', ''],
+      ['', 'DeFi borrowings', defiBorrowings, 'Debt of leveraged DeFi positions', 'Sum of borrowed tokens'],
       ['Total Liabilities', '', totalLiabilities, '', 'Sum of Liabilities'],
-      ['', 'Pre-Fee Ending NAV', preFeeNav, '', 'Total Assets - Accrued Expenses'],
-      ['', 'Management fee', managementFee, 'Management fee on total assets', `$${managementFee.toFixed(2)} (${(parsedParams.managementFeeRate * 100).toFixed(2)}% of total assets)`],
-      ['', 'Accrued performance fees', accruedPerformanceFees, 'Performance fee on dividends', `$${accruedPerformanceFees.toFixed(2)} (${(parsedParams.accruedPerformanceFeeRate * 100).toFixed(2)}% of dividends)`],
+      ['', 'Pre-Fee Ending NAV', preFeeNav, '', 'Total Assets - Total Liabilities'],
+      ['', 'Management fee', managementFee, 'Management fee on total assets', managementFeeBasis],
+      ['', 'Accrued performance fees', accruedPerformanceFees, 'Performance fee on dividends', `${converter.format(accruedPerformanceFees)} (${(parsedParams.accruedPerformanceFeeRate * 100).toFixed(2)}% of dividends)`],
       ['', 'NET ASSETS', netAssets, '(Net Asset Value)', 'Pre-Fee NAV - Management Fee - Performance Fee - Accrued Performance Fees'],
       [''],
       ['PERFORMANCE FEE CALCULATION'],
-      ['', 'Prior period Pre-Fee Ending NAV', parsedParams.priorPreFeeNav, '', 'Pre-Fee Ending NAV from prior period'],
-      ['', 'Net Flows', parsedParams.netFlows, '', 'Deposits/withdrawals since prior period'],
+      ['', 'Prior period Pre-Fee Ending NAV', reportPriorPreFeeNav, '', 'Pre-Fee Ending NAV from prior period'],
+      ['', 'Net Flows', reportNetFlows, '', 'Deposits/withdrawals since prior period'],
       ['', 'Current period Pre-Fee Ending NAV', preFeeNav, '', 'Pre-Fee Ending NAV from current period'],
       ['', 'Performance', performance, '', 'Current Pre-Fee NAV - Prior Pre-Fee NAV - Net Flows'],
       ['', 'Hurdle Rate', parsedParams.hurdleRate, 'Performance threshold', ''],
-      ['', 'High Water Mark', parsedParams.highWaterMark, 'Performance threshold', ''],
-      ['', 'Performance Fee', performanceFee, 'Performance fee on excess returns', 'If Performance > Hurdle, (Performance - Hurdle) * Rate'],
-      ['', 'Accrued Performance Fees', accruedPerformanceFees, 'Performance fee on dividends', `$${accruedPerformanceFees.toFixed(2)} (${(parsedParams.accruedPerformanceFeeRate * 100).toFixed(2)}% of dividends)`],
-      ['', 'Management Fee', managementFee, 'Management fee on total assets', `$${managementFee.toFixed(2)} (${(parsedParams.managementFeeRate * 100).toFixed(2)}% of total assets)`]
+      ['', 'High Water Mark (start of month)', highWaterMarkStart, 'Carried from the NAV history', 'Prior month-end high-water mark'],
+      ['', 'High Water Mark (flow-adjusted)', highWaterMarkAdjusted, 'Mark the current NAV is compared against', 'High Water Mark (start) + Net Flows'],
+      ['', 'Performance Fee', performanceFee, performanceFeeNote, 'Rate * lesser of (Performance - Hurdle) and (Pre-Fee NAV - Flow-adjusted HWM - Hurdle)'],
+      ['', 'Accrued Performance Fees', accruedPerformanceFees, 'Performance fee on dividends', `${converter.format(accruedPerformanceFees)} (${(parsedParams.accruedPerformanceFeeRate * 100).toFixed(2)}% of dividends)`],
+      ['', 'Management Fee', managementFee, 'Management fee on total assets', managementFeeBasis]
     ];
     
     // Create parameters sheet
@@ -2055,16 +2490,17 @@ router.get('/export/nav-calculator', auth, async (req, res) => {
       ['NAV CALCULATOR PARAMETERS'],
       [''],
       ['Parameter', 'Value', 'Description'],
-      ['Annual Expense', `$${parsedParams.annualExpense}`, 'Annual fund expenses'],
-      ['Monthly Expense', `$${parsedParams.monthlyExpense}`, 'Monthly fund expenses'],
+      ['Reporting Currency', converter.describe(), 'Values are calculated in USD and converted for this report'],
+      ['Annual Expense', money(parsedParams.annualExpense), 'Annual fund expenses'],
+      ['Monthly Expense', money(parsedParams.monthlyExpense), 'Monthly fund expenses'],
       ['Performance Fee Rate', `${(parsedParams.performanceFeeRate * 100).toFixed(2)}%`, 'Performance fee on excess returns'],
       ['Accrued Performance Fee Rate', `${(parsedParams.accruedPerformanceFeeRate * 100).toFixed(2)}%`, 'Performance fee on dividends'],
-      ['Management Fee Rate', `${(parsedParams.managementFeeRate * 100).toFixed(2)}%`, 'Management fee on total assets'],
+      ['Management Fee Rate', `${(parsedParams.managementFeeRate * 100).toFixed(2)}%`, 'Monthly rate, accrued daily on NAV when snapshots cover the month'],
       ['Hurdle Rate', `${parsedParams.hurdleRate.toFixed(2)}%`, 'Performance threshold'],
       ['Hurdle Rate Type', parsedParams.hurdleRateType, 'Annual or monthly hurdle'],
-      ['High Water Mark', `$${parsedParams.highWaterMark}`, 'Performance threshold'],
+      ['High Water Mark (end of month)', converter.format(highWaterMarkEnd), 'Tracked from NAV history; carried into next month'],
       ['Fee Payment Status', parsedParams.feePaymentStatus, 'Current payment status'],
-      ['Partial Payment Amount', `$${parsedParams.partialPaymentAmount}`, 'Amount partially paid']
+      ['Partial Payment Amount', money(parsedParams.partialPaymentAmount), 'Amount partially paid']
     ];
     
     // Create Excel workbook
@@ -2092,7 +2528,7 @@ router.get('/export/nav-calculator', auth, async (req, res) => {
     
     // Set headers
     const userName = user.name.replace(/\s+/g, '_');
-    const filename = `${userName}_NAV_Calculator_Report_${year}_${String(currentDate.getMonth() + 1).padStart(2, '0')}.xlsx`;
+    const filename = `${userName}_NAV_Calculator_Report_${year}_${String(reportMonth).padStart(2, '0')}.xlsx`;
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     res.setHeader('Content-Length', buffer.length);
@@ -2104,7 +2540,7 @@ router.get('/export/nav-calculator', auth, async (req, res) => {
     
   } catch (error) {
     console.error('❌ Error generating NAV calculator report:', error.message);
-    res.status(500).json({ error: 'Failed to generate NAV calculator report', details: error.message });
+    res.status(error.statusCode || 500).json({ error: 'Failed to generate NAV calculator report', details: error.message });
   }
 });
 
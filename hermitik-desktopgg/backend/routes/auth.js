@@ -3,6 +3,7 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const FxRateService = require('../services/fxRates');
 const auth = require('../middleware/auth');
 const ApiResponse = require('../utils/responseFormatter');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
@@ -164,6 +165,29 @@ router.get('/profile', auth, catchAsync(async (req, res) => {
   res.json(ApiResponse.success({ user }, 'Profile retrieved successfully'));
 }));
 
+// Set the currency analytics and exports are presented in (admins may set it for body.userId)
+router.put('/reporting-currency', auth, catchAsync(async (req, res) => {
+  const { currency, userId } = req.body || {};
+  const reportingCurrency = FxRateService.normalizeCurrency(currency);
+  if (!reportingCurrency) {
+    throw new AppError(`Unsupported currency: ${currency}. Supported: ${Object.keys(FxRateService.CURRENCIES).join(', ')}`, 400);
+  }
+
+  const targetUserId = (req.user.role === 'admin' && userId) || req.user.id;
+  const user = await User.findByIdAndUpdate(
+    targetUserId,
+    { reportingCurrency },
+    { new: true, runValidators: true }
+  ).select('-password');
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  logger.info('Reporting currency updated', { userId: targetUserId, updatedBy: req.user.id, reportingCurrency });
+
+  res.json(ApiResponse.success({ user }, 'Reporting currency updated successfully'));
+}));
+
 // Get wallet addresses for authenticated user
 router.get('/wallet', auth, catchAsync(async (req, res) => {
   const user = await User.findById(req.user.id);
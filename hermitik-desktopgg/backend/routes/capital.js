@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const CapitalTransaction = require('../models/CapitalTransaction');
+const CapitalAccountService = require('../services/capitalAccount');
+const ApiResponse = require('../utils/responseFormatter');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { invalidateCache } = require('../middleware/performance');
+const { logger } = require('../utils/logger');
+
+// Role-based middleware
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json(ApiResponse.error('Admin access required', 403));
+  }
+  next();
+};
+
+// Users read their own ledger; admins may act for a user with ?userId=
+const getTargetUserId = req => (req.user.role === 'admin' && req.query.userId) || req.user.id;
+
+const parseDate = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new AppError(`Invalid ${name} date: ${value}`, 400);
+  }
+  return date;
+};
+
+// 'YYYY-MM' to { year, month }
+const parseMonth = (value, name) => {
+  const match = /^(\d{4})-(\d{1,2})$/.exec(value || '');
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+    throw new AppError(`Invalid ${name} month: ${value}. Use YYYY-MM`, 400);
+  }
+  return { year: Number(match[1]), month: Number(match[2]) };
+};
+
+// List ledger entries, oldest first
+router.get('/transactions', auth, catchAsync(async (req, res) => {
+  const transactions = await CapitalAccountService.getTransactions(getTargetUserId(req), {
+    start: parseDate(req.query.start, 'start'),
+    end: parseDate(req.query.end, 'end'),
+    includeVoided: req.query.includeVoided === 'true'
+  });
+
+  res.json(ApiResponse.success({
+    transactions,
+    summary: CapitalAccountService.summarize(transactions.filter(t => !t.voided))
+  }, 'Capital transactions retrieved successfully'));
+}));
+
+// Record a subscription, redemption, fee payment or transfer (admin only)
+router.post('/transactions', auth, requireAdmin, catchAsync(async (req, res) => {
+  const { userId, type, date, amount, walletAddress, toWalletAddress, reference, notes } = req.body;
+
+  if (!userId) {
+    throw new AppError('userId is required', 400);
+  }
+  if (!CapitalTransaction.schema.path('type').enumValues.includes(type)) {
+    throw new AppError(`Invalid type: ${type}. Valid types: ${CapitalTransaction.schema.path('type').enumValues.join(', ')}`, 400);
+  }
+
+  const transaction = await CapitalTransaction.create({
+    userId,
+    type,
+    date: parseDate(date, 'transaction'),
+    amount,
+    walletAddress,
+    toWalletAddress,
+    reference,
+    notes,
+    recordedBy: req.user.id
+  });
+
+  invalidateCache.user(userId);
+  logger.info('Capital transaction recorded', { adminId: req.user.id, userId, type, amount, date: transaction.date });
+
+  res.status(201).json(ApiResponse.success({ transaction }, 'Capital transaction recorded successfully'));
+}));
+
+// Void a ledger entry; it stays in the ledger but no longer counts (admin only)
+router.post('/transactions/:id/void', auth, requireAdmin, catchAsync(async (req, res) => {
+  const reason = req.body?.reason?.trim();
+  if (!reason) {
+    throw new AppError('A reason is required for audit purposes', 400);
+  }
+
+  const transaction = await CapitalTransaction.findById(req.params.id);
+  if (!transaction) {
+    throw new AppError(`Capital transaction not found: ${req.params.id}`, 404);
+  }
+  if (transaction.voided) {
+    throw new AppError('Capital transaction is already voided', 409);
+  }
+
+  transaction.voided = true;
+  transaction.voidReason = reason;
+  transaction.voidedBy = req.user.id;
+  transaction.voidedAt = new Date();
+  await transaction.save();
+
+  invalidateCache.user(transaction.userId.toString());
+  logger.info('Capital transaction voided', { adminId: req.user.id, transactionId: transaction._id, reason });
+
+  res.json(ApiResponse.success({ transaction }, 'Capital transaction voided'));
+}));
+
+// Net flows for a period (?start=&end=) or calendar month (?year=&month=), optionally for one wallet
+router.get('/net-flows', auth, catchAsync(async (req, res) => {
+  const { year, month, walletAddress } = req.query;
+
+  const range = year && month
+    ? CapitalAccountService.monthRange(parseInt(year), parseInt(month))
+    : { start: parseDate(req.query.start, 'start'), end: parseDate(req.query.end, 'end') };
+
+  const summary = await CapitalAccountService.getNetFlows(getTargetUserId(req), { ...range, walletAddress });
+
+  res.json(ApiResponse.success({ ...range, walletAddress: walletAddress || null, ...summary }, 'Net flows calculated successfully'));
+}));
+
+// Capital account statement: opening balance, flows, P&L, fees and closing balance (?from=YYYY-MM&to=YYYY-MM)
+router.get('/statement', auth, catchAsync(async (req, res) => {
+  const now = new Date();
+  const from = req.query.from ? parseMonth(req.query.from, 'from') : { year: now.getUTCFullYear(), month: 1 };
+  const to = req.query.to ? parseMonth(req.query.to, 'to') : { year: now.getUTCFullYear(), month: now.getUTCMonth() + 1 };
+
+  const monthCount = (to.year - from.year) * 12 + (to.month - from.month) + 1;
+  if (monthCount < 1 || monthCount > CapitalAccountService.MAX_STATEMENT_MONTHS) {
+    throw new AppError(`Statement range must run forwards and cover at most ${CapitalAccountService.MAX_STATEMENT_MONTHS} months`, 400);
+  }
+
+  // Investors only see months that have been finalized
+  const statement = await CapitalAccountService.getStatement(getTargetUserId(req), {
+    from,
+    to,
+    finalizedOnly: req.user.role !== 'admin'
+  });
+
+  res.json(ApiResponse.success(statement, 'Capital account statement generated successfully'));
+}));
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Chain = require('../models/Chain');
+const ChainRegistryService = require('../services/chainRegistry');
+const ApiResponse = require('../utils/responseFormatter');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+// Role-based middleware
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json(ApiResponse.error('Admin access required', 403));
+  }
+  next();
+};
+
+const EDITABLE_FIELDS = ['name', 'nativeToken', 'explorerUrl', 'coingeckoPlatform', 'enabled'];
+
+// Reload the registry so fetchers and chain validation see the change immediately
+async function refreshRegistry() {
+  ChainRegistryService.invalidate();
+  await ChainRegistryService.getChains();
+}
+
+// List chains (optionally only enabled ones)
+router.get('/', auth, catchAsync(async (req, res) => {
+  const chains = await ChainRegistryService.getChains();
+  const result = req.query.enabled === 'true'
+    ? chains.filter(chain => chain.enabled)
+    : chains;
+
+  res.json(ApiResponse.success({ chains: result }, 'Chains retrieved successfully'));
+}));
+
+// Get a single chain
+router.get('/:chainId', auth, catchAsync(async (req, res) => {
+  const chain = await ChainRegistryService.getChain(req.params.chainId.toLowerCase());
+
+  if (!chain) {
+    throw new AppError(`Chain not found: ${req.params.chainId}`, 404);
+  }
+
+  res.json(ApiResponse.success({ chain }, 'Chain retrieved successfully'));
+}));
+
+// Register a new chain (admin only)
+router.post('/', auth, requireAdmin, catchAsync(async (req, res) => {
+  const { chainId, name, nativeToken, explorerUrl, coingeckoPlatform, enabled } = req.body;
+
+  if (!chainId || !name || !nativeToken) {
+    throw new AppError('Chain ID, name and native token are required', 400);
+  }
+
+  const existing = await Chain.findOne({ chainId: String(chainId).toLowerCase() });
+  if (existing) {
+    throw new AppError(`Chain already exists: ${chainId}`, 409);
+  }
+
+  const chain = await Chain.create({ chainId, name, nativeToken, explorerUrl, coingeckoPlatform, enabled });
+  await refreshRegistry();
+
+  logger.info('Chain registered', { adminId: req.user.id, chainId: chain.chainId });
+
+  res.status(201).json(ApiResponse.success({ chain }, 'Chain created successfully', 201));
+}));
+
+// Update a chain (admin only)
+router.put('/:chainId', auth, requireAdmin, catchAsync(async (req, res) => {
+  const updates = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) {
+      updates[field] = req.body[field];
+    }
+  }
+
+  if (!Object.keys(updates).length) {
+    throw new AppError(`Nothing to update. Editable fields: ${EDITABLE_FIELDS.join(', ')}`, 400);
+  }
+
+  const chain = await Chain.findOneAndUpdate(
+    { chainId: req.params.chainId.toLowerCase() },
+    updates,
+    { new: true, runValidators: true }
+  );
+
+  if (!chain) {
+    throw new AppError(`Chain not found: ${req.params.chainId}`, 404);
+  }
+
+  await refreshRegistry();
+
+  logger.info('Chain updated', { adminId: req.user.id, chainId: chain.chainId, updates });
+
+  res.json(ApiResponse.success({ chain }, 'Chain updated successfully'));
+}));
+
+// Remove a chain (admin only)
+router.delete('/:chainId', auth, requireAdmin, catchAsync(async (req, res) => {
+  const chainId = req.params.chainId.toLowerCase();
+
+  if (!await Chain.exists({ chainId })) {
+    throw new AppError(`Chain not found: ${req.params.chainId}`, 404);
+  }
+
+  // An empty registry is re-seeded with the default chains, which would undo the delete
+  if (await Chain.countDocuments() <= 1) {
+    throw new AppError('Cannot delete the last chain in the registry; disable it instead', 400);
+  }
+
+  const chain = await Chain.findOneAndDelete({ chainId });
+
+  if (!chain) {
+    throw new AppError(`Chain not found: ${req.params.chainId}`, 404);
+  }
+
+  await refreshRegistry();
+
+  logger.warn('Chain removed from registry', { adminId: req.user.id, chainId: chain.chainId });
+
+  res.json(ApiResponse.success({ chain }, 'Chain deleted successfully'));
+}));
+
+module.exports = router;
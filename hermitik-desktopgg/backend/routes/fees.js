@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const FeeAccrual = require('../models/FeeAccrual');
+const FeeInvoice = require('../models/FeeInvoice');
+const FeeAccrualService = require('../services/feeAccrual');
+const CapitalAccountService = require('../services/capitalAccount');
+const ApiResponse = require('../utils/responseFormatter');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { invalidateCache } = require('../middleware/performance');
+const { logger } = require('../utils/logger');
+
+// Role-based middleware
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json(ApiResponse.error('Admin access required', 403));
+  }
+  next();
+};
+
+// Users read their own fees; admins may act for a user with ?userId=
+const getTargetUserId = req => (req.user.role === 'admin' && req.query.userId) || req.user.id;
+
+const parseMonth = ({ year, month }) => {
+  const parsedYear = parseInt(year);
+  const parsedMonth = parseInt(month);
+  if (!parsedYear || !parsedMonth || parsedMonth < 1 || parsedMonth > 12) {
+    throw new AppError('year and month are required', 400);
+  }
+  return { year: parsedYear, month: parsedMonth };
+};
+
+// A month's daily management fee accruals: stored ones, or calculated when none are stored yet
+router.get('/accruals', auth, catchAsync(async (req, res) => {
+  const userId = getTargetUserId(req);
+  const { year, month } = parseMonth(req.query);
+  const { start, end } = CapitalAccountService.monthRange(year, month);
+
+  const accruals = await FeeAccrual.find({ userId, feeType: 'management', date: { $gte: start, $lt: end } })
+    .sort({ date: 1 })
+    .lean();
+  const result = accruals.length
+    ? { accruals, total: accruals.reduce((sum, accrual) => sum + accrual.amount, 0), days: accruals.length, stored: true }
+    : { ...(await FeeAccrualService.calculateMonth(userId, year, month)), stored: false };
+
+  res.json(ApiResponse.success({ year, month, ...result }, 'Fee accruals retrieved successfully'));
+}));
+
+// Calculate and store a month's accruals (admin only)
+router.post('/accruals', auth, requireAdmin, catchAsync(async (req, res) => {
+  const { userId } = req.body;
+  if (!userId) {
+    throw new AppError('userId is required', 400);
+  }
+  const { year, month } = parseMonth(req.body);
+
+  const result = await FeeAccrualService.accrueMonth(userId, year, month);
+
+  logger.info('Management fees accrued', { adminId: req.user.id, userId, year, month, days: result.days, total: result.total });
+
+  res.json(ApiResponse.success(result, `Accrued management fees for ${result.days} day(s)`));
+}));
+
+// List fee invoices, newest first, with the balance still outstanding (?status=)
+router.get('/invoices', auth, catchAsync(async (req, res) => {
+  const filter = { userId: getTargetUserId(req) };
+  if (req.query.status) {
+    if (!FeeInvoice.schema.path('status').enumValues.includes(req.query.status)) {
+      throw new AppError(`Invalid status: ${req.query.status}`, 400);
+    }
+    filter.status = req.query.status;
+  }
+
+  const invoices = await FeeInvoice.find(filter).sort({ year: -1, month: -1 }).lean();
+
+  res.json(ApiResponse.success({
+    invoices,
+    outstandingAmount: invoices.reduce((sum, invoice) => sum + invoice.outstandingAmount, 0)
+  }, 'Fee invoices retrieved successfully'));
+}));
+
+// Roll a finished month's accruals up into its invoice (admin only)
+router.post('/invoices', auth, requireAdmin, catchAsync(async (req, res) => {
+  const { userId } = req.body;
+  if (!userId) {
+    throw new AppError('userId is required', 400);
+  }
+  const { year, month } = parseMonth(req.body);
+
+  if (CapitalAccountService.monthRange(year, month).end > new Date()) {
+    throw new AppError('Fees can only be invoiced once the month has ended', 400);
+  }
+  if (await FeeInvoice.exists({ userId, feeType: 'management', year, month })) {
+    throw new AppError(`Management fees for ${year}-${String(month).padStart(2, '0')} are already invoiced`, 409);
+  }
+
+  const invoice = await FeeAccrualService.generateInvoice(userId, year, month, req.user.id);
+
+  invalidateCache.user(userId.toString());
+  logger.info('Management fee invoice issued', {
+    adminId: req.user.id,
+    userId,
+    invoiceId: invoice._id,
+    year,
+    month,
+    accruedAmount: invoice.accruedAmount
+  });
+
+  res.status(201).json(ApiResponse.success({ invoice }, 'Fee invoice issued'));
+}));
+
+// Record a payment against an invoice (admin only)
+router.post('/invoices/:id/payments', auth, requireAdmin, catchAsync(async (req, res) => {
+  const { amount, date, reference, note } = req.body || {};
+  if (typeof amount !== 'number' || !(amount > 0)) {
+    throw new AppError('Amount must be a positive number', 400);
+  }
+  const paymentDate = date ? new Date(date) : new Date();
+  if (isNaN(paymentDate.getTime())) {
+    throw new AppError(`Invalid payment date: ${date}`, 400);
+  }
+
+  const invoice = await FeeInvoice.findById(req.params.id);
+  if (!invoice) {
+    throw new AppError(`Fee invoice not found: ${req.params.id}`, 404);
+  }
+  if (amount > invoice.outstandingAmount + 0.005) {
+    throw new AppError(`Payment is more than the ${invoice.outstandingAmount.toFixed(2)} outstanding`, 400);
+  }
+
+  await FeeAccrualService.recordPayment(invoice, { amount, date: paymentDate, reference, note }, req.user.id);
+
+  invalidateCache.user(invoice.userId.toString());
+  logger.info('Fee payment recorded', { adminId: req.user.id, invoiceId: invoice._id, amount, status: invoice.status });
+
+  res.json(ApiResponse.success({ invoice }, 'Fee payment recorded'));
+}));
+
+// Management fees payable carried into a month: earlier invoices unpaid at its end (?year=&month=)
+router.get('/payable', auth, catchAsync(async (req, res) => {
+  const { year, month } = parseMonth(req.query);
+  const payable = await FeeAccrualService.getPayable(getTargetUserId(req), year, month);
+
+  res.json(ApiResponse.success({ year, month, ...payable }, 'Fees payable calculated successfully'));
+}));
+
+module.exports = router;
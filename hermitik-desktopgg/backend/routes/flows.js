@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const FlowCandidate = require('../models/FlowCandidate');
+const FlowDetectionService = require('../services/flowDetection');
+const CapitalAccountService = require('../services/capitalAccount');
+const ApiResponse = require('../utils/responseFormatter');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { invalidateCache } = require('../middleware/performance');
+const { logger } = require('../utils/logger');
+
+// Role-based middleware
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json(ApiResponse.error('Admin access required', 403));
+  }
+  next();
+};
+
+// Users read their own flows; admins may act for a user with ?userId=
+const getTargetUserId = req => (req.user.role === 'admin' && req.query.userId) || req.user.id;
+
+const parseDate = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new AppError(`Invalid ${name} date: ${value}`, 400);
+  }
+  return date;
+};
+
+// Detection range from ?year=&month= or start/end dates
+const parseRange = ({ year, month, start, end }) => {
+  if (year && month) {
+    const range = CapitalAccountService.monthRange(parseInt(year), parseInt(month));
+    // The month's last instant, so transactions late on its final day are included
+    return { start: range.start, end: new Date(range.end.getTime() - 1) };
+  }
+  return { start: parseDate(start, 'start'), end: parseDate(end, 'end') };
+};
+
+const loadCandidate = async id => {
+  const candidate = await FlowCandidate.findById(id);
+  if (!candidate) {
+    throw new AppError(`Flow candidate not found: ${id}`, 404);
+  }
+  return candidate;
+};
+
+// Scan transaction history and snapshots for deposits and withdrawals (admin only)
+router.post('/detect', auth, requireAdmin, catchAsync(async (req, res) => {
+  const { userId, walletAddress } = req.body;
+  if (!userId) {
+    throw new AppError('userId is required', 400);
+  }
+
+  const range = parseRange(req.body);
+  if (range.start && range.end && range.start > range.end) {
+    throw new AppError('Detection start must not be after its end', 400);
+  }
+
+  const result = await FlowDetectionService.detect(userId, { ...range, walletAddress });
+
+  logger.info('Flow detection completed', {
+    adminId: req.user.id,
+    userId,
+    walletAddress,
+    candidates: result.candidates.length,
+    errors: result.errors.length
+  });
+
+  res.json(ApiResponse.success(result, `Detected ${result.candidates.length} candidate flows`));
+}));
+
+// List candidate flows, newest first (?status=&walletAddress=&year=&month=)
+router.get('/candidates', auth, catchAsync(async (req, res) => {
+  const { status, walletAddress } = req.query;
+  const filter = { userId: getTargetUserId(req) };
+
+  if (status) {
+    if (!FlowCandidate.schema.path('status').enumValues.includes(status)) {
+      throw new AppError(`Invalid status: ${status}`, 400);
+    }
+    filter.status = status;
+  }
+  if (walletAddress) filter.walletAddress = walletAddress.toLowerCase();
+
+  const { start, end } = parseRange(req.query);
+  if (start || end) {
+    filter.date = {};
+    if (start) filter.date.$gte = start;
+    if (end) filter.date.$lte = end;
+  }
+
+  const candidates = await FlowCandidate.find(filter).sort({ date: -1 }).lean();
+
+  res.json(ApiResponse.success({ candidates }, 'Flow candidates retrieved successfully'));
+}));
+
+// Accept a candidate into the capital account ledger (admin only)
+router.post('/candidates/:id/accept', auth, requireAdmin, catchAsync(async (req, res) => {
+  const { amount, note } = req.body || {};
+  if (amount !== undefined && (typeof amount !== 'number' || amount < 0)) {
+    throw new AppError('Amount must be a non-negative number', 400);
+  }
+
+  const candidate = await loadCandidate(req.params.id);
+  if (candidate.status === 'accepted') {
+    throw new AppError('Flow candidate is already accepted', 409);
+  }
+
+  const result = await FlowDetectionService.accept(candidate, req.user.id, { amount, note });
+
+  invalidateCache.user(candidate.userId.toString());
+  logger.info('Flow candidate accepted', {
+    adminId: req.user.id,
+    candidateId: candidate._id,
+    transactionId: result.transaction._id,
+    amount: result.transaction.amount
+  });
+
+  res.json(ApiResponse.success(result, 'Flow candidate accepted'));
+}));
+
+// Reject a candidate; an accepted one has its ledger entry voided (admin only)
+router.post('/candidates/:id/reject', auth, requireAdmin, catchAsync(async (req, res) => {
+  const note = req.body?.note?.trim();
+
+  const candidate = await loadCandidate(req.params.id);
+  if (candidate.status === 'rejected') {
+    throw new AppError('Flow candidate is already rejected', 409);
+  }
+
+  const result = await FlowDetectionService.reject(candidate, req.user.id, { note });
+
+  invalidateCache.user(candidate.userId.toString());
+  logger.info('Flow candidate rejected', {
+    adminId: req.user.id,
+    candidateId: candidate._id,
+    voidedTransactionId: result.voidedTransaction?._id
+  });
+
+  res.json(ApiResponse.success(result, 'Flow candidate rejected'));
+}));
+
+// Net flows per wallet for a month from the ledger (?year=&month=)
+router.get('/wallet-netflows', auth, catchAsync(async (req, res) => {
+  const year = parseInt(req.query.year);
+  const month = parseInt(req.query.month);
+  if (!year || !month || month < 1 || month > 12) {
+    throw new AppError('year and month are required', 400);
+  }
+
+  const range = CapitalAccountService.monthRange(year, month);
+  const transactions = await CapitalAccountService.getTransactions(getTargetUserId(req), range);
+  const wallets = Array.from(new Set(transactions
+    .flatMap(transaction => [transaction.walletAddress, transaction.toWalletAddress])
+    .filter(Boolean)));
+
+  res.json(ApiResponse.success({
+    year,
+    month,
+    netFlows: CapitalAccountService.summarize(transactions).netFlows,
+    wallets: wallets.map(walletAddress => ({
+      walletAddress,
+      ...CapitalAccountService.summarize(transactions, walletAddress)
+    }))
+  }, 'Wallet net flows calculated successfully'));
+}));
+
+module.exports = router;
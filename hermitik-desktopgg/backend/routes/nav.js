@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const NAVData = require('../models/NAVData');
+const CapitalAccountService = require('../services/capitalAccount');
 const ApiResponse = require('../utils/responseFormatter');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
 
@@ -32,11 +33,26 @@ router.get('/', auth, catchAsync(async (req, res) => {
   const volatility = navData.calculateAnnualizedVolatility();
   await navData.save();
   
+  // Net flows come from the capital account ledger, for the current month unless one is asked for
+  const now = new Date();
+  const year = parseInt(req.query.year) || now.getUTCFullYear();
+  const month = parseInt(req.query.month) || now.getUTCMonth() + 1;
+  if (month < 1 || month > 12) {
+    throw new AppError('Month must be between 1 and 12', 400);
+  }
+  const transactions = await CapitalAccountService.getTransactions(userId, CapitalAccountService.monthRange(year, month));
+  const { netFlows } = CapitalAccountService.summarize(transactions);
+  const wallets = new Set(transactions.flatMap(t => [t.walletAddress, t.toWalletAddress]).filter(Boolean));
+  
   const responseData = {
     navData: {
-      netFlows: navData.netFlows,
-      walletNetFlows: Object.fromEntries(navData.walletNetFlows),
-      totalNetFlows: navData.getTotalNetFlows(),
+      netFlows,
+      walletNetFlows: Object.fromEntries(Array.from(wallets).map(wallet => [
+        wallet,
+        CapitalAccountService.summarize(transactions, wallet).netFlows
+      ])),
+      totalNetFlows: netFlows,
+      netFlowsPeriod: { year, month },
       priorPreFeeNav: navData.priorPreFeeNav,
       currentPreFeeNav: navData.currentPreFeeNav,
       performance: navData.performance,
@@ -61,88 +77,18 @@ router.get('/', auth, catchAsync(async (req, res) => {
   res.json(ApiResponse.success(responseData, 'NAV data retrieved successfully'));
 }));
 
-// Update net flows (user-level)
-router.post('/netflows', auth, catchAsync(async (req, res) => {
-  const { netFlows, userId: targetUserId } = req.body;
-  
-  let userId = req.user.id;
-  
-  // Admin can update other users' NAV data
-  if (req.user.role === 'admin' && targetUserId) {
-    userId = targetUserId;
-    logger.info('Admin updating net flows for user', { adminId: req.user.id, targetUserId: userId, newNetFlows: netFlows });
-  } else {
-    logger.info('Updating net flows', { userId: req.user.id, newNetFlows: netFlows });
-  }
-  
-  if (typeof netFlows !== 'number') {
-    throw new AppError('Net flows must be a number', 400);
-  }
-  
-  const navData = await NAVData.getOrCreateForUser(userId);
-  const oldNetFlows = navData.netFlows;
-  
-  navData.updateNetFlows(netFlows);
-  await navData.save();
-  
-  // Invalidate cache for this user
-  invalidateCache.user(userId);
-  
-  logger.business.walletAdded(userId, 'net_flows_updated', {
-    oldValue: oldNetFlows,
-    newValue: netFlows
-  });
-  
-  res.json(ApiResponse.success({
-    netFlows: navData.netFlows,
-    previousNetFlows: oldNetFlows,
-    version: navData.version,
-    lastUpdated: navData.lastUpdated
-  }, 'Net flows updated successfully'));
-}));
+// Net flows are derived from the capital account ledger; record subscriptions,
+// redemptions and fee payments with POST /api/capital/transactions instead
+const ledgerOnly = (req, res) => {
+  logger.warn('Deprecated net flows write rejected', { userId: req.user.id, path: req.originalUrl });
+  res.status(410).json(ApiResponse.error(
+    'Net flows are derived from the capital account ledger. Record the flow with POST /api/capital/transactions.',
+    410
+  ));
+};
 
-// Update wallet-specific net flows
-router.post('/wallet-netflows', auth, catchAsync(async (req, res) => {
-  const { walletAddress, netFlows, userId: targetUserId } = req.body;
-  
-  let userId = req.user.id;
-  
-  // Admin can update other users' NAV data
-  if (req.user.role === 'admin' && targetUserId) {
-    userId = targetUserId;
-    logger.info('Admin updating wallet net flows for user', { adminId: req.user.id, targetUserId: userId, walletAddress, newNetFlows: netFlows });
-  } else {
-    logger.info('Updating wallet net flows', { userId: req.user.id, walletAddress, newNetFlows: netFlows });
-  }
-  
-  if (!walletAddress || typeof netFlows !== 'number') {
-    throw new AppError('Wallet address and net flows are required', 400);
-  }
-  
-  const navData = await NAVData.getOrCreateForUser(userId);
-  const oldNetFlows = navData.getWalletNetFlows(walletAddress);
-  
-  navData.updateWalletNetFlows(walletAddress, netFlows);
-  await navData.save();
-  
-  // Invalidate cache for this user
-  invalidateCache.user(userId);
-  
-  logger.business.walletAdded(userId, 'wallet_net_flows_updated', {
-    walletAddress,
-    oldValue: oldNetFlows,
-    newValue: netFlows
-  });
-  
-  res.json(ApiResponse.success({
-    walletAddress,
-    netFlows: navData.getWalletNetFlows(walletAddress),
-    previousNetFlows: oldNetFlows,
-    totalNetFlows: navData.getTotalNetFlows(),
-    version: navData.version,
-    lastUpdated: navData.lastUpdated
-  }, 'Wallet net flows updated successfully'));
-}));
+router.post('/netflows', auth, ledgerOnly);
+router.post('/wallet-netflows', auth, ledgerOnly);
 
 // Update NAV values (prior NAV, current NAV, performance)
 router.post('/values', auth, catchAsync(async (req, res) => {
@@ -186,7 +132,6 @@ router.post('/values', auth, catchAsync(async (req, res) => {
   
   res.json(ApiResponse.success({
     navData: {
-      netFlows: navData.netFlows,
       priorPreFeeNav: navData.priorPreFeeNav,
       currentPreFeeNav: navData.currentPreFeeNav,
       performance: navData.performance,
@@ -0,0 +1,187 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const PriceOverride = require('../models/PriceOverride');
+const HistoricalPriceService = require('../services/historicalPrice');
+const FxRateService = require('../services/fxRates');
+const ApiResponse = require('../utils/responseFormatter');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+// Role-based middleware
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json(ApiResponse.error('Admin access required', 403));
+  }
+  next();
+};
+
+const tokenQuery = params => ({
+  chain: params.chain.toLowerCase(),
+  tokenAddress: params.tokenAddress.toLowerCase()
+});
+
+// List price overrides (admin only); inactive ones only with ?includeInactive=true
+router.get('/overrides', auth, requireAdmin, catchAsync(async (req, res) => {
+  const filter = req.query.includeInactive === 'true' ? {} : { active: true };
+  if (req.query.chain) filter.chain = req.query.chain.toLowerCase();
+
+  const overrides = await PriceOverride.find(filter).select('-history').sort({ chain: 1, tokenAddress: 1 });
+
+  res.json(ApiResponse.success({ overrides }, 'Price overrides retrieved successfully'));
+}));
+
+// Get a single override with its change history (admin only)
+router.get('/overrides/:chain/:tokenAddress', auth, requireAdmin, catchAsync(async (req, res) => {
+  const override = await PriceOverride.findOne(tokenQuery(req.params));
+
+  if (!override) {
+    throw new AppError(`No price override for ${req.params.chain}:${req.params.tokenAddress}`, 404);
+  }
+
+  res.json(ApiResponse.success({ override }, 'Price override retrieved successfully'));
+}));
+
+// Set or replace the override for a token (admin only)
+router.put('/overrides/:chain/:tokenAddress', auth, requireAdmin, catchAsync(async (req, res) => {
+  const { symbol, reason } = req.body;
+  const price = parseFloat(req.body.price);
+  const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : undefined;
+
+  if (!Number.isFinite(price) || price <= 0) {
+    throw new AppError('Price must be a positive number', 400);
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new AppError('A reason is required for every price override', 400);
+  }
+  if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+    throw new AppError('expiresAt must be a future date', 400);
+  }
+
+  let override = await PriceOverride.findOne(tokenQuery(req.params));
+  const created = !override;
+  if (!override) {
+    override = new PriceOverride(tokenQuery(req.params));
+  }
+
+  override.set({
+    symbol: symbol || override.symbol,
+    price,
+    reason,
+    expiresAt: expiresAt || null,
+    active: true,
+    setBy: req.user.id
+  });
+  override.history.push({ action: 'set', price, reason, expiresAt, changedBy: req.user.id });
+  await override.save();
+
+  logger.info('Price override set', {
+    adminId: req.user.id,
+    chain: override.chain,
+    tokenAddress: override.tokenAddress,
+    price,
+    reason
+  });
+
+  res.status(created ? 201 : 200).json(ApiResponse.success({ override }, 'Price override saved successfully', created ? 201 : 200));
+}));
+
+// Deactivate an override (admin only); it stays on record for the audit trail
+router.delete('/overrides/:chain/:tokenAddress', auth, requireAdmin, catchAsync(async (req, res) => {
+  const override = await PriceOverride.findOne({ ...tokenQuery(req.params), active: true });
+
+  if (!override) {
+    throw new AppError(`No active price override for ${req.params.chain}:${req.params.tokenAddress}`, 404);
+  }
+
+  const reason = req.body?.reason || req.query.reason;
+  override.active = false;
+  override.history.push({ action: 'removed', reason, changedBy: req.user.id });
+  await override.save();
+
+  logger.warn('Price override removed', {
+    adminId: req.user.id,
+    chain: override.chain,
+    tokenAddress: override.tokenAddress
+  });
+
+  res.json(ApiResponse.success({ override }, 'Price override removed successfully'));
+}));
+
+// Price of a token at a point in time from the stored price series
+router.get('/at/:chain/:tokenAddress', auth, catchAsync(async (req, res) => {
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+  if (isNaN(at.getTime())) {
+    throw new AppError('Invalid at: expected an ISO date/time', 400);
+  }
+
+  const direction = req.query.direction || 'nearest';
+  if (!['nearest', 'before'].includes(direction)) {
+    throw new AppError('Invalid direction: expected nearest or before', 400);
+  }
+
+  const { chain, tokenAddress } = tokenQuery(req.params);
+  const quote = await HistoricalPriceService.getPriceAt(chain, tokenAddress, at, { direction });
+
+  if (!quote) {
+    throw new AppError(`No price observation for ${chain}:${tokenAddress} within 24 hours of ${at.toISOString()}`, 404);
+  }
+
+  res.json(ApiResponse.success({ chain, tokenAddress, at, ...quote }, 'Price retrieved successfully'));
+}));
+
+// Supported reporting currencies
+router.get('/fx/currencies', auth, catchAsync(async (req, res) => {
+  const currencies = Object.entries(FxRateService.CURRENCIES).map(([currency, { symbol, decimals }]) => ({ currency, symbol, decimals }));
+  res.json(ApiResponse.success({ currencies, baseCurrency: FxRateService.BASE_CURRENCY }, 'Currencies retrieved successfully'));
+}));
+
+// Stored daily FX rates for a currency, newest first (?currency=&start=&end=&limit=)
+router.get('/fx', auth, catchAsync(async (req, res) => {
+  const currency = FxRateService.normalizeCurrency(req.query.currency);
+  if (!currency) {
+    throw new AppError(`Unsupported currency: ${req.query.currency}`, 400);
+  }
+
+  const start = req.query.start ? new Date(req.query.start) : undefined;
+  const end = req.query.end ? new Date(req.query.end) : undefined;
+  if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+    throw new AppError('Invalid start or end date', 400);
+  }
+
+  const rates = await FxRateService.getRates(currency, { start, end, limit: parseInt(req.query.limit) || 90 });
+
+  res.json(ApiResponse.success({ currency, rates }, 'FX rates retrieved successfully'));
+}));
+
+// Collect today's FX rates now instead of waiting for the snapshot run (admin only)
+router.post('/fx/collect', auth, requireAdmin, catchAsync(async (req, res) => {
+  const stored = await FxRateService.collectDaily();
+
+  logger.info('FX rates collected', { adminId: req.user.id, stored: stored.length });
+
+  res.json(ApiResponse.success({ rates: stored }, `Stored ${stored.length} FX rate(s)`));
+}));
+
+// Backfill FX rates for the days of a range that have none (admin only)
+router.post('/fx/backfill', auth, requireAdmin, catchAsync(async (req, res) => {
+  const { currency: requested, start: startValue, end: endValue } = req.body;
+  const currency = FxRateService.normalizeCurrency(requested);
+  if (!currency || currency === FxRateService.BASE_CURRENCY) {
+    throw new AppError(`Unsupported currency: ${requested}`, 400);
+  }
+
+  const start = new Date(startValue);
+  const end = endValue ? new Date(endValue) : new Date();
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+    throw new AppError('A valid start date on or before the end date is required', 400);
+  }
+
+  const stored = await FxRateService.backfill(currency, start, end);
+
+  logger.info('FX rates backfilled', { adminId: req.user.id, currency, stored: stored.length });
+
+  res.json(ApiResponse.success({ currency, rates: stored }, `Stored ${stored.length} FX rate(s)`));
+}));
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const TokenListEntry = require('../models/TokenListEntry');
+const ApiResponse = require('../utils/responseFormatter');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+// Role-based middleware
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json(ApiResponse.error('Admin access required', 403));
+  }
+  next();
+};
+
+const tokenQuery = params => ({
+  chain: params.chain.toLowerCase(),
+  tokenAddress: params.tokenAddress.toLowerCase()
+});
+
+// Users manage their own marks; admins may act for a user with ?userId=
+const getTargetUserId = req => (req.user.role === 'admin' && req.query.userId) || req.user.id;
+
+// List admin allow/deny entries (admin only)
+router.get('/lists', auth, requireAdmin, catchAsync(async (req, res) => {
+  const filter = { userId: null };
+  if (req.query.chain) filter.chain = req.query.chain.toLowerCase();
+  if (req.query.list) filter.list = req.query.list;
+
+  const entries = await TokenListEntry.find(filter).sort({ chain: 1, list: 1, symbol: 1 });
+
+  res.json(ApiResponse.success({ entries }, 'Token lists retrieved successfully'));
+}));
+
+// Put a token on the allow or deny list for its chain (admin only)
+router.put('/lists/:chain/:tokenAddress', auth, requireAdmin, catchAsync(async (req, res) => {
+  const { list, reason, symbol } = req.body;
+
+  if (!TokenListEntry.GLOBAL_LISTS.includes(list)) {
+    throw new AppError(`Invalid list: ${list}. Valid lists: ${TokenListEntry.GLOBAL_LISTS.join(', ')}`, 400);
+  }
+
+  const entry = await TokenListEntry.findOneAndUpdate(
+    { ...tokenQuery(req.params), userId: null },
+    { list, reason, symbol, setBy: req.user.id },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  logger.info('Token list entry set', { adminId: req.user.id, chain: entry.chain, tokenAddress: entry.tokenAddress, list, reason });
+
+  res.json(ApiResponse.success({ entry }, `Token added to the ${list} list`));
+}));
+
+// Take a token off the allow/deny lists (admin only)
+router.delete('/lists/:chain/:tokenAddress', auth, requireAdmin, catchAsync(async (req, res) => {
+  const entry = await TokenListEntry.findOneAndDelete({ ...tokenQuery(req.params), userId: null });
+
+  if (!entry) {
+    throw new AppError(`Token is not on an allow or deny list: ${req.params.chain}:${req.params.tokenAddress}`, 404);
+  }
+
+  logger.info('Token list entry removed', { adminId: req.user.id, chain: entry.chain, tokenAddress: entry.tokenAddress, list: entry.list });
+
+  res.json(ApiResponse.success({ entry }, 'Token list entry removed successfully'));
+}));
+
+// List the user's hidden and not-spam tokens
+router.get('/preferences', auth, catchAsync(async (req, res) => {
+  const entries = await TokenListEntry.find({ userId: getTargetUserId(req) }).sort({ chain: 1, symbol: 1 });
+
+  res.json(ApiResponse.success({ entries }, 'Token preferences retrieved successfully'));
+}));
+
+// Hide a token or mark it not spam; applies to the next snapshot and NAV
+router.put('/preferences/:chain/:tokenAddress', auth, catchAsync(async (req, res) => {
+  const { status, symbol, reason } = req.body;
+
+  if (!TokenListEntry.USER_LISTS.includes(status)) {
+    throw new AppError(`Invalid status: ${status}. Valid statuses: ${TokenListEntry.USER_LISTS.join(', ')}`, 400);
+  }
+
+  const userId = getTargetUserId(req);
+  const entry = await TokenListEntry.findOneAndUpdate(
+    { ...tokenQuery(req.params), userId },
+    { list: status, symbol, reason, setBy: req.user.id },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  logger.info('Token preference set', { userId, setBy: req.user.id, chain: entry.chain, tokenAddress: entry.tokenAddress, status });
+
+  res.json(ApiResponse.success({ entry }, status === 'hidden' ? 'Token hidden' : 'Token marked as not spam'));
+}));
+
+// Clear a hide or not-spam mark
+router.delete('/preferences/:chain/:tokenAddress', auth, catchAsync(async (req, res) => {
+  const userId = getTargetUserId(req);
+  const entry = await TokenListEntry.findOneAndDelete({ ...tokenQuery(req.params), userId });
+
+  if (!entry) {
+    throw new AppError(`No preference set for ${req.params.chain}:${req.params.tokenAddress}`, 404);
+  }
+
+  res.json(ApiResponse.success({ entry }, 'Token preference cleared'));
+}));
+
+module.exports = router;
@@ -1,5 +1,4 @@
 const express = require('express');
-const axios = require('axios');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const WalletData = require('../models/WalletData');
@@ -9,10 +8,11 @@ const { AppError, catchAsync } = require('../middleware/errorHandler');
 const {
   fetchTokens,
   fetchAllProtocols,
-  fetchPricesFromCoinGecko
+  fetchProtocolDetail
 } = require('../utils/debankUtils');
 const { Console } = require('console');
-const { processWalletData } = require('../services/walletProcessor');
+const { processWalletData, priceAndClassifyTokens } = require('../services/walletProcessor');
+const SnapshotCollector = require('../services/snapshotCollector');
 
 // Import performance and security middleware
 const { 
@@ -30,9 +30,6 @@ const { logger } = require('../utils/logger');
 
 
 const router = express.Router();
-const DEBANK_BASE = 'https://pro-openapi.debank.com/v1';
-const COINGECKO_BASE = 'https://api.coingecko.com/api/v3';
-const CHAINS = ['eth', 'bsc', 'arb', 'matic', 'base', 'op'];
 
 // Auth middleware
 async function auth(req, res, next) {
@@ -99,74 +96,33 @@ function deduplicateProtocolsById(protocols) {
   });
 }
 
-// Function to create DailySnapshot from wallet data
-async function createDailySnapshot(userId, walletAddress, walletResult) {
+// Token fields returned to the frontend (and stored in WalletData)
+function toResponseToken(token) {
+  return {
+    id: token.id,
+    symbol: token.symbol,
+    name: token.name,
+    amount: token.amount || 0,
+    price: token.price,
+    price_source: token.price_source,
+    priced_at: token.priced_at,
+    usd_value: token.usd_value,
+    chain: token.chain,
+    logo_url: token.logo_url,
+    classification: token.classification,
+    classification_reasons: token.classification_reasons,
+    user_status: token.user_status
+  };
+}
+
+// Make sure the wallet has today's DailySnapshot. The collector fetches and
+// stores it the same way the cron does, and leaves an existing one alone.
+async function ensureDailySnapshot(userId, walletAddress) {
   const operationId = `snapshot-${walletAddress}-${Date.now()}`;
   try {
-    console.log(`📸 [${operationId}] Creating daily snapshot for wallet ${walletAddress}`);
-    console.log(`📸 [${operationId}] User ID: ${userId}`);
-    console.log(`📸 [${operationId}] Wallet result keys:`, Object.keys(walletResult));
-    
-    // Check if we already have a snapshot for today
-    const today = new Date();
-    const startOfDay = new Date(today);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(today);
-    endOfDay.setHours(23, 59, 59, 999);
-    
-    console.log(`📸 SNAPSHOT FUNCTION - Checking for existing snapshots between ${startOfDay} and ${endOfDay}`);
-    
-    const existingSnapshot = await DailySnapshot.findOne({
-      userId,
-      walletAddress,
-      date: { $gte: startOfDay, $lte: endOfDay }
-    });
+    const { snapshot, skipped } = await SnapshotCollector.collectWallet(userId, walletAddress);
     
-    if (existingSnapshot) {
-      console.log(`📸 Snapshot already exists for today for wallet ${walletAddress}, updating...`);
-      // Update existing snapshot
-      existingSnapshot.totalNavUsd = walletResult.summary.total_usd_value;
-      existingSnapshot.tokensNavUsd = walletResult.summary.token_usd_value;
-      existingSnapshot.positionsNavUsd = walletResult.summary.protocol_usd_value;
-      existingSnapshot.tokens = walletResult.tokens.map(token => ({
-        symbol: token.symbol,
-        name: token.name,
-        chain: token.chain,
-        amount: token.amount,
-        price: token.price,
-        usdValue: token.usd_value,
-        logoUrl: token.logo_url
-      }));
-      existingSnapshot.positions = createPositionsFromProtocols(walletResult.protocols);
-      await existingSnapshot.save();
-      console.log(`📸 Updated snapshot for wallet ${walletAddress}`);
-      return existingSnapshot;
-    }
-    
-    // Create new snapshot
-    const snapshot = new DailySnapshot({
-      userId,
-      walletAddress,
-      date: today,
-      totalNavUsd: Math.max(0, parseFloat(walletResult.summary?.total_usd_value) || 0),
-      tokensNavUsd: Math.max(0, parseFloat(walletResult.summary?.token_usd_value) || 0),
-      positionsNavUsd: Math.max(0, parseFloat(walletResult.summary?.protocol_usd_value) || 0),
-      tokens: (walletResult.tokens || []).map(token => ({
-        symbol: token.symbol || 'UNKNOWN',
-        name: token.name || '',
-        chain: token.chain || 'unknown',
-        amount: Math.max(0, parseFloat(token.amount) || 0),
-        price: Math.max(0, parseFloat(token.price) || 0),
-        usdValue: Math.max(0, parseFloat(token.usd_value) || 0),
-        decimals: parseInt(token.decimals) || 18,
-        logoUrl: token.logo_url || '',
-        isVerified: Boolean(token.is_verified)
-      })),
-      positions: createPositionsFromProtocols(walletResult.protocols || [])
-    });
-    
-    await snapshot.save();
-    console.log(`📸 Created new snapshot for wallet ${walletAddress}`);
+    console.log(`📸 ${skipped ? 'Kept existing' : 'Saved'} snapshot for wallet ${walletAddress} (${snapshot.positions.length} positions)`);
     return snapshot;
   } catch (error) {
     console.error(`❌ [${operationId}] Error creating snapshot for wallet ${walletAddress}:`, {
@@ -179,58 +135,6 @@ async function createDailySnapshot(userId, walletAddress, walletResult) {
   }
 }
 
-// Helper function to convert protocol data to position format expected by APY service
-function createPositionsFromProtocols(protocols) {
-  const positions = [];
-  
-  if (!Array.isArray(protocols)) {
-    console.log('⚠️ createPositionsFromProtocols: protocols is not an array:', typeof protocols);
-    return positions;
-  }
-  
-  protocols.forEach(protocol => {
-    if (!protocol || !Array.isArray(protocol.positions)) {
-      console.log('⚠️ createPositionsFromProtocols: protocol has no positions array:', protocol);
-      return;
-    }
-    
-    protocol.positions.forEach(position => {
-      positions.push({
-        protocolId: protocol.protocol_id,
-        protocolName: protocol.name,
-        chain: protocol.chain,
-        supplyTokens: (position.tokens || []).map(token => ({
-          symbol: token.symbol || 'UNKNOWN',
-          name: token.name || '',
-          chain: token.chain || 'unknown',
-          amount: Math.max(0, parseFloat(token.amount) || 0),
-          price: Math.max(0, parseFloat(token.price) || 0),
-          usdValue: Math.max(0, parseFloat(token.usd_value) || 0),
-          decimals: parseInt(token.decimals) || 18,
-          logoUrl: token.logo_url || '',
-          isVerified: Boolean(token.is_verified)
-        })),
-        rewardTokens: (position.rewards || []).map(reward => ({
-          symbol: reward.symbol || 'UNKNOWN',
-          name: reward.name || '',
-          chain: reward.chain || 'unknown',
-          amount: Math.max(0, parseFloat(reward.amount) || 0),
-          price: Math.max(0, parseFloat(reward.price) || 0),
-          usdValue: Math.max(0, parseFloat(reward.usd_value) || 0),
-          decimals: parseInt(reward.decimals) || 18,
-          logoUrl: reward.logo_url || '',
-          isVerified: Boolean(reward.is_verified)
-        })),
-        totalUsdValue: (position.tokens || []).reduce((sum, token) => sum + Math.max(0, parseFloat(token.usd_value) || 0), 0) +
-                       (position.rewards || []).reduce((sum, reward) => sum + Math.max(0, parseFloat(reward.usd_value) || 0), 0)
-      });
-    });
-  });
-  
-  console.log(`📸 Created ${positions.length} positions from ${protocols.length} protocols`);
-  return positions;
-}
-
 // Main enhanced wallet route
 // Admin can see all wallets, Users can only see their own
 router.get('/wallets', auth, requireUser, async (req, res) => {
@@ -369,45 +273,8 @@ router.get('/wallets', auth, requireUser, async (req, res) => {
         };
       }
       
-      // Get prices from CoinGecko
-      const coinGeckoPrices = await fetchPricesFromCoinGecko(tokens);
-      
-      // Enhanced token processing with price enrichment
-      const enrichedTokens = tokens.map(token => {
-        const symbol = (token.symbol || '').toLowerCase();
-        
-        // Try multiple price sources in order of preference
-        let finalPrice = 0;
-        
-        // 1. Try CoinGecko price
-        if (coinGeckoPrices[symbol]) {
-          finalPrice = coinGeckoPrices[symbol];
-        }
-        // 2. Try wrapped token equivalent
-        else if (symbol.startsWith('w') && coinGeckoPrices[symbol.substring(1)]) {
-          finalPrice = coinGeckoPrices[symbol.substring(1)];
-        }
-        // 3. Fall back to DeBankPrice
-        else if (token.price && token.price > 0) {
-          finalPrice = token.price;
-        }
-        
-        const usdValue = finalPrice * (token.amount || 0);
-        
-        return {
-          id: token.id,
-          name: token.name,
-          symbol: token.symbol,
-          amount: token.amount || 0,
-          price: finalPrice,
-          usd_value: usdValue,
-          chain: token.chain_id || token.chain,
-          logo_url: token.logo_url,
-          is_verified: token.is_verified,
-          is_core: token.is_core,
-          decimals: token.decimals
-        };
-      });
+      // Price by chain + contract address, then drop spam and tokens the user hid
+      const { tokens: enrichedTokens, excludedTokens } = await priceAndClassifyTokens(tokens, { userId: targetUserId });
     
       // Enhanced protocol processing
       const enrichedProtocols = protocols
@@ -439,15 +306,8 @@ router.get('/wallets', auth, requireUser, async (req, res) => {
 
       return {
         address: wallet,
-        tokens: enrichedTokens.map(t => ({
-          symbol: t.symbol,
-          name: t.name,
-          amount: t.amount,
-          price: t.price,
-          usd_value: t.usd_value,
-          chain: t.chain,
-          logo_url: t.logo_url
-        })),
+        tokens: enrichedTokens.map(toResponseToken),
+        excluded_tokens: excludedTokens.map(toResponseToken),
         protocols: protocols.map(protocol => {
           // Calculate protocol value from positions if net_usd_value is 0 or invalid
           let calculatedValue = protocol.net_usd_value || 0;
@@ -501,6 +361,8 @@ router.get('/wallets', auth, requireUser, async (req, res) => {
             logo_url: protocol.logo_url,
             site_url: protocol.site_url,
             net_usd_value: calculatedValue,
+            asset_usd_value: protocol.asset_usd_value || 0,
+            debt_usd_value: protocol.debt_usd_value || 0,
             positions: (() => {
               // Deduplicate positions within this protocol by creating unique signature
               const uniquePositionsMap = new Map();
@@ -547,11 +409,22 @@ router.get('/wallets', auth, requireUser, async (req, res) => {
                   logo_url: t.logo_url,
                   decimals: t.decimals
                 })),
+                borrows: (item.detail?.borrow_token_list || []).map(t => ({
+                  symbol: t.symbol,
+                  name: t.name,
+                  amount: t.amount || 0,
+                  price: t.price || 0,
+                  usd_value: (t.amount || 0) * (t.price || 0),
+                  chain: protocol.chain_id,
+                  logo_url: t.logo_url,
+                  decimals: t.decimals
+                })),
                 pool_id: item.pool?.id,
                 pool_name: item.pool?.name,
+                position_index: item.position_index,
                 description: item.detail?.description,
                 stats: item.stats,
-                health_rate: item.health_rate,
+                health_rate: item.detail?.health_rate ?? item.health_rate,
                 proxy_detail: item.proxy_detail
               }));
             })()
@@ -666,7 +539,7 @@ router.get('/wallets', auth, requireUser, async (req, res) => {
           protocolsCount: walletResult.protocols?.length,
           summaryValue: walletResult.summary?.total_usd_value
         });
-        await createDailySnapshot(targetUserId, walletResult.address, walletResult);
+        await ensureDailySnapshot(targetUserId, walletResult.address);
         console.log(`📸 MAIN ROUTE - Finished processing snapshot for wallet ${walletResult.address}`);
       }
       console.log(`✅ MAIN ROUTE - Daily snapshots created successfully for all ${results.length} wallets`);
@@ -728,25 +601,10 @@ router.get('/wallet/:address', auth, requireUser, async (req, res) => {
       fetchAllProtocols(address)
     ]);
     
-    // Get prices from CoinGecko
-    const coinGeckoPrices = await fetchPricesFromCoinGecko(tokens);
-    
-    const enrichedTokens = tokens.map(token => {
-      const symbol = (token.symbol || '').toLowerCase();
-      let finalPrice = coinGeckoPrices[symbol] || token.price || 0;
-      
-      return {
-        id: token.id,
-        name: token.name,
-        symbol: token.symbol,
-        amount: token.amount || 0,
-        price: finalPrice,
-        usd_value: finalPrice * (token.amount || 0),
-        chain: token.chain_id || token.chain,
-        logo_url: token.logo_url,
-        decimals: token.decimals
-      };
-    });
+    // Price by chain + contract address, then drop spam and tokens the user hid
+    const classified = await priceAndClassifyTokens(tokens, { userId: targetUserId });
+    const enrichedTokens = classified.tokens.map(toResponseToken);
+    const excludedTokens = classified.excludedTokens.map(toResponseToken);
     
     const enrichedProtocols = protocols
       .filter(protocol => protocol.net_usd_value && protocol.net_usd_value > 0.01)
@@ -755,6 +613,8 @@ router.get('/wallet/:address', auth, requireUser, async (req, res) => {
         name: protocol.name,
         chain: protocol.chain_id,
         net_usd_value: protocol.net_usd_value || 0,
+        asset_usd_value: protocol.asset_usd_value || 0,
+        debt_usd_value: protocol.debt_usd_value || 0,
         logo_url: protocol.logo_url,
         positions: (protocol.portfolio_item_list || []).map(item => ({
           position_name: item.name,
@@ -780,11 +640,22 @@ router.get('/wallet/:address', auth, requireUser, async (req, res) => {
             logo_url: t.logo_url,
             decimals: t.decimals
           })),
+          borrows: (item.detail?.borrow_token_list || []).map(t => ({
+            symbol: t.symbol,
+            name: t.name,
+            amount: t.amount || 0,
+            price: t.price || 0,
+            usd_value: (t.amount || 0) * (t.price || 0),
+            chain: protocol.chain_id,
+            logo_url: t.logo_url,
+            decimals: t.decimals
+          })),
           pool_id: item.pool?.id,
           pool_name: item.pool?.name,
+          position_index: item.position_index,
           description: item.detail?.description,
           stats: item.stats,
-          health_rate: item.health_rate,
+          health_rate: item.detail?.health_rate ?? item.health_rate,
           proxy_detail: item.proxy_detail
         }))
       }));
@@ -809,14 +680,7 @@ router.get('/wallet/:address', auth, requireUser, async (req, res) => {
     
     // Create daily snapshot for this wallet
     try {
-      const walletResult = {
-        address,
-        tokens: enrichedTokens,
-        protocols: enrichedProtocols,
-        summary
-      };
-      await createDailySnapshot(targetUserId, address, walletResult);
-      console.log(`📸 Created snapshot for single wallet ${address}`);
+      await ensureDailySnapshot(targetUserId, address);
     } catch (snapshotErr) {
       console.error('❌ Error creating snapshot for single wallet:', snapshotErr.message);
       // Continue with response even if snapshot creation fails
@@ -825,6 +689,7 @@ router.get('/wallet/:address', auth, requireUser, async (req, res) => {
     res.json({ 
       address, 
       tokens: enrichedTokens,
+      excluded_tokens: excludedTokens,
       protocols: enrichedProtocols,
       summary,
       timestamp: new Date().toISOString()
@@ -842,21 +707,7 @@ router.get('/wallet/:address/protocol/:protocolId/:chainId', auth, async (req, r
   try {
     console.log(`📡 Fetching detailed protocol data for ${protocolId} on ${chainId}...`);
     
-    const { data } = await axios.get(
-      `${DEBANK_BASE}/user/protocol`,
-      {
-        params: { 
-          id: address, 
-          protocol_id: protocolId,
-          chain_id: chainId 
-        },
-        headers: { 
-          AccessKey: process.env.DEBANK_API_KEY, 
-          Accept: 'application/json' 
-        },
-        timeout: 10000
-      }
-    );
+    const data = await fetchProtocolDetail(address, protocolId, chainId);
     
     res.json({ 
       protocol: data,
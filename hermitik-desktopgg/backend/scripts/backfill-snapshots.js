@@ -0,0 +1,89 @@
+/**
+ * Snapshot Backfill Script
+ * Reports days with no DailySnapshot and optionally fills them
+ *
+ * Usage:
+ *   node scripts/backfill-snapshots.js [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *     [--user <userId>] [--wallet <address>]
+ *     [--method carry-forward|interpolate] [--fill] [--dry-run]
+ *
+ * Without --fill only the gap report is printed.
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const SnapshotBackfillService = require('../services/snapshotBackfill');
+
+dotenv.config();
+
+function parseArgs(argv) {
+  const args = { fill: false, dryRun: false };
+  const valueFlags = { '--from': 'from', '--to': 'to', '--user': 'userId', '--wallet': 'walletAddress', '--method': 'method' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--fill') {
+      args.fill = true;
+    } else if (flag === '--dry-run') {
+      args.dryRun = true;
+    } else if (valueFlags[flag]) {
+      args[valueFlags[flag]] = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${flag}`);
+    }
+  }
+
+  return args;
+}
+
+function printWallet(wallet) {
+  console.log(`\n💼 ${wallet.walletAddress} (user ${wallet.userId})`);
+  console.log(`   Existing days: ${wallet.existingDays}, missing days: ${wallet.missingDays}`);
+
+  wallet.gaps.forEach(gap => {
+    console.log(`   ⛔ ${gap.from} → ${gap.to} (${gap.days} day(s)), previous: ${gap.previousSnapshot}, next: ${gap.nextSnapshot || 'none'}`);
+  });
+
+  if (wallet.unfillableDates.length) {
+    console.log(`   ⚠️ ${wallet.unfillableDates.length} day(s) before the first snapshot cannot be filled`);
+  }
+
+  (wallet.filled || []).forEach(day => {
+    console.log(`   🩹 ${day.date} ${day.method} NAV: $${day.totalNavUsd.toFixed(2)}`);
+  });
+}
+
+async function backfillSnapshots() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const result = args.fill || args.dryRun
+      ? await SnapshotBackfillService.fillGaps(args)
+      : await SnapshotBackfillService.findGaps(args);
+
+    console.log(`\n📅 Range: ${result.range.from} → ${result.range.to}`);
+    result.wallets.filter(wallet => wallet.missingDays > 0).forEach(printWallet);
+
+    console.log('\n📊 Summary:', JSON.stringify(result.summary, null, 2));
+    if (result.dryRun) {
+      console.log('🧪 Dry run: nothing was written');
+    }
+
+  } catch (error) {
+    console.error('❌ Snapshot backfill failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('👋 Disconnected from MongoDB');
+  }
+}
+
+// Run backfill if called directly
+if (require.main === module) {
+  backfillSnapshots();
+}
+
+module.exports = { backfillSnapshots };
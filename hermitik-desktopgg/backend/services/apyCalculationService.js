@@ -1,4 +1,8 @@
 const DailySnapshot = require('../models/DailySnapshot');
+const PositionIdentityService = require('./positionIdentity');
+const RewardClaimService = require('./rewardClaims');
+const PerformanceAttributionService = require('./performanceAttribution');
+const QuotedAPYService = require('./quotedApy');
 
 /**
  * Clean APY Calculation Service
@@ -9,6 +13,15 @@ const DailySnapshot = require('../models/DailySnapshot');
  * - For positions that exist in both: calculate APY based on actual time difference
  * - For NEW positions (didn't exist yesterday): assume exactly 1 day old
  * - APY formula for 1-day-old positions: APY = (unclaimed_rewards / position_value) * 365
+ * - Positions are followed across days by their stable identity
+ *   (PositionIdentityService), so renames and token reordering don't reset them
+ * - Rewards claimed between snapshots (RewardClaimService) are added back to the
+ *   value change, so a harvest doesn't read as a loss; realized APY counts
+ *   claimed and unclaimed rewards over the period
+ * - The performance summary pairs APY with what drove the value change
+ *   (PerformanceAttributionService): price, yield, rewards, IL and flows
+ * - Each position's protocol-quoted APY (QuotedAPYService) is set against its
+ *   realized yield APY, with an alert when they drift apart
  */
 class APYCalculationService {
 
@@ -38,8 +51,27 @@ class APYCalculationService {
 
       const apyResults = {};
 
+      // Link the positions to the same wallet's snapshot from yesterday
+      const yesterdaySnapshot = this.findYesterdaySnapshot(historicalSnapshots, currentSnapshot.walletAddress);
+      const links = PositionIdentityService.matchPositions(
+        currentSnapshot.positions || [],
+        yesterdaySnapshot?.positions || [],
+        currentSnapshot.walletAddress
+      );
+
+      // The wallet's snapshots up to the current one, to follow rewards through claims
+      const walletSnapshots = [
+        ...historicalSnapshots.filter(snapshot =>
+          snapshot.walletAddress === currentSnapshot.walletAddress && new Date(snapshot.date) < new Date(currentSnapshot.date)),
+        currentSnapshot
+      ];
+
+      // Realized yield without price moves, to hold against the protocols' quoted rates
+      const attribution = PerformanceAttributionService.attributeSnapshots(walletSnapshots).positions;
+      const quotedPools = await QuotedAPYService.getPools();
+
       // Process each position in current snapshot
-      for (const position of (currentSnapshot.positions || [])) {
+      for (const { position, key, previous, match } of links) {
         const positionId = this.generatePositionId(position);
         
         console.log(`🧮 Calculating APY for position: ${positionId}`);
@@ -48,11 +80,22 @@ class APYCalculationService {
           position,
           historicalSnapshots,
           periodDays,
-          positionId
+          positionId,
+          previous
         );
         
         if (apyData) {
-          apyResults[positionId] = apyData;
+          apyResults[positionId] = {
+            ...apyData,
+            ...this.getDebtMetrics(position),
+            ...this.getRealizedAPY(position, walletSnapshots, currentSnapshot.walletAddress),
+            ...this.getQuotedComparison(position, quotedPools, attribution[key]),
+            protocolName: position.protocolName,
+            chain: position.chain,
+            poolId: position.poolId || null,
+            walletAddress: currentSnapshot.walletAddress,
+            identityMatch: previous ? match : 'new'
+          };
           console.log(`✅ APY calculated for ${positionId}: ${apyData.apy?.toFixed(2) || 'N/A'}% over ${periodDays} days`);
         }
       }
@@ -66,6 +109,59 @@ class APYCalculationService {
     }
   }
 
+  /**
+   * APY and performance attribution for each position, and the portfolio's attribution
+   * @param {string} userId - User ID
+   * @param {Date} targetDate - End of the period (defaults to today)
+   * @param {number} periodDays - Length of the period (defaults to 30)
+   * @returns {Object} { start, end, positions: { [positionId]: { protocolName, chain, positionType, walletAddress,
+   *   currentValue, apy, attribution } }, wallets, portfolio }
+   */
+  static async getPositionPerformanceSummary(userId, targetDate = new Date(), periodDays = 30) {
+    const startDate = new Date(targetDate);
+    startDate.setDate(startDate.getDate() - periodDays);
+
+    const [apyResults, attribution] = await Promise.all([
+      this.calculateAllPositionAPYs(userId, targetDate, periodDays),
+      PerformanceAttributionService.calculate(userId, { start: startDate, end: targetDate })
+    ]);
+
+    const positions = {};
+    Object.entries(attribution.positions).forEach(([positionId, positionAttribution]) => {
+      positions[positionId] = {
+        protocolName: positionAttribution.protocolName,
+        chain: positionAttribution.chain,
+        positionType: positionAttribution.positionType,
+        walletAddress: positionAttribution.walletAddress,
+        currentValue: positionAttribution.endValue,
+        apy: apyResults[positionId] || null,
+        attribution: positionAttribution
+      };
+    });
+
+    // Positions with a single snapshot in the period have an APY but nothing to attribute
+    Object.entries(apyResults).forEach(([positionId, apyData]) => {
+      if (positions[positionId]) return;
+      positions[positionId] = {
+        protocolName: apyData.protocolName,
+        chain: apyData.chain,
+        positionType: null,
+        walletAddress: apyData.walletAddress,
+        currentValue: apyData.currentValue,
+        apy: apyData,
+        attribution: null
+      };
+    });
+
+    return {
+      start: attribution.start,
+      end: attribution.end,
+      positions,
+      wallets: attribution.wallets,
+      portfolio: attribution.portfolio
+    };
+  }
+
   /**
    * Calculate APY for a single position
    * @param {Object} todayPosition - Position data from today's snapshot
@@ -112,7 +208,7 @@ class APYCalculationService {
       }
 
       // Check if position existed yesterday
-      const yesterdayPosition = this.findPositionInSnapshot(positionId, yesterdaySnapshot);
+      const yesterdayPosition = this.findPositionInSnapshot(positionId, yesterdaySnapshot, todayPosition);
       
       if (!yesterdayPosition) {
         // NEW POSITION: Assume exactly 1 day old
@@ -130,11 +226,13 @@ class APYCalculationService {
         }, 0);
         const yesterdayValue = yesterdayPositionData.totalUsdValue || yesterdayPositionData.totalValue || yesterdayPositionData.value || yesterdayPositionData.assetUsdValue || (yesterdaySupplyTokensValue + yesterdayRewardTokensValue);
         const yesterdayRewards = this.calculateUnclaimedRewards(yesterdayPosition);
+        const { claimedUsd: claimedRewards } = RewardClaimService.getClaims(todayPosition, yesterdayPosition);
         
-        // If there are unclaimed rewards and position value hasn't changed significantly, use rewards method
-        if (unclaimedRewards > 0 && Math.abs(currentValue - yesterdayValue) < (currentValue * 0.01)) {
+        // If there are unclaimed rewards and position value hasn't changed significantly, use rewards method;
+        // after a claim the unclaimed rewards restarted, so the value change (claims added back) is used
+        if (unclaimedRewards > 0 && !claimedRewards && Math.abs(currentValue - yesterdayValue) < (currentValue * 0.01)) {
           console.log(`💰 Using unclaimed rewards method for ${positionId} (rewards: $${unclaimedRewards})`);
-          return this.calculateRewardsBasedAPY(todayPosition, unclaimedRewards, currentValue, positionId);
+          return this.calculateRewardsBasedAPY(todayPosition, unclaimedRewards, currentValue);
         } else {
           // Use value change method
           return this.calculateExistingPositionAPY(
@@ -143,7 +241,8 @@ class APYCalculationService {
             todayDate, 
             yesterdayDate, 
             currentValue,
-            positionId
+            positionId,
+            claimedRewards
           );
         }
       }
@@ -242,9 +341,10 @@ class APYCalculationService {
   }
 
   /**
-   * Calculate APY for existing positions based on value change
+   * Calculate APY for existing positions based on value change, with rewards
+   * claimed in between added back
    */
-  static calculateExistingPositionAPY(todayPosition, yesterdayPosition, todayDate, yesterdayDate, currentValue, positionId) {
+  static calculateExistingPositionAPY(todayPosition, yesterdayPosition, todayDate, yesterdayDate, currentValue, positionId, claimedRewards = 0) {
     console.log(`📊 Existing position detected: ${positionId}`);
     
     const yesterdayPositionData = yesterdayPosition._doc || yesterdayPosition;
@@ -268,8 +368,8 @@ class APYCalculationService {
     const timeDiffMs = todayDate - yesterdayDate;
     const actualDays = Math.max(0.1, timeDiffMs / (1000 * 60 * 60 * 24)); // Minimum 0.1 days
 
-    // Calculate value change
-    const valueChange = currentValue - yesterdayValue;
+    // Calculate value change; claimed rewards left the position but were earned by it
+    const valueChange = currentValue + claimedRewards - yesterdayValue;
     const periodReturn = valueChange / yesterdayValue;
     
     // Annualize the return: APY = ((1 + period_return) ^ (365/days)) - 1
@@ -289,8 +389,11 @@ class APYCalculationService {
       currentValue: currentValue,
       yesterdayValue: yesterdayValue,
       valueChange: valueChange,
+      claimedRewards: claimedRewards,
       confidence: this.assessConfidence(apy, false),
-      notes: `Based on ${actualDays.toFixed(1)} day value change`
+      notes: claimedRewards > 0
+        ? `Based on ${actualDays.toFixed(1)} day value change, including $${claimedRewards.toFixed(2)} claimed rewards`
+        : `Based on ${actualDays.toFixed(1)} day value change`
     };
   }
 
@@ -377,8 +480,10 @@ class APYCalculationService {
 
   /**
    * Calculate APY for a position over a specified period
+   * @param {Object} previousPosition - The position in yesterday's snapshot when already
+   *   matched (null if it had none); looked up when undefined
    */
-  static async calculatePositionAPYOverPeriod(currentPosition, historicalSnapshots, periodDays, positionId) {
+  static async calculatePositionAPYOverPeriod(currentPosition, historicalSnapshots, periodDays, positionId, previousPosition) {
     try {
       // Calculate current value and unclaimed rewards
       const currentValue = this.calculatePositionValue(currentPosition);
@@ -392,8 +497,11 @@ class APYCalculationService {
       console.log(`🔍 Position ${positionId}: Current value $${currentValue.toFixed(2)}, Unclaimed rewards $${unclaimedRewards.toFixed(2)}`);
       
       // RULE 1: Check if position existed yesterday (consecutive days rule)
-      const yesterdaySnapshot = this.findYesterdaySnapshot(historicalSnapshots);
-      const yesterdayPosition = yesterdaySnapshot ? this.findPositionInSnapshot(positionId, yesterdaySnapshot) : null;
+      let yesterdayPosition = previousPosition;
+      if (yesterdayPosition === undefined) {
+        const yesterdaySnapshot = this.findYesterdaySnapshot(historicalSnapshots);
+        yesterdayPosition = yesterdaySnapshot ? this.findPositionInSnapshot(positionId, yesterdaySnapshot, currentPosition) : null;
+      }
       
       if (!yesterdayPosition) {
         console.log(`🔄 Position ${positionId} didn't exist yesterday - treating as NEW position`);
@@ -454,7 +562,9 @@ class APYCalculationService {
       console.log(`✅ Position ${positionId} exists yesterday - calculating consecutive APY`);
       
       const yesterdayValue = this.calculatePositionValue(yesterdayPosition);
-      const valueChange = currentValue - yesterdayValue;
+      // Rewards claimed since yesterday left the position but were earned by it
+      const { claims, claimedUsd: claimedRewards } = RewardClaimService.getClaims(currentPosition, yesterdayPosition);
+      const valueChange = currentValue + claimedRewards - yesterdayValue;
       const valueChangePercent = yesterdayValue > 0 ? (valueChange / yesterdayValue) : 0;
       
       // Annualize the 1-day return
@@ -464,6 +574,7 @@ class APYCalculationService {
       console.log(`📈 Consecutive APY calculation:`);
       console.log(`   Yesterday value: $${yesterdayValue.toFixed(2)}`);
       console.log(`   Today value: $${currentValue.toFixed(2)}`);
+      console.log(`   Claimed rewards: $${claimedRewards.toFixed(2)}`);
       console.log(`   Value change: $${valueChange.toFixed(2)} (${valueChangePercent.toFixed(4)})`);
       console.log(`   Annualized APY: ${annualizedReturn.toFixed(2)}%`);
       
@@ -476,8 +587,11 @@ class APYCalculationService {
         currentValue: currentValue,
         previousValue: yesterdayValue,
         valueChange: valueChange,
+        claimedRewards: claimedRewards,
         confidence: this.assessConfidence(annualizedReturn, false),
-        notes: `Consecutive day value change`,
+        notes: claimedRewards > 0
+          ? `Consecutive day value change, including $${claimedRewards.toFixed(2)} claimed rewards${claims.every(claim => claim.confirmed) ? '' : ' (not seen in the wallet)'}`
+          : `Consecutive day value change`,
         periodDays: periodDays
       };
       
@@ -488,9 +602,18 @@ class APYCalculationService {
   }
 
   /**
-   * Generate a unique position ID from position data
+   * Position ID: the stable identity stored on the snapshot position, or the
+   * legacy ID for snapshots from before identities were stored
    */
   static generatePositionId(position) {
+    return position.positionKey || this.generateLegacyPositionId(position);
+  }
+
+  /**
+   * Legacy position ID from protocol and position fields; changes when DeBank
+   * renames a position or reorders its tokens
+   */
+  static generateLegacyPositionId(position) {
     // Create a consistent ID based on protocol and position characteristics
     const protocol = (position.protocolName || 'unknown').toLowerCase().replace(/\s+/g, '_');
     const id = position.protocolId || '';
@@ -504,27 +627,31 @@ class APYCalculationService {
   }
 
   /**
-   * Find a position in a snapshot by position ID
+   * Find a position in a snapshot by position ID, falling back to the
+   * identity matching layer when the position is given
    */
-  static findPositionInSnapshot(positionId, snapshot) {
+  static findPositionInSnapshot(positionId, snapshot, position = null) {
     if (!snapshot || !snapshot.positions) {
       return null;
     }
 
-    return snapshot.positions.find(pos => {
+    const exact = snapshot.positions.find(pos => {
       const snapPositionId = this.generatePositionId(pos);
       return snapPositionId === positionId;
     });
+    if (exact || !position) return exact || null;
+
+    return PositionIdentityService.findInSnapshot(position, snapshot, snapshot.walletAddress);
   }
 
   /**
-   * Calculate total value of a position from its tokens
+   * Calculate the net (equity) value of a position: assets less debt
    */
   static calculatePositionValue(position) {
     const positionData = position._doc || position;
     
-    // Try direct value first
-    const directValue = positionData.totalUsdValue || positionData.totalValue || positionData.value || positionData.assetUsdValue || 0;
+    // Try direct value first (netUsdValue/totalUsdValue are already net of debt)
+    const directValue = positionData.netUsdValue || positionData.totalUsdValue || positionData.totalValue || positionData.value || 0;
     if (directValue > 0) return directValue;
     
     // Calculate from supply tokens
@@ -539,7 +666,89 @@ class APYCalculationService {
       return sum + tokenValue;
     }, 0);
     
-    return supplyTokensValue + rewardTokensValue;
+    // Subtract borrowed tokens
+    const borrowTokensValue = (positionData.borrowTokens || []).reduce((sum, token) => {
+      const tokenValue = token.usdValue || token.usd_value || (token.amount * token.price) || 0;
+      return sum + tokenValue;
+    }, 0);
+    
+    return supplyTokensValue + rewardTokensValue - borrowTokensValue;
+  }
+
+  /**
+   * Debt metrics for a leveraged position (empty for positions without debt)
+   */
+  static getDebtMetrics(position) {
+    const positionData = position._doc || position;
+    const debtValue = positionData.debtUsdValue || 0;
+    if (debtValue <= 0) return {};
+
+    const assetValue = positionData.assetUsdValue || 0;
+    const netValue = assetValue - debtValue;
+
+    return {
+      assetValue,
+      debtValue,
+      leverage: netValue > 0 ? Math.round((assetValue / netValue) * 100) / 100 : null,
+      healthFactor: positionData.healthFactor ?? null,
+      liquidationPrice: positionData.liquidationPrice ?? null
+    };
+  }
+
+  /**
+   * Realized rewards APY over the snapshots the position can be followed
+   * through: unclaimed rewards gained plus rewards claimed, on the supply value
+   * @returns {Object} { rewardSeries, realizedApy, realizedRewards, claimedRewardsTotal, claimsConfirmed,
+   *   realizedDays };
+   *   just the series when it covers less than a day
+   */
+  static getRealizedAPY(position, walletSnapshots, walletAddress) {
+    const rewardSeries = RewardClaimService.getRewardSeries(
+      walletSnapshots,
+      position,
+      walletAddress,
+      dayPosition => this.calculatePositionValue(dayPosition)
+    );
+    const summary = RewardClaimService.summarize(rewardSeries);
+    if (!summary || summary.days < 1) return { rewardSeries };
+
+    const realized = this.calculateRewardsBasedAPY(position, summary.unclaimedChangeUsd, summary.days, summary.claimedUsd);
+    return {
+      rewardSeries,
+      realizedApy: realized ? realized.apy : null,
+      realizedRewards: summary.earnedUsd,
+      claimedRewardsTotal: summary.claimedUsd,
+      claimsConfirmed: summary.claimsConfirmed,
+      realizedDays: Math.round(summary.days * 100) / 100
+    };
+  }
+
+  /**
+   * Protocol-quoted APY of a position against its realized yield APY
+   * @param {Object} position - Snapshot position
+   * @param {Object} quotedPools - From QuotedAPYService.getPools()
+   * @param {Object} positionAttribution - The position's PerformanceAttributionService figures, if it has history
+   * @returns {Object} { quotedApy, quotedSupplyApy, quotedBorrowApy, quotedPools, quoteCoverage, realizedYieldApy,
+   *   realizedYieldDays, apyDeviation, deviationAlert }; quote fields are null when no pool matches
+   */
+  static getQuotedComparison(position, quotedPools, positionAttribution) {
+    const quote = QuotedAPYService.quotePosition(position, quotedPools);
+    const realizedYieldApy = positionAttribution?.yieldApy ?? null;
+    const realizedYieldDays = Math.round((positionAttribution?.days || 0) * 100) / 100;
+    const { deviation, deviationAlert } = QuotedAPYService.compare(quote?.quotedApy ?? null, realizedYieldApy, realizedYieldDays);
+
+    const round = value => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+    return {
+      quotedApy: round(quote?.quotedApy),
+      quotedSupplyApy: round(quote?.quotedSupplyApy),
+      quotedBorrowApy: round(quote?.quotedBorrowApy),
+      quotedPools: quote?.pools || [],
+      quoteCoverage: quote ? round(quote.coverage) : null,
+      realizedYieldApy,
+      realizedYieldDays,
+      apyDeviation: deviation,
+      deviationAlert
+    };
   }
 
   /**
@@ -558,9 +767,9 @@ class APYCalculationService {
   }
 
   /**
-   * Find yesterday's snapshot from historical snapshots
+   * Find yesterday's snapshot from historical snapshots, for one wallet when given
    */
-  static findYesterdaySnapshot(historicalSnapshots) {
+  static findYesterdaySnapshot(historicalSnapshots, walletAddress = null) {
     if (!historicalSnapshots || historicalSnapshots.length === 0) {
       return null;
     }
@@ -576,7 +785,8 @@ class APYCalculationService {
     // Find snapshots from yesterday
     const yesterdaySnapshots = historicalSnapshots.filter(snapshot => {
       const snapshotDate = new Date(snapshot.date);
-      return snapshotDate >= yesterdayStart && snapshotDate <= yesterdayEnd;
+      return snapshotDate >= yesterdayStart && snapshotDate <= yesterdayEnd &&
+        (!walletAddress || snapshot.walletAddress === walletAddress);
     });
     
     // Return the most recent snapshot from yesterday
@@ -588,9 +798,10 @@ class APYCalculationService {
   }
 
   /**
-   * Calculate APY based on unclaimed rewards
+   * Calculate APY based on rewards earned: unclaimed rewards plus any claimed
+   * over the period, so a harvest doesn't reset it
    */
-  static calculateRewardsBasedAPY(position, unclaimedRewards, periodDays) {
+  static calculateRewardsBasedAPY(position, unclaimedRewards, periodDays, claimedRewards = 0) {
     try {
       const positionData = position._doc || position;
       
@@ -606,7 +817,8 @@ class APYCalculationService {
       }
       
       // Calculate rewards as a percentage of the base value
-      const rewardsPercent = (unclaimedRewards / supplyTokensValue) * 100;
+      const rewardsEarned = unclaimedRewards + claimedRewards;
+      const rewardsPercent = (rewardsEarned / supplyTokensValue) * 100;
       
       // Annualize the rewards percentage
       const annualizedRewardsAPY = (rewardsPercent / periodDays) * 365;
@@ -614,6 +826,7 @@ class APYCalculationService {
       console.log(`💰 Rewards APY calculation:`);
       console.log(`   Supply value: $${supplyTokensValue.toFixed(2)}`);
       console.log(`   Unclaimed rewards: $${unclaimedRewards.toFixed(2)}`);
+      console.log(`   Claimed rewards: $${claimedRewards.toFixed(2)}`);
       console.log(`   Rewards %: ${rewardsPercent.toFixed(4)}%`);
       console.log(`   Annualized APY: ${annualizedRewardsAPY.toFixed(2)}%`);
       
@@ -626,8 +839,11 @@ class APYCalculationService {
         currentValue: supplyTokensValue + unclaimedRewards,
         baseValue: supplyTokensValue,
         unclaimedRewards: unclaimedRewards,
+        claimedRewards: claimedRewards,
         confidence: this.assessConfidence(annualizedRewardsAPY, false),
-        notes: `Based on $${unclaimedRewards.toFixed(2)} unclaimed rewards`
+        notes: claimedRewards > 0
+          ? `Based on $${rewardsEarned.toFixed(2)} rewards earned ($${claimedRewards.toFixed(2)} claimed)`
+          : `Based on $${unclaimedRewards.toFixed(2)} unclaimed rewards`
       };
       
     } catch (error) {
@@ -0,0 +1,323 @@
+/**
+ * Benchmark Service
+ * Collects daily benchmark series into BenchmarkData through the portfolio
+ * provider (so fixtures and recorded responses work locally), and compares
+ * portfolio returns with them.
+ *
+ *   ETH, BTC     CoinGecko USD prices (ethPrice, btcPrice)
+ *   Aave USDC    supply APY of the Aave v3 USDC market from DefiLlama
+ *                (aaveUsdcRate, annual %); AAVE_USDC_POOL_ID overrides the pool
+ *
+ * Comparison runs over the portfolio's flow-adjusted daily sub-periods (see
+ * ReturnsEngine). Price benchmarks return P_end / P_start - 1 over the same
+ * days; the lending rate compounds over them. Periods where a benchmark has no
+ * value on either day are left out of that benchmark's statistics.
+ *
+ *   Beta             cov(portfolio, benchmark) / var(benchmark)
+ *   Alpha            mean(portfolio - beta x benchmark) x 365
+ *   Tracking error   std dev(portfolio - benchmark) x sqrt(365)
+ *
+ * In another reporting currency both sides are that currency's returns: the
+ * benchmark's USD return is adjusted by the currency's move over the period,
+ * (1 + r_usd) x (USD per unit at start / at end) - 1.
+ */
+
+const BenchmarkData = require('../models/BenchmarkData');
+const ReturnsEngine = require('./returnsEngine');
+const RiskMetricsService = require('./riskMetrics');
+const FxRateService = require('./fxRates');
+const { getPortfolioProvider } = require('./providers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class BenchmarkService {
+
+  static BENCHMARKS = {
+    eth: { label: 'ETH', field: 'ethPrice', coinId: 'ethereum', type: 'price' },
+    btc: { label: 'BTC', field: 'btcPrice', coinId: 'bitcoin', type: 'price' },
+    aave_usdc: { label: 'Aave USDC', field: 'aaveUsdcRate', type: 'rate' }
+  };
+
+  // DefiLlama pool for Aave v3 USDC on Ethereum
+  static DEFAULT_AAVE_USDC_POOL_ID = 'aa70268e-4b52-42bf-a116-608b370f9501';
+
+  static get aaveUsdcPoolId() {
+    return process.env.AAVE_USDC_POOL_ID || this.DEFAULT_AAVE_USDC_POOL_ID;
+  }
+
+  /**
+   * Latest supply APY at or before a time from a DefiLlama pool chart
+   * @param {Object} chart - { data: [{ timestamp, apy, apyBase }] }
+   * @param {Date} at - Time
+   * @returns {number|null} Annual %, or null when the chart has no earlier point
+   */
+  static rateAt(chart, at) {
+    const points = (chart?.data || [])
+      .filter(point => new Date(point.timestamp).getTime() <= at.getTime())
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const latest = points[points.length - 1];
+    if (!latest) return null;
+    // Base supply APY; incentives come and go and aren't part of the risk-free rate
+    return latest.apyBase ?? latest.apy ?? null;
+  }
+
+  /**
+   * Collect today's benchmark values and store them
+   * @param {Date} date - Day to store the values under (default: today)
+   * @returns {Promise<Object|null>} Stored BenchmarkData, or null when nothing was collected
+   */
+  static async collectDaily(date = new Date()) {
+    const provider = getPortfolioProvider();
+    const day = new Date(ReturnsEngine.dayKey(date));
+    const values = {};
+
+    try {
+      const coinIds = Object.values(this.BENCHMARKS).filter(b => b.coinId).map(b => b.coinId);
+      const prices = await provider.getPrices(coinIds);
+      Object.values(this.BENCHMARKS).forEach(benchmark => {
+        const price = benchmark.coinId && prices?.[benchmark.coinId]?.usd;
+        if (price) values[benchmark.field] = price;
+      });
+    } catch (error) {
+      console.error('❌ Error fetching benchmark prices:', error.message);
+    }
+
+    try {
+      const rate = this.rateAt(await provider.getYieldPoolHistory(this.aaveUsdcPoolId), new Date());
+      if (rate !== null) values.aaveUsdcRate = rate;
+    } catch (error) {
+      console.error('❌ Error fetching Aave USDC rate:', error.message);
+    }
+
+    if (!Object.keys(values).length) return null;
+
+    return BenchmarkData.findOneAndUpdate(
+      { date: day },
+      { $set: { date: day, ...values } },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Fill benchmark values for past days from provider history
+   * @param {Date} start - First day
+   * @param {Date} end - Last day
+   * @param {Object} options - { overwrite } replaces values that are already stored
+   * @returns {Promise<Object>} { days, updated }
+   */
+  static async backfill(start, end, { overwrite = false } = {}) {
+    const provider = getPortfolioProvider();
+    const firstDay = ReturnsEngine.dayKey(start);
+    const lastDay = ReturnsEngine.dayKey(end);
+    const byDay = new Map();
+    const setValue = (dayKey, field, value) => {
+      if (dayKey < firstDay || dayKey > lastDay || value === null || value === undefined) return;
+      const day = byDay.get(dayKey) || {};
+      day[field] = value;
+      byDay.set(dayKey, day);
+    };
+
+    // Last price of each day
+    for (const benchmark of Object.values(this.BENCHMARKS).filter(b => b.coinId)) {
+      const history = await provider.getPriceHistory(benchmark.coinId, Math.floor(firstDay / 1000), Math.floor((lastDay + DAY_MS) / 1000));
+      (history?.prices || [])
+        .sort((a, b) => a[0] - b[0])
+        .forEach(([timestamp, price]) => setValue(ReturnsEngine.dayKey(timestamp), benchmark.field, price));
+    }
+
+    const chart = await provider.getYieldPoolHistory(this.aaveUsdcPoolId);
+    for (let dayKey = firstDay; dayKey <= lastDay; dayKey += DAY_MS) {
+      setValue(dayKey, 'aaveUsdcRate', this.rateAt(chart, new Date(dayKey + DAY_MS - 1)));
+    }
+
+    let updated = 0;
+    for (const [dayKey, values] of byDay) {
+      const date = new Date(dayKey);
+      const existing = await BenchmarkData.findOne({ date }).lean();
+      const fields = overwrite
+        ? values
+        : Object.fromEntries(Object.entries(values).filter(([field]) => existing?.[field] === undefined || existing?.[field] === null));
+      if (!Object.keys(fields).length) continue;
+
+      await BenchmarkData.updateOne({ date }, { $set: { date, ...fields } }, { upsert: true });
+      updated += 1;
+    }
+
+    return { days: byDay.size, updated };
+  }
+
+  /**
+   * Stored benchmark values in a date range
+   * @param {Date} start - Range start
+   * @param {Date} end - Range end
+   * @returns {Promise<Array>} BenchmarkData, oldest first
+   */
+  static async getSeries(start, end) {
+    const filter = {};
+    if (start || end) {
+      filter.date = {};
+      if (start) filter.date.$gte = new Date(ReturnsEngine.dayKey(start));
+      if (end) filter.date.$lte = end;
+    }
+    return BenchmarkData.find(filter).sort({ date: 1 }).lean();
+  }
+
+  /**
+   * Benchmark return for one portfolio sub-period
+   * @param {Object} benchmark - Entry of BENCHMARKS
+   * @param {Map} byDay - BenchmarkData keyed by day
+   * @param {Object} period - { start, end }
+   * @param {Object} rates - Rate series of the reporting currency (FxRateService.getRateSeries), or none for USD
+   * @returns {number|null} Return, or null without values for the period
+   */
+  static periodReturn(benchmark, byDay, period, rates) {
+    const usdReturn = this.usdPeriodReturn(benchmark, byDay, period);
+    if (usdReturn === null || !rates) return usdReturn;
+
+    const startRate = rates.rateAt(period.start);
+    const endRate = rates.rateAt(period.end);
+    if (!startRate || !endRate) return null;
+    return (1 + usdReturn) * (startRate.usdPerUnit / endRate.usdPerUnit) - 1;
+  }
+
+  /**
+   * Benchmark return in USD for one portfolio sub-period
+   * @param {Object} benchmark - Entry of BENCHMARKS
+   * @param {Map} byDay - BenchmarkData keyed by day
+   * @param {Object} period - { start, end }
+   * @returns {number|null} Return, or null without values for the period
+   */
+  static usdPeriodReturn(benchmark, byDay, period) {
+    const startValue = byDay.get(ReturnsEngine.dayKey(period.start))?.[benchmark.field];
+    if (startValue === undefined || startValue === null) return null;
+
+    if (benchmark.type === 'rate') {
+      const days = (ReturnsEngine.dayKey(period.end) - ReturnsEngine.dayKey(period.start)) / DAY_MS;
+      return Math.pow(1 + startValue / 100, days / 365) - 1;
+    }
+
+    const endValue = byDay.get(ReturnsEngine.dayKey(period.end))?.[benchmark.field];
+    if (!endValue || !startValue) return null;
+    return endValue / startValue - 1;
+  }
+
+  /**
+   * Relative statistics of paired portfolio and benchmark returns
+   * @param {Array<number>} portfolio - Portfolio returns
+   * @param {Array<number>} benchmark - Benchmark returns for the same periods
+   * @returns {Object} { beta, alpha, trackingError, correlation }
+   */
+  static relativeStats(portfolio, benchmark) {
+    const n = portfolio.length;
+    if (n < 2) return { beta: null, alpha: null, trackingError: null, correlation: null };
+
+    const meanPortfolio = RiskMetricsService.mean(portfolio);
+    const meanBenchmark = RiskMetricsService.mean(benchmark);
+    let covariance = 0;
+    let benchmarkVariance = 0;
+    let portfolioVariance = 0;
+    for (let i = 0; i < n; i++) {
+      covariance += (portfolio[i] - meanPortfolio) * (benchmark[i] - meanBenchmark);
+      benchmarkVariance += Math.pow(benchmark[i] - meanBenchmark, 2);
+      portfolioVariance += Math.pow(portfolio[i] - meanPortfolio, 2);
+    }
+
+    // A lending rate barely moves, so beta against it is undefined
+    const beta = benchmarkVariance > 1e-12 ? covariance / benchmarkVariance : null;
+    const differences = portfolio.map((r, i) => r - benchmark[i]);
+    const trackingDeviation = RiskMetricsService.standardDeviation(differences);
+
+    return {
+      beta,
+      alpha: beta === null ? null : (meanPortfolio - beta * meanBenchmark) * 365,
+      trackingError: trackingDeviation === null ? null : trackingDeviation * Math.sqrt(365),
+      correlation: benchmarkVariance > 1e-12 && portfolioVariance > 0
+        ? covariance / Math.sqrt(benchmarkVariance * portfolioVariance)
+        : null
+    };
+  }
+
+  /**
+   * Compare a user's portfolio returns with each benchmark
+   * @param {string} userId - User ID
+   * @param {Object} options - { start, end, walletAddress, currency }
+   * @returns {Promise<Object>} { hasData, currency, portfolio, benchmarks, series }
+   */
+  static async compare(userId, { start, end, walletAddress, currency } = {}) {
+    const returns = await ReturnsEngine.calculate(userId, { start, end, walletAddress, currency });
+    if (!returns.hasData) {
+      return { hasData: false, currency: returns.currency, start: returns.start, end: returns.end, days: 0, portfolio: null, benchmarks: {}, series: [] };
+    }
+
+    const rates = returns.currency === FxRateService.BASE_CURRENCY
+      ? null
+      : await FxRateService.getRateSeries(returns.currency, returns.start, returns.end);
+    const stored = await this.getSeries(returns.start, returns.end);
+    const byDay = new Map(stored.map(entry => [ReturnsEngine.dayKey(entry.date), entry]));
+    const periods = returns.subPeriods;
+
+    const benchmarks = {};
+    const growth = { portfolio: 1 };
+    Object.keys(this.BENCHMARKS).forEach(key => { growth[key] = 1; });
+    const series = [{ date: returns.start, portfolio: 0, ...Object.fromEntries(Object.keys(this.BENCHMARKS).map(key => [key, 0])) }];
+
+    const paired = Object.fromEntries(Object.keys(this.BENCHMARKS).map(key => [key, { portfolio: [], benchmark: [] }]));
+    periods.forEach(period => {
+      growth.portfolio *= 1 + period.return;
+      const point = { date: period.end, portfolio: growth.portfolio - 1 };
+
+      Object.entries(this.BENCHMARKS).forEach(([key, benchmark]) => {
+        const benchmarkReturn = this.periodReturn(benchmark, byDay, period, rates);
+        if (benchmarkReturn === null) {
+          point[key] = null;
+          return;
+        }
+        growth[key] *= 1 + benchmarkReturn;
+        point[key] = growth[key] - 1;
+        paired[key].portfolio.push(period.return);
+        paired[key].benchmark.push(benchmarkReturn);
+      });
+
+      series.push(point);
+    });
+
+    Object.entries(this.BENCHMARKS).forEach(([key, benchmark]) => {
+      const pair = paired[key];
+      if (!pair.benchmark.length) {
+        benchmarks[key] = { label: benchmark.label, hasData: false, coveredPeriods: 0 };
+        return;
+      }
+
+      const compound = values => values.reduce((product, r) => product * (1 + r), 1) - 1;
+      const portfolioReturn = compound(pair.portfolio);
+      const benchmarkReturn = compound(pair.benchmark);
+
+      benchmarks[key] = {
+        label: benchmark.label,
+        hasData: true,
+        coveredPeriods: pair.benchmark.length,
+        // Over the covered periods only, so both sides measure the same days
+        portfolioReturn,
+        benchmarkReturn,
+        excessReturn: portfolioReturn - benchmarkReturn,
+        ...this.relativeStats(pair.portfolio, pair.benchmark)
+      };
+    });
+
+    return {
+      hasData: true,
+      currency: returns.currency,
+      start: returns.start,
+      end: returns.end,
+      days: returns.days,
+      portfolio: {
+        totalReturn: returns.twr.totalReturn,
+        periods: periods.length
+      },
+      benchmarks,
+      series
+    };
+  }
+}
+
+module.exports = BenchmarkService;
@@ -0,0 +1,286 @@
+/**
+ * Capital Account Service
+ * Net flows and capital account statements derived from the dated ledger in
+ * CapitalTransaction, instead of the single overwritable netFlows number on
+ * NAVData.
+ *
+ *   Subscription   +amount   capital paid in
+ *   Redemption     -amount   capital paid out
+ *   Fee payment    -amount   fees paid out of the account
+ *   Transfer        0        between the user's own wallets (-from, +to per wallet)
+ *
+ * Net flows are deposits positive, withdrawals negative, as NAVEngine takes
+ * them; a month's P&L is NAVEngine.getPerformance, so it agrees with the
+ * month's NAV performance. Periods are calendar months in UTC.
+ *
+ * Statement, from the NAV months in the range (finalized only for investors):
+ *   Opening balance   prior period pre-fee NAV of the first month
+ *   Fees              performance + accrued performance + management fees, summed over the months
+ *   Closing balance   net assets of the last month
+ *   P&L               before fees: closing - opening - net flows + fees
+ * so opening + net flows + P&L - fees = closing over the whole range.
+ */
+
+const CapitalTransaction = require('../models/CapitalTransaction');
+const NAVSettings = require('../models/NAVSettings');
+const NAVEngine = require('./navEngine');
+
+class CapitalAccountService {
+
+  static FLOW_SIGNS = {
+    subscription: 1,
+    redemption: -1,
+    fee_payment: -1,
+    transfer: 0
+  };
+
+  // Longest statement range, in months
+  static MAX_STATEMENT_MONTHS = 60;
+
+  /**
+   * UTC bounds of a calendar month
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @returns {Object} { start, end } with end exclusive
+   */
+  static monthRange(year, month) {
+    return {
+      start: new Date(Date.UTC(year, month - 1, 1)),
+      end: new Date(Date.UTC(year, month, 1))
+    };
+  }
+
+  /**
+   * Signed flow of one transaction for the whole account or a single wallet
+   * @param {Object} transaction - CapitalTransaction
+   * @param {string} walletAddress - Optional wallet to measure the flow for
+   * @returns {number} Positive for money in, negative for money out
+   */
+  static signedAmount(transaction, walletAddress = null) {
+    const wallet = walletAddress?.toLowerCase();
+
+    if (transaction.type === 'transfer') {
+      if (!wallet) return 0;
+      if (transaction.toWalletAddress === wallet) return transaction.amount;
+      if (transaction.walletAddress === wallet) return -transaction.amount;
+      return 0;
+    }
+
+    if (wallet && transaction.walletAddress !== wallet) return 0;
+    return (this.FLOW_SIGNS[transaction.type] || 0) * transaction.amount;
+  }
+
+  /**
+   * Ledger entries for a user, oldest first
+   * @param {string} userId - User ID
+   * @param {Object} options - { start, end, includeVoided }; end is exclusive
+   * @returns {Promise<Array>} Transactions
+   */
+  static async getTransactions(userId, { start, end, includeVoided = false } = {}) {
+    const filter = { userId };
+    if (!includeVoided) filter.voided = { $ne: true };
+    if (start || end) {
+      filter.date = {};
+      if (start) filter.date.$gte = start;
+      if (end) filter.date.$lt = end;
+    }
+
+    return CapitalTransaction.find(filter).sort({ date: 1, createdAt: 1 }).lean();
+  }
+
+  /**
+   * Totals by transaction type and the resulting net flows
+   * @param {Array} transactions - Non-voided transactions
+   * @param {string} walletAddress - Optional wallet to measure the flows for
+   * @returns {Object} { subscriptions, redemptions, feePayments, transfersIn, transfersOut, netFlows, transactionCount }
+   */
+  static summarize(transactions, walletAddress = null) {
+    const wallet = walletAddress?.toLowerCase();
+    const summary = {
+      subscriptions: 0,
+      redemptions: 0,
+      feePayments: 0,
+      transfersIn: 0,
+      transfersOut: 0,
+      netFlows: 0,
+      transactionCount: 0
+    };
+
+    transactions.forEach(transaction => {
+      const signed = this.signedAmount(transaction, wallet);
+      const touchesWallet = !wallet || transaction.walletAddress === wallet || transaction.toWalletAddress === wallet;
+      if (!touchesWallet) return;
+
+      summary.transactionCount += 1;
+      summary.netFlows += signed;
+
+      switch (transaction.type) {
+        case 'subscription':
+          summary.subscriptions += transaction.amount;
+          break;
+        case 'redemption':
+          summary.redemptions += transaction.amount;
+          break;
+        case 'fee_payment':
+          summary.feePayments += transaction.amount;
+          break;
+        case 'transfer':
+          // Account-level transfers are counted both ways and net to zero
+          if (!wallet || transaction.toWalletAddress === wallet) summary.transfersIn += transaction.amount;
+          if (!wallet || transaction.walletAddress === wallet) summary.transfersOut += transaction.amount;
+          break;
+      }
+    });
+
+    return summary;
+  }
+
+  /**
+   * Net flows for a period from the ledger
+   * @param {string} userId - User ID
+   * @param {Object} options - { start, end, walletAddress }; end is exclusive
+   * @returns {Promise<Object>} Summary from summarize()
+   */
+  static async getNetFlows(userId, { start, end, walletAddress } = {}) {
+    const transactions = await this.getTransactions(userId, { start, end });
+    return this.summarize(transactions, walletAddress);
+  }
+
+  /**
+   * Net flows for one calendar month
+   * @param {string} userId - User ID
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @returns {Promise<Object|null>} Summary, or null without a user or month
+   */
+  static async getMonthNetFlows(userId, year, month) {
+    if (!userId || !year || !month) return null;
+
+    return this.getNetFlows(userId, this.monthRange(year, month));
+  }
+
+  /**
+   * NAV figures of one statement month
+   * @param {Object} settings - NAVSettings version of the month
+   * @param {number} netFlows - The month's net flows from the ledger
+   * @returns {Object} { status, version, openingBalance, preFeeNav, pnl, fees, closingBalance, recordedNetFlows }
+   */
+  static getStatementNav(settings, netFlows) {
+    const nav = settings.navCalculations || {};
+    // Months saved before the management fee was stored get it from net assets
+    const performanceFee = nav.performanceFee || 0;
+    const accruedPerformanceFees = nav.accruedPerformanceFees || 0;
+    const managementFee = nav.managementFee ?? ((nav.preFeeNav || 0) - (nav.netAssets || 0) - performanceFee - accruedPerformanceFees);
+
+    return {
+      status: settings.status || 'draft',
+      version: settings.version || 1,
+      openingBalance: nav.priorPreFeeNav || 0,
+      preFeeNav: nav.preFeeNav || 0,
+      pnl: NAVEngine.getPerformance(nav.preFeeNav || 0, nav.priorPreFeeNav || 0, netFlows),
+      fees: {
+        performanceFee,
+        accruedPerformanceFees,
+        managementFee,
+        total: performanceFee + accruedPerformanceFees + managementFee
+      },
+      closingBalance: nav.netAssets || 0,
+      // Flows the month was calculated with, to spot months saved before the ledger was updated
+      recordedNetFlows: nav.netFlows || 0
+    };
+  }
+
+  /**
+   * Balances, P&L and fees over the statement months that have a NAV
+   * @param {Array} navRows - Statement months with nav, oldest first
+   * @param {number} netFlows - Ledger net flows over those months
+   * @returns {Object} { openingBalance, pnl, fees, closingBalance }; P&L is before fees, so
+   *   opening balance + net flows + P&L - fees = closing balance
+   */
+  static getStatementTotals(navRows, netFlows) {
+    if (!navRows.length) {
+      return { openingBalance: null, pnl: null, fees: null, closingBalance: null };
+    }
+
+    const openingBalance = navRows[0].nav.openingBalance;
+    const closingBalance = navRows[navRows.length - 1].nav.closingBalance;
+    const fees = { performanceFee: 0, accruedPerformanceFees: 0, managementFee: 0, total: 0 };
+    navRows.forEach(row => {
+      Object.keys(fees).forEach(key => { fees[key] += row.nav.fees[key]; });
+    });
+
+    return {
+      openingBalance,
+      pnl: closingBalance + fees.total - openingBalance - netFlows,
+      fees,
+      closingBalance
+    };
+  }
+
+  /**
+   * Capital account statement for a range of months
+   * @param {string} userId - User ID
+   * @param {Object} options - { from: { year, month }, to: { year, month }, finalizedOnly }
+   * @returns {Promise<Object>} { period, openingBalance, flows, pnl, fees, closingBalance, months, transactions }
+   */
+  static async getStatement(userId, { from, to, finalizedOnly = false }) {
+    const months = [];
+    for (let year = from.year, month = from.month; year < to.year || (year === to.year && month <= to.month);) {
+      months.push({ year, month });
+      if (months.length > this.MAX_STATEMENT_MONTHS) {
+        throw new Error(`Statements can cover at most ${this.MAX_STATEMENT_MONTHS} months`);
+      }
+      month += 1;
+      if (month > 12) {
+        month = 1;
+        year += 1;
+      }
+    }
+    if (!months.length) {
+      throw new Error('Statement start must not be after its end');
+    }
+
+    const rangeStart = this.monthRange(from.year, from.month).start;
+    const rangeEnd = this.monthRange(to.year, to.month).end;
+    const transactions = await this.getTransactions(userId, { start: rangeStart, end: rangeEnd });
+
+    const rows = await Promise.all(months.map(async ({ year, month }) => {
+      const { start, end } = this.monthRange(year, month);
+      const flows = this.summarize(transactions.filter(t => t.date >= start && t.date < end));
+      const settings = finalizedOnly
+        ? await NAVSettings.findFinalized(userId, year, month)
+        : await NAVSettings.findCurrent(userId, year, month);
+
+      return { year, month, netFlows: flows.netFlows, flows, nav: settings ? this.getStatementNav(settings, flows.netFlows) : null };
+    }));
+
+    // Balances come from the first and last months that have a NAV
+    const navRows = rows.filter(row => row.nav);
+    const first = navRows[0];
+    const last = navRows[navRows.length - 1];
+    const covered = first
+      ? { start: this.monthRange(first.year, first.month).start, end: this.monthRange(last.year, last.month).end }
+      : { start: rangeStart, end: rangeEnd };
+    const flows = this.summarize(transactions.filter(t => t.date >= covered.start && t.date < covered.end));
+    const { openingBalance, pnl, fees, closingBalance } = this.getStatementTotals(navRows, flows.netFlows);
+
+    return {
+      period: {
+        from,
+        to,
+        navFrom: first ? { year: first.year, month: first.month } : null,
+        navTo: last ? { year: last.year, month: last.month } : null,
+        finalizedOnly
+      },
+      openingBalance,
+      flows,
+      pnl,
+      fees,
+      closingBalance,
+      months: rows,
+      transactions: transactions.filter(t => t.date >= covered.start && t.date < covered.end)
+    };
+  }
+}
+
+module.exports = CapitalAccountService;
@@ -0,0 +1,82 @@
+/**
+ * Chain Registry Service
+ * Loads the chain registry from the database (seeding defaults on first use),
+ * caches it, and keeps httpClient chain validation in sync with it
+ */
+
+const Chain = require('../models/Chain');
+const httpClient = require('../utils/httpClient');
+const { DEFAULT_CHAINS } = require('../config/chains');
+
+class ChainRegistryService {
+
+  static cache = null;
+  static cacheTimestamp = 0;
+  static CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+
+  /**
+   * Get all registered chains
+   * @param {Object} options - { offline } to use the default chains without the database
+   * @returns {Promise<Array>} Chain records (plain objects)
+   */
+  static async getChains({ offline = false } = {}) {
+    const now = Date.now();
+    if (this.cache && (now - this.cacheTimestamp) < this.CACHE_DURATION) {
+      return this.cache;
+    }
+
+    if (offline) {
+      return this.cache || DEFAULT_CHAINS;
+    }
+
+    try {
+      let chains = await Chain.find({}).sort({ chainId: 1 }).lean();
+
+      if (!chains.length) {
+        console.log('🌱 Chain registry is empty, seeding default chains...');
+        await Chain.insertMany(DEFAULT_CHAINS, { ordered: false });
+        chains = await Chain.find({}).sort({ chainId: 1 }).lean();
+      }
+
+      this.cache = chains;
+      this.cacheTimestamp = now;
+      httpClient.setValidChains(chains.filter(chain => chain.enabled).map(chain => chain.chainId));
+
+      return chains;
+    } catch (error) {
+      console.error('❌ Error loading chain registry, using fallback chains:', error.message);
+      return this.cache || DEFAULT_CHAINS;
+    }
+  }
+
+  /**
+   * Get IDs of chains enabled for collection
+   * @param {Object} options - Passed to getChains
+   * @returns {Promise<Array<string>>} Enabled chain IDs
+   */
+  static async getEnabledChainIds(options = {}) {
+    const chains = await this.getChains(options);
+    return chains.filter(chain => chain.enabled).map(chain => chain.chainId);
+  }
+
+  /**
+   * Get a single chain by ID
+   * @param {string} chainId - Chain ID
+   * @param {Object} options - Passed to getChains
+   * @returns {Promise<Object|null>} Chain record
+   */
+  static async getChain(chainId, options = {}) {
+    const chains = await this.getChains(options);
+    return chains.find(chain => chain.chainId === chainId) || null;
+  }
+
+  /**
+   * Drop the cached registry so the next read reloads it
+   */
+  static invalidate() {
+    this.cache = null;
+    this.cacheTimestamp = 0;
+  }
+}
+
+module.exports = ChainRegistryService;
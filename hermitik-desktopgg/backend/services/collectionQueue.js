@@ -0,0 +1,380 @@
+/**
+ * Collection Queue Service
+ * Runs snapshot collection as persistent CollectionJob documents instead of an
+ * in-memory loop. Each wallet is tracked with its own status, attempt count
+ * and last error; failed wallets are retried with exponential backoff, and a
+ * job whose worker died (no heartbeat) is picked up again by the next worker.
+ *
+ * Jobs only collect for their own snapshot day: when a resumed job's day has
+ * already ended, its remaining wallets are failed rather than collected with
+ * data from a later day (use the snapshot backfill for those days).
+ *
+ * Each job also stores the day's benchmark values (BenchmarkService), so the
+ * series has a point for every day collection ran.
+ */
+
+const os = require('os');
+const CollectionJob = require('../models/CollectionJob');
+const User = require('../models/User');
+const SnapshotCollector = require('./snapshotCollector');
+const DailyDataCollectionService = require('./dailyDataCollection');
+const BenchmarkService = require('./benchmark');
+
+class CollectionQueueService {
+
+  static WORKER_ID = `${os.hostname()}:${process.pid}`;
+  static HEARTBEAT_INTERVAL = 30 * 1000; // 30 seconds
+  static HEARTBEAT_TIMEOUT = 2 * 60 * 1000; // job is orphaned after 2 minutes without a heartbeat
+  static RETRY_BASE_DELAY = 30 * 1000; // 30s, 60s, 120s, ...
+  static WALLET_DELAY = 3000; // between wallets, to respect upstream rate limits
+  static SWEEP_INTERVAL = 60 * 1000; // 1 minute
+
+  static activeJobId = null;
+  static sweepTimer = null;
+
+  static async delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Latest job that is queued or still being worked on
+   * @param {Date} snapshotDate - Only consider jobs for this snapshot day
+   * @returns {Promise<Object|null>} Active job
+   */
+  static async getActiveJob(snapshotDate = null) {
+    return CollectionJob.findOne({
+      status: { $in: ['queued', 'running'] },
+      ...(snapshotDate && { snapshotDate })
+    }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Whether this process is currently working on a job
+   * @returns {boolean}
+   */
+  static isProcessing() {
+    return this.activeJobId !== null;
+  }
+
+  /**
+   * Create a collection job for every user wallet, unless one is already active
+   * @param {Object} options - { trigger, force, requestedBy, date }
+   * @returns {Promise<Object>} { job, created }
+   */
+  static async enqueue(options = {}) {
+    const { trigger = 'manual', force = false, requestedBy, date = new Date() } = options;
+
+    const snapshotDate = SnapshotCollector.getSnapshotDate(date);
+
+    const activeJob = await this.getActiveJob(snapshotDate);
+    if (activeJob) {
+      return { job: activeJob, created: false };
+    }
+
+    const users = await User.find({ wallets: { $exists: true, $ne: [] } }).select('_id wallets').lean();
+    const seen = new Set();
+    const wallets = [];
+
+    for (const user of users) {
+      for (const wallet of user.wallets) {
+        const walletAddress = (wallet || '').trim().toLowerCase();
+        const walletKey = `${user._id}-${walletAddress}`;
+        if (walletAddress && !seen.has(walletKey)) {
+          seen.add(walletKey);
+          wallets.push({ userId: user._id, walletAddress });
+        }
+      }
+    }
+
+    let job;
+    try {
+      job = await CollectionJob.create({
+        trigger,
+        force,
+        requestedBy,
+        snapshotDate,
+        wallets
+      });
+    } catch (error) {
+      // Another trigger created the day's job between the check above and here
+      if (error.code === 11000) {
+        return { job: await this.getActiveJob(snapshotDate), created: false };
+      }
+      throw error;
+    }
+
+    console.log(`📥 Queued ${trigger} collection job ${job._id} for ${wallets.length} wallet(s)`);
+    return { job, created: true };
+  }
+
+  /**
+   * Take ownership of a job that is queued or whose worker stopped heartbeating
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Claimed job, or null if another worker owns it
+   */
+  static async claimJob(jobId) {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - this.HEARTBEAT_TIMEOUT);
+
+    const job = await CollectionJob.findOneAndUpdate(
+      {
+        _id: jobId,
+        $or: [
+          { status: 'queued' },
+          { status: 'running', heartbeatAt: { $lt: staleBefore } },
+          { status: 'running', workerId: this.WORKER_ID }
+        ]
+      },
+      { $set: { status: 'running', workerId: this.WORKER_ID, heartbeatAt: now } },
+      { new: true }
+    );
+
+    if (!job) return null;
+
+    if (!job.startedAt) {
+      job.startedAt = now;
+    } else {
+      // Resuming: the previous worker died mid-wallet, so retry that wallet
+      job.resumeCount += 1;
+      job.wallets.forEach(wallet => {
+        if (wallet.status === 'running') {
+          wallet.status = 'retrying';
+          wallet.nextAttemptAt = now;
+          wallet.lastError = wallet.lastError || 'Interrupted by worker restart';
+        }
+      });
+      console.log(`♻️ Resuming collection job ${job._id} (resume #${job.resumeCount})`);
+    }
+
+    await job.save();
+    return job;
+  }
+
+  /**
+   * Work through a job's wallets until each one succeeded, was skipped or failed
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Finished job, or null if it could not be claimed
+   */
+  static async processJob(jobId) {
+    if (this.activeJobId) {
+      console.log(`⏳ Worker is busy with job ${this.activeJobId}, not starting ${jobId}`);
+      return null;
+    }
+
+    const job = await this.claimJob(jobId);
+    if (!job) return null;
+
+    this.activeJobId = String(job._id);
+    const heartbeat = setInterval(() => {
+      CollectionJob.updateOne({ _id: job._id, workerId: this.WORKER_ID }, { $set: { heartbeatAt: new Date() } })
+        .catch(error => console.error('❌ Collection job heartbeat failed:', error.message));
+    }, this.HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+
+    try {
+      this.expireIfDayEnded(job);
+      await this.collectBenchmarks(job);
+
+      let wallet;
+      while ((wallet = await this.nextWallet(job))) {
+        await this.processJobWallet(job, wallet);
+        await this.delay(this.WALLET_DELAY);
+      }
+
+      const progress = job.getProgress();
+      job.status = progress.failed > 0 ? 'completed_with_errors' : 'completed';
+      job.completedAt = new Date();
+      job.heartbeatAt = new Date();
+      await job.save();
+
+      console.log(`✅ Collection job ${job._id} finished: ${progress.succeeded} collected, ${progress.skipped} skipped, ${progress.failed} failed`);
+      return job;
+
+    } finally {
+      clearInterval(heartbeat);
+      this.activeJobId = null;
+    }
+  }
+
+  /**
+   * Store the benchmark values for a job's snapshot day while that day lasts
+   * @param {Object} job - CollectionJob document
+   */
+  static async collectBenchmarks(job) {
+    if (job.snapshotDate < SnapshotCollector.getSnapshotDate(new Date())) return;
+
+    try {
+      const benchmark = await BenchmarkService.collectDaily(job.snapshotDate);
+      if (benchmark) console.log(`📈 Stored benchmarks for ${job.snapshotDate.toISOString().split('T')[0]}`);
+    } catch (error) {
+      console.error('❌ Error collecting benchmarks:', error.message);
+    }
+  }
+
+  /**
+   * Fail the remaining wallets of a job whose snapshot day is over
+   * @param {Object} job - CollectionJob document
+   */
+  static expireIfDayEnded(job) {
+    if (job.snapshotDate >= SnapshotCollector.getSnapshotDate(new Date())) return;
+
+    job.wallets.forEach(wallet => {
+      if (['pending', 'running', 'retrying'].includes(wallet.status)) {
+        wallet.status = 'failed';
+        wallet.lastError = `Snapshot day ${job.snapshotDate.toISOString().split('T')[0]} ended before the wallet was collected`;
+        wallet.nextAttemptAt = undefined;
+        wallet.completedAt = new Date();
+      }
+    });
+  }
+
+  /**
+   * Pick the next wallet to collect, waiting for retry backoff when needed
+   * @param {Object} job - CollectionJob document
+   * @returns {Promise<Object|null>} Job wallet subdocument, or null when all are done
+   */
+  static async nextWallet(job) {
+    for (;;) {
+      const pending = job.wallets.find(wallet => wallet.status === 'pending');
+      if (pending) return pending;
+
+      const retrying = job.wallets
+        .filter(wallet => wallet.status === 'retrying')
+        .sort((a, b) => (a.nextAttemptAt || 0) - (b.nextAttemptAt || 0));
+      if (!retrying.length) return null;
+
+      const waitMs = (retrying[0].nextAttemptAt || 0) - Date.now();
+      if (waitMs <= 0) return retrying[0];
+
+      await this.delay(Math.min(waitMs, this.HEARTBEAT_INTERVAL));
+      this.expireIfDayEnded(job);
+    }
+  }
+
+  /**
+   * Collect one wallet of a job and record the outcome
+   * @param {Object} job - CollectionJob document
+   * @param {Object} wallet - Job wallet subdocument
+   */
+  static async processJobWallet(job, wallet) {
+    wallet.status = 'running';
+    wallet.attempts += 1;
+    wallet.startedAt = new Date();
+    wallet.nextAttemptAt = undefined;
+    job.heartbeatAt = new Date();
+    await job.save();
+
+    try {
+      const { snapshot, skipped } = await DailyDataCollectionService.processWallet(wallet.userId, wallet.walletAddress, {
+        force: job.force,
+        date: job.snapshotDate
+      });
+
+      wallet.status = skipped ? 'skipped' : 'succeeded';
+      wallet.navUsd = snapshot.totalNavUsd;
+      wallet.snapshotVersion = snapshot.snapshotVersion;
+      wallet.lastError = undefined;
+      wallet.completedAt = new Date();
+
+    } catch (error) {
+      wallet.lastError = error.message;
+
+      if (wallet.attempts < job.maxAttempts) {
+        const retryDelay = this.RETRY_BASE_DELAY * Math.pow(2, wallet.attempts - 1);
+        wallet.status = 'retrying';
+        wallet.nextAttemptAt = new Date(Date.now() + retryDelay);
+        console.log(`🔁 Wallet ${wallet.walletAddress} failed (attempt ${wallet.attempts}/${job.maxAttempts}), retrying in ${Math.round(retryDelay / 1000)}s`);
+      } else {
+        wallet.status = 'failed';
+        wallet.completedAt = new Date();
+        console.error(`❌ Wallet ${wallet.walletAddress} failed after ${wallet.attempts} attempt(s): ${error.message}`);
+      }
+    }
+
+    job.heartbeatAt = new Date();
+    await job.save();
+  }
+
+  /**
+   * Resume any job left running by a crashed worker, or still queued
+   * @returns {Promise<Object|null>} Finished job, if one was resumed
+   */
+  static async resumeInterruptedJobs() {
+    if (this.activeJobId) return null;
+
+    const staleBefore = new Date(Date.now() - this.HEARTBEAT_TIMEOUT);
+    const job = await CollectionJob.findOne({
+      $or: [
+        { status: 'queued' },
+        { status: 'running', heartbeatAt: { $lt: staleBefore } },
+        { status: 'running', workerId: this.WORKER_ID }
+      ]
+    }).sort({ createdAt: 1 });
+
+    if (!job) return null;
+    return this.processJob(job._id);
+  }
+
+  /**
+   * Periodically pick up queued and orphaned jobs
+   */
+  static startWorker() {
+    if (this.sweepTimer) return;
+
+    const sweep = () => {
+      this.resumeInterruptedJobs().catch(error => {
+        console.error('❌ Error resuming collection jobs:', error.message);
+      });
+    };
+
+    this.sweepTimer = setInterval(sweep, this.SWEEP_INTERVAL);
+    this.sweepTimer.unref();
+    sweep();
+
+    console.log(`👷 Collection queue worker started (${this.WORKER_ID})`);
+  }
+
+  /**
+   * Results of a job in the shape returned by runDailyCollection
+   * @param {Object} job - CollectionJob document
+   * @returns {Array} Per-wallet results
+   */
+  static toResults(job) {
+    return job.wallets.map(wallet => ({
+      userId: wallet.userId,
+      wallet: wallet.walletAddress,
+      success: wallet.status === 'succeeded' || wallet.status === 'skipped',
+      status: wallet.status,
+      attempts: wallet.attempts,
+      ...(wallet.navUsd !== undefined && { navUsd: wallet.navUsd }),
+      ...(wallet.snapshotVersion && { snapshotVersion: wallet.snapshotVersion }),
+      ...(wallet.lastError && wallet.status === 'failed' && { error: wallet.lastError })
+    }));
+  }
+
+  /**
+   * Admin view of a job
+   * @param {Object} job - CollectionJob document
+   * @param {boolean} includeWallets - Include per-wallet rows
+   * @returns {Object} Job summary
+   */
+  static formatJob(job, includeWallets = false) {
+    return {
+      jobId: job._id,
+      trigger: job.trigger,
+      status: job.status,
+      snapshotDate: job.snapshotDate.toISOString().split('T')[0],
+      force: job.force,
+      workerId: job.workerId,
+      heartbeatAt: job.heartbeatAt,
+      resumeCount: job.resumeCount,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      createdAt: job.createdAt,
+      progress: job.getProgress(),
+      ...(includeWallets && { wallets: job.wallets.map(wallet => wallet.toObject()) })
+    };
+  }
+}
+
+module.exports = CollectionQueueService;
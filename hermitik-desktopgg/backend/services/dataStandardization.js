@@ -1,86 +1,9 @@
 // services/dataStandardization.js - FIXED VERSION
 const DailySnapshot = require('../models/DailySnapshot');
-const BenchmarkData = require('../models/BenchmarkData');
 const axios = require('axios');
 
 class DataStandardizationService {
   
-  /**
-   * Standardize raw portfolio data according to requirements
-   */
-  static standardizePortfolioData(rawPortfolioData, userId, walletAddress) {
-    const { tokens, protocols, summary } = rawPortfolioData;
-    
-    // Standardize tokens
-    const standardizedTokens = tokens.map(token => ({
-      symbol: token.symbol,
-      name: token.name,
-      chain: token.chain,
-      amount: token.amount || 0,
-      price: token.price || 0,
-      usdValue: token.usd_value || 0,
-      decimals: token.decimals,
-      logoUrl: token.logo_url
-    }));
-    
-    // Standardize positions
-    const standardizedPositions = [];
-    
-    protocols.forEach(protocol => {
-      protocol.positions?.forEach(position => {
-        // Determine position type
-        let positionType = 'LP'; // Default
-        if (position.position_name?.toLowerCase().includes('lending')) {
-          positionType = 'Lending';
-        } else if (position.position_name?.toLowerCase().includes('borrow')) {
-          positionType = 'Borrowing';
-        } else if (position.position_name?.toLowerCase().includes('farm')) {
-          positionType = 'Yield Farm';
-        }
-        
-        const supplyTokens = (position.tokens || []).map(token => ({
-          symbol: token.symbol,
-          amount: token.amount || 0,
-          price: token.usd_value / (token.amount || 1), // Calculate price
-          usdValue: token.usd_value || 0
-        }));
-        
-        const rewardTokens = (position.rewards || []).map(token => ({
-          symbol: token.symbol,
-          amount: token.amount || 0,
-          price: token.usd_value / (token.amount || 1),
-          usdValue: token.usd_value || 0
-        }));
-        
-        const totalUsdValue = 
-          supplyTokens.reduce((sum, t) => sum + t.usdValue, 0) +
-          rewardTokens.reduce((sum, t) => sum + t.usdValue, 0);
-        
-        standardizedPositions.push({
-          protocolId: protocol.protocol_id,
-          protocolName: protocol.name,
-          chain: protocol.chain,
-          positionType,
-          supplyTokens,
-          rewardTokens,
-          totalUsdValue,
-          dailyApy: null // Will be calculated later
-        });
-      });
-    });
-    
-    return {
-      userId,
-      walletAddress,
-      date: new Date(),
-      totalNavUsd: summary.total_usd_value,
-      tokensNavUsd: summary.token_usd_value,
-      positionsNavUsd: summary.protocol_usd_value,
-      tokens: standardizedTokens,
-      positions: standardizedPositions
-    };
-  }
-  
   /**
    * Calculate daily APY for positions
    */
@@ -137,13 +60,16 @@ class DataStandardizationService {
   
   /**
    * Calculate portfolio performance metrics
+   * @param {Date} beforeDate - Only use snapshots strictly before this date, so
+   *   re-collecting a day does not compare the snapshot against itself
    */
-  static async calculatePerformanceMetrics(userId, walletAddress, currentNavUsd) {
+  static async calculatePerformanceMetrics(userId, walletAddress, currentNavUsd, beforeDate = null) {
     try {
       // Get previous snapshots for calculations
       const snapshots = await DailySnapshot.find({
         userId,
-        walletAddress
+        walletAddress,
+        ...(beforeDate && { date: { $lt: beforeDate } })
       }).sort({ date: -1 }).limit(365); // Get up to 1 year of data
       
       if (snapshots.length === 0) {
@@ -235,115 +161,6 @@ class DataStandardizationService {
       };
     }
   }
-  
-  /**
-   * Fetch benchmark data (USDC lending rate on Aave) with caching
-   */
-  static benchmarkCache = { rate: 3.5, timestamp: 0 };
-  static BENCHMARK_CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
-  
-  static async fetchBenchmarkData() {
-    try {
-      const now = Date.now();
-      
-      // Use cached rate if available and not expired
-      if (this.benchmarkCache.timestamp && 
-          (now - this.benchmarkCache.timestamp) < this.BENCHMARK_CACHE_DURATION) {
-        return this.benchmarkCache.rate;
-      }
-      
-      // For now, using a static rate. In production, fetch from Aave API
-      const benchmarkRate = 3.5; // 3.5% APY
-      
-      // Update cache
-      this.benchmarkCache = { rate: benchmarkRate, timestamp: now };
-      
-      // Save to database (upsert for today)
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      await BenchmarkData.findOneAndUpdate(
-        { date: today },
-        {
-          date: today,
-          aaveUsdcRate: benchmarkRate,
-          updatedAt: new Date()
-        },
-        { upsert: true }
-      );
-      
-      return benchmarkRate;
-    } catch (error) {
-      console.error('Error fetching benchmark data:', error);
-      return this.benchmarkCache.rate || 3.5; // Default fallback rate
-    }
-  }
-  
-  /**
-   * Save standardized daily snapshot (FIXED to prevent duplicates)
-   */
-  static async saveDailySnapshot(standardizedData) {
-    try {
-      // Set date to midnight for consistency
-      const snapshotDate = new Date();
-      snapshotDate.setHours(0, 0, 0, 0);
-      
-      // Check if snapshot already exists for today
-      const existingSnapshot = await DailySnapshot.findOne({
-        userId: standardizedData.userId,
-        walletAddress: standardizedData.walletAddress,
-        date: snapshotDate
-      });
-      
-      if (existingSnapshot) {
-        console.log(`✅ Snapshot already exists for ${standardizedData.walletAddress} on ${snapshotDate.toISOString().split('T')[0]}, updating...`);
-      }
-      
-      // Calculate performance metrics
-      const performanceMetrics = await this.calculatePerformanceMetrics(
-        standardizedData.userId,
-        standardizedData.walletAddress,
-        standardizedData.totalNavUsd
-      );
-      
-      // Calculate position APYs
-      const updatedPositions = await this.calculatePositionAPY(
-        standardizedData.userId,
-        standardizedData.walletAddress,
-        standardizedData.positions
-      );
-      
-      // Fetch benchmark data
-      const benchmarkRate = await this.fetchBenchmarkData();
-      
-      // Prepare final snapshot data
-      const snapshotData = {
-        ...standardizedData,
-        ...performanceMetrics,
-        positions: updatedPositions,
-        benchmarkRate,
-        date: snapshotDate
-      };
-      
-      // Upsert (update if exists, create if not)
-      const snapshot = await DailySnapshot.findOneAndUpdate(
-        {
-          userId: snapshotData.userId,
-          walletAddress: snapshotData.walletAddress,
-          date: snapshotData.date
-        },
-        snapshotData,
-        { upsert: true, new: true }
-      );
-      
-      console.log(`✅ Saved daily snapshot for ${snapshotData.walletAddress} on ${snapshotData.date.toISOString().split('T')[0]}`);
-      return snapshot;
-      
-    } catch (error) {
-      console.error('Error saving daily snapshot:', error);
-      throw error;
-    }
-  }
 }
 
 module.exports = DataStandardizationService;
\ No newline at end of file
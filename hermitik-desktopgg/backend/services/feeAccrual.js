@@ -0,0 +1,305 @@
+/**
+ * Fee Accrual Service
+ * Management fees accrued day by day on NAV instead of charged once on the
+ * month-end total assets, so capital subscribed or redeemed mid-month pays
+ * only for the days it was invested.
+ *
+ *   Daily NAV base   the day's snapshot total, or the latest snapshot within
+ *                    MAX_SNAPSHOT_AGE_DAYS rolled forward by the ledger flows
+ *                    dated after it
+ *   Daily rate       managementFeeRate (monthly) x 12 / 365
+ *   Daily accrual    NAV base x daily rate
+ *
+ * Each month's accruals roll up into a FeeInvoice once the month has ended.
+ * Payments are recorded against the invoice; what is still outstanding at
+ * the end of a later month is that month's management fees payable, carried
+ * in the NAV as a liability.
+ */
+
+const FeeAccrual = require('../models/FeeAccrual');
+const FeeInvoice = require('../models/FeeInvoice');
+const NAVSettings = require('../models/NAVSettings');
+const NAVEngine = require('./navEngine');
+const ReturnsEngine = require('./returnsEngine');
+const CapitalAccountService = require('./capitalAccount');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class FeeAccrualService {
+
+  // managementFeeRate is charged per month
+  static PERIODS_PER_YEAR = 12;
+  static DAYS_PER_YEAR = 365;
+  static MAX_SNAPSHOT_AGE_DAYS = 7;
+
+  /**
+   * Daily equivalent of a monthly management fee rate
+   * @param {number} managementFeeRate - Monthly rate, e.g. 0.005
+   * @returns {number} Daily rate
+   */
+  static dailyRate(managementFeeRate) {
+    return managementFeeRate * this.PERIODS_PER_YEAR / this.DAYS_PER_YEAR;
+  }
+
+  /**
+   * Fee settings in force for a month: the month's own, else the latest
+   * earlier month's, else the defaults
+   * @param {string} userId - User ID
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @returns {Promise<Object>} Normalized fee settings
+   */
+  static async getFeeSettings(userId, year, month) {
+    const settings = await NAVSettings.findCurrent(userId, year, month)
+      || await NAVSettings.findOne({
+        userId,
+        $or: [{ year: { $lt: year } }, { year, month: { $lt: month } }]
+      }).sort({ year: -1, month: -1, version: -1 });
+
+    return NAVEngine.normalizeFeeSettings(settings?.feeSettings || {});
+  }
+
+  /**
+   * NAV base for each day of a range, from snapshots and ledger flows
+   * @param {string} userId - User ID
+   * @param {Date} start - First day
+   * @param {Date} end - Exclusive end
+   * @returns {Promise<Array>} [{ date, navBase, navSource, snapshotDate }] oldest first; days
+   *   without a recent enough snapshot are left out
+   */
+  static async getDailyNavBases(userId, start, end) {
+    const lookback = new Date(ReturnsEngine.dayKey(start) - this.MAX_SNAPSHOT_AGE_DAYS * DAY_MS);
+    const [valuations, transactions] = await Promise.all([
+      ReturnsEngine.getDailyValuations(userId, { start: lookback, end: new Date(end.getTime() - 1) }),
+      CapitalAccountService.getTransactions(userId, { start: lookback, end })
+    ]);
+
+    const bases = [];
+    let latest = null;
+    let index = 0;
+
+    for (let day = ReturnsEngine.dayKey(start); day < end.getTime(); day += DAY_MS) {
+      while (index < valuations.length && valuations[index].date.getTime() <= day) {
+        latest = valuations[index];
+        index += 1;
+      }
+      if (!latest || day - latest.date.getTime() > this.MAX_SNAPSHOT_AGE_DAYS * DAY_MS) continue;
+
+      // A flow dated on a snapshot's day is already in that snapshot
+      const flows = transactions
+        .filter(transaction => {
+          const flowDay = ReturnsEngine.dayKey(transaction.date);
+          return flowDay > latest.date.getTime() && flowDay <= day;
+        })
+        .reduce((sum, transaction) => sum + CapitalAccountService.signedAmount(transaction), 0);
+
+      bases.push({
+        date: new Date(day),
+        navBase: Math.max(0, latest.value + flows),
+        navSource: latest.date.getTime() === day ? 'snapshot' : 'rolled_forward',
+        snapshotDate: latest.date
+      });
+    }
+
+    return bases;
+  }
+
+  /**
+   * A month's daily accruals, calculated without saving them
+   * @param {string} userId - User ID
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @param {Object} options - { managementFeeRate } to use instead of the month's fee settings
+   * @returns {Promise<Object>} { year, month, managementFeeRate, dailyRate, accruals, total, days, averageNav, throughDate }
+   */
+  static async calculateMonth(userId, year, month, { managementFeeRate } = {}) {
+    const range = CapitalAccountService.monthRange(year, month);
+    const rate = managementFeeRate ?? (await this.getFeeSettings(userId, year, month)).managementFeeRate;
+    const dailyRate = this.dailyRate(rate);
+
+    // The current month accrues up to and including today
+    const end = new Date(Math.min(range.end.getTime(), ReturnsEngine.dayKey(new Date()) + DAY_MS));
+    const bases = range.start < end ? await this.getDailyNavBases(userId, range.start, end) : [];
+
+    const accruals = bases.map(base => ({
+      ...base,
+      managementFeeRate: rate,
+      dailyRate,
+      amount: base.navBase * dailyRate
+    }));
+
+    return {
+      year,
+      month,
+      managementFeeRate: rate,
+      dailyRate,
+      accruals,
+      total: accruals.reduce((sum, accrual) => sum + accrual.amount, 0),
+      days: accruals.length,
+      averageNav: accruals.length ? accruals.reduce((sum, accrual) => sum + accrual.navBase, 0) / accruals.length : 0,
+      throughDate: new Date(end.getTime() - DAY_MS)
+    };
+  }
+
+  /**
+   * Calculate and store a month's accruals. Days already on an invoice are
+   * left as invoiced.
+   * @param {string} userId - User ID
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @returns {Promise<Object>} Result of calculateMonth() plus { stored, invoiced }
+   */
+  static async accrueMonth(userId, year, month) {
+    const result = await this.calculateMonth(userId, year, month);
+    const { start, end } = CapitalAccountService.monthRange(year, month);
+
+    const invoiced = await FeeAccrual.find({
+      userId,
+      feeType: 'management',
+      date: { $gte: start, $lt: end },
+      invoiceId: { $ne: null }
+    }).select('date').lean();
+    const invoicedDays = new Set(invoiced.map(accrual => accrual.date.getTime()));
+
+    const operations = result.accruals
+      .filter(accrual => !invoicedDays.has(accrual.date.getTime()))
+      .map(accrual => ({
+        updateOne: {
+          filter: { userId, feeType: 'management', date: accrual.date },
+          update: { $set: { ...accrual, userId, feeType: 'management' } },
+          upsert: true
+        }
+      }));
+
+    // Days that no longer have a NAV base lose their old accrual
+    await FeeAccrual.deleteMany({
+      userId,
+      feeType: 'management',
+      date: { $gte: start, $lt: end, $nin: result.accruals.map(accrual => accrual.date) },
+      invoiceId: null
+    });
+    if (operations.length) await FeeAccrual.bulkWrite(operations);
+
+    return { ...result, stored: operations.length, invoiced: invoicedDays.size };
+  }
+
+  /**
+   * Roll a month's accruals up into its invoice. The month must have ended
+   * and not be invoiced yet.
+   * @param {string} userId - User ID
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @param {string} issuedBy - Admin user ID
+   * @returns {Promise<Object>} FeeInvoice
+   */
+  static async generateInvoice(userId, year, month, issuedBy) {
+    const { start, end } = CapitalAccountService.monthRange(year, month);
+    if (end > new Date()) {
+      throw new Error('Fees can only be invoiced once the month has ended');
+    }
+    if (await FeeInvoice.exists({ userId, feeType: 'management', year, month })) {
+      throw new Error(`Management fees for ${year}-${String(month).padStart(2, '0')} are already invoiced`);
+    }
+
+    const { days, averageNav } = await this.accrueMonth(userId, year, month);
+    const accruals = await FeeAccrual.find({ userId, feeType: 'management', date: { $gte: start, $lt: end } }).lean();
+
+    const invoice = await FeeInvoice.create({
+      userId,
+      year,
+      month,
+      feeType: 'management',
+      accruedAmount: accruals.reduce((sum, accrual) => sum + accrual.amount, 0),
+      accrualDays: days,
+      averageNav,
+      issuedBy
+    });
+    await FeeAccrual.updateMany({ _id: { $in: accruals.map(accrual => accrual._id) } }, { $set: { invoiceId: invoice._id } });
+
+    return invoice;
+  }
+
+  /**
+   * Record a payment against an invoice
+   * @param {Object} invoice - FeeInvoice document
+   * @param {Object} payment - { amount, date, reference, note }
+   * @param {string} recordedBy - Admin user ID
+   * @returns {Promise<Object>} Updated FeeInvoice
+   */
+  static async recordPayment(invoice, { amount, date = new Date(), reference, note }, recordedBy) {
+    if (amount > invoice.outstandingAmount + 0.005) {
+      throw new Error(`Payment of ${NAVEngine.formatUsd(amount)} is more than the ${NAVEngine.formatUsd(invoice.outstandingAmount)} outstanding`);
+    }
+
+    invoice.payments.push({ amount, date, reference, note, recordedBy });
+    return invoice.save();
+  }
+
+  /**
+   * Management fees still owed at a date on invoices for months before a given one
+   * @param {string} userId - User ID
+   * @param {number} year - Year of the month the balance is carried into
+   * @param {number} month - Month (1-12)
+   * @param {Date} asOf - Payments on or after this date don't count (default: the month's end)
+   * @returns {Promise<Object>} { payable, invoices: [{ _id, year, month, accruedAmount, paidAmount, outstandingAmount }] }
+   */
+  static async getPayable(userId, year, month, asOf = CapitalAccountService.monthRange(year, month).end) {
+    const invoices = await FeeInvoice.find({
+      userId,
+      feeType: 'management',
+      $or: [{ year: { $lt: year } }, { year, month: { $lt: month } }]
+    }).sort({ year: 1, month: 1 }).lean();
+
+    const balances = invoices
+      .map(invoice => {
+        const paidAmount = invoice.payments
+          .filter(payment => new Date(payment.date) < asOf)
+          .reduce((sum, payment) => sum + payment.amount, 0);
+        return {
+          _id: invoice._id,
+          year: invoice.year,
+          month: invoice.month,
+          accruedAmount: invoice.accruedAmount,
+          paidAmount,
+          outstandingAmount: Math.max(0, invoice.accruedAmount - paidAmount)
+        };
+      })
+      .filter(balance => balance.outstandingAmount >= 0.005);
+
+    return {
+      payable: balances.reduce((sum, balance) => sum + balance.outstandingAmount, 0),
+      invoices: balances
+    };
+  }
+
+  /**
+   * Management fee figures for a month's NAV: the fee accrued in the month
+   * and the unpaid fees of earlier months
+   * @param {string} userId - User ID
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @param {Object} options - { managementFeeRate } to accrue at instead of the month's fee settings
+   * @returns {Promise<Object|null>} { accruedManagementFee, accrualDays, invoiced, managementFeesPayable, payableInvoices },
+   *   with accruedManagementFee null when no day had a NAV base; null without a user or month
+   */
+  static async getMonthFees(userId, year, month, { managementFeeRate } = {}) {
+    if (!userId || !year || !month) return null;
+
+    const invoice = await FeeInvoice.findOne({ userId, feeType: 'management', year, month }).lean();
+    const [accrued, payable] = await Promise.all([
+      invoice ? null : this.calculateMonth(userId, year, month, { managementFeeRate }),
+      this.getPayable(userId, year, month)
+    ]);
+
+    const accrualDays = invoice ? invoice.accrualDays : accrued.days;
+    return {
+      accruedManagementFee: accrualDays ? (invoice ? invoice.accruedAmount : accrued.total) : null,
+      accrualDays,
+      invoiced: Boolean(invoice),
+      managementFeesPayable: payable.payable,
+      payableInvoices: payable.invoices
+    };
+  }
+}
+
+module.exports = FeeAccrualService;
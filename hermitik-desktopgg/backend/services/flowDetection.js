@@ -0,0 +1,358 @@
+/**
+ * Flow Detection Service
+ * Proposes deposits and withdrawals for admin review instead of net flows
+ * being typed in by hand. Two sources:
+ *
+ *   Transaction history   plain transfers between a wallet and an external
+ *                         address, from the portfolio provider (DeBank
+ *                         /user/history_list, or fixtures / recorded responses
+ *                         when running locally). Protocol interactions, failed
+ *                         transactions, scam tokens and transfers between the
+ *                         user's own wallets are skipped.
+ *   Snapshot changes      a day-over-day change in a wallet's snapshot that
+ *                         prices don't explain, on days the history has no
+ *                         candidate for. Proposed with low confidence.
+ *
+ * Transfers are valued at the token's recorded price at the transaction time,
+ * falling back to the provider's price. Re-running detection refreshes pending
+ * candidates and leaves reviewed ones alone.
+ */
+
+const DailySnapshot = require('../models/DailySnapshot');
+const FlowCandidate = require('../models/FlowCandidate');
+const CapitalTransaction = require('../models/CapitalTransaction');
+const User = require('../models/User');
+const ChainRegistry = require('./chainRegistry');
+const HistoricalPriceService = require('./historicalPrice');
+const { getPortfolioProvider } = require('./providers');
+const { AppError } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class FlowDetectionService {
+
+  // History pages fetched per wallet and chain (20 transactions each)
+  static MAX_HISTORY_PAGES = 10;
+
+  // Transfers worth less than this are ignored
+  static MIN_FLOW_USD = 10;
+
+  // Unexplained snapshot changes must exceed both of these to be proposed
+  static SNAPSHOT_MIN_USD = 1000;
+  static SNAPSHOT_MIN_RATIO = 0.1;
+
+  /**
+   * Provider transaction history for a wallet and chain within a date range
+   * @param {string} walletAddress - Wallet address
+   * @param {string} chainId - Chain ID
+   * @param {Date} start - Range start
+   * @param {Date} end - Range end
+   * @returns {Promise<Object>} { items, tokenDict }
+   */
+  static async fetchHistory(walletAddress, chainId, start, end) {
+    const provider = getPortfolioProvider();
+    const startSeconds = Math.floor(start.getTime() / 1000);
+    const items = [];
+    const tokenDict = {};
+    let cursor = Math.floor(end.getTime() / 1000);
+
+    // Pages run newest first; stop once a page reaches back past the start
+    for (let page = 0; page < this.MAX_HISTORY_PAGES; page++) {
+      const response = await provider.getTransactionHistory(walletAddress, chainId, { startTime: cursor });
+      const pageItems = response?.history_list || [];
+      Object.assign(tokenDict, response?.token_dict || {});
+
+      items.push(...pageItems.filter(item => item.time_at >= startSeconds));
+
+      const oldest = Math.min(...pageItems.map(item => item.time_at));
+      if (pageItems.length < 20 || !Number.isFinite(oldest) || oldest < startSeconds) break;
+      cursor = oldest;
+    }
+
+    return { items, tokenDict };
+  }
+
+  /**
+   * Value a token amount at a point in time
+   * @param {string} chainId - Chain ID
+   * @param {string} tokenId - Token address or native token ID
+   * @param {number} amount - Token amount
+   * @param {Date} at - Transaction time
+   * @param {Object} tokenInfo - Provider token_dict entry
+   * @returns {Promise<Object>} FlowToken fields
+   */
+  static async valueToken(chainId, tokenId, amount, at, tokenInfo = {}) {
+    const quote = await HistoricalPriceService.getPriceAt(chainId, tokenId, at);
+    const price = quote ? quote.price : (tokenInfo.price || 0);
+
+    return {
+      symbol: tokenInfo.optimized_symbol || tokenInfo.symbol,
+      tokenId,
+      amount,
+      price,
+      priceSource: quote ? quote.source : 'provider',
+      usdValue: amount * price
+    };
+  }
+
+  /**
+   * Candidate flows in one wallet's transaction history
+   * @param {string} walletAddress - Wallet address (lowercase)
+   * @param {string} chainId - Chain ID
+   * @param {Object} history - { items, tokenDict } from fetchHistory
+   * @param {Set} ownWallets - The user's wallets (lowercase)
+   * @returns {Promise<Array>} Candidate fields
+   */
+  static async parseHistory(walletAddress, chainId, { items, tokenDict }, ownWallets) {
+    const candidates = [];
+
+    for (const item of items) {
+      // Failed transactions, approvals and protocol interactions move no capital in or out
+      if (item.tx?.status === 0 || item.cate_id === 'approve' || item.project_id) continue;
+
+      const at = new Date(item.time_at * 1000);
+      const legs = [
+        { direction: 'inbound', transfers: item.receives || [], counterpartyField: 'from_addr' },
+        { direction: 'outbound', transfers: item.sends || [], counterpartyField: 'to_addr' }
+      ];
+
+      for (const { direction, transfers, counterpartyField } of legs) {
+        const byCounterparty = new Map();
+
+        for (const transfer of transfers) {
+          const counterparty = (transfer[counterpartyField] || item.other_addr || '').toLowerCase();
+          const tokenInfo = tokenDict[transfer.token_id] || {};
+          if (!counterparty || ownWallets.has(counterparty) || tokenInfo.is_scam || tokenInfo.is_suspicious) continue;
+
+          const token = await this.valueToken(chainId, transfer.token_id, transfer.amount, at, tokenInfo);
+          const tokens = byCounterparty.get(counterparty) || [];
+          tokens.push(token);
+          byCounterparty.set(counterparty, tokens);
+        }
+
+        byCounterparty.forEach((tokens, counterparty) => {
+          const usdValue = tokens.reduce((sum, token) => sum + token.usdValue, 0);
+          if (usdValue < this.MIN_FLOW_USD) return;
+
+          candidates.push({
+            walletAddress,
+            chain: chainId,
+            txHash: String(item.id).toLowerCase(),
+            date: at,
+            direction,
+            counterparty,
+            tokens,
+            usdValue,
+            source: 'transaction_history',
+            confidence: 'high'
+          });
+        });
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Candidate flows from unexplained day-over-day snapshot changes
+   * @param {string} walletAddress - Wallet address (lowercase)
+   * @param {Array} snapshots - The wallet's snapshots, oldest first
+   * @param {Set} coveredDays - Day keys that already have a history candidate
+   * @returns {Array} Candidate fields
+   */
+  static parseSnapshots(walletAddress, snapshots, coveredDays) {
+    const candidates = [];
+
+    for (let i = 1; i < snapshots.length; i++) {
+      const previous = snapshots[i - 1];
+      const current = snapshots[i];
+      const day = new Date(current.date).setUTCHours(0, 0, 0, 0);
+      if (coveredDays.has(day)) continue;
+
+      // Change explained by prices: yesterday's wallet tokens at today's prices
+      const currentPrices = new Map((current.tokens || []).map(token => [`${token.chain}:${token.address || token.symbol}`, token.price]));
+      const priceEffect = (previous.tokens || []).reduce((sum, token) => {
+        const price = currentPrices.get(`${token.chain}:${token.address || token.symbol}`);
+        return price === undefined ? sum : sum + token.amount * (price - token.price);
+      }, 0);
+
+      const change = (current.totalNavUsd || 0) - (previous.totalNavUsd || 0);
+      const unexplained = change - priceEffect;
+      const threshold = Math.max(this.SNAPSHOT_MIN_USD, this.SNAPSHOT_MIN_RATIO * (previous.totalNavUsd || 0));
+      if (Math.abs(unexplained) < threshold) continue;
+
+      candidates.push({
+        walletAddress,
+        chain: null,
+        txHash: `snapshot:${new Date(day).toISOString().slice(0, 10)}`,
+        date: new Date(day),
+        direction: unexplained > 0 ? 'inbound' : 'outbound',
+        counterparty: null,
+        tokens: [],
+        usdValue: Math.abs(unexplained),
+        source: 'snapshot_change',
+        confidence: 'low'
+      });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Detect candidate flows for a user's wallets and store them for review
+   * @param {string} userId - User ID
+   * @param {Object} options - { start, end, walletAddress }
+   * @returns {Promise<Object>} { candidates, walletsScanned, chainsScanned, errors }
+   */
+  static async detect(userId, { start, end = new Date(), walletAddress } = {}) {
+    const user = await User.findById(userId).select('wallets').lean();
+    if (!user) throw new Error(`User not found: ${userId}`);
+
+    const ownWallets = new Set((user.wallets || []).filter(Boolean).map(wallet => wallet.toLowerCase()));
+    const wallets = walletAddress ? [walletAddress.toLowerCase()] : Array.from(ownWallets);
+    const rangeStart = start || new Date(end.getTime() - 30 * DAY_MS);
+
+    // The day before the range gives the first day's snapshot a comparison
+    const snapshots = await DailySnapshot.find({
+      userId,
+      walletAddress: { $in: wallets },
+      date: { $gte: new Date(rangeStart.getTime() - DAY_MS), $lte: end }
+    })
+      .select('walletAddress date totalNavUsd tokens.chain tokens.address tokens.symbol tokens.amount tokens.price positions.chain')
+      .sort({ date: 1 })
+      .lean();
+
+    const enabledChains = await ChainRegistry.getEnabledChainIds();
+    const detected = [];
+    const errors = [];
+    let chainsScanned = 0;
+
+    for (const wallet of wallets) {
+      const walletSnapshots = snapshots.filter(snapshot => snapshot.walletAddress === wallet);
+
+      // Chains the wallet has held anything on; all enabled chains without snapshots
+      const snapshotChains = new Set(walletSnapshots.flatMap(snapshot => [
+        ...(snapshot.tokens || []).map(token => token.chain),
+        ...(snapshot.positions || []).map(position => position.chain)
+      ]).filter(Boolean));
+      const chains = snapshotChains.size ? Array.from(snapshotChains) : enabledChains;
+
+      const walletCandidates = [];
+      for (const chainId of chains) {
+        try {
+          const history = await this.fetchHistory(wallet, chainId, rangeStart, end);
+          walletCandidates.push(...await this.parseHistory(wallet, chainId, history, ownWallets));
+          chainsScanned += 1;
+        } catch (error) {
+          errors.push({ walletAddress: wallet, chain: chainId, error: error.message });
+        }
+      }
+
+      const coveredDays = new Set(walletCandidates.map(candidate => new Date(candidate.date).setUTCHours(0, 0, 0, 0)));
+      walletCandidates.push(...this.parseSnapshots(wallet, walletSnapshots, coveredDays)
+        .filter(candidate => candidate.date >= rangeStart));
+
+      detected.push(...walletCandidates);
+    }
+
+    const candidates = [];
+    for (const fields of detected) {
+      const key = {
+        userId,
+        walletAddress: fields.walletAddress,
+        chain: fields.chain,
+        txHash: fields.txHash,
+        direction: fields.direction
+      };
+
+      const existing = await FlowCandidate.findOne(key);
+      if (existing && existing.status !== 'pending') {
+        candidates.push(existing);
+        continue;
+      }
+
+      candidates.push(await FlowCandidate.findOneAndUpdate(key, { $set: fields }, { new: true, upsert: true, setDefaultsOnInsert: true }));
+    }
+
+    return { candidates, walletsScanned: wallets.length, chainsScanned, errors };
+  }
+
+  /**
+   * Accept a candidate: record it in the capital account ledger
+   * @param {Object} candidate - FlowCandidate document
+   * @param {string} reviewerId - Admin user ID
+   * @param {Object} options - { amount, note } to override the detected value
+   * @returns {Promise<Object>} { candidate, transaction }
+   */
+  static async accept(candidate, reviewerId, { amount, note } = {}) {
+    const previous = {
+      status: candidate.status,
+      reviewedBy: candidate.reviewedBy,
+      reviewedAt: candidate.reviewedAt,
+      reviewNote: candidate.reviewNote
+    };
+
+    // Claim the candidate before writing the ledger entry, so a double submit
+    // can't record the same flow twice
+    const claimed = await FlowCandidate.findOneAndUpdate(
+      { _id: candidate._id, status: { $ne: 'accepted' } },
+      { $set: { status: 'accepted', reviewedBy: reviewerId, reviewedAt: new Date(), reviewNote: note } },
+      { new: true }
+    );
+    if (!claimed) throw new AppError('Flow candidate is already accepted', 409);
+
+    let transaction;
+    try {
+      transaction = await CapitalTransaction.create({
+        userId: candidate.userId,
+        type: candidate.direction === 'inbound' ? 'subscription' : 'redemption',
+        date: candidate.date,
+        amount: amount ?? candidate.usdValue,
+        walletAddress: candidate.walletAddress,
+        reference: candidate.txHash,
+        notes: note || `Detected ${candidate.direction} transfer${candidate.counterparty ? ` ${candidate.direction === 'inbound' ? 'from' : 'to'} ${candidate.counterparty}` : ''}`,
+        recordedBy: reviewerId
+      });
+    } catch (error) {
+      // Release the claim so the candidate can be reviewed again
+      await FlowCandidate.updateOne({ _id: candidate._id, status: 'accepted' }, { $set: previous });
+      throw error;
+    }
+
+    claimed.capitalTransactionId = transaction._id;
+    await claimed.save();
+
+    return { candidate: claimed, transaction };
+  }
+
+  /**
+   * Reject a candidate; an accepted one has its ledger entry voided
+   * @param {Object} candidate - FlowCandidate document
+   * @param {string} reviewerId - Admin user ID
+   * @param {Object} options - { note }
+   * @returns {Promise<Object>} { candidate, voidedTransaction }
+   */
+  static async reject(candidate, reviewerId, { note } = {}) {
+    if (candidate.status === 'rejected') throw new Error('Flow candidate is already rejected');
+
+    let voidedTransaction = null;
+    if (candidate.capitalTransactionId) {
+      voidedTransaction = await CapitalTransaction.findOneAndUpdate(
+        { _id: candidate.capitalTransactionId, voided: { $ne: true } },
+        { voided: true, voidReason: note || 'Detected flow rejected', voidedBy: reviewerId, voidedAt: new Date() },
+        { new: true }
+      );
+    }
+
+    candidate.status = 'rejected';
+    candidate.reviewedBy = reviewerId;
+    candidate.reviewedAt = new Date();
+    candidate.reviewNote = note;
+    candidate.capitalTransactionId = undefined;
+    await candidate.save();
+
+    return { candidate, voidedTransaction };
+  }
+}
+
+module.exports = FlowDetectionService;
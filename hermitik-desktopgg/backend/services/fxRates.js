@@ -0,0 +1,288 @@
+/**
+ * FX Rate Service
+ * Daily exchange rates for presenting USD values in a user's reporting
+ * currency. USD figures stay the source of truth: snapshots, NAV settings and
+ * the capital ledger are never stored converted, values are divided by the
+ * rate only when they are shown or exported.
+ *
+ * Rates come from CoinGecko /exchange_rates through the portfolio provider
+ * (BTC-denominated, so 1 unit = rates.usd / rates[unit] USD) and are stored
+ * once a day in FxRate alongside the snapshots. ETH days without a stored rate
+ * fall back to the ETH price in BenchmarkData.
+ *
+ * Days before collection started are backfilled on first use from CoinGecko
+ * price history of HISTORY_COIN_ID (a USD stablecoin) priced in USD and in the
+ * currency: 1 unit = price in USD / price in the unit.
+ *
+ * A value is converted at the rate of its own day: the latest stored rate at
+ * or before it, or the first one after it, within MAX_RATE_AGE_DAYS.
+ */
+
+const FxRate = require('../models/FxRate');
+const BenchmarkData = require('../models/BenchmarkData');
+const { getPortfolioProvider } = require('./providers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Midnight UTC of a date's day, as in ReturnsEngine.dayKey (which converts through this service)
+const dayKey = date => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day.getTime();
+};
+
+class FxRateService {
+
+  static BASE_CURRENCY = 'USD';
+
+  static CURRENCIES = {
+    USD: { symbol: '$', decimals: 2, coinGeckoKey: 'usd' },
+    EUR: { symbol: '€', decimals: 2, coinGeckoKey: 'eur' },
+    GBP: { symbol: '£', decimals: 2, coinGeckoKey: 'gbp' },
+    ETH: { symbol: 'Ξ', decimals: 4, coinGeckoKey: 'eth' }
+  };
+
+  static MAX_RATE_AGE_DAYS = 7;
+  static HISTORY_COIN_ID = 'tether';
+
+  /**
+   * Supported currency code for a user-supplied value
+   * @param {string} currency - Currency code in any case
+   * @returns {string|null} Upper-case code, or null when unsupported
+   */
+  static normalizeCurrency(currency) {
+    const code = String(currency || '').trim().toUpperCase();
+    return this.CURRENCIES[code] ? code : null;
+  }
+
+  /**
+   * Collect today's rates and store the ones not yet stored for the day
+   * @param {Date} date - Day to store the rates under (default: today)
+   * @returns {Promise<Array>} FxRate documents stored
+   */
+  static async collectDaily(date = new Date()) {
+    const day = new Date(dayKey(date));
+    const codes = Object.keys(this.CURRENCIES).filter(code => code !== this.BASE_CURRENCY);
+    const existing = await FxRate.find({ date: day, currency: { $in: codes } }).select('currency').lean();
+    const missing = codes.filter(code => !existing.some(rate => rate.currency === code));
+    if (!missing.length) return [];
+
+    const data = await getPortfolioProvider().getExchangeRates();
+    const rates = data?.rates || {};
+    const usdValue = rates.usd?.value;
+    if (!usdValue) {
+      throw new Error('Exchange rates response has no USD rate');
+    }
+
+    const stored = [];
+    for (const code of missing) {
+      const unitValue = rates[this.CURRENCIES[code].coinGeckoKey]?.value;
+      if (!unitValue) continue;
+
+      stored.push(await FxRate.findOneAndUpdate(
+        { currency: code, date: day },
+        { $set: { currency: code, date: day, usdPerUnit: usdValue / unitValue, source: 'coingecko' } },
+        { upsert: true, new: true }
+      ));
+    }
+    return stored;
+  }
+
+  /**
+   * Store daily rates for the days of a range that have none, from price history
+   * @param {string} currency - Currency code
+   * @param {Date} start - First day
+   * @param {Date} end - Last day
+   * @returns {Promise<Array>} FxRate documents stored
+   */
+  static async backfill(currency, start, end) {
+    const code = this.normalizeCurrency(currency);
+    if (!code || code === this.BASE_CURRENCY) return [];
+
+    const from = dayKey(start);
+    const to = dayKey(end) + DAY_MS;
+    const provider = getPortfolioProvider();
+    const [usdChart, unitChart] = await Promise.all([
+      provider.getPriceHistory(this.HISTORY_COIN_ID, Math.floor(from / 1000), Math.floor(to / 1000)),
+      provider.getPriceHistory(this.HISTORY_COIN_ID, Math.floor(from / 1000), Math.floor(to / 1000), this.CURRENCIES[code].coinGeckoKey)
+    ]);
+
+    // First price of each day, the one closest to the snapshot time
+    const daily = chart => {
+      const prices = new Map();
+      (chart?.prices || []).forEach(([timestamp, price]) => {
+        const day = dayKey(timestamp);
+        if (price > 0 && !prices.has(day)) prices.set(day, price);
+      });
+      return prices;
+    };
+    const unitPrices = daily(unitChart);
+
+    const existing = await FxRate.find({ currency: code, date: { $gte: new Date(from), $lt: new Date(to) } }).select('date').lean();
+    const stored = new Set(existing.map(rate => dayKey(rate.date)));
+
+    const created = [];
+    for (const [day, usdPrice] of daily(usdChart)) {
+      const unitPrice = unitPrices.get(day);
+      if (stored.has(day) || !unitPrice) continue;
+
+      // Never replaces a rate collected on the day
+      created.push(await FxRate.findOneAndUpdate(
+        { currency: code, date: new Date(day) },
+        { $setOnInsert: { currency: code, date: new Date(day), usdPerUnit: usdPrice / unitPrice, source: 'coingecko_history' } },
+        { upsert: true, new: true }
+      ));
+    }
+    return created;
+  }
+
+  /**
+   * Rate lookup for a currency over a date range; days without a rate are
+   * backfilled first
+   * @param {string} currency - Currency code
+   * @param {Date} start - First day needed
+   * @param {Date} end - Last day needed
+   * @returns {Promise<Object>} { currency, rateAt(date) -> { usdPerUnit, date, source } or null }
+   */
+  static async getRateSeries(currency, start, end) {
+    const code = this.normalizeCurrency(currency);
+    if (!code) {
+      throw new Error(`Unsupported reporting currency: ${currency}`);
+    }
+    if (code === this.BASE_CURRENCY) {
+      return { currency: code, rateAt: () => ({ usdPerUnit: 1, date: null, source: null }) };
+    }
+
+    const maxAge = this.MAX_RATE_AGE_DAYS * DAY_MS;
+    const from = new Date(dayKey(start || end || new Date()) - maxAge);
+    const to = new Date(dayKey(end || start || new Date()) + maxAge);
+
+    const byDay = new Map();
+    let days = [];
+    const load = async () => {
+      if (code === 'ETH') {
+        const prices = await BenchmarkData.find({ date: { $gte: from, $lte: to }, ethPrice: { $gt: 0 } })
+          .select('date ethPrice')
+          .lean();
+        prices.forEach(entry => byDay.set(dayKey(entry.date), {
+          usdPerUnit: entry.ethPrice,
+          date: new Date(dayKey(entry.date)),
+          source: 'benchmark'
+        }));
+      }
+      // Stored rates take precedence over the fallback
+      const rates = await FxRate.find({ currency: code, date: { $gte: from, $lte: to } }).lean();
+      rates.forEach(rate => byDay.set(dayKey(rate.date), {
+        usdPerUnit: rate.usdPerUnit,
+        date: rate.date,
+        source: rate.source
+      }));
+      days = Array.from(byDay.keys()).sort((a, b) => a - b);
+    };
+
+    const rateAt = date => {
+      const key = dayKey(date);
+      let before = null;
+      let after = null;
+      for (const day of days) {
+        if (day <= key) {
+          before = day;
+        } else {
+          after = day;
+          break;
+        }
+      }
+      if (before !== null && key - before <= maxAge) return byDay.get(before);
+      if (after !== null && after - key <= maxAge) return byDay.get(after);
+      return null;
+    };
+
+    await load();
+    const first = dayKey(start || end || new Date());
+    const last = dayKey(end || start || new Date());
+    let uncovered = false;
+    for (let day = first; day <= last && !uncovered; day += DAY_MS) {
+      uncovered = !rateAt(day);
+    }
+    if (uncovered) {
+      try {
+        const stored = await this.backfill(code, new Date(first), new Date(last));
+        if (stored.length) {
+          console.log(`💱 Backfilled ${stored.length} ${code} rate(s)`);
+          await load();
+        }
+      } catch (error) {
+        console.error(`❌ Error backfilling ${code} rates:`, error.message);
+      }
+    }
+
+    return { currency: code, rateAt };
+  }
+
+  /**
+   * Converter from USD into a currency at a single rate
+   * @param {string} currency - Currency code
+   * @param {Object} rate - { usdPerUnit, date, source }
+   * @returns {Object} { currency, symbol, decimals, usdPerUnit, rateDate, convert, format, numFmt, describe, info }
+   */
+  static buildConverter(currency, rate) {
+    const { symbol, decimals } = this.CURRENCIES[currency];
+    const isBase = currency === this.BASE_CURRENCY;
+    const rateDate = rate.date ? new Date(rate.date).toISOString().split('T')[0] : null;
+
+    return {
+      currency,
+      symbol,
+      decimals,
+      usdPerUnit: rate.usdPerUnit,
+      rateDate,
+      // USD amount in the currency; null and undefined pass through
+      convert: value => (value === null || value === undefined ? value : value / rate.usdPerUnit),
+      // An amount already in the currency, e.g. '-€1,234.50'
+      format: value => `${value < 0 ? '-' : ''}${symbol}${Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals })}`,
+      // Excel number format for the currency
+      numFmt: `"${symbol}"#,##0.${'0'.repeat(decimals)}`,
+      // Currency note for export headers
+      describe: () => (isBase
+        ? currency
+        : `${currency} (converted from USD at 1 ${currency} = ${rate.usdPerUnit.toLocaleString('en-US', { maximumFractionDigits: 4 })} USD, rate of ${rateDate})`),
+      info: {
+        currency,
+        symbol,
+        usdPerUnit: rate.usdPerUnit,
+        rateDate,
+        source: rate.source
+      }
+    };
+  }
+
+  /**
+   * Converter from USD into a currency at the rate for a date
+   * @param {string} currency - Currency code
+   * @param {Date} at - Date of the values being converted (default: now)
+   * @returns {Promise<Object|null>} Converter (see buildConverter), or null when no rate is stored
+   */
+  static async getConverter(currency, at = new Date()) {
+    const series = await this.getRateSeries(currency, at, at);
+    const rate = series.rateAt(at);
+    return rate ? this.buildConverter(series.currency, rate) : null;
+  }
+
+  /**
+   * Stored rates for a currency, newest first
+   * @param {string} currency - Currency code
+   * @param {Object} options - { start, end, limit }
+   * @returns {Promise<Array>} FxRate documents
+   */
+  static async getRates(currency, { start, end, limit = 90 } = {}) {
+    const filter = { currency: this.normalizeCurrency(currency) };
+    if (start || end) {
+      filter.date = {};
+      if (start) filter.date.$gte = start;
+      if (end) filter.date.$lte = end;
+    }
+    return FxRate.find(filter).sort({ date: -1 }).limit(limit).lean();
+  }
+}
+
+module.exports = FxRateService;
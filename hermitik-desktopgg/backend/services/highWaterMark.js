@@ -0,0 +1,57 @@
+/**
+ * High-Water Mark Service
+ * Tracks each user's high-water mark from the monthly NAV history instead of
+ * a number typed in each month. Only finalized months count: the first one
+ * starts from its prior period pre-fee NAV, and NAVEngine.rollHighWaterMark
+ * carries it through each month after that. Months saved under an earlier
+ * formula version keep the mark they stored.
+ */
+
+const NAVSettings = require('../models/NAVSettings');
+const NAVEngine = require('./navEngine');
+
+class HighWaterMarkService {
+
+  /**
+   * Mark at the start of a month, replayed from the months finalized before it
+   * @param {string} userId - User ID
+   * @param {number} year - Year of the month being calculated
+   * @param {number} month - Month being calculated (1-12)
+   * @returns {Promise<Object|null>} { highWaterMark, monthsReplayed, setIn: { year, month } } or null without history
+   */
+  static async getStartingMark(userId, year, month) {
+    if (!userId) return null;
+
+    const versions = await NAVSettings.find({
+      userId,
+      status: 'finalized',
+      $or: [{ year: { $lt: year } }, { year, month: { $lt: month } }]
+    })
+      .sort({ year: 1, month: 1, version: -1 })
+      .select('year month version formulaVersion navCalculations.preFeeNav navCalculations.netFlows navCalculations.priorPreFeeNav navCalculations.highWaterMarkEnd')
+      .lean();
+
+    // Latest finalized version of each month
+    const history = versions.filter((record, index) =>
+      index === 0 || record.year !== versions[index - 1].year || record.month !== versions[index - 1].month);
+
+    if (!history.length) return null;
+
+    let highWaterMark = history[0].navCalculations?.priorPreFeeNav || 0;
+    let setIn = null;
+
+    history.forEach(record => {
+      const { preFeeNav = 0, netFlows = 0, highWaterMarkEnd } = record.navCalculations || {};
+      const endingMark = !NAVEngine.hasCurrentFormula(record) && typeof highWaterMarkEnd === 'number'
+        ? highWaterMarkEnd
+        : NAVEngine.rollHighWaterMark(highWaterMark, netFlows, preFeeNav).endingMark;
+
+      if (preFeeNav >= endingMark) setIn = { year: record.year, month: record.month };
+      highWaterMark = endingMark;
+    });
+
+    return { highWaterMark, monthsReplayed: history.length, setIn };
+  }
+}
+
+module.exports = HighWaterMarkService;
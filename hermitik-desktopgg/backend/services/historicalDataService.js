@@ -70,6 +70,7 @@ class HistoricalDataService {
     let totalTokenValue = 0;
     let totalPositionValue = 0;
     let totalRewardsValue = 0;
+    let totalDebtValue = 0;
     let totalNavUsd = 0;
     
     const tokenData = [];
@@ -103,12 +104,18 @@ class HistoricalDataService {
             chain: position.chain,
             position_type: position.positionType,
             total_value: position.totalUsdValue,
+            asset_value: position.assetUsdValue,
+            debt_value: position.debtUsdValue || 0,
+            health_factor: position.healthFactor,
+            liquidation_price: position.liquidationPrice,
             supply_tokens: position.supplyTokens || [],
             reward_tokens: position.rewardTokens || [],
+            borrow_tokens: position.borrowTokens || [],
             calculated_apy: position.calculatedApy,
             date: snapshot.date
           });
           totalPositionValue += position.totalUsdValue || 0;
+          totalDebtValue += position.debtUsdValue || 0;
           
           // Add rewards value
           if (position.rewardTokens) {
@@ -128,6 +135,7 @@ class HistoricalDataService {
         totalTokenValue,
         totalPositionValue, 
         totalRewardsValue,
+        totalDebtValue,
         totalNavUsd,
         totalPortfolioValue: totalTokenValue + totalPositionValue
       },
@@ -142,21 +150,22 @@ class HistoricalDataService {
    * @param {string} userId - User ID
    * @param {number} year - Year
    * @param {number} month - Month (1-12)
+   * @param {Object} options - { finalizedOnly } to skip draft and reviewed versions
    * @returns {Object} NAV data and calculations
    */
-  static async getNAVDataForMonth(userId, year, month) {
+  static async getNAVDataForMonth(userId, year, month, { finalizedOnly = false } = {}) {
     try {
       console.log(`📊 Getting NAV data for user ${userId} - ${year}/${month}`);
       
-      // Get stored NAV settings
-      const navSettings = await NAVSettings.findOne({
-        userId,
-        year,
-        month
-      });
+      // Get stored NAV settings (latest version)
+      const navSettings = finalizedOnly
+        ? await NAVSettings.findFinalized(userId, year, month)
+        : await NAVSettings.findCurrent(userId, year, month);
       
       if (!navSettings) {
-        throw new Error(`No NAV data found for ${year}/${month}. Admin must calculate NAV first.`);
+        throw new Error(finalizedOnly
+          ? `No finalized NAV found for ${year}/${month}. Admin must finalize the month first.`
+          : `No NAV data found for ${year}/${month}. Admin must calculate NAV first.`);
       }
       
       // Get position history for the month for detailed breakdown
@@ -0,0 +1,252 @@
+/**
+ * Historical Price Service
+ * Stores every price the collector values a token at in the TokenPrice time
+ * series, and answers "price of token X on chain Y at time T".
+ *
+ * Nearest-observation rules for getPriceAt(chain, address, T):
+ *   1. Look at the last observation at or before T and the first one after T.
+ *   2. Discard either one that is more than maxDistanceMs (default 24h) from T.
+ *   3. Use the one closer to T; on a tie, the one at or before T.
+ *   4. With direction 'before', only observations at or before T are used.
+ *   5. With no observation left, there is no price (null) - callers decide
+ *      the fallback, and must report it.
+ */
+
+const TokenPrice = require('../models/TokenPrice');
+const DailySnapshot = require('../models/DailySnapshot');
+const PriceResolver = require('./priceResolver');
+
+class HistoricalPriceService {
+
+  static MAX_DISTANCE_MS = 24 * 60 * 60 * 1000; // 24 hours
+  // Prices that were not observed from a source are never stored
+  static EXCLUDED_SOURCES = [PriceResolver.UNPRICED, 'interpolated'];
+
+  /**
+   * Store price observations of snapshot tokens
+   * @param {Array} tokens - Snapshot tokens ({ chain, address, symbol, price, priceSource, pricedAt })
+   * @returns {Promise<number>} Number of new observations stored
+   */
+  static async recordObservations(tokens) {
+    const operations = [];
+    const seen = new Set();
+
+    for (const token of tokens) {
+      if (!token.address || !token.pricedAt || !(token.price > 0)) continue;
+
+      const source = token.priceSource || 'debank';
+      if (this.EXCLUDED_SOURCES.includes(source)) continue;
+
+      const observation = {
+        chain: token.chain.toLowerCase(),
+        tokenAddress: token.address.toLowerCase(),
+        observedAt: new Date(token.pricedAt),
+        source
+      };
+
+      const key = `${PriceResolver.getTokenKey(observation.chain, observation.tokenAddress)}:${observation.observedAt.getTime()}:${source}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      operations.push({
+        updateOne: {
+          filter: observation,
+          update: { $setOnInsert: { ...observation, symbol: token.symbol, price: token.price } },
+          upsert: true
+        }
+      });
+    }
+
+    if (!operations.length) return 0;
+
+    const result = await TokenPrice.bulkWrite(operations, { ordered: false });
+    return result.upsertedCount || 0;
+  }
+
+  /**
+   * Store the prices used by a snapshot (wallet tokens and position tokens)
+   * @param {Object} snapshot - DailySnapshot document
+   * @returns {Promise<number>} Number of new observations stored
+   */
+  static async recordSnapshotPrices(snapshot) {
+    const positionTokens = (snapshot.positions || []).flatMap(position => [
+      ...(position.supplyTokens || []),
+      ...(position.rewardTokens || []),
+      ...(position.borrowTokens || [])
+    ]);
+
+    return this.recordObservations([...(snapshot.tokens || []), ...positionTokens]);
+  }
+
+  /**
+   * Price of a token at a point in time, following the nearest-observation rules
+   * @param {string} chain - Chain ID
+   * @param {string} tokenAddress - Contract address or native token ID
+   * @param {Date} at - Valuation time
+   * @param {Object} options - { maxDistanceMs, direction: 'nearest' | 'before' }
+   * @returns {Promise<Object|null>} { price, source, observedAt, offsetMs } or null
+   */
+  static async getPriceAt(chain, tokenAddress, at, options = {}) {
+    const { maxDistanceMs = this.MAX_DISTANCE_MS, direction = 'nearest' } = options;
+    const time = new Date(at);
+    const filter = { chain: chain.toLowerCase(), tokenAddress: tokenAddress.toLowerCase() };
+
+    const [before, after] = await Promise.all([
+      TokenPrice.findOne({ ...filter, observedAt: { $lte: time, $gte: new Date(time.getTime() - maxDistanceMs) } })
+        .sort({ observedAt: -1 })
+        .lean(),
+      direction === 'before'
+        ? null
+        : TokenPrice.findOne({ ...filter, observedAt: { $gt: time, $lte: new Date(time.getTime() + maxDistanceMs) } })
+          .sort({ observedAt: 1 })
+          .lean()
+    ]);
+
+    const nearest = [before, after]
+      .filter(Boolean)
+      .sort((a, b) => Math.abs(a.observedAt - time) - Math.abs(b.observedAt - time))[0];
+
+    if (!nearest) return null;
+
+    return {
+      price: nearest.price,
+      source: nearest.source,
+      observedAt: nearest.observedAt,
+      offsetMs: nearest.observedAt.getTime() - time.getTime()
+    };
+  }
+
+  /**
+   * Prices of several tokens at the same point in time
+   * @param {Array} tokens - Tokens with chain and address
+   * @param {Date} at - Valuation time
+   * @param {Object} options - Passed to getPriceAt
+   * @returns {Promise<Map>} Quotes (or null) keyed by PriceResolver token key
+   */
+  static async getPricesAt(tokens, at, options = {}) {
+    const quotes = new Map();
+
+    for (const token of tokens) {
+      if (!token.address) continue;
+
+      const key = PriceResolver.getTokenKey(token.chain, token.address);
+      if (!quotes.has(key)) {
+        quotes.set(key, await this.getPriceAt(token.chain, token.address, at, options));
+      }
+    }
+
+    return quotes;
+  }
+
+  /**
+   * Revalue a snapshot's holdings at a point in time. Position tokens are
+   * revalued one by one, so a position is worth its supplied and reward
+   * tokens less its borrowed tokens. Tokens without a usable observation keep
+   * their snapshot price and are reported as a fallback.
+   * @param {Object} snapshot - DailySnapshot document
+   * @param {Date} at - Valuation time
+   * @param {Object} options - Passed to getPriceAt; { offline } keeps the snapshot prices without the database
+   * @returns {Promise<Object>} { holdings, walletTokensUsd, suppliedUsd, rewardsUsd, debtUsd, coverage }
+   */
+  static async revalueSnapshot(snapshot, at, options = {}) {
+    const rows = [
+      ...(snapshot.tokens || []).map(token => ({ type: 'wallet', token })),
+      ...(snapshot.positions || []).flatMap(position => [
+        ...(position.supplyTokens || []).map(token => ({ type: 'supply', token, position })),
+        ...(position.rewardTokens || []).map(token => ({ type: 'reward', token, position })),
+        ...(position.borrowTokens || []).map(token => ({ type: 'borrow', token, position }))
+      ])
+    ];
+
+    const quotes = options.offline
+      ? new Map()
+      : await this.getPricesAt(rows.map(row => row.token), at, options);
+
+    const holdings = rows.map(({ type, token, position }) => {
+      const quote = token.address ? quotes.get(PriceResolver.getTokenKey(token.chain, token.address)) : null;
+      const price = quote ? quote.price : (token.price || 0);
+
+      return {
+        type,
+        protocol: position?.protocolName,
+        symbol: token.symbol,
+        chain: token.chain,
+        address: token.address,
+        amount: token.amount || 0,
+        price,
+        usdValue: (token.amount || 0) * price,
+        source: quote ? quote.source : 'snapshot',
+        observedAt: quote ? quote.observedAt : (token.pricedAt || snapshot.date),
+        fallback: !quote
+      };
+    });
+
+    const sumUsd = type => holdings.filter(row => row.type === type).reduce((sum, row) => sum + row.usdValue, 0);
+    const fallbackCount = holdings.filter(row => row.fallback).length;
+
+    return {
+      valuationTime: new Date(at),
+      snapshotDate: snapshot.date,
+      holdings,
+      walletTokensUsd: sumUsd('wallet'),
+      suppliedUsd: sumUsd('supply'),
+      rewardsUsd: sumUsd('reward'),
+      debtUsd: sumUsd('borrow'),
+      coverage: {
+        revalued: holdings.length - fallbackCount,
+        fallback: fallbackCount
+      }
+    };
+  }
+
+  /**
+   * Revalue a user's wallets at a point in time, using each wallet's latest
+   * snapshot taken at or before that time (and no earlier than notBefore)
+   * @param {string} userId - User ID
+   * @param {Array<string>} wallets - Wallet addresses
+   * @param {Date} at - Valuation time
+   * @param {Date} notBefore - Oldest snapshot day that may be used
+   * @returns {Promise<Object|null>} Combined revaluation, or null when no wallet has a usable snapshot
+   */
+  static async revalueWalletsAt(userId, wallets, at, notBefore) {
+    const results = [];
+    const missingWallets = [];
+
+    for (const wallet of wallets) {
+      const walletAddress = wallet.toLowerCase();
+      const snapshot = await DailySnapshot.findOne({
+        userId,
+        walletAddress,
+        date: { $lte: at, $gte: notBefore }
+      }).sort({ date: -1 });
+
+      if (!snapshot) {
+        missingWallets.push(walletAddress);
+        continue;
+      }
+
+      const revaluation = await this.revalueSnapshot(snapshot, at);
+      results.push({ walletAddress, ...revaluation });
+    }
+
+    if (!results.length) return null;
+
+    const total = field => results.reduce((sum, result) => sum + result[field], 0);
+
+    return {
+      valuationTime: new Date(at),
+      wallets: results,
+      missingWallets,
+      walletTokensUsd: total('walletTokensUsd'),
+      suppliedUsd: total('suppliedUsd'),
+      rewardsUsd: total('rewardsUsd'),
+      debtUsd: total('debtUsd'),
+      coverage: {
+        revalued: results.reduce((sum, result) => sum + result.coverage.revalued, 0),
+        fallback: results.reduce((sum, result) => sum + result.coverage.fallback, 0)
+      }
+    };
+  }
+}
+
+module.exports = HistoricalPriceService;
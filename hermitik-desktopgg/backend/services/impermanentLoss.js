@@ -0,0 +1,160 @@
+/**
+ * Impermanent Loss Service
+ * Compares each liquidity position with simply holding the tokens that were
+ * in it at its first snapshot.
+ *
+ *   Entry            the position in the first snapshot that carries its
+ *                    position key (PositionIdentityService)
+ *   Hold value       entry token amounts x today's prices
+ *   LP value         today's supplied tokens; fees earned by the pool are in it
+ *   Impermanent      hold value x (2 sqrt(r) / (1 + r) - 1), r = the relative
+ *   loss             price change of the two tokens since entry; only for
+ *                    two-token pools, as the formula is for 50/50 pools
+ *   Fee income       LP value - hold value - impermanent loss
+ *   Net vs hold      LP value + rewards (unclaimed and claimed since entry) - hold value
+ *
+ * Liquidity added or removed after entry also shows up as fee income or loss,
+ * so the comparison is flagged once the LP value has moved more than
+ * MAX_UNEXPLAINED_CHANGE from both the entry and hold values.
+ */
+
+const DailySnapshot = require('../models/DailySnapshot');
+const PerformanceAttributionService = require('./performanceAttribution');
+const RewardClaimService = require('./rewardClaims');
+
+class ImpermanentLossService {
+
+  static MAX_UNEXPLAINED_CHANGE = 0.5;
+
+  /**
+   * Whether a snapshot position is a liquidity position
+   * @param {Object} position - Snapshot position
+   * @returns {boolean} LP position
+   */
+  static isLiquidityPosition(position) {
+    return PerformanceAttributionService.LP_POSITION_TYPES.includes(position.positionType);
+  }
+
+  /**
+   * The position as it was in its first snapshot
+   * @param {string} userId - User ID
+   * @param {string} walletAddress - Wallet holding the position
+   * @param {Object} position - Position in a later snapshot
+   * @returns {Promise<Object|null>} { date, position }; null when the position has no stored key
+   */
+  static async getEntry(userId, walletAddress, position) {
+    if (!position.positionKey) return null;
+
+    const snapshot = await DailySnapshot.findOne({ userId, walletAddress, 'positions.positionKey': position.positionKey })
+      .sort({ date: 1 })
+      .select({ date: 1, positions: { $elemMatch: { positionKey: position.positionKey } } })
+      .lean();
+
+    return snapshot?.positions?.length ? { date: snapshot.date, position: snapshot.positions[0] } : null;
+  }
+
+  /**
+   * Hold-versus-LP comparison of a position against its entry
+   * @param {Object} entry - Position at entry
+   * @param {Object} position - Position now
+   * @returns {Object} { tokens, entryValue, holdValue, lpValue, rewardsUsd, impermanentLossUsd, impermanentLossPercent,
+   *   feeIncomeUsd, feesCoverLoss, netVsHoldUsd, netVsHoldPercent, liquidityChanged }; loss and fee figures are null
+   *   for pools of other than two tokens
+   */
+  static compare(entry, position) {
+    const { tokens } = PerformanceAttributionService.tokenEffects(entry.supplyTokens, position.supplyTokens);
+    const pair = Array.from(tokens.values());
+
+    const entryValue = pair.reduce((sum, { before }) => sum + before.amount * before.price, 0);
+    const holdValue = pair.reduce((sum, { before, after }) => sum + before.amount * after.price, 0);
+    const lpValue = pair.reduce((sum, { after }) => sum + after.amount * after.price, 0);
+    const rewardsUsd = RewardClaimService.totalUsd(position.rewardTokens)
+      + Math.max(0, (position.cumulativeClaimedUsd || 0) - (entry.cumulativeClaimedUsd || 0));
+
+    const priced = pair.length === 2 && pair.every(({ before, after }) => before.amount > 0 && before.price > 0 && after.price > 0);
+    let impermanentLossPercent = null;
+    if (priced) {
+      const [a, b] = pair.map(({ before, after }) => after.price / before.price);
+      impermanentLossPercent = PerformanceAttributionService.impermanentLossPercent(a / b);
+    }
+    const impermanentLossUsd = impermanentLossPercent === null ? null : holdValue * impermanentLossPercent;
+    const feeIncomeUsd = impermanentLossUsd === null ? null : lpValue - holdValue - impermanentLossUsd;
+
+    const moved = (from, to) => from > 0 && Math.abs(to / from - 1) > this.MAX_UNEXPLAINED_CHANGE;
+
+    return {
+      tokens: Array.from(tokens.values()).map(({ before, after }) => ({
+        symbol: before.symbol || after.symbol,
+        entryAmount: before.amount,
+        currentAmount: after.amount,
+        entryPrice: before.price,
+        currentPrice: after.price
+      })),
+      entryValue,
+      holdValue,
+      lpValue,
+      rewardsUsd,
+      impermanentLossUsd,
+      impermanentLossPercent: impermanentLossPercent === null ? null : impermanentLossPercent * 100,
+      feeIncomeUsd,
+      feesCoverLoss: feeIncomeUsd === null ? null : feeIncomeUsd + impermanentLossUsd >= 0,
+      netVsHoldUsd: lpValue + rewardsUsd - holdValue,
+      netVsHoldPercent: holdValue > 0 ? ((lpValue + rewardsUsd) / holdValue - 1) * 100 : null,
+      liquidityChanged: moved(entryValue, lpValue) && moved(holdValue, lpValue)
+    };
+  }
+
+  /**
+   * Hold-versus-LP comparison for each liquidity position in the latest snapshot of each wallet
+   * @param {string} userId - User ID
+   * @param {Object} options - { walletAddress } to look at one wallet
+   * @returns {Promise<Object>} { positions: [{ positionKey, walletAddress, protocolName, chain, positionName,
+   *   supplySymbols, entryDate, days, ...compare() }], totals: { holdValue, lpValue, rewardsUsd, impermanentLossUsd,
+   *   feeIncomeUsd, netVsHoldUsd } }
+   */
+  static async calculate(userId, { walletAddress } = {}) {
+    const walletAddresses = walletAddress
+      ? [walletAddress.toLowerCase()]
+      : await DailySnapshot.distinct('walletAddress', { userId });
+
+    const positions = [];
+    for (const wallet of walletAddresses) {
+      const latest = await DailySnapshot.findOne({ userId, walletAddress: wallet })
+        .sort({ date: -1 })
+        .select('date positions')
+        .lean();
+
+      for (const position of (latest?.positions || []).filter(item => this.isLiquidityPosition(item))) {
+        // Positions from before keys were stored are compared with themselves until they have history
+        const entry = await this.getEntry(userId, wallet, position) || { date: latest.date, position };
+
+        positions.push({
+          positionKey: position.positionKey || null,
+          walletAddress: wallet,
+          protocolName: position.protocolName,
+          chain: position.chain,
+          positionName: position.positionName || null,
+          supplySymbols: (position.supplyTokens || []).map(token => token.symbol),
+          entryDate: entry.date,
+          days: Math.round((new Date(latest.date) - new Date(entry.date)) / (24 * 60 * 60 * 1000)),
+          ...this.compare(entry.position, position)
+        });
+      }
+    }
+
+    const sum = field => positions.reduce((total, position) => total + (position[field] || 0), 0);
+    return {
+      positions,
+      totals: {
+        holdValue: sum('holdValue'),
+        lpValue: sum('lpValue'),
+        rewardsUsd: sum('rewardsUsd'),
+        impermanentLossUsd: sum('impermanentLossUsd'),
+        feeIncomeUsd: sum('feeIncomeUsd'),
+        netVsHoldUsd: sum('netVsHoldUsd')
+      }
+    };
+  }
+}
+
+module.exports = ImpermanentLossService;
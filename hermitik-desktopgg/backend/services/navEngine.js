@@ -0,0 +1,389 @@
+/**
+ * NAV Engine
+ * The one implementation of the monthly NAV and fee calculation. The NAV
+ * calculator page, POST /nav-settings and every NAV export call it, so the
+ * numbers they show always agree.
+ *
+ *   Investments               tokens + position assets - unclaimed rewards
+ *   Dividends receivable      unclaimed rewards
+ *   Total liabilities         monthly expense + DeFi borrowings + management fees
+ *                             payable (earlier months' invoices still unpaid)
+ *   Pre-fee NAV               total assets - total liabilities
+ *   Performance               pre-fee NAV - prior pre-fee NAV - net flows
+ *   Flow-adjusted HWM         high-water mark at start of month + net flows
+ *   Performance fee           rate * the smaller of (performance - hurdle) and
+ *                             (pre-fee NAV - flow-adjusted HWM - hurdle), when positive
+ *   HWM at month end          max(flow-adjusted HWM, pre-fee NAV)
+ *   Accrued performance fees  dividends receivable * rate, less what has been paid
+ *   Management fee            the month's daily accruals (FeeAccrualService) or,
+ *                             without them, total assets * rate
+ *   Net assets                pre-fee NAV - performance fee - accrued performance fees - management fee
+ *
+ * Net flows are positive for deposits and negative for withdrawals, as in the
+ * capital account ledger. A deposit raises the NAV and the mark by the same
+ * amount, so it is not charged as performance; a withdrawal lowers both.
+ *
+ * Without a high-water mark from history (the first month), the mark is the
+ * prior period pre-fee NAV, so only the hurdle applies.
+ *
+ * Saved months record the FORMULA_VERSION they were calculated with. Version 1
+ * added net flows to performance and subtracted them from the mark; months
+ * saved under it keep their stored figures and are never recalculated.
+ */
+
+class NAVEngine {
+
+  static FORMULA_VERSION = 2;
+
+  static DEFAULT_FEE_SETTINGS = {
+    annualExpense: 600,
+    monthlyExpense: 50,
+    performanceFeeRate: 0.05,
+    accruedPerformanceFeeRate: 0.05,
+    managementFeeRate: 0.005,
+    hurdleRate: 0,
+    hurdleRateType: 'annual',
+    feePaymentStatus: 'not_paid',
+    partialPaymentAmount: 0
+  };
+
+  // Money line items of a calculation (the rest are notes and warnings)
+  static AMOUNT_FIELDS = [
+    'investments', 'dividendsReceivable', 'totalAssets', 'accruedExpenses', 'defiBorrowings',
+    'totalLiabilities', 'preFeeNav', 'priorPreFeeNav', 'netFlows', 'performance', 'hurdleAmount',
+    'highWaterMarkStart', 'highWaterMarkAdjusted', 'highWaterMarkEnd', 'feeBasis', 'performanceFee',
+    'calculatedAccruedFees', 'accruedPerformanceFees', 'managementFee', 'managementFeesPayable', 'netAssets'
+  ];
+
+  /**
+   * Format a USD amount for notes, e.g. '-$1,234.50'
+   * @param {number} value - Amount
+   * @returns {string} Formatted amount
+   */
+  static formatUsd(value) {
+    return `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  }
+
+  /**
+   * Coerce a stored, posted or query-string value to a finite number
+   * @param {*} value - Raw value
+   * @returns {number} The number, or 0
+   */
+  static toNumber(value) {
+    if (value === null || value === undefined || value === '') return 0;
+    const num = typeof value === 'string' ? parseFloat(value) : Number(value);
+    return Number.isFinite(num) ? num : 0;
+  }
+
+  /**
+   * Fee settings with defaults for missing values and numbers parsed
+   * @param {Object} feeSettings - Fee settings from a request, query string or NAVSettings
+   * @returns {Object} Complete fee settings
+   */
+  static normalizeFeeSettings(feeSettings = {}) {
+    const normalized = { ...this.DEFAULT_FEE_SETTINGS };
+
+    Object.entries(this.DEFAULT_FEE_SETTINGS).forEach(([key, defaultValue]) => {
+      const value = feeSettings[key];
+      if (value === null || value === undefined || value === '') return;
+      normalized[key] = typeof defaultValue === 'number' ? this.toNumber(value) : value;
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Asset-side inputs from the calculator's portfolio totals, where position
+   * values include unclaimed rewards
+   * @param {Object} portfolioData - { totalTokensValue, totalPositionsValue, totalRewards, totalDebtValue }
+   * @returns {Object} { investments, dividendsReceivable, defiBorrowings }
+   */
+  static assetsFromPortfolioData(portfolioData = {}) {
+    const totalRewards = this.toNumber(portfolioData.totalRewards);
+    return {
+      investments: this.toNumber(portfolioData.totalTokensValue) + this.toNumber(portfolioData.totalPositionsValue) - totalRewards,
+      dividendsReceivable: totalRewards,
+      defiBorrowings: this.toNumber(portfolioData.totalDebtValue)
+    };
+  }
+
+  /**
+   * Asset-side inputs from holdings revalued by HistoricalPriceService
+   * @param {Object} revaluation - Result of HistoricalPriceService.revalueWalletsAt
+   * @returns {Object} { investments, dividendsReceivable, defiBorrowings }
+   */
+  static assetsFromRevaluation(revaluation) {
+    return {
+      investments: revaluation.walletTokensUsd + revaluation.suppliedUsd,
+      dividendsReceivable: revaluation.rewardsUsd,
+      defiBorrowings: revaluation.debtUsd
+    };
+  }
+
+  /**
+   * Hurdle for the month in dollars; annual rates are spread evenly over 12 months
+   * @param {Object} feeSettings - Normalized fee settings
+   * @param {number} priorPreFeeNav - Prior period pre-fee NAV
+   * @returns {number} Hurdle amount
+   */
+  static getHurdleAmount(feeSettings, priorPreFeeNav) {
+    if (!(feeSettings.hurdleRate > 0) || !(priorPreFeeNav > 0)) return 0;
+
+    const monthlyRate = feeSettings.hurdleRateType === 'annual'
+      ? feeSettings.hurdleRate / 100 / 12
+      : feeSettings.hurdleRate / 100;
+    return monthlyRate * priorPreFeeNav;
+  }
+
+  /**
+   * Performance for a period: the change in pre-fee NAV that flows don't explain.
+   * The capital account statement's P&L is the same figure.
+   * @param {number} preFeeNav - Pre-fee NAV at the end of the period
+   * @param {number} priorPreFeeNav - Pre-fee NAV at the start of the period
+   * @param {number} netFlows - Net flows for the period (deposits positive)
+   * @returns {number} Performance
+   */
+  static getPerformance(preFeeNav, priorPreFeeNav, netFlows) {
+    return preFeeNav - priorPreFeeNav - netFlows;
+  }
+
+  /**
+   * Carry a high-water mark through one month
+   * @param {number} startingMark - Mark at the start of the month
+   * @param {number} netFlows - Net flows for the month (deposits positive)
+   * @param {number} preFeeNav - Pre-fee ending NAV for the month
+   * @returns {Object} { adjustedMark, endingMark }
+   */
+  static rollHighWaterMark(startingMark, netFlows, preFeeNav) {
+    const adjustedMark = startingMark + netFlows;
+    return { adjustedMark, endingMark: Math.max(adjustedMark, preFeeNav) };
+  }
+
+  /**
+   * Performance fee after the hurdle and the high-water mark, with the reason
+   * it was or wasn't charged
+   * @param {Object} values - { performance, hurdleAmount, preFeeNav, adjustedMark, rate }
+   * @param {Function} format - Formats amounts in the note (default: USD)
+   * @returns {Object} { feeBasis, performanceFee, performanceFeeNote }
+   */
+  static getPerformanceFee({ performance, hurdleAmount, preFeeNav, adjustedMark, rate }, format = this.formatUsd) {
+    const aboveHurdle = performance - hurdleAmount;
+    const aboveMark = preFeeNav - adjustedMark - hurdleAmount;
+
+    if (aboveHurdle <= 0) {
+      return {
+        feeBasis: 0,
+        performanceFee: 0,
+        performanceFeeNote: `No fee: performance of ${format(performance)} did not exceed the hurdle of ${format(hurdleAmount)}`
+      };
+    }
+    if (aboveMark <= 0) {
+      return {
+        feeBasis: 0,
+        performanceFee: 0,
+        performanceFeeNote: `No fee: pre-fee NAV of ${format(preFeeNav)} is below the flow-adjusted high-water mark of ${format(adjustedMark)} plus the hurdle`
+      };
+    }
+
+    const feeBasis = Math.min(aboveHurdle, aboveMark);
+    const limitedBy = aboveMark < aboveHurdle ? 'gain above the high-water mark' : 'performance above the hurdle';
+    return {
+      feeBasis,
+      performanceFee: feeBasis * rate,
+      performanceFeeNote: `Fee charged on ${format(feeBasis)} of ${limitedBy}`
+    };
+  }
+
+  /**
+   * Accrued performance fees still owed after payments
+   * @param {number} calculatedAccruedFees - Fees on dividends before payments
+   * @param {Object} feeSettings - Normalized fee settings
+   * @returns {number} Accrued performance fees
+   */
+  static getAccruedPerformanceFees(calculatedAccruedFees, feeSettings) {
+    switch (feeSettings.feePaymentStatus) {
+      case 'paid':
+        return 0;
+      case 'partially_paid':
+        return Math.max(0, calculatedAccruedFees - feeSettings.partialPaymentAmount);
+      default:
+        return calculatedAccruedFees;
+    }
+  }
+
+  /**
+   * Calculate every NAV line item
+   * @param {Object} inputs - { assets: { investments, dividendsReceivable, defiBorrowings }, priorPreFeeNav, netFlows, feeSettings,
+   *   highWaterMark, accruedManagementFee, managementFeesPayable }; without accruedManagementFee the fee is charged flat
+   * @returns {Object} NAV line items, the inputs they used and validationWarnings
+   */
+  static calculate({
+    assets = {},
+    priorPreFeeNav = 0,
+    netFlows = 0,
+    feeSettings = {},
+    highWaterMark = null,
+    accruedManagementFee = null,
+    managementFeesPayable = 0
+  } = {}) {
+    const fees = this.normalizeFeeSettings(feeSettings);
+    const prior = this.toNumber(priorPreFeeNav);
+    const flows = this.toNumber(netFlows);
+
+    const investments = this.toNumber(assets.investments);
+    const dividendsReceivable = this.toNumber(assets.dividendsReceivable);
+    const totalAssets = investments + dividendsReceivable;
+    const accruedExpenses = fees.monthlyExpense;
+    const defiBorrowings = this.toNumber(assets.defiBorrowings);
+    const feesPayable = this.toNumber(managementFeesPayable);
+    const totalLiabilities = accruedExpenses + defiBorrowings + feesPayable;
+    const preFeeNav = totalAssets - totalLiabilities;
+
+    const performance = this.getPerformance(preFeeNav, prior, flows);
+    const hurdleAmount = this.getHurdleAmount(fees, prior);
+    const highWaterMarkStart = highWaterMark === null || highWaterMark === undefined ? prior : this.toNumber(highWaterMark);
+    const { adjustedMark, endingMark } = this.rollHighWaterMark(highWaterMarkStart, flows, preFeeNav);
+    const { feeBasis, performanceFee, performanceFeeNote } = this.getPerformanceFee({
+      performance,
+      hurdleAmount,
+      preFeeNav,
+      adjustedMark,
+      rate: fees.performanceFeeRate
+    });
+
+    const calculatedAccruedFees = dividendsReceivable * fees.accruedPerformanceFeeRate;
+    const accruedPerformanceFees = this.getAccruedPerformanceFees(calculatedAccruedFees, fees);
+    const isAccrued = accruedManagementFee !== null && accruedManagementFee !== undefined;
+    const managementFee = isAccrued ? this.toNumber(accruedManagementFee) : totalAssets * fees.managementFeeRate;
+    const netAssets = preFeeNav - performanceFee - accruedPerformanceFees - managementFee;
+
+    return {
+      investments,
+      dividendsReceivable,
+      totalAssets,
+      accruedExpenses,
+      defiBorrowings,
+      managementFeesPayable: feesPayable,
+      totalLiabilities,
+      preFeeNav,
+      priorPreFeeNav: prior,
+      netFlows: flows,
+      performance,
+      hurdleAmount,
+      highWaterMarkStart,
+      highWaterMarkAdjusted: adjustedMark,
+      highWaterMarkEnd: endingMark,
+      feeBasis,
+      performanceFee,
+      performanceFeeNote,
+      calculatedAccruedFees,
+      accruedPerformanceFees,
+      managementFee,
+      managementFeeSource: isAccrued ? 'accrual' : 'flat',
+      netAssets,
+      validationWarnings: this.validate({ performance, preFeeNav, priorPreFeeNav: prior, netFlows: flows })
+    };
+  }
+
+  /**
+   * Whether a saved month was calculated with the current formulas
+   * @param {Object} settings - NAVSettings document
+   * @returns {boolean} False for months saved under an earlier FORMULA_VERSION
+   */
+  static hasCurrentFormula(settings) {
+    return (settings.formulaVersion || 1) === this.FORMULA_VERSION;
+  }
+
+  /**
+   * Recalculate a saved month from its stored inputs
+   * @param {Object} settings - NAVSettings document
+   * @param {Object} options - { assets, highWaterMark }: asset-side inputs to use instead of the
+   *   stored ones (e.g. revalued holdings), and the mark at the start of the month. The stored
+   *   accrued management fee and fees payable are kept.
+   * @returns {Object} NAV line items; the stored ones for months saved under an earlier formula version
+   */
+  static calculateForSettings(settings, { assets, highWaterMark } = {}) {
+    const navCalculations = (settings.toObject ? settings.toObject() : settings).navCalculations || {};
+    if (!this.hasCurrentFormula(settings)) return { ...navCalculations };
+
+    const portfolioData = settings.portfolioData || {};
+    const hasPortfolioData = ['totalTokensValue', 'totalPositionsValue', 'totalRewards', 'totalDebtValue']
+      .some(key => this.toNumber(portfolioData[key]) !== 0);
+
+    // Months saved before portfolio totals were stored only have their line items
+    const storedAssets = hasPortfolioData ? this.assetsFromPortfolioData(portfolioData) : navCalculations;
+
+    return this.calculate({
+      assets: assets || storedAssets,
+      priorPreFeeNav: navCalculations.priorPreFeeNav,
+      netFlows: navCalculations.netFlows,
+      feeSettings: settings.feeSettings || {},
+      highWaterMark: highWaterMark ?? navCalculations.highWaterMarkStart,
+      accruedManagementFee: navCalculations.managementFeeSource === 'accrual' ? navCalculations.managementFee : null,
+      managementFeesPayable: navCalculations.managementFeesPayable
+    });
+  }
+
+  /**
+   * A calculation's amounts in another currency at a single rate. The USD
+   * calculation stays the record; this is for presentation only.
+   * @param {Object} calculations - Result of calculate()
+   * @param {number} usdPerUnit - USD per unit of the currency
+   * @param {Function} format - Formats an amount in the currency, for the fee note
+   * @returns {Object} Calculation with converted amounts
+   */
+  static convert(calculations, usdPerUnit, format) {
+    const converted = { ...calculations };
+    this.AMOUNT_FIELDS.forEach(field => {
+      if (typeof calculations[field] === 'number') converted[field] = calculations[field] / usdPerUnit;
+    });
+
+    // Months saved before the mark was tracked keep their stored note
+    if (typeof calculations.highWaterMarkAdjusted !== 'number') return converted;
+
+    converted.performanceFeeNote = this.getPerformanceFee({
+      performance: converted.performance,
+      hurdleAmount: converted.hurdleAmount,
+      preFeeNav: converted.preFeeNav,
+      adjustedMark: converted.highWaterMarkAdjusted,
+      rate: 0
+    }, format).performanceFeeNote;
+
+    return converted;
+  }
+
+  /**
+   * Sanity checks on a calculation
+   * @param {Object} values - { performance, preFeeNav, priorPreFeeNav, netFlows }
+   * @returns {Array<string>} Warning messages
+   */
+  static validate({ performance, preFeeNav, priorPreFeeNav, netFlows }) {
+    const warnings = [];
+
+    // Check for unrealistic performance (more than 100% or less than -90%)
+    if (priorPreFeeNav > 0) {
+      const performancePercent = (performance / priorPreFeeNav) * 100;
+
+      if (performancePercent > 100) {
+        warnings.push(`Performance of ${performancePercent.toFixed(1)}% seems unrealistically high`);
+      }
+      if (performancePercent < -90) {
+        warnings.push(`Performance of ${performancePercent.toFixed(1)}% seems unrealistically low`);
+      }
+    }
+
+    // Flows larger than the prior NAV usually mean a data entry error
+    if (Math.abs(netFlows) > priorPreFeeNav && priorPreFeeNav > 0) {
+      const flowType = netFlows < 0 ? 'Withdrawal' : 'Deposit';
+      warnings.push(`${flowType} of $${Math.abs(netFlows).toLocaleString()} is larger than prior NAV - please verify`);
+    }
+
+    if (preFeeNav < 0) {
+      warnings.push('Current NAV is negative - please review calculations');
+    }
+
+    return warnings;
+  }
+}
+
+module.exports = NAVEngine;
@@ -0,0 +1,324 @@
+/**
+ * Performance Attribution Service
+ * Splits the change in each position's value, and the portfolio's, into what
+ * drove it, so a rising token price isn't reported as yield.
+ *
+ * Between two snapshots of a position, per token (borrowed tokens negative):
+ *
+ *   Price              start quantity x price change
+ *   Impermanent loss   LP positions of two tokens: value held at today's prices
+ *                      x (2 sqrt(r) / (1 + r) - 1), r = the tokens' relative price change
+ *   Rewards            growth of unclaimed rewards plus rewards claimed (RewardClaimService)
+ *   Yield              quantity growth of supplied and borrowed tokens less impermanent
+ *                      loss, e.g. lending interest or LP fees
+ *   Flows              deposits and withdrawals: quantity changes bigger than
+ *                      FLOW_THRESHOLD_PER_DAY of the position's value per day,
+ *                      opened and closed positions, and claimed rewards leaving
+ *
+ * price + impermanentLoss + rewards + yield + flows = change in value. Wallet
+ * tokens are attributed one token at a time the same way, so a claim moving
+ * from a position into the wallet nets out in the portfolio. Steps follow
+ * positions from one snapshot of a wallet to the next (PositionIdentityService).
+ */
+
+const DailySnapshot = require('../models/DailySnapshot');
+const PositionIdentityService = require('./positionIdentity');
+const RewardClaimService = require('./rewardClaims');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PerformanceAttributionService {
+
+  static COMPONENTS = ['price', 'impermanentLoss', 'rewards', 'yield', 'flows'];
+  static FLOW_THRESHOLD_PER_DAY = 0.005;
+  static LP_POSITION_TYPES = ['liquidity'];
+
+  /**
+   * USD value of a snapshot token
+   * @param {Object} token - Snapshot token
+   * @returns {number} USD value
+   */
+  static tokenValue(token) {
+    return token.usdValue || (token.amount * token.price) || 0;
+  }
+
+  /**
+   * Net USD value of a position from its tokens: supplied and rewards less borrowed
+   * @param {Object} position - Snapshot position
+   * @returns {number} USD value
+   */
+  static positionValue(position) {
+    const sum = tokens => (tokens || []).reduce((total, token) => total + this.tokenValue(token), 0);
+    return sum(position.supplyTokens) + sum(position.rewardTokens) - sum(position.borrowTokens);
+  }
+
+  /**
+   * Price and quantity effects of a token list between two snapshots
+   * @param {Array} before - Tokens in the earlier snapshot
+   * @param {Array} after - Tokens in the later snapshot
+   * @param {number} sign - 1 for assets, -1 for debt
+   * @returns {Object} { price, quantity, tokens: Map of tokenKey -> { before, after } }
+   */
+  static tokenEffects(before, after, sign = 1) {
+    const start = RewardClaimService.sumTokens(before);
+    const end = RewardClaimService.sumTokens(after);
+    const tokens = new Map();
+    let price = 0;
+    let quantity = 0;
+
+    new Set([...start.keys(), ...end.keys()]).forEach(key => {
+      const from = start.get(key) || { amount: 0, price: end.get(key).price };
+      const to = end.get(key) || { amount: 0, price: from.price };
+
+      price += sign * from.amount * (to.price - from.price);
+      quantity += sign * (to.amount - from.amount) * to.price;
+      tokens.set(key, { before: from, after: to });
+    });
+
+    return { price, quantity, tokens };
+  }
+
+  /**
+   * Impermanent loss of a 50/50 constant-product LP position after a relative price change
+   * @param {number} priceRatio - (price A now / price A then) / (price B now / price B then)
+   * @returns {number} Fraction of the value held outside the pool, e.g. -0.057 for a 2x move
+   */
+  static impermanentLossPercent(priceRatio) {
+    if (!(priceRatio > 0)) return 0;
+    return (2 * Math.sqrt(priceRatio)) / (1 + priceRatio) - 1;
+  }
+
+  /**
+   * Impermanent loss of an LP position between two snapshots; zero for other
+   * positions and for pools of other than two tokens
+   * @param {Object} previous - Position in the earlier snapshot
+   * @param {Object} position - Position in the later snapshot
+   * @param {Map} supplyTokens - tokens from tokenEffects() of the supplied tokens
+   * @returns {number} USD (negative is a loss)
+   */
+  static impermanentLoss(previous, position, supplyTokens) {
+    if (!this.LP_POSITION_TYPES.includes(position.positionType)) return 0;
+
+    const pair = Array.from(supplyTokens.values());
+    if (pair.length !== 2 || pair.some(({ before, after }) => !(before.amount > 0) || !(before.price > 0) || !(after.price > 0))) {
+      return 0;
+    }
+
+    const [a, b] = pair.map(({ before, after }) => after.price / before.price);
+    const heldValue = pair.reduce((sum, { before, after }) => sum + before.amount * after.price, 0);
+    return heldValue * this.impermanentLossPercent(a / b);
+  }
+
+  /**
+   * Split quantity-driven change into yield and flows
+   * @param {number} change - USD change from quantities
+   * @param {number} startValue - Value the change is measured against
+   * @param {number} days - Days between the snapshots
+   * @returns {Object} { yield, flows }
+   */
+  static splitQuantityChange(change, startValue, days) {
+    const threshold = this.FLOW_THRESHOLD_PER_DAY * Math.max(1, days) * Math.abs(startValue);
+    return Math.abs(change) > threshold ? { yield: 0, flows: change } : { yield: change, flows: 0 };
+  }
+
+  /**
+   * Attribution of one position from one snapshot to the next
+   * @param {Object|null} previous - Position in the earlier snapshot (null if opened since)
+   * @param {Object|null} position - Position in the later snapshot (null if closed since)
+   * @param {number} days - Days between the snapshots
+   * @returns {Object} { startValue, endValue, price, impermanentLoss, rewards, yield, flows }
+   */
+  static attributeStep(previous, position, days) {
+    const startValue = previous ? this.positionValue(previous) : 0;
+    const endValue = position ? this.positionValue(position) : 0;
+    const step = { startValue, endValue, price: 0, impermanentLoss: 0, rewards: 0, yield: 0, flows: 0 };
+
+    if (!previous || !position) {
+      step.flows = endValue - startValue;
+      return step;
+    }
+
+    const supply = this.tokenEffects(previous.supplyTokens, position.supplyTokens);
+    const borrow = this.tokenEffects(previous.borrowTokens, position.borrowTokens, -1);
+    const rewards = this.tokenEffects(previous.rewardTokens, position.rewardTokens);
+    const { claimedUsd } = RewardClaimService.getClaims(position, previous);
+
+    step.price = supply.price + borrow.price + rewards.price;
+    step.impermanentLoss = this.impermanentLoss(previous, position, supply.tokens);
+    step.rewards = rewards.quantity + claimedUsd;
+
+    const { yield: yieldUsd, flows } = this.splitQuantityChange(
+      supply.quantity + borrow.quantity - step.impermanentLoss,
+      startValue,
+      days
+    );
+    step.yield = yieldUsd;
+    step.flows = flows - claimedUsd;
+    return step;
+  }
+
+  /**
+   * Attribution of a wallet's own tokens from one snapshot to the next, token by token
+   * @param {Array} before - Wallet tokens in the earlier snapshot
+   * @param {Array} after - Wallet tokens in the later snapshot
+   * @param {number} days - Days between the snapshots
+   * @returns {Object} { startValue, endValue, price, impermanentLoss, rewards, yield, flows }
+   */
+  static attributeWallet(before, after, days) {
+    const { tokens } = this.tokenEffects(before, after);
+    const step = { startValue: 0, endValue: 0, price: 0, impermanentLoss: 0, rewards: 0, yield: 0, flows: 0 };
+
+    tokens.forEach(({ before: from, after: to }) => {
+      const startValue = from.amount * from.price;
+      const { yield: yieldUsd, flows } = this.splitQuantityChange((to.amount - from.amount) * to.price, startValue, days);
+
+      step.startValue += startValue;
+      step.endValue += to.amount * to.price;
+      step.price += from.amount * (to.price - from.price);
+      step.yield += yieldUsd;
+      step.flows += flows;
+    });
+
+    return step;
+  }
+
+  /**
+   * Empty running total for a position or the portfolio
+   * @param {Object} details - Fields describing what is attributed
+   * @returns {Object} Attribution with zero components
+   */
+  static createAttribution(details = {}) {
+    return {
+      ...details,
+      startValue: null,
+      endValue: 0,
+      change: 0,
+      ...Object.fromEntries(this.COMPONENTS.map(component => [component, 0])),
+      valueDays: 0,
+      days: 0
+    };
+  }
+
+  /**
+   * Add a step to a running attribution
+   * @param {Object} attribution - From createAttribution()
+   * @param {Object} step - From attributeStep() or attributeWallet()
+   * @param {number} days - Days the step covers
+   */
+  static addStep(attribution, step, days) {
+    if (attribution.startValue === null) attribution.startValue = step.startValue;
+    attribution.endValue = step.endValue;
+    this.COMPONENTS.forEach(component => { attribution[component] += step[component]; });
+    attribution.valueDays += step.startValue * days;
+    attribution.days += days;
+  }
+
+  /**
+   * Final figures of a running attribution, with the yield and rewards annualized on the average value
+   * @param {Object} attribution - From createAttribution()
+   * @returns {Object} Attribution with change, averageValue and yieldApy (percent, null without history)
+   */
+  static finalize(attribution) {
+    const { valueDays, ...result } = attribution;
+    const averageValue = attribution.days > 0 ? valueDays / attribution.days : 0;
+
+    result.startValue = result.startValue || 0;
+    result.change = result.endValue - result.startValue;
+    result.averageValue = averageValue;
+    result.yieldApy = averageValue > 0
+      ? Math.round(((result.yield + result.rewards) / averageValue) * (365 / attribution.days) * 10000) / 100
+      : null;
+    return result;
+  }
+
+  /**
+   * Attribution per position, per wallet's own tokens and for the portfolio over a range
+   * @param {string} userId - User ID
+   * @param {Object} options - { start, end, walletAddress }
+   * @returns {Promise<Object>} { start, end, positions: { [positionKey]: attribution }, wallets: { [walletAddress]: attribution },
+   *   portfolio: attribution }
+   */
+  static async calculate(userId, { start, end = new Date(), walletAddress } = {}) {
+    const query = { userId, date: { $lte: end } };
+    if (start) query.date.$gte = start;
+    if (walletAddress) query.walletAddress = walletAddress.toLowerCase();
+
+    const snapshots = await DailySnapshot.find(query)
+      .select('date walletAddress positions tokens')
+      .sort({ date: 1 })
+      .lean();
+
+    return {
+      ...this.attributeSnapshots(snapshots),
+      start: snapshots.length ? snapshots[0].date : start || null,
+      end: snapshots.length ? snapshots[snapshots.length - 1].date : end
+    };
+  }
+
+  /**
+   * Attribution of already loaded snapshots
+   * @param {Array} snapshots - Snapshots of one or more wallets, oldest first
+   * @returns {Object} { positions: { [positionKey]: attribution }, wallets: { [walletAddress]: attribution }, portfolio: attribution }
+   */
+  static attributeSnapshots(snapshots) {
+    const byWallet = new Map();
+    snapshots.forEach(snapshot => {
+      byWallet.set(snapshot.walletAddress, [...(byWallet.get(snapshot.walletAddress) || []), snapshot]);
+    });
+
+    const positions = {};
+    const wallets = {};
+    const portfolio = this.createAttribution();
+    const positionAttribution = (key, position, wallet) => {
+      positions[key] = positions[key] || this.createAttribution({
+        positionKey: key,
+        walletAddress: wallet,
+        protocolName: position.protocolName,
+        chain: position.chain,
+        positionType: position.positionType
+      });
+      return positions[key];
+    };
+
+    byWallet.forEach((walletSnapshots, wallet) => {
+      wallets[wallet] = this.createAttribution({ walletAddress: wallet });
+
+      walletSnapshots.slice(1).forEach((snapshot, index) => {
+        const previous = walletSnapshots[index];
+        const days = (new Date(snapshot.date) - new Date(previous.date)) / DAY_MS;
+        const links = PositionIdentityService.matchPositions(snapshot.positions || [], previous.positions || [], wallet);
+        const linked = new Set(links.map(link => link.previous).filter(Boolean));
+
+        links.forEach(link => {
+          this.addStep(positionAttribution(link.key, link.position, wallet), this.attributeStep(link.previous, link.position, days), days);
+        });
+        (previous.positions || [])
+          .filter(position => !linked.has(position))
+          .forEach(position => {
+            const key = PositionIdentityService.getKey(wallet, position);
+            this.addStep(positionAttribution(key, position, wallet), this.attributeStep(position, null, days), days);
+          });
+
+        this.addStep(wallets[wallet], this.attributeWallet(previous.tokens, snapshot.tokens, days), days);
+      });
+    });
+
+    // The portfolio is the sum of its positions and wallet tokens
+    const parts = [...Object.values(positions), ...Object.values(wallets)];
+    parts.forEach(part => {
+      portfolio.startValue = (portfolio.startValue || 0) + (part.startValue || 0);
+      portfolio.endValue += part.endValue;
+      this.COMPONENTS.forEach(component => { portfolio[component] += part[component]; });
+      portfolio.valueDays += part.valueDays;
+    });
+    portfolio.days = Math.max(0, ...parts.map(part => part.days));
+
+    return {
+      positions: Object.fromEntries(Object.entries(positions).map(([key, attribution]) => [key, this.finalize(attribution)])),
+      wallets: Object.fromEntries(Object.entries(wallets).map(([wallet, attribution]) => [wallet, this.finalize(attribution)])),
+      portfolio: this.finalize(portfolio)
+    };
+  }
+}
+
+module.exports = PerformanceAttributionService;
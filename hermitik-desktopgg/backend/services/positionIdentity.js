@@ -0,0 +1,162 @@
+/**
+ * Position Identity Service
+ * Stable identities for snapshot positions, so the same DeFi position is
+ * recognised from one day to the next even after DeBank renames it or lists
+ * its tokens in a different order.
+ *
+ *   Position key   wallet:chain:pool:index, where pool is DeBank's pool id
+ *                  (protocol id + sorted supply tokens when there is none) and
+ *                  index is DeBank's position index (e.g. an LP NFT id)
+ *
+ * When a snapshot is stored its positions are linked to the wallet's previous
+ * snapshot, strongest evidence first; each earlier position is claimed once:
+ *
+ *   key        same position key
+ *   tokens     same chain, protocol, index and set of supply tokens
+ *   protocol   the only position of its chain, protocol and type on both days
+ *
+ * A linked position takes over the earlier position's key, so its identity
+ * lasts as long as the position can be followed. Anything left unlinked is new.
+ */
+
+class PositionIdentityService {
+
+  static MATCH_PASSES = ['key', 'tokens', 'protocol'];
+
+  /**
+   * Sorted supply token identifiers of a position, independent of list order
+   * @param {Object} position - Snapshot position
+   * @returns {string} e.g. '0xa0b8...+0xc02a...'
+   */
+  static tokenFingerprint(position) {
+    const tokens = (position.supplyTokens || [])
+      .map(token => String(token.address || token.symbol || '').toLowerCase())
+      .filter(Boolean);
+    return Array.from(new Set(tokens)).sort().join('+');
+  }
+
+  /**
+   * Position key from the position's own fields
+   * @param {string} walletAddress - Wallet holding the position
+   * @param {Object} position - Snapshot position
+   * @returns {string} Position key
+   */
+  static buildKey(walletAddress, position) {
+    const pool = position.poolId || `${position.protocolId || 'unknown'}~${this.tokenFingerprint(position)}`;
+    return [walletAddress || '', position.chain || '', pool, position.positionIndex || '']
+      .map(part => String(part).toLowerCase())
+      .join(':');
+  }
+
+  /**
+   * Key of an already stored position; snapshots from before keys were stored get one built
+   * @param {string} walletAddress - Wallet holding the position
+   * @param {Object} position - Snapshot position
+   * @returns {string} Position key
+   */
+  static getKey(walletAddress, position) {
+    return position.positionKey || this.buildKey(walletAddress, position);
+  }
+
+  /**
+   * Whether two positions count as the same under a matching pass
+   * @param {string} pass - One of MATCH_PASSES
+   * @param {Object} current - { position, key }
+   * @param {Object} previous - { position, key }
+   * @param {Object} context - { current, previous } lists, for the uniqueness check of the protocol pass
+   * @returns {boolean} Match
+   */
+  static isMatch(pass, current, previous, context) {
+    const sameProtocol = (a, b) => a.chain === b.chain && a.protocolId === b.protocolId;
+    const samePlace = (a, b) => sameProtocol(a, b) && (a.positionIndex || '') === (b.positionIndex || '');
+
+    switch (pass) {
+      case 'key':
+        return current.key === previous.key;
+      case 'tokens':
+        return samePlace(current.position, previous.position) &&
+          this.tokenFingerprint(current.position) === this.tokenFingerprint(previous.position);
+      case 'protocol': {
+        const sameKind = (a, b) => sameProtocol(a, b) && a.positionType === b.positionType;
+        return sameKind(current.position, previous.position) &&
+          context.current.filter(entry => sameKind(entry.position, current.position)).length === 1 &&
+          context.previous.filter(entry => sameKind(entry.position, previous.position)).length === 1;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Link today's positions to the previous snapshot's
+   * @param {Array} positions - Positions being stored
+   * @param {Array} previousPositions - Positions of the wallet's previous snapshot
+   * @param {string} walletAddress - Wallet holding the positions
+   * @returns {Array} [{ position, previous, match }] in the order of positions; previous is null for new positions
+   */
+  static matchPositions(positions, previousPositions = [], walletAddress = '') {
+    const current = positions.map(position => ({ position, key: this.getKey(walletAddress, position) }));
+    const previous = (previousPositions || []).map(position => ({ position, key: this.getKey(walletAddress, position) }));
+    const context = { current, previous };
+    const links = current.map(() => ({ previous: null, match: 'new' }));
+    const claimed = new Set();
+
+    this.MATCH_PASSES.forEach(pass => {
+      current.forEach((entry, index) => {
+        if (links[index].previous) return;
+        const found = previous.findIndex((candidate, candidateIndex) =>
+          !claimed.has(candidateIndex) && this.isMatch(pass, entry, candidate, context));
+        if (found === -1) return;
+
+        claimed.add(found);
+        links[index] = { previous: previous[found], match: pass };
+      });
+    });
+
+    return current.map((entry, index) => ({
+      position: entry.position,
+      key: links[index].previous ? links[index].previous.key : entry.key,
+      previous: links[index].previous?.position || null,
+      match: links[index].match
+    }));
+  }
+
+  /**
+   * Set positionKey and identityMatch on positions about to be stored
+   * @param {Array} positions - Snapshot positions (changed in place)
+   * @param {Array} previousPositions - Positions of the wallet's previous snapshot
+   * @param {string} walletAddress - Wallet holding the positions
+   * @returns {Array} Links from matchPositions()
+   */
+  static assignKeys(positions, previousPositions, walletAddress) {
+    const links = this.matchPositions(positions, previousPositions, walletAddress);
+
+    links.forEach(({ position, key, match }) => {
+      position.positionKey = key;
+      position.identityMatch = match;
+    });
+
+    return links;
+  }
+
+  /**
+   * The position in a snapshot that a given position continues from
+   * @param {Object} position - Position to look for
+   * @param {Object} snapshot - Snapshot to look in
+   * @param {string} walletAddress - Wallet holding the position
+   * @returns {Object|null} Matching position
+   */
+  static findInSnapshot(position, snapshot, walletAddress) {
+    if (!snapshot?.positions?.length) return null;
+    if (walletAddress && snapshot.walletAddress && snapshot.walletAddress !== walletAddress.toLowerCase()) return null;
+
+    const key = this.getKey(walletAddress, position);
+    const exact = snapshot.positions.find(candidate => this.getKey(walletAddress, candidate) === key);
+    if (exact) return exact;
+
+    const [link] = this.matchPositions([position], snapshot.positions, walletAddress);
+    return link.previous;
+  }
+}
+
+module.exports = PositionIdentityService;
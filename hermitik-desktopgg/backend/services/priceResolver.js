@@ -0,0 +1,278 @@
+/**
+ * Price Resolver
+ * Prices wallet tokens by chain and contract address rather than by symbol,
+ * which clashes across chains and bridged copies. Sources are tried in order
+ * (PRICE_SOURCES, default below) and the first positive price wins:
+ *
+ *   override            admin-set PriceOverride for the chain + address
+ *   coingecko_contract  CoinGecko price for the contract on the chain's platform
+ *   coingecko_native    CoinGecko price of the chain's native token (non-contract tokens only)
+ *   debank              the price the portfolio provider returned with the balance
+ *
+ * Every resolution records which source was used and when that price was
+ * observed, so snapshot valuations can be audited.
+ */
+
+const PriceOverride = require('../models/PriceOverride');
+const ChainRegistryService = require('./chainRegistry');
+const { getPortfolioProvider } = require('./providers');
+const { SYMBOL_TO_COINGECKO_ID } = require('../utils/debankUtils');
+const { DEFAULT_CHAINS } = require('../config/chains');
+
+class PriceResolver {
+
+  static SOURCES = ['override', 'coingecko_contract', 'coingecko_native', 'debank'];
+  static UNPRICED = 'unpriced';
+
+  // CoinGecko prices are cached to respect rate limits, and kept past expiry
+  // as a fallback when CoinGecko is unavailable
+  static priceCache = new Map();
+  static CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+  static CONTRACT_BATCH_SIZE = 50;
+
+  /**
+   * Ordered price sources from PRICE_SOURCES
+   * @returns {Array<string>} Source names
+   */
+  static getSourceOrder() {
+    if (!process.env.PRICE_SOURCES) return this.SOURCES;
+
+    const order = process.env.PRICE_SOURCES.split(',').map(source => source.trim().toLowerCase()).filter(Boolean);
+    const invalid = order.filter(source => !this.SOURCES.includes(source));
+
+    if (invalid.length) {
+      throw new Error(`Invalid PRICE_SOURCES: ${invalid.join(', ')}. Valid sources: ${this.SOURCES.join(', ')}`);
+    }
+
+    return order;
+  }
+
+  /**
+   * Whether a token ID is an EVM contract address (native tokens use the chain ID)
+   * @param {string} address - Lowercase token ID
+   * @returns {boolean}
+   */
+  static isContractAddress(address) {
+    return /^0x[0-9a-f]{40}$/.test(address);
+  }
+
+  /**
+   * Key a token by chain and contract address
+   * @param {string} chain - Chain ID
+   * @param {string} address - Contract address or native token ID
+   * @returns {string} Token key
+   */
+  static getTokenKey(chain, address) {
+    return `${(chain || '').toLowerCase()}:${(address || '').toLowerCase()}`;
+  }
+
+  /**
+   * Resolve prices for provider tokens
+   * @param {Array} tokens - Provider tokens (DeBank format, tagged with chain_id)
+   * @param {Object} options - { offline } to skip the database (no overrides, default chains)
+   * @returns {Promise<Array>} { price, priceSource, pricedAt, volume24hUsd? } in the same order as tokens
+   */
+  static async resolve(tokens, options = {}) {
+    const resolvedAt = new Date();
+    const refs = tokens.map(token => {
+      const chain = (token.chain_id || token.chain || '').toLowerCase();
+      const address = (token.id || token.address || '').toLowerCase();
+      return {
+        key: this.getTokenKey(chain, address),
+        chain,
+        address,
+        symbol: token.symbol || '',
+        providerPrice: parseFloat(token.price) || 0
+      };
+    });
+
+    const resolved = new Map();
+
+    for (const source of this.getSourceOrder()) {
+      const pending = refs.filter(ref => !resolved.has(ref.key));
+      if (!pending.length) break;
+
+      const quotes = await this.fetchQuotes(source, pending, resolvedAt, options);
+      pending.forEach(ref => {
+        const quote = quotes.get(ref.key);
+        if (quote && quote.price > 0 && !resolved.has(ref.key)) {
+          resolved.set(ref.key, {
+            price: quote.price,
+            priceSource: source,
+            pricedAt: quote.pricedAt,
+            ...(quote.volume24hUsd !== undefined && { volume24hUsd: quote.volume24hUsd })
+          });
+        }
+      });
+    }
+
+    const unpriced = refs.filter(ref => !resolved.has(ref.key));
+    if (unpriced.length) {
+      console.log(`⚠️ No price found for ${unpriced.length} token(s): ${unpriced.map(ref => `${ref.symbol} (${ref.key})`).join(', ')}`);
+    }
+
+    return refs.map(ref => resolved.get(ref.key) || { price: 0, priceSource: this.UNPRICED, pricedAt: resolvedAt });
+  }
+
+  /**
+   * Quotes from one source for the given tokens
+   * @param {string} source - Source name
+   * @param {Array} refs - Token references from resolve
+   * @param {Date} resolvedAt - Time of the resolution
+   * @param {Object} options - Resolve options
+   * @returns {Promise<Map>} { price, pricedAt } keyed by token key
+   */
+  static async fetchQuotes(source, refs, resolvedAt, options = {}) {
+    switch (source) {
+      case 'override':
+        return options.offline ? new Map() : this.fetchOverrideQuotes(refs, resolvedAt);
+      case 'coingecko_contract':
+        return this.fetchContractQuotes(refs, options);
+      case 'coingecko_native':
+        return this.fetchNativeQuotes(refs, options);
+      case 'debank':
+        return new Map(refs.map(ref => [ref.key, { price: ref.providerPrice, pricedAt: resolvedAt }]));
+      default:
+        return new Map();
+    }
+  }
+
+  /**
+   * Active, unexpired admin overrides
+   * @param {Array} refs - Token references
+   * @param {Date} now - Time the overrides must be valid at
+   * @returns {Promise<Map>} Quotes keyed by token key
+   */
+  static async fetchOverrideQuotes(refs, now) {
+    const overrides = await PriceOverride.find({
+      active: true,
+      chain: { $in: [...new Set(refs.map(ref => ref.chain))] },
+      tokenAddress: { $in: [...new Set(refs.map(ref => ref.address))] },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    }).lean();
+
+    return new Map(overrides.map(override => [
+      this.getTokenKey(override.chain, override.tokenAddress),
+      { price: override.price, pricedAt: override.updatedAt }
+    ]));
+  }
+
+  /**
+   * Chain registry record, falling back to the defaults for fields older
+   * database records do not have
+   * @param {string} chainId - Chain ID
+   * @param {Object} options - Passed to the chain registry
+   * @returns {Promise<Object>} Chain record (empty when unknown)
+   */
+  static async getChainInfo(chainId, options = {}) {
+    const chain = await ChainRegistryService.getChain(chainId, options);
+    const defaults = DEFAULT_CHAINS.find(defaultChain => defaultChain.chainId === chainId) || {};
+
+    return {
+      nativeToken: chain?.nativeToken || defaults.nativeToken,
+      coingeckoPlatform: chain?.coingeckoPlatform || defaults.coingeckoPlatform
+    };
+  }
+
+  /**
+   * CoinGecko prices by contract address on each chain's asset platform
+   * @param {Array} refs - Token references
+   * @param {Object} options - Resolve options
+   * @returns {Promise<Map>} Quotes keyed by token key
+   */
+  static async fetchContractQuotes(refs, options = {}) {
+    const quotes = new Map();
+    const byPlatform = new Map();
+
+    for (const ref of refs.filter(ref => this.isContractAddress(ref.address))) {
+      const { coingeckoPlatform } = await this.getChainInfo(ref.chain, options);
+      if (!coingeckoPlatform) continue;
+
+      if (!byPlatform.has(coingeckoPlatform)) byPlatform.set(coingeckoPlatform, []);
+      byPlatform.get(coingeckoPlatform).push(ref);
+    }
+
+    for (const [platform, platformRefs] of byPlatform) {
+      const cacheKey = address => `coingecko:${platform}:${address}`;
+      const addresses = [...new Set(platformRefs.map(ref => ref.address))];
+      const stale = addresses.filter(address => !this.isFresh(cacheKey(address)));
+
+      for (let i = 0; i < stale.length; i += this.CONTRACT_BATCH_SIZE) {
+        const batch = stale.slice(i, i + this.CONTRACT_BATCH_SIZE);
+        try {
+          const data = await getPortfolioProvider().getTokenPrices(platform, batch);
+          Object.entries(data || {}).forEach(([address, quote]) => {
+            this.cachePrice(cacheKey(address.toLowerCase()), quote);
+          });
+        } catch (error) {
+          console.error(`❌ Error fetching CoinGecko contract prices on ${platform}, using cached prices:`, error.message);
+        }
+      }
+
+      platformRefs.forEach(ref => {
+        const cached = this.priceCache.get(cacheKey(ref.address));
+        if (cached) quotes.set(ref.key, cached);
+      });
+    }
+
+    return quotes;
+  }
+
+  /**
+   * CoinGecko prices for native (non-contract) tokens, looked up by the
+   * chain's native token symbol
+   * @param {Array} refs - Token references
+   * @param {Object} options - Resolve options
+   * @returns {Promise<Map>} Quotes keyed by token key
+   */
+  static async fetchNativeQuotes(refs, options = {}) {
+    const quotes = new Map();
+    const coinIds = new Map();
+
+    for (const ref of refs.filter(ref => !this.isContractAddress(ref.address))) {
+      const { nativeToken } = await this.getChainInfo(ref.chain, options);
+      const coinId = SYMBOL_TO_COINGECKO_ID[(nativeToken || ref.symbol).toLowerCase()];
+      if (coinId) coinIds.set(ref.key, coinId);
+    }
+
+    const stale = [...new Set(coinIds.values())].filter(coinId => !this.isFresh(`coingecko:${coinId}`));
+    if (stale.length) {
+      try {
+        const data = await getPortfolioProvider().getPrices(stale);
+        Object.entries(data || {}).forEach(([coinId, quote]) => {
+          this.cachePrice(`coingecko:${coinId}`, quote);
+        });
+      } catch (error) {
+        console.error('❌ Error fetching CoinGecko native prices, using cached prices:', error.message);
+      }
+    }
+
+    coinIds.forEach((coinId, key) => {
+      const cached = this.priceCache.get(`coingecko:${coinId}`);
+      if (cached) quotes.set(key, cached);
+    });
+
+    return quotes;
+  }
+
+  static isFresh(cacheKey) {
+    const cached = this.priceCache.get(cacheKey);
+    return Boolean(cached) && (Date.now() - cached.fetchedAt) < this.CACHE_DURATION;
+  }
+
+  static cachePrice(cacheKey, quote) {
+    const price = parseFloat(quote?.usd);
+    if (!(price > 0)) return;
+
+    const fetchedAt = Date.now();
+    const volume24hUsd = parseFloat(quote.usd_24h_vol);
+    this.priceCache.set(cacheKey, {
+      price,
+      pricedAt: quote.last_updated_at ? new Date(quote.last_updated_at * 1000) : new Date(fetchedAt),
+      ...(Number.isFinite(volume24hUsd) && { volume24hUsd }),
+      fetchedAt
+    });
+  }
+}
+
+module.exports = PriceResolver;
@@ -0,0 +1,164 @@
+/**
+ * DeBank Portfolio Provider
+ * Live implementation of the portfolio provider interface backed by the
+ * DeBank Pro OpenAPI (balances, positions) and CoinGecko (prices)
+ */
+
+const httpClient = require('../../utils/httpClient');
+
+class DebankProvider {
+  constructor() {
+    this.name = 'debank';
+  }
+
+  /**
+   * Get wallet token balances on a single chain
+   * @param {string} address - Validated wallet address
+   * @param {string} chainId - DeBank chain ID
+   * @returns {Promise<Array>} Raw DeBank token list
+   */
+  async getTokenBalances(address, chainId) {
+    const debankClient = httpClient.createDebankClient();
+    return debankClient.get('/user/token_list', {
+      id: address,
+      chain_id: chainId,
+      is_all: false // Avoid spam tokens
+    });
+  }
+
+  /**
+   * Get protocol positions held by a wallet on a single chain
+   * @param {string} address - Validated wallet address
+   * @param {string} chainId - DeBank chain ID
+   * @returns {Promise<Array>} Raw DeBank complex protocol list
+   */
+  async getProtocolPositions(address, chainId) {
+    const debankClient = httpClient.createDebankClient();
+    return debankClient.get('/user/all_complex_protocol_list', {
+      id: address,
+      chain_id: chainId
+    });
+  }
+
+  /**
+   * Get a wallet's detailed position in a single protocol
+   * @param {string} address - Wallet address
+   * @param {string} protocolId - DeBank protocol ID
+   * @param {string} chainId - DeBank chain ID
+   * @returns {Promise<Object>} Raw DeBank protocol detail
+   */
+  async getProtocolDetail(address, protocolId, chainId) {
+    const debankClient = httpClient.createDebankClient();
+    return debankClient.get('/user/protocol', {
+      id: address,
+      protocol_id: protocolId,
+      chain_id: chainId
+    });
+  }
+
+  /**
+   * Get one page of a wallet's transaction history on a single chain
+   * @param {string} address - Wallet address
+   * @param {string} chainId - DeBank chain ID
+   * @param {Object} options - { startTime: unix seconds, returns transactions before it; pageCount: up to 20 }
+   * @returns {Promise<Object>} Raw DeBank history ({ history_list, token_dict, ... })
+   */
+  async getTransactionHistory(address, chainId, { startTime, pageCount = 20 } = {}) {
+    const debankClient = httpClient.createDebankClient();
+    return debankClient.get('/user/history_list', {
+      id: address,
+      chain_id: chainId,
+      start_time: startTime,
+      page_count: pageCount
+    });
+  }
+
+  /**
+   * Get USD prices for a set of CoinGecko IDs
+   * @param {Array<string>} coinIds - CoinGecko coin IDs
+   * @returns {Promise<Object>} CoinGecko simple price map keyed by coin ID
+   */
+  async getPrices(coinIds) {
+    const coinGeckoClient = httpClient.createCoinGeckoClient();
+    return coinGeckoClient.get('/simple/price', {
+      ids: coinIds.join(','),
+      vs_currencies: 'usd',
+      include_market_cap: true,
+      include_24hr_vol: true,
+      include_24hr_change: true,
+      include_last_updated_at: true
+    });
+  }
+
+  /**
+   * Get USD prices for token contracts on a single CoinGecko asset platform
+   * @param {string} platform - CoinGecko asset platform ID (e.g. 'ethereum')
+   * @param {Array<string>} contractAddresses - Lowercase contract addresses
+   * @returns {Promise<Object>} CoinGecko token price map keyed by contract address
+   */
+  async getTokenPrices(platform, contractAddresses) {
+    const coinGeckoClient = httpClient.createCoinGeckoClient();
+    return coinGeckoClient.get(`/simple/token_price/${platform}`, {
+      contract_addresses: contractAddresses.join(','),
+      vs_currencies: 'usd',
+      include_24hr_vol: true,
+      include_last_updated_at: true
+    });
+  }
+
+  /**
+   * Get price history for a CoinGecko ID
+   * @param {string} coinId - CoinGecko coin ID
+   * @param {number} from - Range start, unix seconds
+   * @param {number} to - Range end, unix seconds
+   * @param {string} vsCurrency - CoinGecko currency key the prices are in (default: usd)
+   * @returns {Promise<Object>} CoinGecko market chart ({ prices: [[ms, price]], ... })
+   */
+  async getPriceHistory(coinId, from, to, vsCurrency = 'usd') {
+    const coinGeckoClient = httpClient.createCoinGeckoClient();
+    return coinGeckoClient.get(`/coins/${coinId}/market_chart/range`, {
+      vs_currency: vsCurrency,
+      from,
+      to
+    });
+  }
+
+  /**
+   * Get CoinGecko exchange rates (BTC-denominated) for fiat and crypto units
+   * @returns {Promise<Object>} CoinGecko exchange rates ({ rates: { usd: { value, type }, eur: ... } })
+   */
+  async getExchangeRates() {
+    const coinGeckoClient = httpClient.createCoinGeckoClient();
+    return coinGeckoClient.get('/exchange_rates');
+  }
+
+  /**
+   * Get the APY history of a DefiLlama yield pool (e.g. a lending market)
+   * @param {string} poolId - DefiLlama pool ID
+   * @returns {Promise<Object>} DefiLlama pool chart ({ data: [{ timestamp, apy, apyBase, tvlUsd }] })
+   */
+  async getYieldPoolHistory(poolId) {
+    const defiLlamaClient = httpClient.createDefiLlamaClient();
+    return defiLlamaClient.get(`/chart/${poolId}`);
+  }
+
+  /**
+   * Get every DefiLlama yield pool with its current quoted APY
+   * @returns {Promise<Object>} DefiLlama pools ({ data: [{ pool, chain, project, symbol, underlyingTokens, tvlUsd, apy, apyBase, apyReward }] })
+   */
+  async getYieldPools() {
+    const defiLlamaClient = httpClient.createDefiLlamaClient();
+    return defiLlamaClient.get('/pools');
+  }
+
+  /**
+   * Get the current borrow rates of DefiLlama lending pools
+   * @returns {Promise<Array>} [{ pool, apyBaseBorrow, apyRewardBorrow, totalSupplyUsd, totalBorrowUsd }]
+   */
+  async getLendBorrowRates() {
+    const defiLlamaClient = httpClient.createDefiLlamaClient();
+    return defiLlamaClient.get('/lendBorrow');
+  }
+}
+
+module.exports = DebankProvider;
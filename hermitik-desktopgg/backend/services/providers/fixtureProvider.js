@@ -0,0 +1,119 @@
+/**
+ * Fixture Portfolio Provider
+ * Serves saved DeBank/CoinGecko responses from disk so the snapshot and NAV
+ * pipeline can run offline.
+ *
+ * Fixture layout (relative to PORTFOLIO_FIXTURE_DIR):
+ *   <address>/<chainId>/token_list.json
+ *   <address>/<chainId>/all_complex_protocol_list.json
+ *   <address>/<chainId>/protocol_<protocolId>.json
+ *   <address>/<chainId>/history_list.json  (DeBank /user/history_list response, newest first)
+ *   prices.json  (CoinGecko /simple/price response keyed by coin ID)
+ *   token_prices/<platform>.json  (CoinGecko /simple/token_price response keyed by contract)
+ *   price_history/<coinId>.json  (CoinGecko /coins/<id>/market_chart response in USD;
+ *     <coinId>.<vsCurrency>.json for other currencies, e.g. tether.eur.json)
+ *   yield_pools/<poolId>.json  (DefiLlama /chart/<poolId> response)
+ *   pools.json  (DefiLlama /pools response)
+ *   lend_borrow.json  (DefiLlama /lendBorrow response)
+ *   exchange_rates.json  (CoinGecko /exchange_rates response)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '../../fixtures/portfolio');
+
+class FixtureProvider {
+  constructor(fixtureDir = process.env.PORTFOLIO_FIXTURE_DIR || DEFAULT_FIXTURE_DIR) {
+    this.name = 'fixture';
+    this.fixtureDir = fixtureDir;
+  }
+
+  /**
+   * Read a JSON fixture, returning the fallback when the file is missing
+   * @param {string} relativePath - Path relative to the fixture directory
+   * @param {any} fallback - Value returned when no fixture exists
+   * @returns {Promise<any>} Parsed fixture contents
+   */
+  async readFixture(relativePath, fallback) {
+    const filePath = path.join(this.fixtureDir, relativePath);
+
+    try {
+      const contents = await fs.promises.readFile(filePath, 'utf8');
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.warn(`⚠️ No fixture found at ${filePath}`);
+        return fallback;
+      }
+      throw new Error(`Failed to read fixture ${filePath}: ${error.message}`);
+    }
+  }
+
+  async getTokenBalances(address, chainId) {
+    return this.readFixture(path.join(address.toLowerCase(), chainId, 'token_list.json'), []);
+  }
+
+  async getProtocolPositions(address, chainId) {
+    return this.readFixture(path.join(address.toLowerCase(), chainId, 'all_complex_protocol_list.json'), []);
+  }
+
+  async getProtocolDetail(address, protocolId, chainId) {
+    return this.readFixture(path.join(address.toLowerCase(), chainId, `protocol_${protocolId}.json`), null);
+  }
+
+  async getTransactionHistory(address, chainId, { startTime, pageCount = 20 } = {}) {
+    const history = await this.readFixture(path.join(address.toLowerCase(), chainId, 'history_list.json'), null);
+    if (!history) return { history_list: [], token_dict: {} };
+
+    // Page like the live API: the newest pageCount transactions before startTime
+    const items = (history.history_list || [])
+      .filter(item => !startTime || item.time_at < startTime)
+      .sort((a, b) => b.time_at - a.time_at)
+      .slice(0, pageCount);
+    return { ...history, history_list: items };
+  }
+
+  async getPrices(coinIds) {
+    const prices = await this.readFixture('prices.json', {});
+    return Object.fromEntries(
+      coinIds.filter(id => prices[id]).map(id => [id, prices[id]])
+    );
+  }
+
+  async getTokenPrices(platform, contractAddresses) {
+    const prices = await this.readFixture(path.join('token_prices', `${platform}.json`), {});
+    return Object.fromEntries(
+      contractAddresses.filter(address => prices[address]).map(address => [address, prices[address]])
+    );
+  }
+
+  async getPriceHistory(coinId, from, to, vsCurrency = 'usd') {
+    const fileName = vsCurrency === 'usd' ? `${coinId}.json` : `${coinId}.${vsCurrency}.json`;
+    const history = await this.readFixture(path.join('price_history', fileName), { prices: [] });
+
+    // Range like the live API (timestamps in ms, bounds in seconds)
+    return {
+      ...history,
+      prices: (history.prices || []).filter(([timestamp]) => timestamp >= from * 1000 && timestamp <= to * 1000)
+    };
+  }
+
+  async getExchangeRates() {
+    return this.readFixture('exchange_rates.json', { rates: {} });
+  }
+
+  async getYieldPoolHistory(poolId) {
+    return this.readFixture(path.join('yield_pools', `${poolId}.json`), { status: 'success', data: [] });
+  }
+
+  async getYieldPools() {
+    return this.readFixture('pools.json', { status: 'success', data: [] });
+  }
+
+  async getLendBorrowRates() {
+    return this.readFixture('lend_borrow.json', []);
+  }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,55 @@
+/**
+ * Portfolio Data Provider Registry
+ * Resolves the provider used for token balances, protocol positions and prices.
+ *
+ * Every provider implements:
+ *   getTokenBalances(address, chainId)          -> DeBank-shaped token list
+ *   getProtocolPositions(address, chainId)      -> DeBank-shaped complex protocol list
+ *   getProtocolDetail(address, protocolId, chainId)
+ *   getTransactionHistory(address, chainId, { startTime, pageCount }) -> DeBank-shaped history page
+ *   getPrices(coinIds)                          -> CoinGecko-shaped simple price map
+ *   getTokenPrices(platform, contractAddresses) -> CoinGecko-shaped token price map
+ *   getPriceHistory(coinId, from, to, vsCurrency) -> CoinGecko-shaped market chart (default vs USD)
+ *   getYieldPoolHistory(poolId)                 -> DefiLlama-shaped pool APY chart
+ *   getYieldPools()                             -> DefiLlama-shaped current pool list (quoted supply APYs)
+ *   getLendBorrowRates()                        -> DefiLlama-shaped lending pool borrow rates
+ *   getExchangeRates()                          -> CoinGecko-shaped BTC exchange rates
+ *
+ * Selected with PORTFOLIO_PROVIDER (default: debank).
+ */
+
+const DebankProvider = require('./debankProvider');
+const FixtureProvider = require('./fixtureProvider');
+
+const PROVIDERS = {
+  debank: DebankProvider,
+  fixture: FixtureProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Get the configured portfolio provider (created on first use so that
+ * environment variables loaded after startup are respected)
+ * @returns {Object} Provider instance
+ */
+function getPortfolioProvider() {
+  if (!activeProvider) {
+    const providerName = (process.env.PORTFOLIO_PROVIDER || 'debank').toLowerCase();
+    const Provider = PROVIDERS[providerName];
+
+    if (!Provider) {
+      throw new Error(`Invalid PORTFOLIO_PROVIDER: ${providerName}. Valid providers: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    activeProvider = new Provider();
+    console.log(`🔌 Using portfolio data provider: ${providerName}`);
+  }
+
+  return activeProvider;
+}
+
+module.exports = {
+  getPortfolioProvider,
+  PROVIDERS
+};
@@ -0,0 +1,244 @@
+/**
+ * Quoted APY Service
+ * Protocol-advertised supply and borrow rates per pool, from the portfolio
+ * provider's yield pool list (DefiLlama, or pools.json / lend_borrow.json in
+ * fixture mode), set against the APY a position actually earned.
+ *
+ *   Pool         same project and chain (PROJECTS, CHAINS) and the same set of
+ *                underlying tokens as the position's supplied tokens, else one
+ *                single-token pool per supplied or borrowed token; the deepest
+ *                pool wins when several match
+ *   Quoted APY   supply value x supply APY - debt value x borrow APY, over the
+ *                quoted net value; borrow APY is base less incentive rewards
+ *   Deviation    realized - quoted, in percentage points; realized is the
+ *                position's yield and reward APY without price moves
+ *                (PerformanceAttributionService)
+ *   Alert        'underperforming' / 'outperforming' once realized is at least
+ *                MIN_REALIZED_DAYS old and off by more than DEVIATION_ALERT_RATIO
+ *                of the quote and DEVIATION_ALERT_POINTS
+ *
+ * The pool list is cached for CACHE_DURATION.
+ */
+
+const { getPortfolioProvider } = require('./providers');
+
+class QuotedAPYService {
+
+  static cache = null;
+  static cacheTimestamp = 0;
+  static CACHE_DURATION = 60 * 60 * 1000; // 1 hour
+
+  static DEVIATION_ALERT_RATIO = 0.25;
+  static DEVIATION_ALERT_POINTS = 1;
+  static MIN_REALIZED_DAYS = 3;
+
+  // DeBank protocol ID (without chain prefix) -> DefiLlama project
+  static PROJECTS = {
+    aave3: 'aave-v3',
+    aave2: 'aave-v2',
+    compound3: 'compound-v3',
+    compound: 'compound-v2',
+    spark: 'sparklend',
+    morphoblue: 'morpho-blue',
+    uniswap3: 'uniswap-v3',
+    uniswap2: 'uniswap-v2',
+    curve: 'curve-dex',
+    convex: 'convex-finance',
+    yearn2: 'yearn-finance',
+    lido: 'lido',
+    rocketpool: 'rocket-pool',
+    pendle2: 'pendle',
+    ethena: 'ethena-usde'
+  };
+
+  // DeBank chain ID -> DefiLlama chain name
+  static CHAINS = {
+    eth: 'Ethereum',
+    bsc: 'BSC',
+    arb: 'Arbitrum',
+    matic: 'Polygon',
+    base: 'Base',
+    op: 'Optimism',
+    avax: 'Avalanche',
+    linea: 'Linea',
+    era: 'zkSync Era',
+    blast: 'Blast'
+  };
+
+  /**
+   * Current pools and borrow rates, from the cache while it is fresh
+   * @returns {Promise<Object>} { byMarket: Map of 'project:chain' -> pools, borrowRates: Map of pool ID -> rates, fetchedAt }
+   */
+  static async getPools() {
+    const now = Date.now();
+    if (this.cache && (now - this.cacheTimestamp) < this.CACHE_DURATION) {
+      return this.cache;
+    }
+
+    try {
+      const provider = getPortfolioProvider();
+      const [pools, borrowRates] = await Promise.all([
+        provider.getYieldPools(),
+        provider.getLendBorrowRates().catch(error => {
+          console.error('❌ Error fetching quoted borrow rates:', error.message);
+          return [];
+        })
+      ]);
+
+      const byMarket = new Map();
+      (pools?.data || []).forEach(pool => {
+        const market = `${pool.project}:${pool.chain}`;
+        byMarket.set(market, [...(byMarket.get(market) || []), pool]);
+      });
+
+      this.cache = {
+        byMarket,
+        borrowRates: new Map((Array.isArray(borrowRates) ? borrowRates : borrowRates?.data || []).map(rate => [rate.pool, rate])),
+        fetchedAt: new Date(now)
+      };
+      this.cacheTimestamp = now;
+      return this.cache;
+    } catch (error) {
+      console.error('❌ Error fetching quoted APYs:', error.message);
+      return this.cache || { byMarket: new Map(), borrowRates: new Map(), fetchedAt: null };
+    }
+  }
+
+  /**
+   * Drop the cached pools so the next read fetches them again
+   */
+  static invalidate() {
+    this.cache = null;
+    this.cacheTimestamp = 0;
+  }
+
+  /**
+   * DefiLlama project and chain of a snapshot position
+   * @param {Object} position - Snapshot position
+   * @returns {Object|null} { project, chain }; null when either is unknown
+   */
+  static getMarket(position) {
+    const protocolId = String(position.protocolId || '').toLowerCase();
+    // DeBank prefixes protocols on other chains with the chain, e.g. arb_aave3
+    const [prefix, ...rest] = protocolId.split('_');
+    const baseId = rest.length && this.CHAINS[prefix] ? rest.join('_') : protocolId;
+
+    const project = this.PROJECTS[baseId];
+    const chain = this.CHAINS[position.chain];
+    return project && chain ? { project, chain } : null;
+  }
+
+  /**
+   * Deepest pool of a market whose underlying tokens are exactly the given tokens
+   * @param {Array} pools - Pools of one market
+   * @param {Array} tokens - Snapshot tokens
+   * @returns {Object|null} DefiLlama pool
+   */
+  static findPool(pools, tokens) {
+    const addresses = new Set(tokens.map(token => String(token.address || '').toLowerCase()).filter(Boolean));
+    const symbols = new Set(tokens.map(token => String(token.symbol || '').toUpperCase()));
+    const sameSet = (set, values) => values.length === set.size && values.every(value => set.has(value));
+
+    const matches = (pools || []).filter(pool => (pool.underlyingTokens?.length
+      ? sameSet(addresses, pool.underlyingTokens.map(address => String(address).toLowerCase()))
+      : sameSet(symbols, String(pool.symbol || '').toUpperCase().split('-'))));
+
+    return matches.sort((a, b) => (b.tvlUsd || 0) - (a.tvlUsd || 0))[0] || null;
+  }
+
+  /**
+   * Borrow APY of a pool, net of borrow incentives
+   * @param {Map} borrowRates - Pool ID -> DefiLlama borrow rates
+   * @param {Object} pool - DefiLlama pool
+   * @returns {number|null} Annual %
+   */
+  static borrowApy(borrowRates, pool) {
+    const rate = pool && borrowRates.get(pool.pool);
+    if (!rate || rate.apyBaseBorrow === null || rate.apyBaseBorrow === undefined) return null;
+    return rate.apyBaseBorrow - (rate.apyRewardBorrow || 0);
+  }
+
+  /**
+   * Quoted APY of a position
+   * @param {Object} position - Snapshot position
+   * @param {Object} pools - From getPools()
+   * @returns {Object|null} { quotedApy, quotedSupplyApy, quotedBorrowApy, coverage, pools: [{ pool, project, symbol, side,
+   *   apy, apyBase, apyReward, tvlUsd }] }; null when no supplied token has a quote
+   */
+  static quotePosition(position, { byMarket, borrowRates }) {
+    const market = this.getMarket(position);
+    if (!market) return null;
+
+    const marketPools = byMarket.get(`${market.project}:${market.chain}`) || [];
+    const supplyTokens = position.supplyTokens || [];
+    const value = token => token.usdValue || (token.amount * token.price) || 0;
+    const quotes = [];
+
+    // The whole position as one pool (LPs, single-asset vaults), else token by token
+    const wholePool = supplyTokens.length ? this.findPool(marketPools, supplyTokens) : null;
+    if (wholePool && wholePool.apy !== null && wholePool.apy !== undefined) {
+      quotes.push({ side: 'supply', value: supplyTokens.reduce((sum, token) => sum + value(token), 0), apy: wholePool.apy, pool: wholePool });
+    } else {
+      supplyTokens.forEach(token => {
+        const pool = this.findPool(marketPools, [token]);
+        if (pool && pool.apy !== null && pool.apy !== undefined) quotes.push({ side: 'supply', value: value(token), apy: pool.apy, pool });
+      });
+    }
+    (position.borrowTokens || []).forEach(token => {
+      const pool = this.findPool(marketPools, [token]);
+      const apy = this.borrowApy(borrowRates, pool);
+      if (apy !== null) quotes.push({ side: 'borrow', value: value(token), apy, pool });
+    });
+
+    const supplied = quotes.filter(quote => quote.side === 'supply');
+    const borrowed = quotes.filter(quote => quote.side === 'borrow');
+    const suppliedValue = supplied.reduce((sum, quote) => sum + quote.value, 0);
+    const borrowedValue = borrowed.reduce((sum, quote) => sum + quote.value, 0);
+    if (!(suppliedValue > 0)) return null;
+
+    const weighted = list => list.reduce((sum, quote) => sum + quote.value * quote.apy, 0);
+    const netValue = suppliedValue - borrowedValue;
+    const totalValue = [...supplyTokens, ...(position.borrowTokens || [])].reduce((sum, token) => sum + value(token), 0);
+
+    return {
+      quotedApy: netValue > 0 ? (weighted(supplied) - weighted(borrowed)) / netValue : null,
+      quotedSupplyApy: weighted(supplied) / suppliedValue,
+      quotedBorrowApy: borrowedValue > 0 ? weighted(borrowed) / borrowedValue : null,
+      coverage: totalValue > 0 ? (suppliedValue + borrowedValue) / totalValue : 0,
+      pools: quotes.map(quote => ({
+        pool: quote.pool.pool,
+        project: quote.pool.project,
+        symbol: quote.pool.symbol,
+        side: quote.side,
+        apy: quote.apy,
+        apyBase: quote.pool.apyBase ?? null,
+        apyReward: quote.pool.apyReward ?? null,
+        tvlUsd: quote.pool.tvlUsd ?? null
+      }))
+    };
+  }
+
+  /**
+   * Deviation of realized from quoted APY
+   * @param {number|null} quotedApy - Annual %
+   * @param {number|null} realizedApy - Annual %
+   * @param {number} realizedDays - Days the realized APY covers
+   * @returns {Object} { deviation, deviationAlert } (percentage points; alert null when within range or too early)
+   */
+  static compare(quotedApy, realizedApy, realizedDays) {
+    if (quotedApy === null || quotedApy === undefined || realizedApy === null || realizedApy === undefined) {
+      return { deviation: null, deviationAlert: null };
+    }
+
+    const deviation = realizedApy - quotedApy;
+    const tolerance = Math.max(this.DEVIATION_ALERT_POINTS, Math.abs(quotedApy) * this.DEVIATION_ALERT_RATIO);
+    let deviationAlert = null;
+    if (realizedDays >= this.MIN_REALIZED_DAYS && Math.abs(deviation) > tolerance) {
+      deviationAlert = deviation < 0 ? 'underperforming' : 'outperforming';
+    }
+
+    return { deviation: Math.round(deviation * 100) / 100, deviationAlert };
+  }
+}
+
+module.exports = QuotedAPYService;
@@ -0,0 +1,309 @@
+/**
+ * Returns Engine
+ * Flow-adjusted portfolio returns from daily snapshots and the capital
+ * account ledger. Simple NAV-to-NAV changes count every deposit as a gain and
+ * every withdrawal as a loss; these don't.
+ *
+ *   Time-weighted return (TWR)   sub-periods run from one daily valuation to
+ *                                the next; each is (V_end - flows) / V_start - 1
+ *                                and they are chain-linked: prod(1 + r) - 1
+ *   Money-weighted return (MWR)  XIRR of the starting value paid in, each flow,
+ *                                and the ending value paid out
+ *
+ * Valuations are the sum of the user's wallet snapshots for each day, with a
+ * wallet's last value standing in on days its snapshot is missing. A flow
+ * dated on day D lands in the sub-period ending with D's snapshot. Flows are
+ * signed as in the ledger: deposits positive, withdrawals negative.
+ * Annualized figures are only given for ranges of a year or more.
+ *
+ * In another reporting currency, each valuation and flow is converted at its
+ * own day's rate, so returns include the currency's move against USD.
+ */
+
+const DailySnapshot = require('../models/DailySnapshot');
+const User = require('../models/User');
+const CapitalAccountService = require('./capitalAccount');
+const FxRateService = require('./fxRates');
+const { AppError } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReturnsEngine {
+
+  static XIRR_MAX_ITERATIONS = 100;
+  static XIRR_TOLERANCE = 1e-7;
+
+  /**
+   * Midnight UTC of a date's day
+   * @param {Date} date - Any time on the day
+   * @returns {number} Epoch milliseconds
+   */
+  static dayKey(date) {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day.getTime();
+  }
+
+  /**
+   * Total snapshot value for each day in a range
+   *
+   * A wallet missing a snapshot on a day (a failed collection) is valued at its
+   * last snapshot, so the gap doesn't read as a loss followed by a gain. Wallets
+   * the user has since removed are only counted up to their last snapshot.
+   * @param {string} userId - User ID
+   * @param {Object} options - { start, end, walletAddress }
+   * @returns {Promise<Array>} [{ date, value, walletCount, carriedForward }] oldest first;
+   *   walletCount wallets have a snapshot that day, carriedForward more are at their last value
+   */
+  static async getDailyValuations(userId, { start, end, walletAddress } = {}) {
+    const query = { userId };
+    if (walletAddress) query.walletAddress = walletAddress.toLowerCase();
+    if (start || end) {
+      query.date = {};
+      if (start) query.date.$gte = start;
+      if (end) query.date.$lte = end;
+    }
+
+    const [snapshots, user] = await Promise.all([
+      DailySnapshot.find(query)
+        .select('date walletAddress totalNavUsd')
+        .sort({ date: 1 })
+        .lean(),
+      User.findById(userId).select('wallets').lean()
+    ]);
+
+    const currentWallets = new Set((user?.wallets || []).map(wallet => wallet.trim().toLowerCase()));
+    const lastSnapshotDay = new Map();
+    const byDay = new Map();
+    snapshots.forEach(snapshot => {
+      const key = this.dayKey(snapshot.date);
+      if (!byDay.has(key)) byDay.set(key, new Map());
+      byDay.get(key).set(snapshot.walletAddress, snapshot.totalNavUsd || 0);
+      lastSnapshotDay.set(snapshot.walletAddress, key);
+    });
+
+    const lastValues = new Map();
+    return Array.from(byDay.entries()).map(([key, dayValues]) => {
+      dayValues.forEach((value, wallet) => lastValues.set(wallet, value));
+
+      let value = 0;
+      let carriedForward = 0;
+      lastValues.forEach((lastValue, wallet) => {
+        if (dayValues.has(wallet)) {
+          value += lastValue;
+        } else if (currentWallets.has(wallet) || lastSnapshotDay.get(wallet) > key) {
+          value += lastValue;
+          carriedForward += 1;
+        }
+      });
+
+      return { date: new Date(key), value, walletCount: dayValues.size, carriedForward };
+    });
+  }
+
+  /**
+   * Chain-linked time-weighted return
+   * @param {Array} valuations - [{ date, value }] oldest first
+   * @param {Array} flows - [{ date, amount }] signed flows
+   * @returns {Object} { totalReturn, subPeriods: [{ start, end, startValue, endValue, flows, return }] }
+   */
+  static timeWeightedReturn(valuations, flows = []) {
+    const subPeriods = [];
+    let growth = 1;
+
+    for (let i = 1; i < valuations.length; i++) {
+      const previous = valuations[i - 1];
+      const current = valuations[i];
+      const startKey = this.dayKey(previous.date);
+      const endKey = this.dayKey(current.date);
+      const periodFlows = flows
+        .filter(flow => this.dayKey(flow.date) > startKey && this.dayKey(flow.date) <= endKey)
+        .reduce((sum, flow) => sum + flow.amount, 0);
+
+      // Nothing invested at the start (e.g. the first deposit) - no return to measure
+      const periodReturn = previous.value > 0 ? (current.value - periodFlows) / previous.value - 1 : 0;
+      growth *= 1 + periodReturn;
+
+      subPeriods.push({
+        start: previous.date,
+        end: current.date,
+        startValue: previous.value,
+        endValue: current.value,
+        flows: periodFlows,
+        return: periodReturn
+      });
+    }
+
+    return { totalReturn: growth - 1, subPeriods };
+  }
+
+  /**
+   * Annual internal rate of return of dated cash flows (XIRR)
+   * @param {Array} cashFlows - [{ date, amount }]; money paid in is negative
+   * @returns {number|null} Annual rate, or null when it has no solution
+   */
+  static xirr(cashFlows) {
+    const flows = cashFlows.filter(flow => flow.amount !== 0);
+    if (!flows.some(flow => flow.amount > 0) || !flows.some(flow => flow.amount < 0)) return null;
+
+    const firstDate = Math.min(...flows.map(flow => new Date(flow.date).getTime()));
+    const terms = flows.map(flow => ({
+      amount: flow.amount,
+      years: (new Date(flow.date).getTime() - firstDate) / (365 * DAY_MS)
+    }));
+
+    const npv = rate => terms.reduce((sum, t) => sum + t.amount / Math.pow(1 + rate, t.years), 0);
+    const derivative = rate => terms.reduce((sum, t) => sum - t.years * t.amount / Math.pow(1 + rate, t.years + 1), 0);
+
+    // Newton-Raphson from 10%, then bisection if it doesn't converge
+    let rate = 0.1;
+    for (let i = 0; i < this.XIRR_MAX_ITERATIONS; i++) {
+      const value = npv(rate);
+      const slope = derivative(rate);
+      if (Math.abs(value) < this.XIRR_TOLERANCE) return rate;
+      if (!slope || !Number.isFinite(slope)) break;
+      const next = rate - value / slope;
+      if (!Number.isFinite(next) || next <= -1) break;
+      if (Math.abs(next - rate) < this.XIRR_TOLERANCE) return next;
+      rate = next;
+    }
+
+    let low = -0.9999;
+    let high = 10;
+    let lowValue = npv(low);
+    if (lowValue * npv(high) > 0) return null;
+    for (let i = 0; i < 200; i++) {
+      const mid = (low + high) / 2;
+      const midValue = npv(mid);
+      if (Math.abs(midValue) < this.XIRR_TOLERANCE || (high - low) / 2 < this.XIRR_TOLERANCE) return mid;
+      if (midValue * lowValue < 0) {
+        high = mid;
+      } else {
+        low = mid;
+        lowValue = midValue;
+      }
+    }
+    return (low + high) / 2;
+  }
+
+  /**
+   * Money-weighted return from valuations and flows
+   * @param {Array} valuations - [{ date, value }] oldest first
+   * @param {Array} flows - [{ date, amount }] signed flows after the first valuation
+   * @returns {Object} { annualizedReturn, periodReturn } (null when undefined)
+   */
+  static moneyWeightedReturn(valuations, flows = []) {
+    if (valuations.length < 2) return { annualizedReturn: null, periodReturn: null };
+
+    const first = valuations[0];
+    const last = valuations[valuations.length - 1];
+    const firstKey = this.dayKey(first.date);
+    const lastKey = this.dayKey(last.date);
+
+    // Investor's view: money paid in is negative, money taken out positive
+    const cashFlows = [
+      { date: first.date, amount: -first.value },
+      ...flows
+        .filter(flow => this.dayKey(flow.date) > firstKey && this.dayKey(flow.date) <= lastKey)
+        .map(flow => ({ date: flow.date, amount: -flow.amount })),
+      { date: last.date, amount: last.value }
+    ];
+
+    const annualizedReturn = this.xirr(cashFlows);
+    const years = (lastKey - firstKey) / (365 * DAY_MS);
+    const periodReturn = annualizedReturn === null ? null : Math.pow(1 + annualizedReturn, years) - 1;
+
+    return { annualizedReturn, periodReturn };
+  }
+
+  /**
+   * Valuations and flows converted from USD, each at its own day's rate
+   * @param {Array} valuations - [{ date, value }] oldest first
+   * @param {Array} flows - [{ date, amount }]
+   * @param {string} currency - Reporting currency code
+   * @returns {Promise<Object>} { valuations, flows }
+   */
+  static async convertSeries(valuations, flows, currency) {
+    const series = await FxRateService.getRateSeries(currency, valuations[0].date, valuations[valuations.length - 1].date);
+    const usdPerUnit = date => {
+      const rate = series.rateAt(date);
+      if (!rate) {
+        throw new AppError(`No ${series.currency} exchange rate stored near ${new Date(date).toISOString().split('T')[0]}`, 422);
+      }
+      return rate.usdPerUnit;
+    };
+
+    return {
+      valuations: valuations.map(valuation => ({ ...valuation, value: valuation.value / usdPerUnit(valuation.date) })),
+      flows: flows.map(flow => ({ ...flow, amount: flow.amount / usdPerUnit(flow.date) }))
+    };
+  }
+
+  /**
+   * TWR and MWR for a user over a date range
+   * @param {string} userId - User ID
+   * @param {Object} options - { start, end, walletAddress, currency } (currency default USD)
+   * @returns {Promise<Object>} Valuations, flows and both returns, in the currency
+   */
+  static async calculate(userId, { start, end, walletAddress, currency = FxRateService.BASE_CURRENCY } = {}) {
+    let valuations = await this.getDailyValuations(userId, { start, end, walletAddress });
+
+    if (valuations.length < 2) {
+      return {
+        hasData: false,
+        currency,
+        start: valuations[0]?.date || start || null,
+        end: valuations[0]?.date || end || null,
+        days: 0,
+        valuationCount: valuations.length,
+        twr: { totalReturn: null, annualizedReturn: null },
+        mwr: { periodReturn: null, annualizedReturn: null },
+        subPeriods: []
+      };
+    }
+
+    const first = valuations[0];
+    const last = valuations[valuations.length - 1];
+    const transactions = await CapitalAccountService.getTransactions(userId, {
+      start: new Date(this.dayKey(first.date) + DAY_MS),
+      end: new Date(this.dayKey(last.date) + DAY_MS)
+    });
+    let flows = transactions
+      .map(transaction => ({ date: transaction.date, amount: CapitalAccountService.signedAmount(transaction, walletAddress) }))
+      .filter(flow => flow.amount !== 0);
+
+    if (currency !== FxRateService.BASE_CURRENCY) {
+      ({ valuations, flows } = await this.convertSeries(valuations, flows, currency));
+    }
+
+    const { totalReturn, subPeriods } = this.timeWeightedReturn(valuations, flows);
+    const mwr = this.moneyWeightedReturn(valuations, flows);
+    const days = Math.round((this.dayKey(last.date) - this.dayKey(first.date)) / DAY_MS);
+    const netFlows = flows.reduce((sum, flow) => sum + flow.amount, 0);
+
+    return {
+      hasData: true,
+      currency,
+      start: first.date,
+      end: last.date,
+      days,
+      valuationCount: valuations.length,
+      startValue: valuations[0].value,
+      endValue: valuations[valuations.length - 1].value,
+      netFlows,
+      flowCount: flows.length,
+      gainLoss: valuations[valuations.length - 1].value - valuations[0].value - netFlows,
+      twr: {
+        totalReturn,
+        annualizedReturn: days >= 365 ? Math.pow(1 + totalReturn, 365 / days) - 1 : null
+      },
+      mwr: {
+        periodReturn: mwr.periodReturn,
+        annualizedReturn: days >= 365 ? mwr.annualizedReturn : null
+      },
+      subPeriods
+    };
+  }
+}
+
+module.exports = ReturnsEngine;
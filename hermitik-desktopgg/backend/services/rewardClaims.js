@@ -0,0 +1,227 @@
+/**
+ * Reward Claim Service
+ * Detects harvested rewards between snapshots, so a claim doesn't read as a
+ * loss in position APY.
+ *
+ *   Claim        a reward token whose unclaimed amount fell from one snapshot
+ *                of the position to the next; the fall is the claimed amount
+ *   Confirmed    the wallet's balance of that token rose by at least
+ *                CONFIRM_RATIO of the fall over the same interval; the claimed
+ *                amount is then the wallet's increase, up to the earlier
+ *                unclaimed amount
+ *   Cumulative   rewards claimed since the series started plus what is unclaimed
+ *   rewards      now; unlike unclaimed rewards it doesn't drop at a harvest
+ *
+ * Claims are stored on each snapshot position when the snapshot is collected
+ * (rewardClaims, claimedRewardsUsd, cumulativeClaimedUsd); snapshots from
+ * before that are checked on the fly.
+ */
+
+const PositionIdentityService = require('./positionIdentity');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RewardClaimService {
+
+  static CONFIRM_RATIO = 0.9;
+  static MIN_CLAIM_USD = 0.01;
+
+  /**
+   * Identifier of a token within a chain
+   * @param {Object} token - Snapshot token
+   * @returns {string} chain:address, or chain:symbol when there is no address
+   */
+  static tokenKey(token) {
+    return `${token.chain || ''}:${token.address || token.symbol || ''}`.toLowerCase();
+  }
+
+  /**
+   * Total amount and latest price per token
+   * @param {Array} tokens - Snapshot tokens
+   * @returns {Map} tokenKey -> { symbol, address, amount, price }
+   */
+  static sumTokens(tokens = []) {
+    const totals = new Map();
+    (tokens || []).forEach(token => {
+      const key = this.tokenKey(token);
+      const total = totals.get(key) || { symbol: token.symbol, address: token.address, amount: 0, price: 0 };
+      total.amount += token.amount || 0;
+      total.price = token.price || total.price;
+      totals.set(key, total);
+    });
+    return totals;
+  }
+
+  /**
+   * Claims made from a position since its previous snapshot
+   * @param {Object} position - Position today
+   * @param {Object} previousPosition - The same position in the previous snapshot
+   * @param {Object} wallet - { tokens, previousTokens } wallet balances of both snapshots, to confirm claims
+   * @param {Map} inflows - Wallet inflows not yet matched to a claim (shared between a snapshot's positions)
+   * @returns {Array} [{ symbol, address, amount, usdValue, confirmed }]
+   */
+  static detectClaims(position, previousPosition, { tokens, previousTokens } = {}, inflows = null) {
+    if (!previousPosition) return [];
+
+    const current = this.sumTokens(position.rewardTokens);
+    const previous = this.sumTokens(previousPosition.rewardTokens);
+    const available = inflows || this.walletInflows(tokens, previousTokens);
+    const claims = [];
+
+    previous.forEach((reward, key) => {
+      const fall = reward.amount - (current.get(key)?.amount || 0);
+      const price = current.get(key)?.price || reward.price;
+      if (fall <= 0 || fall * price < this.MIN_CLAIM_USD) return;
+
+      // Rewards accrued after the claim hide part of it; the wallet shows the whole claim
+      const inflow = available?.get(key) || 0;
+      const confirmed = inflow >= fall * this.CONFIRM_RATIO;
+      const amount = confirmed ? Math.min(Math.max(fall, inflow), reward.amount) : fall;
+      if (available) available.set(key, Math.max(0, inflow - amount));
+
+      claims.push({
+        symbol: reward.symbol,
+        address: reward.address,
+        amount,
+        usdValue: amount * price,
+        confirmed
+      });
+    });
+
+    return claims;
+  }
+
+  /**
+   * Increase of each wallet token balance between two snapshots
+   * @param {Array} tokens - Wallet tokens now
+   * @param {Array} previousTokens - Wallet tokens in the previous snapshot
+   * @returns {Map|null} tokenKey -> amount received; null when either side is missing
+   */
+  static walletInflows(tokens, previousTokens) {
+    if (!tokens || !previousTokens) return null;
+
+    const before = this.sumTokens(previousTokens);
+    const inflows = new Map();
+    this.sumTokens(tokens).forEach((token, key) => {
+      const received = token.amount - (before.get(key)?.amount || 0);
+      if (received > 0) inflows.set(key, received);
+    });
+    return inflows;
+  }
+
+  /**
+   * Claimed USD value of a list of claims
+   * @param {Array} claims - From detectClaims()
+   * @returns {number} USD value
+   */
+  static totalUsd(claims) {
+    return (claims || []).reduce((sum, claim) => sum + (claim.usdValue || 0), 0);
+  }
+
+  /**
+   * Claims since the previous snapshot: the ones stored on the position, else detected now
+   * @param {Object} position - Position today
+   * @param {Object} previousPosition - The same position in the previous snapshot
+   * @param {Object} wallet - { tokens, previousTokens }, used when detecting
+   * @returns {Object} { claims, claimedUsd }
+   */
+  static getClaims(position, previousPosition, wallet = {}) {
+    const positionData = position._doc || position;
+    if (positionData.claimedRewardsUsd !== undefined && positionData.claimedRewardsUsd !== null) {
+      return { claims: positionData.rewardClaims || [], claimedUsd: positionData.claimedRewardsUsd };
+    }
+
+    const claims = this.detectClaims(positionData, previousPosition, wallet);
+    return { claims, claimedUsd: this.totalUsd(claims) };
+  }
+
+  /**
+   * Set the claim fields on positions about to be stored
+   * @param {Array} links - From PositionIdentityService.matchPositions(), positions changed in place
+   * @param {Array} tokens - Wallet tokens of the snapshot being stored
+   * @param {Array} previousTokens - Wallet tokens of the previous snapshot
+   * @returns {number} Claimed USD value across the positions
+   */
+  static applyClaims(links, tokens, previousTokens) {
+    const inflows = this.walletInflows(tokens, previousTokens);
+
+    return links.reduce((total, { position, previous }) => {
+      const claims = this.detectClaims(position, previous, {}, inflows);
+      const claimedUsd = this.totalUsd(claims);
+
+      position.rewardClaims = claims;
+      position.claimedRewardsUsd = claimedUsd;
+      position.cumulativeClaimedUsd = (previous?.cumulativeClaimedUsd || 0) + claimedUsd;
+      return total + claimedUsd;
+    }, 0);
+  }
+
+  /**
+   * Daily rewards of a position, following it back through a wallet's
+   * snapshots for as long as it can be matched
+   * @param {Array} snapshots - Snapshots of the wallet (any order); others are ignored
+   * @param {Object} position - Position in the latest of the snapshots
+   * @param {string} walletAddress - Wallet holding the position
+   * @param {Function} valueOf - Position -> USD value
+   * @returns {Array} [{ date, valueUsd, unclaimedUsd, claimedUsd, claimsConfirmed, cumulativeClaimedUsd,
+   *   cumulativeRewardsUsd }] oldest first; claims on the first day are before the series and not counted
+   */
+  static getRewardSeries(snapshots, position, walletAddress, valueOf) {
+    const wallet = (walletAddress || '').toLowerCase();
+    const ordered = (snapshots || [])
+      .filter(snapshot => !wallet || snapshot.walletAddress === wallet)
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    const chain = [];
+    let current = position;
+    for (let index = 0; index < ordered.length && current; index += 1) {
+      const found = index === 0 ? current : PositionIdentityService.findInSnapshot(current, ordered[index], wallet);
+      if (!found) break;
+      chain.unshift({ snapshot: ordered[index], position: found });
+      current = found;
+    }
+
+    let cumulativeClaimedUsd = 0;
+    return chain.map(({ snapshot, position: dayPosition }, index) => {
+      const before = chain[index - 1];
+      const { claims, claimedUsd } = before
+        ? this.getClaims(dayPosition, before.position, { tokens: snapshot.tokens, previousTokens: before.snapshot.tokens })
+        : { claims: [], claimedUsd: 0 };
+      const unclaimedUsd = (dayPosition.rewardTokens || [])
+        .reduce((sum, token) => sum + (token.usdValue || (token.amount * token.price) || 0), 0);
+      cumulativeClaimedUsd += claimedUsd;
+
+      return {
+        date: new Date(snapshot.date),
+        valueUsd: valueOf(dayPosition),
+        unclaimedUsd,
+        claimedUsd,
+        claimsConfirmed: claims.every(claim => claim.confirmed),
+        cumulativeClaimedUsd,
+        cumulativeRewardsUsd: cumulativeClaimedUsd + unclaimedUsd
+      };
+    });
+  }
+
+  /**
+   * Rewards earned over a series
+   * @param {Array} series - From getRewardSeries()
+   * @returns {Object|null} { days, claimedUsd, unclaimedChangeUsd, earnedUsd, claimsConfirmed }; null for
+   *   fewer than two days
+   */
+  static summarize(series) {
+    if (!series || series.length < 2) return null;
+
+    const first = series[0];
+    const last = series[series.length - 1];
+    return {
+      days: (last.date - first.date) / DAY_MS,
+      claimedUsd: last.cumulativeClaimedUsd,
+      unclaimedChangeUsd: last.unclaimedUsd - first.unclaimedUsd,
+      earnedUsd: last.cumulativeRewardsUsd - first.cumulativeRewardsUsd,
+      claimsConfirmed: series.every(point => point.claimsConfirmed)
+    };
+  }
+}
+
+module.exports = RewardClaimService;
@@ -0,0 +1,260 @@
+/**
+ * Risk Metrics Service
+ * Risk analytics from the flow-adjusted daily returns of the returns engine,
+ * so deposits and withdrawals don't show up as volatility or drawdowns.
+ *
+ *   Volatility        sample std dev of daily returns x sqrt(365)
+ *   Sharpe            mean daily excess return / its std dev x sqrt(365)
+ *   Sortino           mean daily excess return / downside deviation x sqrt(365)
+ *   Max drawdown      largest peak-to-trough fall of the growth of $1, with the
+ *                     peak, trough and recovery (back at the peak) dates
+ *   Calmar            annualized return / max drawdown
+ *   Rolling vol       30- and 90-day volatility at each day with enough history
+ *   VaR / CVaR (95%)  historical: the 5th percentile daily return as a loss, and
+ *                     the average loss on days at or beyond it
+ *
+ * The risk-free rate is the stored Aave USDC lending rate (BenchmarkData,
+ * annual %) in effect on each day, compounded down to the sub-period's length.
+ * Days before the first stored rate use DEFAULT_RISK_FREE_RATE. Crypto trades
+ * every day, so a year is 365 daily observations.
+ *
+ * In a reporting currency other than USD the returns are the currency's
+ * (see ReturnsEngine) and VaR amounts are in it; the risk-free rate stays the
+ * USD lending rate.
+ */
+
+const BenchmarkData = require('../models/BenchmarkData');
+const ReturnsEngine = require('./returnsEngine');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RiskMetricsService {
+
+  static PERIODS_PER_YEAR = 365;
+  static CONFIDENCE_LEVEL = 0.95;
+  static ROLLING_WINDOWS = [30, 90];
+
+  // Annual %, used when no Aave USDC rate is stored for a period
+  static DEFAULT_RISK_FREE_RATE = 3.5;
+
+  /**
+   * Mean of a list of numbers
+   * @param {Array<number>} values - Values
+   * @returns {number} Mean (0 for an empty list)
+   */
+  static mean(values) {
+    return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+  }
+
+  /**
+   * Sample standard deviation
+   * @param {Array<number>} values - Values
+   * @returns {number|null} Std dev, or null with fewer than two values
+   */
+  static standardDeviation(values) {
+    if (values.length < 2) return null;
+    const mean = this.mean(values);
+    return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1));
+  }
+
+  /**
+   * Daily risk-free rate lookup from stored benchmark rates
+   * @param {Date} start - First day needed
+   * @param {Date} end - Last day needed
+   * @returns {Promise<Object>} { rateAt(date) -> annual %, averageRate, source }
+   */
+  static async getRiskFreeRates(start, end) {
+    // The latest rate before the range applies to its first days
+    const [previous, inRange] = await Promise.all([
+      BenchmarkData.findOne({ date: { $lt: start }, aaveUsdcRate: { $ne: null } }).sort({ date: -1 }).lean(),
+      BenchmarkData.find({ date: { $gte: start, $lte: end }, aaveUsdcRate: { $ne: null } }).sort({ date: 1 }).lean()
+    ]);
+    const rates = [previous, ...inRange].filter(Boolean);
+
+    const rateAt = date => {
+      const time = new Date(date).getTime();
+      let rate = this.DEFAULT_RISK_FREE_RATE;
+      for (const entry of rates) {
+        if (new Date(entry.date).getTime() > time) break;
+        rate = entry.aaveUsdcRate;
+      }
+      return rate;
+    };
+
+    return {
+      rateAt,
+      averageRate: rates.length ? this.mean(rates.map(entry => entry.aaveUsdcRate)) : this.DEFAULT_RISK_FREE_RATE,
+      source: rates.length ? 'aave_usdc' : 'default'
+    };
+  }
+
+  /**
+   * Max drawdown of a series of returns, with its dates
+   * @param {Array} periods - [{ end, return }] oldest first
+   * @param {Date} startDate - Date of the first valuation
+   * @returns {Object} { maxDrawdown, peakDate, troughDate, recoveryDate, durationDays, recovered }
+   */
+  static maxDrawdown(periods, startDate) {
+    let growth = 1;
+    let peak = { value: 1, date: startDate };
+    let worst = { maxDrawdown: 0, peakDate: null, troughDate: null, peakValue: 1 };
+
+    periods.forEach(period => {
+      growth *= 1 + period.return;
+      if (growth > peak.value) {
+        peak = { value: growth, date: period.end };
+        return;
+      }
+      const drawdown = (peak.value - growth) / peak.value;
+      if (drawdown > worst.maxDrawdown) {
+        worst = { maxDrawdown: drawdown, peakDate: peak.date, troughDate: period.end, peakValue: peak.value };
+      }
+    });
+
+    // Recovery: the first day after the trough the growth index is back at the peak
+    let recoveryDate = null;
+    if (worst.troughDate) {
+      growth = 1;
+      for (const period of periods) {
+        growth *= 1 + period.return;
+        if (new Date(period.end) > new Date(worst.troughDate) && growth >= worst.peakValue) {
+          recoveryDate = period.end;
+          break;
+        }
+      }
+    }
+
+    const lastDate = periods.length ? periods[periods.length - 1].end : startDate;
+    return {
+      maxDrawdown: worst.maxDrawdown,
+      peakDate: worst.peakDate,
+      troughDate: worst.troughDate,
+      recoveryDate,
+      recovered: worst.troughDate ? Boolean(recoveryDate) : null,
+      // Peak to recovery, or to the last day if it hasn't recovered yet
+      durationDays: worst.peakDate
+        ? Math.round((new Date(recoveryDate || lastDate) - new Date(worst.peakDate)) / DAY_MS)
+        : 0
+    };
+  }
+
+  /**
+   * Historical value at risk and conditional value at risk
+   * @param {Array<number>} returns - Daily returns
+   * @param {number} confidence - Confidence level, e.g. 0.95
+   * @returns {Object} { var, cvar } as positive loss fractions (null without data)
+   */
+  static valueAtRisk(returns, confidence = this.CONFIDENCE_LEVEL) {
+    if (!returns.length) return { var: null, cvar: null };
+
+    const sorted = [...returns].sort((a, b) => a - b);
+    // 1 - 0.95 is slightly above 0.05 in floating point; without the epsilon
+    // 40 returns would put 3 days in a 2-day tail
+    const index = Math.max(0, Math.ceil((1 - confidence) * sorted.length - 1e-9) - 1);
+    const threshold = sorted[index];
+    const tail = sorted.slice(0, index + 1);
+
+    return {
+      var: Math.max(0, -threshold),
+      cvar: Math.max(0, -this.mean(tail))
+    };
+  }
+
+  /**
+   * Rolling annualized volatility
+   * @param {Array} periods - [{ end, return }] oldest first
+   * @param {Array<number>} windows - Window lengths in days
+   * @returns {Array} [{ date, vol30, vol90, ... }] from the first day with a full window
+   */
+  static rollingVolatility(periods, windows = this.ROLLING_WINDOWS) {
+    const smallest = Math.min(...windows);
+    const series = [];
+
+    for (let i = smallest - 1; i < periods.length; i++) {
+      const point = { date: periods[i].end };
+      windows.forEach(window => {
+        const slice = i + 1 >= window ? periods.slice(i + 1 - window, i + 1).map(period => period.return) : null;
+        const deviation = slice ? this.standardDeviation(slice) : null;
+        point[`vol${window}`] = deviation === null ? null : deviation * Math.sqrt(this.PERIODS_PER_YEAR);
+      });
+      series.push(point);
+    }
+
+    return series;
+  }
+
+  /**
+   * Full risk metrics for a user over a date range
+   * @param {string} userId - User ID
+   * @param {Object} options - { start, end, walletAddress, currency }
+   * @returns {Promise<Object>} Risk metrics; hasData is false with fewer than two daily returns
+   */
+  static async calculate(userId, { start, end, walletAddress, currency } = {}) {
+    const returns = await ReturnsEngine.calculate(userId, { start, end, walletAddress, currency });
+    const periods = returns.subPeriods;
+
+    if (periods.length < 2) {
+      return {
+        hasData: false,
+        currency: returns.currency,
+        start: returns.start,
+        end: returns.end,
+        days: returns.days,
+        observations: periods.length
+      };
+    }
+
+    const riskFree = await this.getRiskFreeRates(returns.start, returns.end);
+    const dailyReturns = periods.map(period => period.return);
+
+    // Sub-periods span more than a day where snapshots are missing
+    const excessReturns = periods.map(period => {
+      const days = Math.max(1, Math.round((new Date(period.end) - new Date(period.start)) / DAY_MS));
+      const riskFreeReturn = Math.pow(1 + riskFree.rateAt(period.start) / 100, days / this.PERIODS_PER_YEAR) - 1;
+      return period.return - riskFreeReturn;
+    });
+
+    const annualize = Math.sqrt(this.PERIODS_PER_YEAR);
+    const dailyVolatility = this.standardDeviation(dailyReturns);
+    const excessDeviation = this.standardDeviation(excessReturns);
+    const downsideDeviation = Math.sqrt(this.mean(excessReturns.map(r => Math.pow(Math.min(r, 0), 2))));
+    const meanExcess = this.mean(excessReturns);
+
+    const annualizedReturn = Math.pow(1 + returns.twr.totalReturn, this.PERIODS_PER_YEAR / Math.max(returns.days, 1)) - 1;
+    const drawdown = this.maxDrawdown(periods, returns.start);
+    const { var: valueAtRisk, cvar } = this.valueAtRisk(dailyReturns);
+
+    return {
+      hasData: true,
+      currency: returns.currency,
+      start: returns.start,
+      end: returns.end,
+      days: returns.days,
+      observations: periods.length,
+      endValue: returns.endValue,
+      totalReturn: returns.twr.totalReturn,
+      // Extrapolated from ranges under a year - read with care
+      annualizedReturn,
+      volatility: dailyVolatility * annualize,
+      sharpeRatio: excessDeviation ? (meanExcess / excessDeviation) * annualize : null,
+      sortinoRatio: downsideDeviation ? (meanExcess / downsideDeviation) * annualize : null,
+      riskFreeRate: {
+        averageRate: riskFree.averageRate,
+        source: riskFree.source
+      },
+      drawdown,
+      calmarRatio: drawdown.maxDrawdown > 0 ? annualizedReturn / drawdown.maxDrawdown : null,
+      valueAtRisk: {
+        confidence: this.CONFIDENCE_LEVEL,
+        var: valueAtRisk,
+        cvar,
+        // In the reporting currency, on the latest value
+        varAmount: valueAtRisk * (returns.endValue || 0),
+        cvarAmount: cvar * (returns.endValue || 0)
+      },
+      rollingVolatility: this.rollingVolatility(periods)
+    };
+  }
+}
+
+module.exports = RiskMetricsService;
@@ -0,0 +1,356 @@
+/**
+ * Snapshot Backfill Service
+ * Finds days with no DailySnapshot for a wallet (missed cron runs, downtime)
+ * and fills them from the surrounding snapshots so APY and monthly NAV
+ * calculations see a continuous daily series.
+ *
+ * Filled snapshots are marked with dataSource:
+ *   backfill-carry-forward - copy of the last snapshot before the gap
+ *   backfill-interpolated  - holdings of the last snapshot, values linearly
+ *                            interpolated towards the first snapshot after the gap
+ *
+ * Days before a wallet's first snapshot cannot be filled and are only reported.
+ * Backfill never overwrites an existing snapshot.
+ */
+
+const DailySnapshot = require('../models/DailySnapshot');
+const User = require('../models/User');
+const SnapshotCollector = require('./snapshotCollector');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SnapshotBackfillService {
+
+  static METHODS = ['carry-forward', 'interpolate'];
+  static DATA_SOURCES = {
+    'carry-forward': 'backfill-carry-forward',
+    'interpolate': 'backfill-interpolated'
+  };
+  static MAX_RANGE_DAYS = 366;
+
+  /**
+   * Day key (YYYY-MM-DD, UTC) for a snapshot date
+   * @param {Date} date - Snapshot date
+   * @returns {string} Day key
+   */
+  static toDayKey(date) {
+    return SnapshotCollector.getSnapshotDate(date).toISOString().split('T')[0];
+  }
+
+  /**
+   * Resolve and validate the scan range (defaults to the 30 days ending yesterday)
+   * @param {string|Date} from - First day to scan
+   * @param {string|Date} to - Last day to scan
+   * @returns {Object} { startDate, endDate } at midnight UTC
+   */
+  static resolveRange(from, to) {
+    const yesterday = SnapshotCollector.getSnapshotDate(new Date(Date.now() - DAY_MS));
+    const endDate = to ? SnapshotCollector.getSnapshotDate(to) : yesterday;
+    const startDate = from
+      ? SnapshotCollector.getSnapshotDate(from)
+      : new Date(endDate.getTime() - 29 * DAY_MS);
+
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+      throw new Error('Invalid date range. Use YYYY-MM-DD dates');
+    }
+    if (startDate > endDate) {
+      throw new Error('Range start must be on or before range end');
+    }
+    if ((endDate - startDate) / DAY_MS + 1 > this.MAX_RANGE_DAYS) {
+      throw new Error(`Range cannot exceed ${this.MAX_RANGE_DAYS} days`);
+    }
+
+    return { startDate, endDate };
+  }
+
+  /**
+   * List the user/wallet pairs to scan
+   * @param {Object} filter - { userId, walletAddress }
+   * @returns {Promise<Array>} [{ userId, walletAddress }]
+   */
+  static async getTargets({ userId, walletAddress } = {}) {
+    const query = { wallets: { $exists: true, $ne: [] } };
+    if (userId) query._id = userId;
+
+    const users = await User.find(query).select('_id wallets').lean();
+    const wallet = walletAddress ? walletAddress.toLowerCase() : null;
+
+    return users.flatMap(user => user.wallets
+      .filter(address => address && address.trim())
+      .map(address => ({ userId: user._id, walletAddress: address.trim().toLowerCase() }))
+      .filter(target => !wallet || target.walletAddress === wallet));
+  }
+
+  /**
+   * Find missing days for one wallet and the snapshots bounding each gap
+   * @param {string} userId - User ID
+   * @param {string} walletAddress - Wallet address
+   * @param {Date} startDate - First day (midnight UTC)
+   * @param {Date} endDate - Last day (midnight UTC)
+   * @returns {Promise<Object>} Gap report for the wallet
+   */
+  static async scanWallet(userId, walletAddress, startDate, endDate) {
+    const rangeEnd = new Date(endDate.getTime() + DAY_MS);
+
+    const [before, inRange, after] = await Promise.all([
+      DailySnapshot.findOne({ userId, walletAddress, date: { $lt: startDate } }).sort({ date: -1 }),
+      DailySnapshot.find({ userId, walletAddress, date: { $gte: startDate, $lt: rangeEnd } }).sort({ date: 1 }),
+      DailySnapshot.findOne({ userId, walletAddress, date: { $gte: rangeEnd } }).sort({ date: 1 })
+    ]);
+
+    const byDay = new Map(inRange.map(snapshot => [this.toDayKey(snapshot.date), snapshot]));
+    const gaps = [];
+    const unfillableDates = [];
+    let previous = before;
+    let currentGap = null;
+
+    for (let time = startDate.getTime(); time <= endDate.getTime(); time += DAY_MS) {
+      const dayKey = new Date(time).toISOString().split('T')[0];
+      const existing = byDay.get(dayKey);
+
+      if (existing) {
+        if (currentGap) {
+          currentGap.after = existing;
+          gaps.push(currentGap);
+          currentGap = null;
+        }
+        previous = existing;
+        continue;
+      }
+
+      if (!previous) {
+        unfillableDates.push(dayKey);
+        continue;
+      }
+
+      if (!currentGap) {
+        currentGap = { before: previous, after: null, dates: [] };
+      }
+      currentGap.dates.push(dayKey);
+    }
+
+    if (currentGap) {
+      currentGap.after = after;
+      gaps.push(currentGap);
+    }
+
+    const missingDates = gaps.flatMap(gap => gap.dates);
+
+    return {
+      userId: String(userId),
+      walletAddress,
+      existingDays: byDay.size,
+      missingDays: missingDates.length + unfillableDates.length,
+      missingDates,
+      unfillableDates,
+      gaps
+    };
+  }
+
+  /**
+   * Report missing snapshot days for every matching wallet
+   * @param {Object} options - { from, to, userId, walletAddress }
+   * @returns {Promise<Object>} { range, wallets, summary }
+   */
+  static async findGaps(options = {}) {
+    const { startDate, endDate } = this.resolveRange(options.from, options.to);
+    const targets = await this.getTargets(options);
+    const wallets = [];
+
+    for (const target of targets) {
+      const scan = await this.scanWallet(target.userId, target.walletAddress, startDate, endDate);
+      wallets.push(this.formatScan(scan));
+    }
+
+    return {
+      range: { from: this.toDayKey(startDate), to: this.toDayKey(endDate) },
+      wallets,
+      summary: {
+        walletsScanned: wallets.length,
+        walletsWithGaps: wallets.filter(wallet => wallet.missingDays > 0).length,
+        missingDays: wallets.reduce((sum, wallet) => sum + wallet.missingDays, 0),
+        fillableDays: wallets.reduce((sum, wallet) => sum + wallet.missingDates.length, 0)
+      }
+    };
+  }
+
+  /**
+   * Strip snapshot documents from a scan for API/CLI output
+   * @param {Object} scan - Output of scanWallet
+   * @returns {Object} Serializable gap report
+   */
+  static formatScan(scan) {
+    const { gaps, ...report } = scan;
+
+    return {
+      ...report,
+      gaps: gaps.map(gap => ({
+        from: gap.dates[0],
+        to: gap.dates[gap.dates.length - 1],
+        days: gap.dates.length,
+        previousSnapshot: this.toDayKey(gap.before.date),
+        nextSnapshot: gap.after ? this.toDayKey(gap.after.date) : null
+      }))
+    };
+  }
+
+  /**
+   * Build a filled snapshot for one missing day
+   * @param {Object} gap - Gap from scanWallet
+   * @param {Date} date - Missing day
+   * @param {Object} previous - Snapshot for the day before (real or just filled)
+   * @param {string} method - carry-forward | interpolate
+   * @returns {Object} { snapshot, method } with snapshot an unsaved DailySnapshot
+   */
+  static buildFilledSnapshot(gap, date, previous, method) {
+    // Without a snapshot after the gap there is nothing to interpolate towards
+    const appliedMethod = method === 'interpolate' && gap.after ? 'interpolate' : 'carry-forward';
+
+    const data = gap.before.toObject();
+    delete data._id;
+    delete data.__v;
+    delete data.createdAt;
+    delete data.updatedAt;
+    delete data.processingTime;
+
+    if (appliedMethod === 'interpolate') {
+      const span = SnapshotCollector.getSnapshotDate(gap.after.date) - SnapshotCollector.getSnapshotDate(gap.before.date);
+      const weight = (date - SnapshotCollector.getSnapshotDate(gap.before.date)) / span;
+      const interpolate = (start, end) => (start || 0) + weight * ((end || 0) - (start || 0));
+
+      // Keep the earlier holdings and scale their values so the parts still sum to the totals.
+      // Positions are net of debt and can be negative, so assets and debt are interpolated
+      // separately: their difference is the interpolated net even when it crosses zero
+      const positionAssets = snapshot => (snapshot.positionsNavUsd || 0) + (snapshot.totalDebtUsd || 0);
+      const tokensScale = this.scaleFactor(gap.before.tokensNavUsd, interpolate(gap.before.tokensNavUsd, gap.after.tokensNavUsd));
+      const assetsScale = this.scaleFactor(positionAssets(gap.before), interpolate(positionAssets(gap.before), positionAssets(gap.after)));
+      const debtScale = this.scaleFactor(gap.before.totalDebtUsd, interpolate(gap.before.totalDebtUsd, gap.after.totalDebtUsd));
+
+      data.tokens = (data.tokens || []).map(token => this.scaleToken(token, tokensScale));
+      data.positions = (data.positions || []).map(position => {
+        const debtUsdValue = position.debtUsdValue || 0;
+        // Positions saved before the asset/debt split only have their net value
+        const assetUsdValue = position.assetUsdValue || Math.max(0, (position.netUsdValue ?? position.totalUsdValue ?? 0) + debtUsdValue);
+        const netUsdValue = assetUsdValue * assetsScale - debtUsdValue * debtScale;
+
+        return {
+          ...position,
+          supplyTokens: (position.supplyTokens || []).map(token => this.scaleToken(token, assetsScale)),
+          rewardTokens: (position.rewardTokens || []).map(token => this.scaleToken(token, assetsScale)),
+          borrowTokens: (position.borrowTokens || []).map(token => this.scaleToken(token, debtScale)),
+          assetUsdValue: assetUsdValue * assetsScale,
+          debtUsdValue: debtUsdValue * debtScale,
+          netUsdValue,
+          totalUsdValue: netUsdValue
+        };
+      });
+      data.tokensNavUsd = data.tokens.reduce((sum, token) => sum + (token.usdValue || 0), 0);
+      data.positionsNavUsd = data.positions.reduce((sum, position) => sum + (position.totalUsdValue || 0), 0);
+      data.totalDebtUsd = data.positions.reduce((sum, position) => sum + (position.debtUsdValue || 0), 0);
+      data.totalNavUsd = data.tokensNavUsd + data.positionsNavUsd;
+    }
+
+    // Nothing was claimed on a filled day; cumulativeClaimedUsd carries forward as it is
+    data.positions = (data.positions || []).map(position => ({
+      ...position,
+      rewardClaims: [],
+      claimedRewardsUsd: 0
+    }));
+
+    const dailyReturn = previous.totalNavUsd > 0 ? (data.totalNavUsd / previous.totalNavUsd) - 1 : null;
+
+    const snapshot = new DailySnapshot({
+      ...data,
+      date,
+      dailyReturn,
+      dailyApy: dailyReturn !== null ? dailyReturn * 365 * 100 : null,
+      volatility: null,
+      sharpeRatio: null,
+      dataSource: this.DATA_SOURCES[appliedMethod]
+    });
+    snapshot.calculateDistributions();
+
+    return { snapshot, method: appliedMethod };
+  }
+
+  static scaleFactor(from, to) {
+    return from ? to / from : 1;
+  }
+
+  static scaleToken(token, scale) {
+    return {
+      ...token,
+      price: (token.price || 0) * scale,
+      priceSource: 'interpolated', // pricedAt still refers to the observed price it was scaled from
+      usdValue: (token.usdValue || 0) * scale
+    };
+  }
+
+  /**
+   * Fill missing snapshot days for every matching wallet
+   * @param {Object} options - { from, to, userId, walletAddress, method, dryRun }
+   * @returns {Promise<Object>} { range, method, dryRun, wallets, summary }
+   */
+  static async fillGaps(options = {}) {
+    const { method = 'carry-forward', dryRun = false } = options;
+
+    if (!this.METHODS.includes(method)) {
+      throw new Error(`Invalid backfill method: ${method}. Valid methods: ${this.METHODS.join(', ')}`);
+    }
+
+    const { startDate, endDate } = this.resolveRange(options.from, options.to);
+    const targets = await this.getTargets(options);
+    const wallets = [];
+
+    for (const target of targets) {
+      const scan = await this.scanWallet(target.userId, target.walletAddress, startDate, endDate);
+      const filled = [];
+      const skipped = [];
+
+      for (const gap of scan.gaps) {
+        let previous = gap.before;
+
+        for (const dayKey of gap.dates) {
+          const { snapshot, method: appliedMethod } = this.buildFilledSnapshot(gap, new Date(`${dayKey}T00:00:00.000Z`), previous, method);
+
+          if (!dryRun) {
+            try {
+              await snapshot.save();
+            } catch (error) {
+              // A snapshot was collected for this day since the scan; keep it
+              if (error.code === 11000) {
+                skipped.push(dayKey);
+                continue;
+              }
+              throw error;
+            }
+          }
+
+          filled.push({ date: dayKey, method: appliedMethod, totalNavUsd: snapshot.totalNavUsd });
+          previous = snapshot;
+        }
+      }
+
+      if (filled.length) {
+        console.log(`🩹 ${dryRun ? 'Would fill' : 'Filled'} ${filled.length} missing snapshot day(s) for ${target.walletAddress}`);
+      }
+
+      wallets.push({ ...this.formatScan(scan), filled, skipped });
+    }
+
+    return {
+      range: { from: this.toDayKey(startDate), to: this.toDayKey(endDate) },
+      method,
+      dryRun,
+      wallets,
+      summary: {
+        walletsScanned: wallets.length,
+        filledDays: wallets.reduce((sum, wallet) => sum + wallet.filled.length, 0),
+        skippedDays: wallets.reduce((sum, wallet) => sum + wallet.skipped.length, 0),
+        unfillableDays: wallets.reduce((sum, wallet) => sum + wallet.unfillableDates.length, 0)
+      }
+    };
+  }
+}
+
+module.exports = SnapshotBackfillService;
@@ -0,0 +1,309 @@
+/**
+ * Snapshot Collector
+ * The single place DailySnapshot documents are built and written. Both the
+ * scheduled cron and the manual admin trigger collect through here, so every
+ * snapshot has the same shape regardless of which one ran.
+ *
+ * Writes are idempotent: a snapshot is upserted on the
+ * (userId, walletAddress, date) unique index, with date normalised to
+ * midnight UTC, so re-collecting a day replaces that day's snapshot.
+ */
+
+const DailySnapshot = require('../models/DailySnapshot');
+const DataStandardizationService = require('./dataStandardization');
+const { processWalletData } = require('./walletProcessor');
+const { getPortfolioProvider } = require('./providers');
+const HistoricalPriceService = require('./historicalPrice');
+const FxRateService = require('./fxRates');
+const PositionIdentityService = require('./positionIdentity');
+const RewardClaimService = require('./rewardClaims');
+
+class SnapshotCollector {
+
+  // Bump whenever the shape or valuation rules of built snapshots change
+  static SNAPSHOT_VERSION = '2.5';
+
+  /**
+   * Normalise a date to the snapshot day (midnight UTC)
+   * @param {Date} date - Any time on the snapshot day
+   * @returns {Date} Snapshot date
+   */
+  static getSnapshotDate(date = new Date()) {
+    const snapshotDate = new Date(date);
+    snapshotDate.setUTCHours(0, 0, 0, 0);
+    return snapshotDate;
+  }
+
+  /**
+   * Convert a provider token into the DailySnapshot token shape
+   * @param {Object} token - Token from the provider (DeBank format)
+   * @param {string} fallbackChain - Chain to use when the token has none
+   * @param {Date} fetchedAt - Fetch time, used as the price time of provider-priced tokens
+   * @returns {Object} Snapshot token
+   */
+  static buildToken(token, fallbackChain = 'unknown', fetchedAt = new Date()) {
+    const amount = Math.max(0, parseFloat(token.amount) || 0);
+    const price = Math.max(0, parseFloat(token.price) || 0);
+    const usdValue = token.usd_value !== undefined
+      ? Math.max(0, parseFloat(token.usd_value) || 0)
+      : amount * price;
+
+    return {
+      symbol: token.symbol || 'UNKNOWN',
+      name: token.name || '',
+      chain: token.chain || token.chain_id || fallbackChain,
+      ...(token.id && { address: token.id }),
+      amount,
+      price,
+      // Position tokens are valued by the provider, wallet tokens by PriceResolver
+      priceSource: token.price_source || 'debank',
+      pricedAt: token.priced_at ? new Date(token.priced_at) : fetchedAt,
+      usdValue,
+      decimals: parseInt(token.decimals) || 18,
+      logoUrl: token.logo_url || '',
+      isVerified: Boolean(token.is_verified)
+    };
+  }
+
+  /**
+   * Map a DeBank portfolio item name onto the PositionSchema positionType enum
+   * @param {Object} item - DeBank portfolio item
+   * @returns {string} Position type
+   */
+  static classifyPosition(item) {
+    const name = (item.name || '').toLowerCase();
+
+    if (name.includes('lending') || name.includes('borrow')) return 'lending';
+    if (name.includes('liquidity')) return 'liquidity';
+    if (name.includes('farm')) return 'farming';
+    if (name.includes('stak') || name.includes('locked')) return 'staking';
+    if (name.includes('vault') || name.includes('yield') || name.includes('deposit')) return 'vault';
+    return 'other';
+  }
+
+  /**
+   * Estimate the collateral price at which a borrow position is liquidated.
+   * Only defined for a single collateral asset borrowed against a different
+   * asset: health factor scales linearly with the collateral price, so it
+   * reaches 1 at price / healthFactor.
+   * @param {Array} supplyTokens - Snapshot supply tokens
+   * @param {Array} borrowTokens - Snapshot borrow tokens
+   * @param {number} healthFactor - Current health factor
+   * @returns {number|null} Collateral USD price at liquidation
+   */
+  static estimateLiquidationPrice(supplyTokens, borrowTokens, healthFactor) {
+    if (!borrowTokens.length || !Number.isFinite(healthFactor) || healthFactor <= 0) return null;
+
+    const collateralSymbols = new Set(supplyTokens.map(token => token.symbol));
+    if (collateralSymbols.size !== 1) return null;
+
+    const [collateral] = supplyTokens;
+    if (!collateral.price || borrowTokens.some(token => token.symbol === collateral.symbol)) return null;
+
+    return collateral.price / healthFactor;
+  }
+
+  /**
+   * Build snapshot positions from raw provider protocols
+   * @param {Array} protocols - DeBank complex protocol list (tagged with chain_id)
+   * @param {Date} fetchedAt - Time the protocols were fetched
+   * @returns {Array} Snapshot positions
+   */
+  static buildPositions(protocols, fetchedAt = new Date()) {
+    return (protocols || []).flatMap(protocol => {
+      const chain = protocol.chain_id || protocol.chain || 'unknown';
+
+      return (protocol.portfolio_item_list || []).map(item => {
+        const supplyTokens = (item.detail?.supply_token_list || []).map(token => this.buildToken(token, chain, fetchedAt));
+        const rewardTokens = (item.detail?.reward_token_list || []).map(token => this.buildToken(token, chain, fetchedAt));
+        const borrowTokens = (item.detail?.borrow_token_list || []).map(token => this.buildToken(token, chain, fetchedAt));
+        const sumUsd = tokens => tokens.reduce((sum, token) => sum + token.usdValue, 0);
+
+        // Prefer DeBank's stats; otherwise derive from the token lists
+        const assetUsdValue = item.stats?.asset_usd_value !== undefined
+          ? Math.max(0, parseFloat(item.stats.asset_usd_value) || 0)
+          : sumUsd(supplyTokens) + sumUsd(rewardTokens);
+        const debtUsdValue = item.stats?.debt_usd_value !== undefined
+          ? Math.max(0, parseFloat(item.stats.debt_usd_value) || 0)
+          : sumUsd(borrowTokens);
+        const netUsdValue = item.stats?.net_usd_value !== undefined
+          ? parseFloat(item.stats.net_usd_value) || 0
+          : assetUsdValue - debtUsdValue;
+
+        const healthFactor = parseFloat(item.detail?.health_rate);
+        const hasHealthFactor = Number.isFinite(healthFactor) && healthFactor >= 0;
+        const liquidationPrice = parseFloat(item.detail?.liquidation_price) ||
+          this.estimateLiquidationPrice(supplyTokens, borrowTokens, healthFactor);
+
+        return {
+          protocolId: protocol.id || protocol.protocol_id,
+          protocolName: protocol.name,
+          chain,
+          ...(item.name && { positionName: item.name }),
+          ...(item.pool?.id && { poolId: item.pool.id }),
+          ...(item.position_index && { positionIndex: String(item.position_index) }),
+          supplyTokens,
+          rewardTokens,
+          borrowTokens,
+          assetUsdValue,
+          debtUsdValue,
+          netUsdValue,
+          totalUsdValue: netUsdValue,
+          positionType: this.classifyPosition(item),
+          ...(hasHealthFactor && { healthFactor }),
+          ...(liquidationPrice > 0 && { liquidationPrice })
+        };
+      });
+    });
+  }
+
+  /**
+   * Build a DailySnapshot document (not yet saved) from processed wallet data
+   * @param {string} userId - User ID
+   * @param {string} walletAddress - Wallet address
+   * @param {Object} walletData - Output of processWalletData
+   * @param {Date} date - Snapshot day
+   * @returns {Object} DailySnapshot document
+   */
+  static buildSnapshot(userId, walletAddress, walletData, date = new Date()) {
+    const fetchedAt = walletData.fetchedAt || new Date();
+    const tokens = (walletData.tokens || []).map(token => this.buildToken(token, 'unknown', fetchedAt));
+    const positions = this.buildPositions(walletData.protocols, fetchedAt);
+
+    // Totals are always the sum of the stored parts
+    const tokensNavUsd = tokens.reduce((sum, token) => sum + token.usdValue, 0);
+    const positionsNavUsd = positions.reduce((sum, position) => sum + position.totalUsdValue, 0);
+    const totalDebtUsd = positions.reduce((sum, position) => sum + position.debtUsdValue, 0);
+
+    const snapshot = new DailySnapshot({
+      userId,
+      walletAddress: walletAddress.toLowerCase(),
+      date: this.getSnapshotDate(date),
+      totalNavUsd: tokensNavUsd + positionsNavUsd,
+      tokensNavUsd,
+      positionsNavUsd,
+      totalDebtUsd,
+      tokens,
+      positions,
+      excludedTokens: (walletData.excludedTokens || []).map(token => ({
+        symbol: token.symbol,
+        name: token.name,
+        chain: token.chain,
+        address: token.id,
+        amount: parseFloat(token.amount) || 0,
+        usdValue: parseFloat(token.usd_value) || 0,
+        classification: token.classification,
+        reasons: token.classification_reasons || []
+      })),
+      snapshotVersion: this.SNAPSHOT_VERSION,
+      dataSource: getPortfolioProvider().name
+    });
+
+    snapshot.calculateDistributions();
+    return snapshot;
+  }
+
+  /**
+   * Upsert a built snapshot on (userId, walletAddress, date), linking its
+   * positions to the wallet's previous snapshot and detecting reward claims first
+   * @param {Object} snapshot - Document from buildSnapshot
+   * @returns {Promise<Object>} Saved snapshot
+   */
+  static async upsertSnapshot(snapshot) {
+    const previous = await DailySnapshot.findOne({
+      userId: snapshot.userId,
+      walletAddress: snapshot.walletAddress,
+      date: { $lt: snapshot.date }
+    })
+      .sort({ date: -1 })
+      .select('positions tokens')
+      .lean();
+    const links = PositionIdentityService.assignKeys(snapshot.positions, previous?.positions, snapshot.walletAddress);
+    RewardClaimService.applyClaims(links, snapshot.tokens, previous?.tokens);
+
+    await snapshot.validate();
+
+    const update = snapshot.toObject();
+    delete update._id;
+    delete update.createdAt;
+    update.updatedAt = new Date();
+
+    return DailySnapshot.findOneAndUpdate(
+      {
+        userId: snapshot.userId,
+        walletAddress: snapshot.walletAddress,
+        date: snapshot.date
+      },
+      {
+        $set: update,
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Collect and store the snapshot for one wallet
+   * @param {string} userId - User ID
+   * @param {string} walletAddress - Wallet address
+   * @param {Object} options - Collection options
+   * @param {Date} options.date - Snapshot day (defaults to today)
+   * @param {boolean} options.force - Re-collect even if the day already has a snapshot
+   * @param {Object} options.fetchOptions - Passed through to processWalletData
+   * @returns {Promise<Object>} { snapshot, skipped }
+   */
+  static async collectWallet(userId, walletAddress, options = {}) {
+    const { date = new Date(), force = false, fetchOptions = {} } = options;
+    const startTime = Date.now();
+    const snapshotDate = this.getSnapshotDate(date);
+
+    if (!force) {
+      const existingSnapshot = await DailySnapshot.findOne({
+        userId,
+        walletAddress: walletAddress.toLowerCase(),
+        date: snapshotDate
+      });
+
+      if (existingSnapshot) {
+        console.log(`✅ Wallet ${walletAddress} already has a snapshot for ${snapshotDate.toISOString().split('T')[0]}, skipping...`);
+        return { snapshot: existingSnapshot, skipped: true };
+      }
+    }
+
+    const walletData = await processWalletData(walletAddress, true, { ...fetchOptions, userId });
+    const snapshot = this.buildSnapshot(userId, walletAddress, walletData, snapshotDate);
+
+    const performanceMetrics = await DataStandardizationService.calculatePerformanceMetrics(
+      userId,
+      snapshot.walletAddress,
+      snapshot.totalNavUsd,
+      snapshotDate
+    );
+    snapshot.set(performanceMetrics);
+    snapshot.processingTime = Date.now() - startTime;
+
+    // Keep the reporting currency rates collected alongside snapshots (once a
+    // day; later runs find them stored). Benchmarks are collected once per job.
+    try {
+      await FxRateService.collectDaily();
+    } catch (error) {
+      console.error('❌ Error collecting FX rates:', error.message);
+    }
+
+    const savedSnapshot = await this.upsertSnapshot(snapshot);
+
+    // Keep the token price series for point-in-time revaluation
+    try {
+      const stored = await HistoricalPriceService.recordSnapshotPrices(savedSnapshot);
+      console.log(`💾 Stored ${stored} new token price observation(s)`);
+    } catch (error) {
+      console.error(`❌ Error storing token prices for ${snapshot.walletAddress}:`, error.message);
+    }
+
+    console.log(`✅ Saved snapshot v${this.SNAPSHOT_VERSION} for ${snapshot.walletAddress} on ${snapshotDate.toISOString().split('T')[0]}, NAV: $${savedSnapshot.totalNavUsd.toFixed(2)}`);
+
+    return { snapshot: savedSnapshot, skipped: false };
+  }
+}
+
+module.exports = SnapshotCollector;
@@ -0,0 +1,157 @@
+/**
+ * Token Classifier
+ * Decides which wallet tokens count towards snapshots and NAV. Replaces the
+ * old keyword filter in fetchTokens, which also dropped legitimate tokens
+ * such as reward tokens.
+ *
+ * Rules, first match wins:
+ *   1. User hid the token              -> excluded (hidden)
+ *   2. User marked it not spam         -> trusted
+ *   3. Admin deny list for the chain   -> spam
+ *   4. Admin allow list for the chain  -> trusted
+ *   5. Provider verified / core token  -> trusted
+ *   6. Provider scam flag, or a URL in the name or symbol -> spam
+ *   7. Soft signals (lure wording, provider suspicious flag, no price, price
+ *      only from the provider on a large unverified holding, holding larger
+ *      than the token's 24h volume): two or more -> spam, one -> suspicious,
+ *      none -> unverified
+ *
+ * Spam and hidden tokens are excluded; suspicious and unverified tokens are
+ * included but flagged.
+ */
+
+const TokenListEntry = require('../models/TokenListEntry');
+const PriceResolver = require('./priceResolver');
+
+class TokenClassifier {
+
+  static CLASSIFICATIONS = ['trusted', 'unverified', 'suspicious', 'spam'];
+
+  // Scam airdrops advertise a claim site in their name or symbol
+  static URL_PATTERN = /(https?:\/\/|www\.|t\.me\/|\b[a-z0-9-]+\.(com|io|xyz|top|eu|org|net|app|site|online|live|gift)\b)/i;
+  // Not "claim": it names legitimate reward tokens, and a claim site is already a URL
+  static LURE_PATTERN = /\b(visit|airdrop|voucher)\b/i;
+
+  // Unverified tokens priced only by the provider are suspect above this value
+  static MAX_UNLISTED_VALUE_USD = 100000;
+
+  /**
+   * Load the admin lists and the user's own entries for a set of tokens
+   * @param {Array} tokens - Tokens with chain and address
+   * @param {string} userId - User whose hides and not-spam marks apply
+   * @param {Object} options - { offline } to skip the database (scripts without a connection)
+   * @returns {Promise<Object>} { global, user } Maps keyed by token key
+   */
+  static async loadLists(tokens, userId, { offline = false } = {}) {
+    const lists = { global: new Map(), user: new Map() };
+    if (offline || !tokens.length) return lists;
+
+    const entries = await TokenListEntry.find({
+      chain: { $in: [...new Set(tokens.map(token => token.chain))] },
+      tokenAddress: { $in: [...new Set(tokens.map(token => token.address))] },
+      userId: userId ? { $in: [null, userId] } : null
+    }).lean();
+
+    entries.forEach(entry => {
+      const key = PriceResolver.getTokenKey(entry.chain, entry.tokenAddress);
+      lists[entry.userId ? 'user' : 'global'].set(key, entry.list);
+    });
+
+    return lists;
+  }
+
+  /**
+   * Classify priced wallet tokens
+   * @param {Array} tokens - Enriched tokens ({ id, symbol, name, chain, price, usd_value, price_source, volume_24h_usd, is_verified, is_core, is_scam, is_suspicious })
+   * @param {Object} options - { userId, offline }; offline classifies without the admin and user lists
+   * @returns {Promise<Array>} { classification, reasons, userStatus, included } in the same order as tokens
+   */
+  static async classify(tokens, options = {}) {
+    const refs = tokens.map(token => ({
+      chain: (token.chain || token.chain_id || '').toLowerCase(),
+      address: (token.id || token.address || '').toLowerCase()
+    }));
+    const lists = await this.loadLists(refs.filter(ref => ref.address), options.userId, { offline: options.offline });
+
+    return tokens.map((token, index) => {
+      const key = PriceResolver.getTokenKey(refs[index].chain, refs[index].address);
+      const userStatus = lists.user.get(key) || null;
+      const { classification, reasons } = this.classifyToken(token, lists.global.get(key));
+
+      if (userStatus === 'hidden') {
+        return { classification, reasons: [...reasons, 'hidden_by_user'], userStatus, included: false };
+      }
+      if (userStatus === 'not_spam') {
+        return { classification: 'trusted', reasons: ['marked_not_spam_by_user'], userStatus, included: true };
+      }
+
+      return { classification, reasons, userStatus, included: classification !== 'spam' };
+    });
+  }
+
+  /**
+   * Classify a single token from the admin lists and its own signals
+   * @param {Object} token - Enriched token
+   * @param {string} globalList - 'allow' | 'deny' | undefined
+   * @returns {Object} { classification, reasons }
+   */
+  static classifyToken(token, globalList) {
+    if (globalList === 'deny') return { classification: 'spam', reasons: ['deny_list'] };
+    if (globalList === 'allow') return { classification: 'trusted', reasons: ['allow_list'] };
+    if (token.is_verified || token.is_core) return { classification: 'trusted', reasons: ['verified'] };
+
+    const text = `${token.name || ''} ${token.symbol || ''}`;
+    if (token.is_scam) return { classification: 'spam', reasons: ['provider_scam_flag'] };
+    if (this.URL_PATTERN.test(text)) return { classification: 'spam', reasons: ['url_in_name'] };
+
+    const usdValue = token.usd_value || 0;
+    const signals = [];
+
+    if (this.LURE_PATTERN.test(text)) signals.push('lure_wording');
+    if (token.is_suspicious) signals.push('provider_suspicious_flag');
+    if (!(token.price > 0) || token.price_source === PriceResolver.UNPRICED) {
+      signals.push('no_price');
+    } else if (token.price_source === 'debank' && usdValue > this.MAX_UNLISTED_VALUE_USD) {
+      signals.push('unlisted_price');
+    }
+    if (token.volume_24h_usd !== undefined && usdValue > token.volume_24h_usd) {
+      signals.push('low_liquidity');
+    }
+
+    if (signals.length >= 2) return { classification: 'spam', reasons: signals };
+    if (signals.length === 1) return { classification: 'suspicious', reasons: signals };
+    return { classification: 'unverified', reasons: [] };
+  }
+
+  /**
+   * Split enriched tokens into included and excluded ones, attaching the
+   * classification to each
+   * @param {Array} tokens - Enriched tokens
+   * @param {Object} options - { userId, offline }
+   * @returns {Promise<Object>} { included, excluded }
+   */
+  static async partition(tokens, options = {}) {
+    const results = await this.classify(tokens, options);
+    const included = [];
+    const excluded = [];
+
+    tokens.forEach((token, index) => {
+      const { classification, reasons, userStatus, included: isIncluded } = results[index];
+      const classified = {
+        ...token,
+        classification,
+        classification_reasons: reasons,
+        user_status: userStatus
+      };
+      (isIncluded ? included : excluded).push(classified);
+    });
+
+    if (excluded.length) {
+      console.log(`🚫 Excluded ${excluded.length} token(s): ${excluded.map(token => `${token.symbol} (${token.classification_reasons.join(', ')})`).join('; ')}`);
+    }
+
+    return { included, excluded };
+  }
+}
+
+module.exports = TokenClassifier;
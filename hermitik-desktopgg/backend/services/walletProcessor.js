@@ -1,37 +1,78 @@
 const {
   fetchTokens,
-  fetchAllProtocols,
-  fetchPricesFromCoinGecko
+  fetchAllProtocols
 } = require('../utils/debankUtils'); 
+const PriceResolver = require('./priceResolver');
+const TokenClassifier = require('./tokenClassifier');
 
-async function processWalletData(wallet, includeSummary = false) {
-  const [tokensRaw, protocols] = await Promise.all([
-    fetchTokens(wallet),
-    fetchAllProtocols(wallet)
-  ]);
-
-  const coinGeckoPrices = await fetchPricesFromCoinGecko(tokensRaw);
+/**
+ * Price provider tokens and split them into tokens that count towards NAV
+ * and excluded (spam or hidden) ones
+ * @param {Array} tokensRaw - Provider tokens tagged with chain_id
+ * @param {Object} options - { userId, resolvePrices, offline }; offline skips the database
+ *   (price overrides, chain registry, token lists) for scripts without a connection
+ * @returns {Promise<Object>} { tokens, excludedTokens }
+ */
+async function priceAndClassifyTokens(tokensRaw, options = {}) {
+  const { userId, offline = false, resolvePrices = tokens => PriceResolver.resolve(tokens, { offline }) } = options;
 
-  const enrichedTokens = tokensRaw.map(token => {
-    const symbol = (token.symbol || '').toLowerCase();
-    let finalPrice = 0;
+  const prices = await resolvePrices(tokensRaw);
 
-    if (coinGeckoPrices[symbol]) finalPrice = coinGeckoPrices[symbol];
-    else if (symbol.startsWith('w') && coinGeckoPrices[symbol.slice(1)]) finalPrice = coinGeckoPrices[symbol.slice(1)];
-    else if (token.price && token.price > 0) finalPrice = token.price;
+  const enrichedTokens = tokensRaw.map((token, index) => {
+    const { price: finalPrice, priceSource, pricedAt, volume24hUsd } = prices[index];
 
     return {
+      id: token.id,
       symbol: token.symbol,
       name: token.name,
       chain: token.chain_id || token.chain,
       amount: token.amount,
       price: finalPrice,
+      price_source: priceSource,
+      priced_at: pricedAt,
       usd_value: (token.amount || 0) * finalPrice,
       logo_url: token.logo_url,
-      decimals: token.decimals
+      decimals: token.decimals,
+      is_verified: token.is_verified,
+      is_core: token.is_core,
+      is_scam: token.is_scam,
+      is_suspicious: token.is_suspicious,
+      ...(volume24hUsd !== undefined && { volume_24h_usd: volume24hUsd })
     };
   });
 
+  const { included, excluded } = await TokenClassifier.partition(enrichedTokens, { userId, offline });
+  return { tokens: included, excludedTokens: excluded };
+}
+
+/**
+ * Fetch and price a wallet's tokens and protocol positions
+ * @param {string} wallet - Wallet address
+ * @param {boolean} includeSummary - Whether to include the USD summary
+ * @param {Object} options - Fetch options
+ * @param {number} options.chainDelayMs - Delay between chain requests (rate limiting)
+ * @param {Function} options.resolvePrices - Price lookup, defaults to PriceResolver.resolve
+ * @param {string} options.userId - Owner, whose token hides and not-spam marks apply
+ * @param {boolean} options.offline - Skip the database, for scripts without a connection
+ * @returns {Promise<Object>} { tokens, excludedTokens, navUsd, protocols, fetchedAt, summary? }
+ */
+async function processWalletData(wallet, includeSummary = false, options = {}) {
+  const {
+    chainDelayMs = 0,
+    resolvePrices,
+    userId,
+    offline = false
+  } = options;
+
+  const fetchedAt = new Date();
+
+  const [tokensRaw, protocols] = await Promise.all([
+    fetchTokens(wallet, { chainDelayMs, offline }),
+    fetchAllProtocols(wallet, { chainDelayMs, offline })
+  ]);
+
+  const { tokens: enrichedTokens, excludedTokens } = await priceAndClassifyTokens(tokensRaw, { userId, resolvePrices, offline });
+
   const navUsd = enrichedTokens.reduce((sum, t) => sum + t.usd_value, 0);
 
   if (includeSummary) {
@@ -46,11 +87,11 @@ async function processWalletData(wallet, includeSummary = false) {
       protocol_count: protocols.length
     };
 
-    return { tokens: enrichedTokens, navUsd, protocols, summary };
+    return { tokens: enrichedTokens, excludedTokens, navUsd, protocols, fetchedAt, summary };
   }
 
-  return { tokens: enrichedTokens, navUsd, protocols };
+  return { tokens: enrichedTokens, excludedTokens, navUsd, protocols, fetchedAt };
 }
 
 
-module.exports = { processWalletData };
+module.exports = { processWalletData, priceAndClassifyTokens };
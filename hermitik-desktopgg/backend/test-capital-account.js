@@ -0,0 +1,92 @@
+const CapitalAccountService = require('./services/capitalAccount');
+
+// Capital account statement totals from fixed NAV months. Nothing here needs a
+// database connection.
+//
+//   Jan  no flows, +$10,000 gain           fees 2,000 + 500 + 550.25 stored
+//   Feb  $100,000 subscription, +$2,000    fees 400 + 100, management fee from net assets (saved before it was stored)
+
+const months = [
+  {
+    netFlows: 0,
+    settings: {
+      status: 'finalized',
+      version: 1,
+      navCalculations: {
+        priorPreFeeNav: 100000,
+        preFeeNav: 110000,
+        netFlows: 0,
+        performanceFee: 2000,
+        accruedPerformanceFees: 500,
+        managementFee: 550.25,
+        netAssets: 106949.75
+      }
+    }
+  },
+  {
+    netFlows: 100000,
+    settings: {
+      status: 'finalized',
+      version: 2,
+      navCalculations: {
+        priorPreFeeNav: 110000,
+        preFeeNav: 212000,
+        netFlows: 100000,
+        performanceFee: 400,
+        accruedPerformanceFees: 100,
+        netAssets: 210440
+      }
+    }
+  }
+];
+
+let failures = 0;
+
+function check(label, actual, expected) {
+  const ok = typeof expected === 'number' && typeof actual === 'number'
+    ? Math.abs(actual - expected) < 0.005
+    : actual === expected;
+  if (!ok) failures += 1;
+  console.log(`  ${ok ? '✅' : '❌'} ${label}: ${actual}${ok ? '' : ` (expected ${expected})`}`);
+}
+
+function testStatementMonths() {
+  console.log('\n=== Statement months ===');
+
+  const [jan, feb] = months.map(({ settings, netFlows }) => CapitalAccountService.getStatementNav(settings, netFlows));
+  check('Jan P&L', jan.pnl, 10000);
+  check('Jan fees', jan.fees.total, 3050.25);
+  check('Jan adds up', jan.openingBalance + 0 + jan.pnl - jan.fees.total, jan.closingBalance);
+  check('Feb P&L (subscription not a gain)', feb.pnl, 2000);
+  check('Feb management fee from net assets', feb.fees.managementFee, 1060);
+  check('Feb adds up', feb.openingBalance + 100000 + feb.pnl - feb.fees.total, feb.closingBalance);
+}
+
+function testStatementTotals() {
+  console.log('\n=== Statement totals ===');
+
+  const rows = months.map(({ settings, netFlows }) => ({ nav: CapitalAccountService.getStatementNav(settings, netFlows) }));
+
+  const single = CapitalAccountService.getStatementTotals(rows.slice(0, 1), 0);
+  check('one month P&L', single.pnl, 10000);
+  check('one month fees', single.fees.total, 3050.25);
+
+  const totals = CapitalAccountService.getStatementTotals(rows, 100000);
+  check('opening balance', totals.openingBalance, 100000);
+  check('closing balance', totals.closingBalance, 210440);
+  check('performance fees over both months', totals.fees.performanceFee, 2400);
+  check('accrued performance fees over both months', totals.fees.accruedPerformanceFees, 600);
+  check('management fees over both months', totals.fees.managementFee, 1610.25);
+  check('fees over both months', totals.fees.total, 4610.25);
+  check('P&L before fees', totals.pnl, 15050.25);
+  check('opening + flows + P&L - fees = closing',
+    totals.openingBalance + 100000 + totals.pnl - totals.fees.total, totals.closingBalance);
+
+  check('no NAV months', CapitalAccountService.getStatementTotals([], 0).fees, null);
+}
+
+testStatementMonths();
+testStatementTotals();
+
+console.log(failures ? `\n❌ ${failures} check(s) failed` : '\n✅ All checks passed');
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,45 @@
+const ImpermanentLossService = require('./services/impermanentLoss');
+
+// Fixed inputs with hand-checked results for the impermanent loss comparison.
+// Nothing here needs a database connection.
+
+const token = (symbol, amount, price, extra = {}) => ({ chain: 'eth', address: symbol.toLowerCase(), symbol, amount, price, ...extra });
+
+let failures = 0;
+
+function check(label, actual, expected, tolerance = 0.005) {
+  const ok = typeof expected === 'number' && typeof actual === 'number'
+    ? Math.abs(actual - expected) < tolerance
+    : actual === expected;
+  if (!ok) failures += 1;
+  console.log(`  ${ok ? '✅' : '❌'} ${label}: ${actual}${ok ? '' : ` (expected ${expected})`}`);
+}
+
+function testImpermanentLoss() {
+  console.log('\n=== Impermanent loss vs holding ===');
+
+  const comparison = ImpermanentLossService.compare(
+    { supplyTokens: [token('ETH', 1, 1000), token('USDC', 1000, 1)], cumulativeClaimedUsd: 10 },
+    {
+      supplyTokens: [token('ETH', 0.51, 4000), token('USDC', 2040, 1)],
+      rewardTokens: [token('CRV', 5, 2, { usdValue: 10 })],
+      cumulativeClaimedUsd: 30
+    }
+  );
+  check('entry value', comparison.entryValue, 2000);
+  check('hold value', comparison.holdValue, 5000);
+  check('LP value', comparison.lpValue, 4080);
+  check('rewards (unclaimed + claimed since entry)', comparison.rewardsUsd, 30);
+  check('impermanent loss', comparison.impermanentLossUsd, -1000);
+  check('impermanent loss %', comparison.impermanentLossPercent, -20);
+  check('fee income', comparison.feeIncomeUsd, 80);
+  check('fees cover loss', comparison.feesCoverLoss, false);
+  check('net vs hold', comparison.netVsHoldUsd, -890);
+  check('net vs hold %', comparison.netVsHoldPercent, -17.8);
+  check('liquidity changed', comparison.liquidityChanged, false);
+}
+
+testImpermanentLoss();
+
+console.log(failures ? `\n❌ ${failures} check(s) failed` : '\n✅ All checks passed');
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,77 @@
+const PerformanceAttributionService = require('./services/performanceAttribution');
+
+// Fixed inputs with hand-checked results for performance attribution.
+// Nothing here needs a database connection.
+
+const token = (symbol, amount, price, extra = {}) => ({ chain: 'eth', address: symbol.toLowerCase(), symbol, amount, price, ...extra });
+
+let failures = 0;
+
+function check(label, actual, expected, tolerance = 0.005) {
+  const ok = typeof expected === 'number' && typeof actual === 'number'
+    ? Math.abs(actual - expected) < tolerance
+    : actual === expected;
+  if (!ok) failures += 1;
+  console.log(`  ${ok ? '✅' : '❌'} ${label}: ${actual}${ok ? '' : ` (expected ${expected})`}`);
+}
+
+function testPerformanceAttribution() {
+  console.log('\n=== Performance attribution ===');
+
+  check('IL at a 4x relative move', PerformanceAttributionService.impermanentLossPercent(4), -0.2, 1e-9);
+  check('IL without a relative move', PerformanceAttributionService.impermanentLossPercent(1), 0, 1e-9);
+
+  // Lending: ETH +$100 with 0.01 ETH interest earned, 5 USDC interest owed
+  const lending = PerformanceAttributionService.attributeStep(
+    { positionType: 'lending', supplyTokens: [token('ETH', 10, 2000)], borrowTokens: [token('USDC', 5000, 1)] },
+    { positionType: 'lending', supplyTokens: [token('ETH', 10.01, 2100)], borrowTokens: [token('USDC', 5005, 1)] },
+    1
+  );
+  check('lending start value', lending.startValue, 15000);
+  check('lending end value', lending.endValue, 16016);
+  check('lending price', lending.price, 1000);
+  check('lending yield (21 interest less 5 owed)', lending.yield, 16);
+  check('lending flows', lending.flows, 0);
+
+  // 5 ETH supplied in a day is far above FLOW_THRESHOLD_PER_DAY: a deposit, not yield
+  const deposit = PerformanceAttributionService.attributeStep(
+    { positionType: 'lending', supplyTokens: [token('ETH', 10, 2000)] },
+    { positionType: 'lending', supplyTokens: [token('ETH', 15, 2000)] },
+    1
+  );
+  check('deposit flows', deposit.flows, 10000);
+  check('deposit yield', deposit.yield, 0);
+
+  // 50/50 pool, ETH 1,000 -> 4,000: rebalanced to 0.5 ETH + 2,000 USDC
+  const pool = PerformanceAttributionService.attributeStep(
+    { positionType: 'liquidity', supplyTokens: [token('ETH', 1, 1000), token('USDC', 1000, 1)] },
+    { positionType: 'liquidity', supplyTokens: [token('ETH', 0.5, 4000), token('USDC', 2000, 1)] },
+    1
+  );
+  check('pool price', pool.price, 3000);
+  check('pool impermanent loss', pool.impermanentLoss, -1000);
+  check('pool yield', pool.yield, 0);
+  check('pool flows', pool.flows, 0);
+  check('pool components add up', pool.price + pool.impermanentLoss + pool.yield + pool.flows, pool.endValue - pool.startValue);
+
+  // 4 CRV claimed out of the position while 1 more accrued: 1 earned, 4 left
+  const harvest = PerformanceAttributionService.attributeStep(
+    { positionType: 'lending', supplyTokens: [token('USDC', 1000, 1)], rewardTokens: [token('CRV', 5, 1)] },
+    {
+      positionType: 'lending',
+      supplyTokens: [token('USDC', 1000, 1)],
+      rewardTokens: [token('CRV', 2, 1)],
+      rewardClaims: [{ symbol: 'CRV', address: 'crv', amount: 4, usdValue: 4, confirmed: true }],
+      claimedRewardsUsd: 4
+    },
+    1
+  );
+  check('harvest rewards', harvest.rewards, 1);
+  check('harvest flows (claim leaves the position)', harvest.flows, -4);
+  check('harvest change', harvest.endValue - harvest.startValue, -3);
+}
+
+testPerformanceAttribution();
+
+console.log(failures ? `\n❌ ${failures} check(s) failed` : '\n✅ All checks passed');
+process.exitCode = failures ? 1 : 0;
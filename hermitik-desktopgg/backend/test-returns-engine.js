@@ -0,0 +1,62 @@
+const ReturnsEngine = require('./services/returnsEngine');
+
+// Fixed inputs with hand-checked results for the returns engine.
+// Nothing here needs a database connection.
+
+const day = n => new Date(Date.UTC(2025, 0, n, 12));
+
+let failures = 0;
+
+function check(label, actual, expected, tolerance = 0.005) {
+  const ok = typeof expected === 'number' && typeof actual === 'number'
+    ? Math.abs(actual - expected) < tolerance
+    : actual === expected;
+  if (!ok) failures += 1;
+  console.log(`  ${ok ? '✅' : '❌'} ${label}: ${actual}${ok ? '' : ` (expected ${expected})`}`);
+}
+
+function testReturns() {
+  console.log('\n=== Returns engine ===');
+
+  // +10%, then a $1,000 deposit with +9.09%, then -5%: 1.1 x 1.0909 x 0.95 = 1.14
+  const twr = ReturnsEngine.timeWeightedReturn(
+    [{ date: day(1), value: 1000 }, { date: day(2), value: 1100 }, { date: day(3), value: 2200 }, { date: day(4), value: 2090 }],
+    [{ date: day(3), amount: 1000 }]
+  );
+  check('TWR sub-period 1', twr.subPeriods[0].return, 0.1, 1e-9);
+  check('TWR sub-period 2 flows', twr.subPeriods[1].flows, 1000);
+  check('TWR sub-period 2 (deposit not a gain)', twr.subPeriods[1].return, 0.0909091, 1e-6);
+  check('TWR sub-period 3', twr.subPeriods[2].return, -0.05, 1e-9);
+  check('TWR total', twr.totalReturn, 0.14, 1e-9);
+
+  const firstDeposit = ReturnsEngine.timeWeightedReturn(
+    [{ date: day(1), value: 0 }, { date: day(2), value: 500 }],
+    [{ date: day(2), amount: 500 }]
+  );
+  check('TWR from an empty start', firstDeposit.totalReturn, 0, 1e-9);
+
+  check('XIRR one year, +10%', ReturnsEngine.xirr([
+    { date: new Date('2025-01-01'), amount: -1000 },
+    { date: new Date('2026-01-01'), amount: 1100 }
+  ]), 0.1, 1e-6);
+  check('XIRR two years, +21%', ReturnsEngine.xirr([
+    { date: new Date('2025-01-01'), amount: -1000 },
+    { date: new Date('2027-01-01'), amount: 1210 }
+  ]), 0.1, 1e-6);
+  check('XIRR with money only paid in', ReturnsEngine.xirr([
+    { date: new Date('2025-01-01'), amount: -1000 },
+    { date: new Date('2025-06-01'), amount: -500 }
+  ]), null);
+
+  const mwr = ReturnsEngine.moneyWeightedReturn([
+    { date: new Date('2025-01-01'), value: 1000 },
+    { date: new Date('2026-01-01'), value: 1100 }
+  ]);
+  check('MWR annualized', mwr.annualizedReturn, 0.1, 1e-6);
+  check('MWR period', mwr.periodReturn, 0.1, 1e-6);
+}
+
+testReturns();
+
+console.log(failures ? `\n❌ ${failures} check(s) failed` : '\n✅ All checks passed');
+process.exitCode = failures ? 1 : 0;
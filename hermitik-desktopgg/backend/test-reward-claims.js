@@ -0,0 +1,47 @@
+const RewardClaimService = require('./services/rewardClaims');
+
+// Fixed inputs with hand-checked results for reward claim detection.
+// Nothing here needs a database connection.
+
+const token = (symbol, amount, price, extra = {}) => ({ chain: 'eth', address: symbol.toLowerCase(), symbol, amount, price, ...extra });
+
+let failures = 0;
+
+function check(label, actual, expected, tolerance = 0.005) {
+  const ok = typeof expected === 'number' && typeof actual === 'number'
+    ? Math.abs(actual - expected) < tolerance
+    : actual === expected;
+  if (!ok) failures += 1;
+  console.log(`  ${ok ? '✅' : '❌'} ${label}: ${actual}${ok ? '' : ` (expected ${expected})`}`);
+}
+
+function testRewardClaims() {
+  console.log('\n=== Reward claims ===');
+
+  const previous = { rewardTokens: [token('CRV', 5, 1)] };
+  const position = { rewardTokens: [token('CRV', 2, 1)] };
+
+  // The wallet received 4 CRV: the whole claim, part hidden by 1 CRV accrued since
+  const [confirmed] = RewardClaimService.detectClaims(position, previous, {
+    previousTokens: [token('CRV', 10, 1)],
+    tokens: [token('CRV', 14, 1)]
+  });
+  check('confirmed claim amount', confirmed.amount, 4);
+  check('confirmed claim value', confirmed.usdValue, 4);
+  check('confirmed', confirmed.confirmed, true);
+
+  const [unconfirmed] = RewardClaimService.detectClaims(position, previous);
+  check('unconfirmed claim amount (the fall)', unconfirmed.amount, 3);
+  check('unconfirmed', unconfirmed.confirmed, false);
+
+  check('dust is not a claim', RewardClaimService.detectClaims(
+    { rewardTokens: [token('CRV', 4.995, 1)] },
+    { rewardTokens: [token('CRV', 5, 1)] }
+  ).length, 0);
+  check('no previous snapshot', RewardClaimService.detectClaims(position, null).length, 0);
+}
+
+testRewardClaims();
+
+console.log(failures ? `\n❌ ${failures} check(s) failed` : '\n✅ All checks passed');
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,63 @@
+const RiskMetricsService = require('./services/riskMetrics');
+
+// Fixed inputs with hand-checked results for the risk metrics.
+// Nothing here needs a database connection.
+
+const day = n => new Date(Date.UTC(2025, 0, n, 12));
+
+let failures = 0;
+
+function check(label, actual, expected, tolerance = 0.005) {
+  const ok = typeof expected === 'number' && typeof actual === 'number'
+    ? Math.abs(actual - expected) < tolerance
+    : expected instanceof Date
+      ? actual instanceof Date && actual.getTime() === expected.getTime()
+      : actual === expected;
+  if (!ok) failures += 1;
+  console.log(`  ${ok ? '✅' : '❌'} ${label}: ${actual}${ok ? '' : ` (expected ${expected})`}`);
+}
+
+function testRiskMetrics() {
+  console.log('\n=== Risk metrics ===');
+
+  check('mean', RiskMetricsService.mean([1, 2, 3, 4]), 2.5, 1e-9);
+  check('sample std dev', RiskMetricsService.standardDeviation([1, 2, 3, 4]), 1.2909944, 1e-6);
+  check('std dev of one value', RiskMetricsService.standardDeviation([1]), null);
+
+  // 40 days: the 5% tail is the two worst days
+  const returns = [-0.04, -0.03, ...Array(38).fill(0.01)];
+  const { var: valueAtRisk, cvar } = RiskMetricsService.valueAtRisk(returns);
+  check('VaR 95%', valueAtRisk, 0.03, 1e-9);
+  check('CVaR 95%', cvar, 0.035, 1e-9);
+
+  // Growth of $1: 1.10, 0.88, 0.968, 1.21 (back above the peak), 1.1495
+  const drawdown = RiskMetricsService.maxDrawdown([
+    { end: day(2), return: 0.1 },
+    { end: day(3), return: -0.2 },
+    { end: day(4), return: 0.1 },
+    { end: day(5), return: 0.25 },
+    { end: day(6), return: -0.05 }
+  ], day(1));
+  check('max drawdown', drawdown.maxDrawdown, 0.2, 1e-9);
+  check('peak date', drawdown.peakDate, day(2));
+  check('trough date', drawdown.troughDate, day(3));
+  check('recovery date', drawdown.recoveryDate, day(5));
+  check('recovered', drawdown.recovered, true);
+  check('duration days', drawdown.durationDays, 3);
+
+  const rolling = RiskMetricsService.rollingVolatility([
+    { end: day(2), return: 0.01 },
+    { end: day(3), return: 0.03 },
+    { end: day(4), return: 0.02 }
+  ], [2, 3]);
+  check('rolling points', rolling.length, 2);
+  check('2-day vol on day 3', rolling[0].vol2, 0.2701851, 1e-6);
+  check('3-day vol before a full window', rolling[0].vol3, null);
+  check('2-day vol on day 4', rolling[1].vol2, 0.1350925, 1e-6);
+  check('3-day vol on day 4', rolling[1].vol3, 0.1910497, 1e-6);
+}
+
+testRiskMetrics();
+
+console.log(failures ? `\n❌ ${failures} check(s) failed` : '\n✅ All checks passed');
+process.exitCode = failures ? 1 : 0;
@@ -1,42 +1,39 @@
 const httpClient = require('./httpClient');
-const CHAINS = ['eth', 'bsc', 'arb', 'matic', 'base', 'op'];
+const { getPortfolioProvider } = require('../services/providers');
+const ChainRegistryService = require('../services/chainRegistry');
 
-async function fetchTokens(address) {
+/**
+ * Fetch wallet tokens across all enabled registry chains from the configured provider
+ * @param {string} address - Wallet address
+ * @param {Object} options - Fetch options
+ * @param {number} options.chainDelayMs - Delay before each chain request (rate limiting)
+ * @param {boolean} options.offline - Use the default chains instead of the database registry
+ * @returns {Promise<Array>} Tokens tagged with chain_id
+ */
+async function fetchTokens(address, options = {}) {
+  const { chainDelayMs = 0, offline = false } = options;
   let allTokens = [];
   const validatedAddress = httpClient.validateWalletAddress(address);
   console.log(`🔍 Fetching tokens for address: ${validatedAddress}`);
   
-  const debankClient = httpClient.createDebankClient();
+  const provider = getPortfolioProvider();
+  const chains = await ChainRegistryService.getEnabledChainIds({ offline });
   
-  for (const chain of CHAINS) {
+  for (const chain of chains) {
     try {
       httpClient.validateChainId(chain);
+      if (chainDelayMs) await httpClient.sleep(chainDelayMs);
       console.log(`📡 Fetching tokens from ${chain}...`);
       
-      const data = await debankClient.get('/user/token_list', {
-        id: validatedAddress, 
-        chain_id: chain, 
-        is_all: false // Changed back to false to avoid spam tokens
-      });
+      const data = await provider.getTokenBalances(validatedAddress, chain);
       
       console.log(`✅ Found ${data.length} tokens on ${chain}`);
      
-      // Add chain info to each token and filter out spam tokens
-      const tokensWithChain = data
-        .filter(token => {
-          // Filter out obvious spam tokens
-          const spamKeywords = ['visit', 'claim', 'airdrop', 'reward', 'www.', 'http', '.com', '.io', '.xyz', '.top', '.eu'];
-          const tokenName = (token.name || '').toLowerCase();
-          const tokenSymbol = (token.symbol || '').toLowerCase();
-          
-          return !spamKeywords.some(keyword => 
-            tokenName.includes(keyword) || tokenSymbol.includes(keyword)
-          );
-        })
-        .map(token => ({
-          ...token,
-          chain_id: chain
-        }));
+      // Add chain info to each token (spam is classified later by TokenClassifier)
+      const tokensWithChain = data.map(token => ({
+        ...token,
+        chain_id: chain
+      }));
       
       allTokens.push(...tokensWithChain);
     } catch (err) {
@@ -50,76 +47,82 @@ async function fetchTokens(address) {
     }
   }
   
-  console.log(`📊 Total clean tokens found: ${allTokens.length}`);
+  console.log(`📊 Total tokens found: ${allTokens.length}`);
   return allTokens;
 }
 
+// Symbol to CoinGecko ID mapping
+const SYMBOL_TO_COINGECKO_ID = {
+  // Major tokens
+  'eth': 'ethereum',
+  'weth': 'ethereum',
+  'btc': 'bitcoin',
+  'wbtc': 'wrapped-bitcoin',
+  'usdt': 'tether',
+  'usdc': 'usd-coin',
+  'dai': 'dai',
+  'busd': 'binance-usd',
+  'matic': 'matic-network',
+  'wmatic': 'matic-network',
+  'bnb': 'binancecoin',
+  'wbnb': 'binancecoin',
+  'avax': 'avalanche-2',
+  'wavax': 'avalanche-2',
+  'op': 'optimism',
+  'arb': 'arbitrum',
+  
+  // DeFi tokens
+  'uni': 'uniswap',
+  'sushi': 'sushi',
+  'aave': 'aave',
+  'comp': 'compound-coin',
+  'mkr': 'maker',
+  'snx': 'havven',
+  'crv': 'curve-dao-token',
+  'cvx': 'convex-finance',
+  'frax': 'frax',
+  'fxs': 'frax-share',
+  'bal': 'balancer',
+  'yearn': 'yearn-finance',
+  'yfi': 'yearn-finance',
+  
+  // Stablecoins
+  'frax': 'frax',
+  'lusd': 'liquity-usd',
+  'susd': 'nusd',
+  'tusd': 'true-usd',
+  'gusd': 'gemini-dollar',
+  'pax': 'paxos-standard',
+  'usdp': 'paxos-standard',
+  
+  // Layer 2 tokens
+  'matic': 'matic-network',
+  'ftm': 'fantom',
+  'one': 'harmony',
+  'celo': 'celo',
+  'movr': 'moonriver',
+  'glmr': 'moonbeam',
+  
+  // Wrapped tokens
+  'wftm': 'fantom',
+  'wone': 'harmony',
+  'wcelo': 'celo',
+  'wmovr': 'moonriver',
+  'wglmr': 'moonbeam'
+};
+
+/**
+ * Fetch CoinGecko prices for tokens by symbol. Symbols are not unique across
+ * chains, so valuation goes through PriceResolver instead.
+ * @param {Array} tokens - Provider tokens
+ * @returns {Promise<Object>} USD price keyed by lowercase symbol
+ */
 async function fetchPricesFromCoinGecko(tokens) {
   if (!tokens.length) return {};
   
-  // Create a comprehensive symbol to CoinGecko ID mapping
-  const symbolToId = {
-    // Major tokens
-    'eth': 'ethereum',
-    'weth': 'ethereum',
-    'btc': 'bitcoin',
-    'wbtc': 'wrapped-bitcoin',
-    'usdt': 'tether',
-    'usdc': 'usd-coin',
-    'dai': 'dai',
-    'busd': 'binance-usd',
-    'matic': 'matic-network',
-    'wmatic': 'matic-network',
-    'bnb': 'binancecoin',
-    'wbnb': 'binancecoin',
-    'avax': 'avalanche-2',
-    'wavax': 'avalanche-2',
-    'op': 'optimism',
-    'arb': 'arbitrum',
-    
-    // DeFi tokens
-    'uni': 'uniswap',
-    'sushi': 'sushi',
-    'aave': 'aave',
-    'comp': 'compound-coin',
-    'mkr': 'maker',
-    'snx': 'havven',
-    'crv': 'curve-dao-token',
-    'cvx': 'convex-finance',
-    'frax': 'frax',
-    'fxs': 'frax-share',
-    'bal': 'balancer',
-    'yearn': 'yearn-finance',
-    'yfi': 'yearn-finance',
-    
-    // Stablecoins
-    'frax': 'frax',
-    'lusd': 'liquity-usd',
-    'susd': 'nusd',
-    'tusd': 'true-usd',
-    'gusd': 'gemini-dollar',
-    'pax': 'paxos-standard',
-    'usdp': 'paxos-standard',
-    
-    // Layer 2 tokens
-    'matic': 'matic-network',
-    'ftm': 'fantom',
-    'one': 'harmony',
-    'celo': 'celo',
-    'movr': 'moonriver',
-    'glmr': 'moonbeam',
-    
-    // Wrapped tokens
-    'wftm': 'fantom',
-    'wone': 'harmony',
-    'wcelo': 'celo',
-    'wmovr': 'moonriver',
-    'wglmr': 'moonbeam'
-  };
-  
   // Get unique symbols and map to CoinGecko IDs
   const uniqueSymbols = [...new Set(tokens.map(t => t.symbol?.toLowerCase()).filter(Boolean))];
-  const coinGeckoIds = [...new Set(uniqueSymbols.map(symbol => symbolToId[symbol]).filter(Boolean))];
+  const coinGeckoIds = [...new Set(uniqueSymbols.map(symbol => SYMBOL_TO_COINGECKO_ID[symbol]).filter(Boolean))];
   
   console.log(`💰 Fetching prices for ${coinGeckoIds.length} tokens from CoinGecko...`);
   
@@ -129,21 +132,13 @@ async function fetchPricesFromCoinGecko(tokens) {
   }
   
   try {
-    const coinGeckoClient = httpClient.createCoinGeckoClient();
-    const data = await coinGeckoClient.get('/simple/price', {
-      ids: coinGeckoIds.join(','), 
-      vs_currencies: 'usd',
-      include_market_cap: true,
-      include_24hr_vol: true,
-      include_24hr_change: true,
-      include_last_updated_at: true 
-    });
+    const data = await getPortfolioProvider().getPrices(coinGeckoIds);
     
     console.log(`✅ Fetched prices for ${Object.keys(data).length} tokens`);
     
     // Create reverse mapping for easy lookup
     const priceMap = {};
-    for (const [symbol, id] of Object.entries(symbolToId)) {
+    for (const [symbol, id] of Object.entries(SYMBOL_TO_COINGECKO_ID)) {
       if (data[id]) {
         priceMap[symbol] = data[id].usd;
       }
@@ -157,22 +152,30 @@ async function fetchPricesFromCoinGecko(tokens) {
 }
 
 
-async function fetchAllProtocols(address) {
+/**
+ * Fetch protocol positions across all enabled registry chains from the configured provider
+ * @param {string} address - Wallet address
+ * @param {Object} options - Fetch options
+ * @param {number} options.chainDelayMs - Delay before each chain request (rate limiting)
+ * @param {boolean} options.offline - Use the default chains instead of the database registry
+ * @returns {Promise<Array>} Protocols tagged with chain_id
+ */
+async function fetchAllProtocols(address, options = {}) {
+  const { chainDelayMs = 0, offline = false } = options;
   let allProtocols = [];
   const validatedAddress = httpClient.validateWalletAddress(address);
   console.log(`🔍 Fetching all protocols for address: ${validatedAddress}`);
   
-  const debankClient = httpClient.createDebankClient();
+  const provider = getPortfolioProvider();
+  const chains = await ChainRegistryService.getEnabledChainIds({ offline });
   
-  for (const chain of CHAINS) {
+  for (const chain of chains) {
     try {
       httpClient.validateChainId(chain);
+      if (chainDelayMs) await httpClient.sleep(chainDelayMs);
       console.log(`📡 Fetching protocols from ${chain}...`);
       
-      const data = await debankClient.get('/user/all_complex_protocol_list', {
-        id: validatedAddress, 
-        chain_id: chain 
-      });
+      const data = await provider.getProtocolPositions(validatedAddress, chain);
    
       if (data && data.length > 0) {
         console.log(`✅ Found ${data.length} protocols on ${chain}`);
@@ -197,8 +200,21 @@ async function fetchAllProtocols(address) {
   return allProtocols;
 }
 
+/**
+ * Fetch a wallet's detailed position in a single protocol
+ * @param {string} address - Wallet address
+ * @param {string} protocolId - Protocol ID
+ * @param {string} chainId - Chain ID
+ * @returns {Promise<Object>} Protocol detail
+ */
+async function fetchProtocolDetail(address, protocolId, chainId) {
+  return getPortfolioProvider().getProtocolDetail(address, protocolId, chainId);
+}
+
 module.exports = {
   fetchTokens,
   fetchAllProtocols,
-  fetchPricesFromCoinGecko
+  fetchProtocolDetail,
+  fetchPricesFromCoinGecko,
+  SYMBOL_TO_COINGECKO_ID
 };
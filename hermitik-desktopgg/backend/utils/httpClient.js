@@ -4,12 +4,16 @@
  */
 
 const axios = require('axios');
+const responseRecorder = require('./responseRecorder');
+const { DEFAULT_CHAINS } = require('../config/chains');
 
 class HttpClient {
   constructor() {
     this.defaultTimeout = 10000;
     this.maxRetries = 3;
     this.retryDelay = 1000;
+    // Replaced with the database registry once ChainRegistryService loads it
+    this.validChains = DEFAULT_CHAINS.filter(chain => chain.enabled).map(chain => chain.chainId);
   }
 
   /**
@@ -139,6 +143,35 @@ class HttpClient {
     }
   }
 
+  /**
+   * Runs an upstream request through the response recorder
+   * In replay mode the request is served from disk; in record mode the live
+   * response is written to disk before being returned
+   * @param {string} service - Upstream service name
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Endpoint path
+   * @param {Object} payload - Request params (and body) used as the recording key
+   * @param {Function} request - Performs the live request
+   * @returns {Promise<any>} Response data
+   */
+  async withRecording(service, method, endpoint, payload, request) {
+    if (responseRecorder.isReplaying()) {
+      return responseRecorder.load(service, method, endpoint, payload);
+    }
+
+    const data = await request();
+
+    if (responseRecorder.isRecording()) {
+      try {
+        await responseRecorder.save(service, method, endpoint, payload, data);
+      } catch (error) {
+        console.error(`❌ Failed to record ${service} ${method} ${endpoint}:`, error.message);
+      }
+    }
+
+    return data;
+  }
+
   /**
    * Creates a specialized DeBank API client
    * @returns {Object} DeBank API client
@@ -147,26 +180,27 @@ class HttpClient {
     const debankBase = 'https://pro-openapi.debank.com/v1';
     const apiKey = process.env.DEBANK_API_KEY;
 
-    if (!apiKey) {
+    // Replayed responses never reach DeBank, so no key is needed
+    if (!apiKey && !responseRecorder.isReplaying()) {
       throw new Error('DEBANK_API_KEY environment variable is required');
     }
 
     return {
-      get: (endpoint, params = {}) => this.get(endpoint, {
+      get: (endpoint, params = {}) => this.withRecording('debank', 'GET', endpoint, params, () => this.get(endpoint, {
         baseURL: debankBase,
         params,
         headers: {
           'AccessKey': apiKey
         }
-      }),
+      })),
       
-      post: (endpoint, data, params = {}) => this.post(endpoint, data, {
+      post: (endpoint, data, params = {}) => this.withRecording('debank', 'POST', endpoint, { params, data }, () => this.post(endpoint, data, {
         baseURL: debankBase,
         params,
         headers: {
           'AccessKey': apiKey
         }
-      })
+      }))
     };
   }
 
@@ -178,10 +212,25 @@ class HttpClient {
     const coinGeckoBase = 'https://api.coingecko.com/api/v3';
 
     return {
-      get: (endpoint, params = {}) => this.get(endpoint, {
+      get: (endpoint, params = {}) => this.withRecording('coingecko', 'GET', endpoint, params, () => this.get(endpoint, {
         baseURL: coinGeckoBase,
         params
-      })
+      }))
+    };
+  }
+
+  /**
+   * Creates a specialized DefiLlama yields API client
+   * @returns {Object} DefiLlama API client
+   */
+  createDefiLlamaClient() {
+    const defiLlamaBase = 'https://yields.llama.fi';
+
+    return {
+      get: (endpoint, params = {}) => this.withRecording('defillama', 'GET', endpoint, params, () => this.get(endpoint, {
+        baseURL: defiLlamaBase,
+        params
+      }))
     };
   }
 
@@ -215,12 +264,12 @@ class HttpClient {
   }
 
   /**
-   * Validates chain ID
+   * Validates chain ID against the enabled chains in the chain registry
    * @param {string} chainId - Chain ID to validate
    * @returns {string} Validated chain ID
    */
   validateChainId(chainId) {
-    const validChains = ['eth', 'bsc', 'arb', 'matic', 'base', 'op'];
+    const validChains = this.validChains;
     
     if (!validChains.includes(chainId)) {
       throw new Error(`Invalid chain ID: ${chainId}. Valid chains: ${validChains.join(', ')}`);
@@ -228,6 +277,14 @@ class HttpClient {
 
     return chainId;
   }
+
+  /**
+   * Sets the chain IDs accepted by validateChainId
+   * @param {Array<string>} chainIds - Enabled chain IDs
+   */
+  setValidChains(chainIds) {
+    this.validChains = [...chainIds];
+  }
 }
 
 // Export singleton instance
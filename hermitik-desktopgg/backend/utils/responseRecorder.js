@@ -0,0 +1,133 @@
+/**
+ * Upstream Response Recorder
+ * Writes DeBank/CoinGecko/DefiLlama responses to disk and replays them later so a
+ * portfolio or NAV run can be reproduced exactly.
+ *
+ * HTTP_RECORDING_MODE  - off (default) | record | replay
+ * HTTP_RECORDINGS_DIR  - where recordings are stored (default: backend/recordings)
+ *
+ * Recordings are keyed by service, endpoint and request params:
+ *   <dir>/<service>/<endpoint>/<method>-<paramsHash>.json
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const RECORDING_MODES = ['off', 'record', 'replay'];
+const DEFAULT_RECORDINGS_DIR = path.join(__dirname, '../recordings');
+
+class ResponseRecorder {
+  /**
+   * Current recording mode (read on every call so dotenv can load late)
+   * @returns {string} off | record | replay
+   */
+  getMode() {
+    const mode = (process.env.HTTP_RECORDING_MODE || 'off').toLowerCase();
+
+    if (!RECORDING_MODES.includes(mode)) {
+      throw new Error(`Invalid HTTP_RECORDING_MODE: ${mode}. Valid modes: ${RECORDING_MODES.join(', ')}`);
+    }
+
+    return mode;
+  }
+
+  isRecording() {
+    return this.getMode() === 'record';
+  }
+
+  isReplaying() {
+    return this.getMode() === 'replay';
+  }
+
+  getRecordingsDir() {
+    return process.env.HTTP_RECORDINGS_DIR || DEFAULT_RECORDINGS_DIR;
+  }
+
+  /**
+   * Serialize a value with sorted object keys so equal params hash equally
+   * @param {any} value - Value to serialize
+   * @returns {string} Deterministic JSON
+   */
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Resolve the recording file for a request
+   * @param {string} service - Upstream service name (debank, coingecko)
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Endpoint path
+   * @param {Object} payload - Request params (and body for POST)
+   * @returns {string} Absolute file path
+   */
+  getRecordingPath(service, method, endpoint, payload = {}) {
+    const endpointKey = endpoint.replace(/^\/+/, '').replace(/[^a-zA-Z0-9]+/g, '_') || 'root';
+    const paramsHash = crypto
+      .createHash('sha1')
+      .update(this.stableStringify(payload))
+      .digest('hex')
+      .slice(0, 16);
+
+    return path.join(this.getRecordingsDir(), service, endpointKey, `${method.toLowerCase()}-${paramsHash}.json`);
+  }
+
+  /**
+   * Save an upstream response
+   * @returns {Promise<string>} Path written
+   */
+  async save(service, method, endpoint, payload, data) {
+    const filePath = this.getRecordingPath(service, method, endpoint, payload);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify({
+      service,
+      method,
+      endpoint,
+      payload,
+      recordedAt: new Date().toISOString(),
+      data
+    }, null, 2));
+
+    console.log(`📼 Recorded ${service} ${method} ${endpoint} -> ${filePath}`);
+    return filePath;
+  }
+
+  /**
+   * Load a previously recorded response
+   * @returns {Promise<any>} Recorded response data
+   * @throws {Error} If no recording exists for the request
+   */
+  async load(service, method, endpoint, payload) {
+    const filePath = this.getRecordingPath(service, method, endpoint, payload);
+
+    let contents;
+    try {
+      contents = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        const missingError = new Error(`No recording for ${service} ${method} ${endpoint} ${this.stableStringify(payload)} (expected ${filePath})`);
+        missingError.statusCode = 404;
+        missingError.code = 'RECORDING_NOT_FOUND';
+        throw missingError;
+      }
+      throw error;
+    }
+
+    console.log(`📼 Replaying ${service} ${method} ${endpoint} from ${filePath}`);
+    return JSON.parse(contents).data;
+  }
+}
+
+// Export singleton instance
+module.exports = new ResponseRecorder();
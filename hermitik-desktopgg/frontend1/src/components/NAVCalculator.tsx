@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useQueryClient, keepPreviousData } from '@tanstack/react-query';
 import { walletApi, analyticsApi } from '../services/api';
-import { Download, Calculator, RefreshCw, Lock, AlertCircle, ChevronDown, Calendar, Save, TrendingUp } from 'lucide-react';
+import { Download, Calculator, RefreshCw, Lock, AlertCircle, ChevronDown, Calendar, Save, TrendingUp, CheckCircle, Unlock } from 'lucide-react';
 import { useUserView } from '../contexts/UserViewContext';
 import { useNAV } from '../contexts/NAVContext';
 import Card from './UI/Card';
@@ -19,7 +19,6 @@ interface CalculationParams {
   netFlows: number;
   hurdleRate: number;
   hurdleRateType: 'annual' | 'monthly';
-  highWaterMark: number;
   performanceFeeRate: number;
   accruedPerformanceFeeRate: number;
   managementFeeRate: number;
@@ -31,7 +30,8 @@ interface CalculationParams {
 interface PriorNavData {
   found: boolean;
   priorPreFeeNav: number;
-  source: 'manual' | 'auto_loaded' | 'fallback' | 'portfolio_estimate' | 'fallback_needed';
+  source: 'manual' | 'auto_loaded' | 'fallback' | 'portfolio_estimate' | 'fallback_needed' | 'not_finalized';
+  priorVersion?: number;
   priorMonth: number;
   priorYear: number;
   priorMonthName: string;
@@ -49,12 +49,121 @@ interface ValidationWarning {
   message: string;
 }
 
+// Line items from the backend NAV engine, which exports and saved months also use
+interface NAVCalculation {
+  investments: number;
+  dividendsReceivable: number;
+  totalAssets: number;
+  accruedExpenses: number;
+  defiBorrowings: number;
+  // Earlier months' management fee invoices still unpaid
+  managementFeesPayable: number;
+  totalLiabilities: number;
+  preFeeNav: number;
+  priorPreFeeNav: number;
+  netFlows: number;
+  performance: number;
+  hurdleAmount: number;
+  highWaterMarkStart: number;
+  highWaterMarkAdjusted: number;
+  highWaterMarkEnd: number;
+  highWaterMarkSource?: 'history' | 'prior_nav';
+  feeBasis: number;
+  performanceFee: number;
+  performanceFeeNote: string;
+  calculatedAccruedFees: number;
+  accruedPerformanceFees: number;
+  managementFee: number;
+  // 'accrual' when the fee is the month's daily accruals on NAV, 'flat' when charged on total assets
+  managementFeeSource?: 'accrual' | 'flat';
+  managementFeeAccrualDays?: number;
+  netAssets: number;
+  validationWarnings: string[];
+  // Net flows recorded in the capital account ledger for the month
+  ledgerNetFlows?: number | null;
+  ledgerTransactionCount?: number;
+}
+
+const EMPTY_CALCULATION: NAVCalculation = {
+  investments: 0,
+  dividendsReceivable: 0,
+  totalAssets: 0,
+  accruedExpenses: 0,
+  defiBorrowings: 0,
+  managementFeesPayable: 0,
+  totalLiabilities: 0,
+  preFeeNav: 0,
+  priorPreFeeNav: 0,
+  netFlows: 0,
+  performance: 0,
+  hurdleAmount: 0,
+  highWaterMarkStart: 0,
+  highWaterMarkAdjusted: 0,
+  highWaterMarkEnd: 0,
+  feeBasis: 0,
+  performanceFee: 0,
+  performanceFeeNote: '',
+  calculatedAccruedFees: 0,
+  accruedPerformanceFees: 0,
+  managementFee: 0,
+  netAssets: 0,
+  validationWarnings: []
+};
+
 interface MonthYear {
   month: number;
   year: number;
   monthName: string;
+  status?: NAVStatus;
+  version?: number;
 }
 
+// Month-close workflow: draft -> reviewed -> finalized; finalized months are reopened as a new version
+type NAVStatus = 'draft' | 'reviewed' | 'finalized';
+type NAVStatusAction = 'review' | 'finalize' | 'reopen';
+
+const NAV_STATUS_STYLES: Record<NAVStatus, string> = {
+  draft: 'bg-gray-700 text-gray-300',
+  reviewed: 'bg-blue-500/20 text-blue-400',
+  finalized: 'bg-green-500/20 text-green-400'
+};
+
+// Deposit or withdrawal proposed by flow detection, awaiting admin review
+interface FlowCandidate {
+  _id: string;
+  walletAddress: string;
+  chain?: string | null;
+  txHash: string;
+  date: string;
+  direction: 'inbound' | 'outbound';
+  counterparty?: string | null;
+  tokens: { symbol?: string; amount: number; usdValue: number }[];
+  usdValue: number;
+  source: 'transaction_history' | 'snapshot_change';
+  confidence: 'high' | 'low';
+  status: 'pending' | 'accepted' | 'rejected';
+}
+
+// A month's management fee accruals rolled up for invoicing, with payments against it
+interface FeeInvoice {
+  _id: string;
+  year: number;
+  month: number;
+  accruedAmount: number;
+  accrualDays: number;
+  averageNav: number;
+  paidAmount: number;
+  outstandingAmount: number;
+  status: 'open' | 'partially_paid' | 'paid';
+  payments: { amount: number; date: string; reference?: string }[];
+}
+
+const FEE_INVOICE_STATUS_STYLES: Record<FeeInvoice['status'], string> = {
+  open: 'bg-red-900/50 text-red-400',
+  partially_paid: 'bg-yellow-900/50 text-yellow-400',
+  paid: 'bg-green-900/50 text-green-400'
+};
+
 const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
   const { viewedUser, isViewingAsAdmin } = useUserView();
   const queryClient = useQueryClient();
@@ -62,7 +171,6 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
     navData, 
     volatilityMetrics, 
     monthlyHistory,
-    updateNetFlows, 
     updateNAVData,
     addMonthlyNav,
     refreshVolatility,
@@ -73,6 +181,13 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
   const [isCalculating, setIsCalculating] = useState(false);
   const [isExporting, setIsExporting] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
+  const [isUpdatingStatus, setIsUpdatingStatus] = useState(false);
+  const [reopenReason, setReopenReason] = useState('');
+  const [isDetectingFlows, setIsDetectingFlows] = useState(false);
+  const [reviewingFlowId, setReviewingFlowId] = useState<string | null>(null);
+  const [isIssuingInvoice, setIsIssuingInvoice] = useState(false);
+  const [payingInvoiceId, setPayingInvoiceId] = useState<string | null>(null);
+  const [paymentAmounts, setPaymentAmounts] = useState<Record<string, string>>({});
   const [error, setError] = useState('');
   const [successMessage, setSuccessMessage] = useState('');
   const [validationWarnings, setValidationWarnings] = useState<ValidationWarning[]>([]);
@@ -99,7 +214,6 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
     netFlows: navData.netFlows,
     hurdleRate: 0,
     hurdleRateType: 'annual',
-    highWaterMark: 0,
     performanceFeeRate: 0.05,
     accruedPerformanceFeeRate: 0.05,
     managementFeeRate: 0.005,
@@ -125,7 +239,8 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
   const [portfolioData, setPortfolioData] = useState({
     totalTokensValue: 0,
     totalPositionsValue: 0,
-    totalRewards: 0
+    totalRewards: 0,
+    totalDebtValue: 0
   });
 
   // Available months for dropdown
@@ -163,6 +278,40 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
     enabled: hasAccess
   });
 
+  // Detected deposits and withdrawals for the selected month
+  const { data: flowCandidates = [] } = useQuery({
+    queryKey: ['flow-candidates', viewedUser?.id, selectedYear, selectedMonth],
+    queryFn: async (): Promise<FlowCandidate[]> => {
+      if (!viewedUser) return [];
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/flows/candidates?userId=${viewedUser.id}&year=${selectedYear}&month=${selectedMonth}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('access_token')}`
+        }
+      });
+      if (!response.ok) throw new Error('Failed to load detected flows');
+      const result = await response.json();
+      return result.data.candidates;
+    },
+    enabled: hasAccess
+  });
+
+  // Management fee invoices, newest first
+  const { data: feeInvoices = [] } = useQuery({
+    queryKey: ['fee-invoices', viewedUser?.id],
+    queryFn: async (): Promise<FeeInvoice[]> => {
+      if (!viewedUser) return [];
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/fees/invoices?userId=${viewedUser.id}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('access_token')}`
+        }
+      });
+      if (!response.ok) throw new Error('Failed to load fee invoices');
+      const result = await response.json();
+      return result.data.invoices;
+    },
+    enabled: hasAccess
+  });
+
   // Load available months
   useEffect(() => {
     if (hasAccess && viewedUser) {
@@ -315,96 +464,53 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
       return sum + rewardsValue;
     }, 0);
 
+    // Borrowed tokens of leveraged positions are liabilities, not negative assets
+    const totalDebtValue = wallets.reduce((sum, wallet) => {
+      const debtValue = (wallet.protocols || []).reduce((protocolSum, protocol) => {
+        const protocolDebt = (protocol.positions || []).reduce((posSum, position) => {
+          const borrowTokensValue = (position.borrows || []).reduce((borrowSum, borrow) => 
+            borrowSum + (borrow.usd_value || 0), 0);
+          return posSum + borrowTokensValue;
+        }, 0);
+        return protocolSum + protocolDebt;
+      }, 0);
+      return sum + debtValue;
+    }, 0);
+
     setPortfolioData({
       totalTokensValue,
       totalPositionsValue,
-      totalRewards
+      totalRewards,
+      totalDebtValue
     });
   };
 
-  // NAV Calculations
-  const calculations = React.useMemo(() => {
-    // Ensure portfolioData and params are defined with safe defaults
-    const safePortfolioData = portfolioData || { totalTokensValue: 0, totalPositionsValue: 0, totalRewards: 0 };
-    const safeParams = params || {
-      monthlyExpense: 0,
-      priorPreFeeNav: 0,
-      netFlows: 0,
-      hurdleRate: 0,
-      hurdleRateType: 'annual',
-      performanceFeeRate: 0,
-      accruedPerformanceFeeRate: 0,
-      feePaymentStatus: 'not_paid',
-      partialPaymentAmount: 0
-    };
-    
-    const investments = safePortfolioData.totalTokensValue + safePortfolioData.totalPositionsValue - safePortfolioData.totalRewards;
-    const dividendsReceivable = safePortfolioData.totalRewards;
-    const totalAssets = investments + dividendsReceivable;
-    const accruedExpenses = safeParams.monthlyExpense || 0;
-    const totalLiabilities = accruedExpenses;
-    const preFeeNav = totalAssets - accruedExpenses;
-    
-    // Fix: Proper net flows calculation  
-    // Performance = Current NAV - Prior NAV + Net Flows
-    // Note: Negative net flows = withdrawals (reduce performance), Positive = deposits (increase performance)
-    // Example: If $500 withdrawn (-500), performance = current - prior + (-500) = current - prior - 500
-    const performance = preFeeNav - (safeParams.priorPreFeeNav || 0) + (safeParams.netFlows || 0);
-    
-    // Fix: Convert hurdle rate percentage to dollar amount
-    let hurdleAmount = 0;
-    if ((safeParams.hurdleRate || 0) > 0 && (safeParams.priorPreFeeNav || 0) > 0) {
-      if (safeParams.hurdleRateType === 'annual') {
-        // Convert annual percentage to monthly dollar amount
-        hurdleAmount = ((safeParams.hurdleRate || 0) / 100 / 12) * (safeParams.priorPreFeeNav || 0);
-      } else {
-        // Monthly percentage to dollar amount
-        hurdleAmount = ((safeParams.hurdleRate || 0) / 100) * (safeParams.priorPreFeeNav || 0);
-      }
-    }
-    
-    // Fix: Performance fee calculation with proper hurdle rate
-    const performanceFee = performance > hurdleAmount ? (performance - hurdleAmount) * (safeParams.performanceFeeRate || 0) : 0;
-    
-    // Fix: Accrued performance fees based on payment status
-    let accruedPerformanceFees = 0;
-    const calculatedAccruedFees = dividendsReceivable * (safeParams.accruedPerformanceFeeRate || 0);
-    
-    switch (safeParams.feePaymentStatus) {
-      case 'paid':
-        accruedPerformanceFees = 0;
-        break;
-      case 'not_paid':
-        accruedPerformanceFees = calculatedAccruedFees;
-        break;
-      case 'partially_paid':
-        accruedPerformanceFees = Math.max(0, calculatedAccruedFees - (safeParams.partialPaymentAmount || 0));
-        break;
-      default:
-        accruedPerformanceFees = calculatedAccruedFees;
-    }
-    
-    // Management fee calculation (0.5% of total assets)
-    const managementFee = totalAssets * (safeParams.managementFeeRate || 0.005);
-    
-    const netAssets = preFeeNav - performanceFee - accruedPerformanceFees - managementFee;
-
-    return {
-      investments,
-      dividendsReceivable,
-      totalAssets,
-      accruedExpenses,
-      totalLiabilities,
-      preFeeNav,
-      performance,
-      hurdleAmount,
-      performanceFee,
-      accruedPerformanceFees,
-      calculatedAccruedFees, // For display purposes
-      managementFee,
-      netAssets
-    };
-  }, [portfolioData, params]);
+  // NAV Calculations - computed by the backend NAV engine
+  const { data: calculationResult } = useQuery({
+    queryKey: ['nav-calculation', viewedUser?.id, selectedYear, selectedMonth, portfolioData, params],
+    queryFn: async (): Promise<NAVCalculation> => {
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/analytics/nav/calculate`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('access_token')}`
+        },
+        body: JSON.stringify({
+          portfolioData,
+          feeSettings: params,
+          userId: viewedUser?.id,
+          year: selectedYear,
+          month: selectedMonth
+        })
+      });
+      if (!response.ok) throw new Error('Failed to calculate NAV');
+      const result = await response.json();
+      return result.data;
+    },
+    placeholderData: keepPreviousData,
+    enabled: hasAccess
+  });
+  const calculations = calculationResult || EMPTY_CALCULATION;
 
   // Update parameters with persistence
   const updateParam = async (key: keyof CalculationParams, value: number | string) => {
@@ -422,14 +528,10 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
       return newParams;
     });
 
-    // Persist critical NAV data to database
+    // Persist critical NAV data to database (net flows are saved with the month's
+    // NAV settings; the running total comes from the capital account ledger)
     try {
-      if (key === 'netFlows' && typeof value === 'number') {
-        console.log('🔥 NAVCalculator: Updating net flows to:', value);
-        await updateNetFlows(value);
-        setSuccessMessage('Net flows saved to database');
-        setTimeout(() => setSuccessMessage(''), 3000);
-      } else if (key === 'priorPreFeeNav' && typeof value === 'number') {
+      if (key === 'priorPreFeeNav' && typeof value === 'number') {
         console.log('🔥 NAVCalculator: Updating prior NAV to:', value);
         await updateNAVData({ priorPreFeeNav: value });
         setSuccessMessage('Prior NAV saved to database');
@@ -442,59 +544,16 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
     }
   };
   
-  // Validate current calculations
-  const validateCalculations = () => {
-    const warnings: ValidationWarning[] = [];
-    
-    // Safety check - ensure all values are defined
-    if (!calculations || !params) {
-      return;
-    }
-    
-    // Check for unrealistic performance
-    if ((params.priorPreFeeNav || 0) > 0) {
-      const performancePercent = ((calculations.performance || 0) / (params.priorPreFeeNav || 1)) * 100;
-      
-      if (performancePercent > 100) {
-        warnings.push({
-          type: 'warning',
-          message: `Performance of ${performancePercent.toFixed(1)}% seems unrealistically high`
-        });
-      }
-      
-      if (performancePercent < -90) {
-        warnings.push({
-          type: 'warning', 
-          message: `Performance of ${performancePercent.toFixed(1)}% seems unrealistically low`
-        });
-      }
-    }
-    
-    // Check if net flows are larger than prior NAV
-    if (Math.abs(params.netFlows || 0) > (params.priorPreFeeNav || 0) && (params.priorPreFeeNav || 0) > 0) {
-      const flowType = (params.netFlows || 0) < 0 ? 'withdrawal' : 'deposit';
-      const flowAmount = Math.abs(params.netFlows || 0);
-      warnings.push({
-        type: 'warning',
-        message: `${flowType.charAt(0).toUpperCase() + flowType.slice(1)} of $${flowAmount.toLocaleString()} is larger than prior NAV - please verify`
-      });
-    }
-    
-    // Check for negative NAV
-    if ((calculations.preFeeNav || 0) < 0) {
-      warnings.push({
-        type: 'error',
-        message: 'Current NAV is negative - please review calculations'
-      });
-    }
-    
-    setValidationWarnings(warnings);
-  };
-  
-  // Run validation when calculations change
+  // Show the engine's validation warnings for the current calculation
   useEffect(() => {
-    validateCalculations();
-  }, [calculations, params]);
+    if (!calculationResult) return;
+    setValidationWarnings(
+      calculationResult.validationWarnings.map(message => ({
+        type: message.startsWith('Current NAV is negative') ? 'error' as const : 'warning' as const,
+        message
+      }))
+    );
+  }, [calculationResult]);
 
   // Save NAV settings
   const handleSave = async () => {
@@ -517,7 +576,6 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
             priorPreFeeNavSource: params.priorPreFeeNavSource
           },
           navCalculations: {
-            ...calculations,
             priorPreFeeNav: params.priorPreFeeNav,
             netFlows: params.netFlows,
             priorPreFeeNavSource: params.priorPreFeeNavSource
@@ -527,7 +585,8 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
       });
 
       if (!response.ok) {
-        throw new Error('Failed to save NAV settings');
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || 'Failed to save NAV settings');
       }
 
       setSuccessMessage('NAV settings saved successfully!');
@@ -546,6 +605,186 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
     }
   };
 
+  // Move the selected month through review, finalization or reopening
+  const handleStatusAction = async (action: NAVStatusAction) => {
+    if (!hasAccess || !viewedUser) return;
+
+    setIsUpdatingStatus(true);
+    setError('');
+    setSuccessMessage('');
+
+    try {
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/analytics/nav-settings/${viewedUser.id}/${selectedYear}/${selectedMonth}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('access_token')}`
+        },
+        body: JSON.stringify(action === 'reopen' ? { reason: reopenReason } : {})
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(body.message || `Failed to ${action} month`);
+      }
+
+      setSuccessMessage(body.message || 'NAV status updated');
+      setReopenReason('');
+      loadAvailableMonths();
+      queryClient.invalidateQueries({ queryKey: ['nav-settings'] });
+
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (err) {
+      console.error('NAV status error:', err);
+      setError(err instanceof Error ? err.message : 'Unknown error');
+    } finally {
+      setIsUpdatingStatus(false);
+    }
+  };
+
+  // Scan the selected month's transaction history and snapshots for deposits and withdrawals
+  const handleDetectFlows = async () => {
+    if (!hasAccess || !viewedUser) return;
+
+    setIsDetectingFlows(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/flows/detect`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('access_token')}`
+        },
+        body: JSON.stringify({ userId: viewedUser.id, year: selectedYear, month: selectedMonth })
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(body.message || 'Flow detection failed');
+      }
+
+      const errorCount = body.data?.errors?.length || 0;
+      setSuccessMessage(errorCount ? `${body.message} (${errorCount} chain${errorCount === 1 ? '' : 's'} could not be scanned)` : body.message);
+      queryClient.invalidateQueries({ queryKey: ['flow-candidates'] });
+
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (err) {
+      console.error('Flow detection error:', err);
+      setError(err instanceof Error ? err.message : 'Unknown error');
+    } finally {
+      setIsDetectingFlows(false);
+    }
+  };
+
+  // Accept a detected flow into the ledger, or reject it
+  const handleFlowReview = async (candidateId: string, action: 'accept' | 'reject') => {
+    if (!hasAccess) return;
+
+    setReviewingFlowId(candidateId);
+    setError('');
+
+    try {
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/flows/candidates/${candidateId}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('access_token')}`
+        },
+        body: JSON.stringify({})
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(body.message || `Failed to ${action} flow`);
+      }
+
+      // Accepted flows change the ledger net flows the calculation reports
+      queryClient.invalidateQueries({ queryKey: ['flow-candidates'] });
+      queryClient.invalidateQueries({ queryKey: ['nav-calculation'] });
+    } catch (err) {
+      console.error('Flow review error:', err);
+      setError(err instanceof Error ? err.message : 'Unknown error');
+    } finally {
+      setReviewingFlowId(null);
+    }
+  };
+
+  // Roll the selected month's management fee accruals up into an invoice
+  const handleIssueInvoice = async () => {
+    if (!hasAccess || !viewedUser) return;
+
+    setIsIssuingInvoice(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/fees/invoices`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('access_token')}`
+        },
+        body: JSON.stringify({ userId: viewedUser.id, year: selectedYear, month: selectedMonth })
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(body.message || 'Failed to issue fee invoice');
+      }
+
+      setSuccessMessage(body.message);
+      queryClient.invalidateQueries({ queryKey: ['fee-invoices'] });
+      queryClient.invalidateQueries({ queryKey: ['nav-calculation'] });
+
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (err) {
+      console.error('Fee invoice error:', err);
+      setError(err instanceof Error ? err.message : 'Unknown error');
+    } finally {
+      setIsIssuingInvoice(false);
+    }
+  };
+
+  // Record a payment against an invoice; an empty amount pays what is outstanding
+  const handleRecordPayment = async (invoice: FeeInvoice) => {
+    if (!hasAccess) return;
+
+    const amount = paymentAmounts[invoice._id] ? parseFloat(paymentAmounts[invoice._id]) : invoice.outstandingAmount;
+    if (!(amount > 0)) {
+      setError('Payment amount must be a positive number');
+      return;
+    }
+
+    setPayingInvoiceId(invoice._id);
+    setError('');
+
+    try {
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/fees/invoices/${invoice._id}/payments`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('access_token')}`
+        },
+        body: JSON.stringify({ amount })
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(body.message || 'Failed to record fee payment');
+      }
+
+      // Payments change the fees payable carried into later months
+      setPaymentAmounts(prev => ({ ...prev, [invoice._id]: '' }));
+      queryClient.invalidateQueries({ queryKey: ['fee-invoices'] });
+      queryClient.invalidateQueries({ queryKey: ['nav-calculation'] });
+    } catch (err) {
+      console.error('Fee payment error:', err);
+      setError(err instanceof Error ? err.message : 'Unknown error');
+    } finally {
+      setPayingInvoiceId(null);
+    }
+  };
+
   // Export current NAV report
   const handleExportCurrent = async () => {
     if (!hasAccess) return;
@@ -562,12 +801,13 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
         netFlows: params.netFlows.toString(),
         hurdleRate: params.hurdleRate.toString(),
         hurdleRateType: params.hurdleRateType,
-        highWaterMark: params.highWaterMark.toString(),
         performanceFeeRate: params.performanceFeeRate.toString(),
         accruedPerformanceFeeRate: params.accruedPerformanceFeeRate.toString(),
         managementFeeRate: params.managementFeeRate.toString(),
         feePaymentStatus: params.feePaymentStatus,
-        partialPaymentAmount: params.partialPaymentAmount.toString()
+        partialPaymentAmount: params.partialPaymentAmount.toString(),
+        year: selectedYear.toString(),
+        month: selectedMonth.toString()
       });
 
       const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/analytics/export/nav-calculator?${queryParams}`, {
@@ -660,6 +900,9 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
     }
   };
 
+  const navStatus: NAVStatus = navSettings?.status || 'draft';
+  const isFinalized = navStatus === 'finalized';
+
   // Month/Year selection handlers
   const handleMonthYearChange = (month: number, year: number) => {
     setSelectedMonth(month);
@@ -716,6 +959,11 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
             <h1 className="text-2xl font-bold text-white font-heading">NAV Report Calculator</h1>
             <p className="text-gray-400 text-sm">
               Generating NAV report for: <span className="text-white font-medium">{viewedUser?.name || 'Unknown User'}</span>
+              {navSettings?.status && (
+                <span className={`ml-2 px-2 py-0.5 rounded text-xs font-medium ${NAV_STATUS_STYLES[navStatus]}`}>
+                  {navStatus.charAt(0).toUpperCase() + navStatus.slice(1)} · v{navSettings.version || 1}
+                </span>
+              )}
             </p>
           </div>
         </div>
@@ -759,14 +1007,38 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
 
           <Button
             onClick={handleSave}
-            disabled={isSaving}
+            disabled={isSaving || isFinalized}
             variant="secondary"
             className="bg-hermetik-gold text-hermetik-dark hover:bg-hermetik-gold/80"
           >
-            <Save className="w-4 h-4 mr-2" />
-            {isSaving ? 'Saving...' : 'Save Settings'}
+            {isFinalized ? <Lock className="w-4 h-4 mr-2" /> : <Save className="w-4 h-4 mr-2" />}
+            {isSaving ? 'Saving...' : isFinalized ? 'Finalized' : 'Save Settings'}
           </Button>
 
+          {navStatus === 'draft' && navSettings?._id && (
+            <Button
+              onClick={() => handleStatusAction('review')}
+              disabled={isUpdatingStatus}
+              variant="secondary"
+              size="sm"
+            >
+              <CheckCircle className="w-4 h-4 mr-2" />
+              Mark Reviewed
+            </Button>
+          )}
+
+          {navStatus === 'reviewed' && (
+            <Button
+              onClick={() => handleStatusAction('finalize')}
+              disabled={isUpdatingStatus}
+              variant="secondary"
+              size="sm"
+            >
+              <Lock className="w-4 h-4 mr-2" />
+              Finalize Month
+            </Button>
+          )}
+
           {/* Smart Export Dropdown */}
           <div className="relative">
             <Button
@@ -849,6 +1121,11 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
                           {availableMonths.map((month, index) => (
                             <div key={index} className="py-1">
                               {month.monthName} {month.year}
+                              {month.status && (
+                                <span className="ml-2 text-gray-500">
+                                  {month.status} · v{month.version || 1}
+                                </span>
+                              )}
                             </div>
                           ))}
                         </div>
@@ -862,6 +1139,47 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
         </div>
       </div>
 
+      {/* Finalized month: locked until reopened with a reason */}
+      {isFinalized && (
+        <div className="bg-green-900/30 border border-green-500/50 rounded-lg p-4 flex items-center justify-between space-x-4">
+          <div className="flex items-center">
+            <Lock className="w-5 h-5 text-green-400 mr-3" />
+            <p className="text-green-400 text-sm">
+              {monthNames[selectedMonth - 1]} {selectedYear} version {navSettings?.version || 1} is finalized
+              {navSettings?.finalizedAt && ` on ${new Date(navSettings.finalizedAt).toLocaleDateString()}`}.
+              Reopening creates a new draft version and keeps this one as reported.
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={reopenReason}
+              onChange={(e) => setReopenReason(e.target.value)}
+              placeholder="Reason for reopening"
+              className="w-64 bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white text-sm"
+            />
+            <Button
+              onClick={() => handleStatusAction('reopen')}
+              disabled={isUpdatingStatus || !reopenReason.trim()}
+              variant="secondary"
+              size="sm"
+            >
+              <Unlock className="w-4 h-4 mr-2" />
+              Reopen
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {navSettings?.reopenReason && !isFinalized && (
+        <div className="bg-blue-900/30 border border-blue-500/50 rounded-lg p-4 flex items-center">
+          <AlertCircle className="w-5 h-5 text-blue-400 mr-3" />
+          <p className="text-blue-400 text-sm">
+            Version {navSettings.version} reopened from the finalized report: {navSettings.reopenReason}
+          </p>
+        </div>
+      )}
+
       {/* Success/Error Messages */}
       {successMessage && (
         <div className="bg-green-900/50 border border-green-500 rounded-lg p-4 flex items-center">
@@ -1052,6 +1370,164 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
         </Card>
       )}
 
+      {/* Detected Flows */}
+      {hasAccess && (
+        <Card>
+          <div className="flex items-center justify-between border-b border-gray-700 pb-4 mb-4">
+            <div>
+              <h3 className="text-lg font-semibold text-white mb-2">Detected Flows</h3>
+              <p className="text-gray-400 text-sm">
+                Deposits and withdrawals found in on-chain history and snapshot changes. Accepted flows are recorded in the ledger and count towards net flows.
+              </p>
+            </div>
+            <Button
+              onClick={handleDetectFlows}
+              variant="secondary"
+              size="sm"
+              disabled={isDetectingFlows || isFinalized}
+            >
+              <RefreshCw className={`w-4 h-4 mr-2 ${isDetectingFlows ? 'animate-spin' : ''}`} />
+              {isDetectingFlows ? 'Detecting...' : 'Detect Flows'}
+            </Button>
+          </div>
+
+          {flowCandidates.length === 0 ? (
+            <p className="text-gray-400 text-sm">No flows detected for this month.</p>
+          ) : (
+            <div className="space-y-2">
+              {flowCandidates.map(candidate => (
+                <div key={candidate._id} className="flex items-center justify-between bg-gray-800 rounded-lg p-3">
+                  <div className="text-sm">
+                    <div className="flex items-center space-x-2">
+                      <span className={candidate.direction === 'inbound' ? 'text-green-400 font-mono' : 'text-red-400 font-mono'}>
+                        {candidate.direction === 'inbound' ? '+' : '-'}${candidate.usdValue.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                      </span>
+                      <span className="text-white">
+                        {candidate.tokens.map(token => `${token.amount.toLocaleString(undefined, { maximumFractionDigits: 6 })} ${token.symbol || ''}`).join(', ') || 'Unexplained snapshot change'}
+                      </span>
+                      {candidate.confidence === 'low' && (
+                        <span className="px-2 py-0.5 rounded text-xs bg-yellow-900/50 text-yellow-400">Low confidence</span>
+                      )}
+                    </div>
+                    <div className="text-xs text-gray-400 mt-1">
+                      {new Date(candidate.date).toLocaleDateString()} · {candidate.walletAddress.slice(0, 8)}...
+                      {candidate.chain && ` · ${candidate.chain}`}
+                      {candidate.counterparty && ` · ${candidate.direction === 'inbound' ? 'from' : 'to'} ${candidate.counterparty.slice(0, 8)}...`}
+                    </div>
+                  </div>
+                  {candidate.status === 'pending' ? (
+                    <div className="flex items-center space-x-2">
+                      <Button
+                        onClick={() => handleFlowReview(candidate._id, 'accept')}
+                        variant="secondary"
+                        size="sm"
+                        disabled={reviewingFlowId === candidate._id || isFinalized}
+                      >
+                        <CheckCircle className="w-4 h-4 mr-1" />
+                        Accept
+                      </Button>
+                      <Button
+                        onClick={() => handleFlowReview(candidate._id, 'reject')}
+                        variant="ghost"
+                        size="sm"
+                        disabled={reviewingFlowId === candidate._id || isFinalized}
+                      >
+                        Reject
+                      </Button>
+                    </div>
+                  ) : (
+                    <div className="flex items-center space-x-2">
+                      <span className={`px-2 py-1 rounded text-xs ${candidate.status === 'accepted' ? 'bg-green-900/50 text-green-400' : 'bg-gray-700 text-gray-300'}`}>
+                        {candidate.status === 'accepted' ? 'Accepted' : 'Rejected'}
+                      </span>
+                      {candidate.status === 'accepted' && (
+                        <button
+                          onClick={() => handleFlowReview(candidate._id, 'reject')}
+                          disabled={reviewingFlowId === candidate._id || isFinalized}
+                          className="text-xs text-blue-400 hover:text-blue-300 underline disabled:opacity-50"
+                        >
+                          Undo
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </Card>
+      )}
+
+      {/* Management Fee Invoices */}
+      {hasAccess && (
+        <Card>
+          <div className="flex items-center justify-between border-b border-gray-700 pb-4 mb-4">
+            <div>
+              <h3 className="text-lg font-semibold text-white mb-2">Management Fee Invoices</h3>
+              <p className="text-gray-400 text-sm">
+                Management fees accrue daily on NAV and are invoiced once a month has ended. Unpaid balances carry into later months as accrued management fees.
+              </p>
+            </div>
+            <Button
+              onClick={handleIssueInvoice}
+              variant="secondary"
+              size="sm"
+              disabled={isIssuingInvoice || feeInvoices.some(invoice => invoice.year === selectedYear && invoice.month === selectedMonth)}
+            >
+              {isIssuingInvoice ? 'Issuing...' : 'Invoice Selected Month'}
+            </Button>
+          </div>
+
+          {feeInvoices.length === 0 ? (
+            <p className="text-gray-400 text-sm">No management fee invoices yet.</p>
+          ) : (
+            <div className="space-y-2">
+              {feeInvoices.map(invoice => (
+                <div key={invoice._id} className="flex items-center justify-between bg-gray-800 rounded-lg p-3">
+                  <div className="text-sm">
+                    <div className="flex items-center space-x-2">
+                      <span className="text-white">{monthNames[invoice.month - 1]} {invoice.year}</span>
+                      <span className="text-blue-400 font-mono">
+                        ${invoice.accruedAmount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                      </span>
+                      <span className={`px-2 py-0.5 rounded text-xs ${FEE_INVOICE_STATUS_STYLES[invoice.status]}`}>
+                        {invoice.status.replace('_', ' ')}
+                      </span>
+                    </div>
+                    <div className="text-xs text-gray-400 mt-1">
+                      {invoice.accrualDays} day{invoice.accrualDays === 1 ? '' : 's'} accrued on an average NAV of ${invoice.averageNav.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+                      {' · '}Paid ${invoice.paidAmount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                      {' · '}Outstanding ${invoice.outstandingAmount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                    </div>
+                  </div>
+                  {invoice.status !== 'paid' && (
+                    <div className="flex items-center space-x-2">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={paymentAmounts[invoice._id] || ''}
+                        onChange={(e) => setPaymentAmounts(prev => ({ ...prev, [invoice._id]: e.target.value }))}
+                        placeholder={invoice.outstandingAmount.toFixed(2)}
+                        className="w-28 bg-gray-700 border border-gray-500 rounded px-2 py-1 text-white text-xs"
+                      />
+                      <Button
+                        onClick={() => handleRecordPayment(invoice)}
+                        variant="secondary"
+                        size="sm"
+                        disabled={payingInvoiceId === invoice._id}
+                      >
+                        Record Payment
+                      </Button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </Card>
+      )}
+
       {/* Excel-Style NAV Report */}
       <Card>
         <div className="space-y-6">
@@ -1141,8 +1617,13 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
                 </tr>
                 <tr className="hover:bg-gray-800/50">
                   <td className="border border-gray-600 p-3 text-gray-400"></td>
-                  <td className="border border-gray-600 p-3 text-white">Accrued management fees</td>
-                  <td className="border border-gray-600 p-3 text-right text-red-400 font-mono">$0.00</td>
+                  <td className="border border-gray-600 p-3 text-white">
+                    Accrued management fees
+                    <div className="text-xs text-gray-400 mt-1">Unpaid invoices of earlier months</div>
+                  </td>
+                  <td className="border border-gray-600 p-3 text-right text-red-400 font-mono">
+                    ${(calculations?.managementFeesPayable || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                  </td>
                 </tr>
                 <tr className="hover:bg-gray-800/50 bg-yellow-900/20">
                   <td className="border border-gray-600 p-3 text-gray-400"></td>
@@ -1170,8 +1651,10 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
                 </tr>
                 <tr className="hover:bg-gray-800/50">
                   <td className="border border-gray-600 p-3 text-gray-400"></td>
-                  <td className="border border-gray-600 p-3 text-white">Other liabilities</td>
-                  <td className="border border-gray-600 p-3 text-right text-red-400 font-mono">$0.00</td>
+                  <td className="border border-gray-600 p-3 text-white">DeFi borrowings</td>
+                  <td className="border border-gray-600 p-3 text-right text-red-400 font-mono">
+                    ${(calculations?.defiBorrowings || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                  </td>
                 </tr>
                 <tr className="bg-red-900/30 font-bold">
                   <td className="border border-gray-600 p-3 text-white">Total Liabilities</td>
@@ -1387,6 +1870,21 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
                           placeholder="0.00"
                         />
                       </div>
+                      {calculations.ledgerNetFlows !== undefined && calculations.ledgerNetFlows !== null && (
+                        <div className="flex items-center space-x-2 text-xs">
+                          <span className={calculations.ledgerNetFlows === (params.netFlows || 0) ? 'text-green-400' : 'text-yellow-400'}>
+                            Ledger: ${calculations.ledgerNetFlows.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} from {calculations.ledgerTransactionCount || 0} transaction{calculations.ledgerTransactionCount === 1 ? '' : 's'}
+                          </span>
+                          {calculations.ledgerNetFlows !== (params.netFlows || 0) && (
+                            <button
+                              onClick={() => updateParam('netFlows', calculations.ledgerNetFlows || 0)}
+                              className="text-blue-400 hover:text-blue-300 underline"
+                            >
+                              Use ledger
+                            </button>
+                          )}
+                        </div>
+                      )}
                       <div className="text-xs text-gray-500">
                         <strong>Deposits: +$amount</strong> | <strong>Withdrawals: -$amount</strong>
                       </div>
@@ -1459,20 +1957,19 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
                   <td className="border border-gray-600 p-3 text-gray-400"></td>
                   <td className="border border-gray-600 p-3 text-white">
                     High Water Mark
-                    <div className="text-xs text-gray-400 mt-1 flex items-center space-x-2">
-                      <span className="text-white text-sm font-bold">$</span>
-                      <input
-                        type="number"
-                        step="0.01"
-                        value={params.highWaterMark || 0}
-                        onChange={(e) => updateParam('highWaterMark', parseFloat(e.target.value) || 0)}
-                        className="w-24 bg-gray-700 border border-gray-500 rounded px-2 py-1 text-white text-sm font-mono"
-                        placeholder="0.00"
-                      />
+                    <div className="text-xs text-gray-400 mt-1 space-y-1">
+                      <div>
+                        Start of month: ${(calculations?.highWaterMarkStart || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                        {' '}({calculations?.highWaterMarkSource === 'history' ? 'from NAV history' : 'prior period NAV'})
+                      </div>
+                      <div>
+                        End of month: ${(calculations?.highWaterMarkEnd || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                      </div>
                     </div>
                   </td>
                   <td className="border border-gray-600 p-3 text-right text-white font-mono">
-                    ${(params.highWaterMark || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                    ${(calculations?.highWaterMarkAdjusted || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                    <div className="text-xs text-gray-500 font-sans">flow-adjusted</div>
                   </td>
                 </tr>
                 <tr className="bg-red-900/30 hover:bg-red-900/40">
@@ -1492,6 +1989,9 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
                       />
                       % of excess performance
                     </div>
+                    {calculations?.performanceFeeNote && (
+                      <div className="text-xs text-gray-500 mt-1">{calculations.performanceFeeNote}</div>
+                    )}
                   </td>
                   <td className="border border-gray-600 p-3 text-right text-red-400 font-mono">
                     ${(calculations?.performanceFee || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
@@ -1519,7 +2019,9 @@ const NAVCalculator: React.FC<NAVCalculatorProps> = ({ className = '' }) => {
                         className="w-16 bg-gray-700 border border-gray-500 rounded px-2 py-1 text-white text-xs"
                         placeholder="0.005"
                       />
-                      % of total assets
+                      {calculations?.managementFeeSource === 'accrual'
+                        ? ` per month, accrued daily on NAV (${calculations.managementFeeAccrualDays || 0} days)`
+                        : ' % of total assets'}
                     </div>
                   </td>
                   <td className="border border-gray-600 p-3 text-right text-blue-400 font-mono">
@@ -3,10 +3,12 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import axios from 'axios';
 import { useUserView } from './UserViewContext';
 
+// Net flows are read from the capital account ledger for netFlowsPeriod
 interface NAVData {
   netFlows: number;
   walletNetFlows: Record<string, number>;
   totalNetFlows: number;
+  netFlowsPeriod?: { year: number; month: number };
   priorPreFeeNav: number;
   currentPreFeeNav: number;
   performance: number;
@@ -35,8 +37,6 @@ interface NAVContextType {
   error: string | null;
   
   // Actions
-  updateNetFlows: (netFlows: number) => Promise<void>;
-  updateWalletNetFlows: (walletAddress: string, netFlows: number) => Promise<void>;
   updateNAVData: (data: Partial<Omit<NAVData, 'version'>>) => Promise<void>;
   addMonthlyNav: (date: string, nav: number) => Promise<void>;
   refreshVolatility: () => Promise<void>;
@@ -77,26 +77,6 @@ const navAPI = {
     return response.data.data;
   },
 
-  updateNetFlows: async (netFlows: number, viewedUserId?: string): Promise<NAVData> => {
-    const token = localStorage.getItem('access_token');
-    const data = viewedUserId ? { netFlows, userId: viewedUserId } : { netFlows };
-    const response = await axios.post(`${API_BASE_URL}/nav/netflows`, 
-      data,
-      { headers: { Authorization: `Bearer ${token}` } }
-    );
-    return response.data.data;
-  },
-
-  updateWalletNetFlows: async (walletAddress: string, netFlows: number, viewedUserId?: string): Promise<NAVData> => {
-    const token = localStorage.getItem('access_token');
-    const data = viewedUserId ? { walletAddress, netFlows, userId: viewedUserId } : { walletAddress, netFlows };
-    const response = await axios.post(`${API_BASE_URL}/nav/wallet-netflows`, 
-      data,
-      { headers: { Authorization: `Bearer ${token}` } }
-    );
-    return response.data.data;
-  },
-
   updateValues: async (values: Partial<Omit<NAVData, 'version'>>): Promise<{
     navData: NAVData;
     volatilityMetrics: VolatilityMetrics;
@@ -167,66 +147,12 @@ export const NAVProvider: React.FC<NAVProviderProps> = ({ children }) => {
   });
 
   // Mutations
-  const updateNetFlowsMutation = useMutation({
-    mutationFn: ({ netFlows, viewedUserId }: { netFlows: number; viewedUserId?: string }) => 
-      navAPI.updateNetFlows(netFlows, viewedUserId),
-    onSuccess: (data) => {
-      // Update the cached data
-      queryClient.setQueryData(['navData'], (old: any) => ({
-        ...old,
-        navData: {
-          ...old?.navData,
-          netFlows: data.netFlows,
-          version: data.version
-        }
-      }));
-      
-      // Invalidate wallet data cache since net flows affect dashboard
-      queryClient.invalidateQueries(['walletData']);
-      
-      setError(null);
-    },
-    onError: (err: any) => {
-      console.error('Failed to update net flows:', err);
-      setError(err.response?.data?.message || 'Failed to update net flows');
-    }
-  });
-
-  const updateWalletNetFlowsMutation = useMutation({
-    mutationFn: ({ walletAddress, netFlows, viewedUserId }: { walletAddress: string; netFlows: number; viewedUserId?: string }) => 
-      navAPI.updateWalletNetFlows(walletAddress, netFlows, viewedUserId),
-    onSuccess: (data) => {
-      // Update the cached data
-      queryClient.setQueryData(['navData'], (old: any) => ({
-        ...old,
-        navData: {
-          ...old?.navData,
-          walletNetFlows: {
-            ...old?.navData?.walletNetFlows,
-            [data.walletAddress]: data.netFlows
-          },
-          totalNetFlows: data.totalNetFlows,
-          version: data.version
-        }
-      }));
-      
-      // Invalidate wallet data cache since net flows affect dashboard
-      queryClient.invalidateQueries(['walletData']);
-      
-      setError(null);
-    },
-    onError: (err: any) => {
-      console.error('Failed to update wallet net flows:', err);
-      setError(err.response?.data?.message || 'Failed to update wallet net flows');
-    }
-  });
-
   const updateValuesMutation = useMutation({
     mutationFn: navAPI.updateValues,
     onSuccess: (data) => {
       queryClient.setQueryData(['navData'], (old: any) => ({
         ...old,
-        navData: data.navData,
+        navData: { ...old?.navData, ...data.navData },
         volatilityMetrics: data.volatilityMetrics
       }));
       setError(null);
@@ -282,14 +208,6 @@ export const NAVProvider: React.FC<NAVProviderProps> = ({ children }) => {
     error: error || (queryError as any)?.response?.data?.message || null,
 
     // Actions
-    updateNetFlows: async (netFlows: number) => {
-      await updateNetFlowsMutation.mutateAsync({ netFlows, viewedUserId: viewedUser?.id });
-    },
-
-    updateWalletNetFlows: async (walletAddress: string, netFlows: number) => {
-      await updateWalletNetFlowsMutation.mutateAsync({ walletAddress, netFlows, viewedUserId: viewedUser?.id });
-    },
-
     updateNAVData: async (data: Partial<Omit<NAVData, 'version'>>) => {
       await updateValuesMutation.mutateAsync(data);
     },
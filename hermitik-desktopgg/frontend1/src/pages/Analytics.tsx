@@ -4,7 +4,8 @@ import { analyticsApi, walletApi } from '../services/api';
 import LoadingSpinner from '../components/UI/LoadingSpinner';
 import AdminViewBanner from '../components/Admin/AdminViewBanner';
 import { useUserView } from '../contexts/UserViewContext';
-import { TrendingUp, BarChart3, PieChart } from 'lucide-react';
+import { TrendingUp, BarChart3, PieChart, ShieldAlert } from 'lucide-react';
+import { formatInCurrency } from '../utils/formatters';
 import {
   PieChart as RechartsPieChart,
   Pie,
@@ -17,9 +18,13 @@ import {
   YAxis,
   CartesianGrid,
   LineChart,
-  Line
+  Line,
+  Legend
 } from 'recharts';
 
+// Risk metrics need more history than the return periods, so they always cover a trailing year
+const RISK_PERIOD = 365;
+
 const Analytics: React.FC = () => {
   const [selectedPeriod, setSelectedPeriod] = useState(30);
 
@@ -46,6 +51,18 @@ const Analytics: React.FC = () => {
     queryFn: () => analyticsApi.getPortfolioHistory(selectedPeriod),
   });
 
+  // Time- and money-weighted returns, adjusted for deposits and withdrawals
+  const { data: returns, isLoading: returnsLoading } = useQuery({
+    queryKey: ['returns', selectedPeriod, viewedUser?.id],
+    queryFn: () => analyticsApi.getReturns(selectedPeriod, viewedUser?.id),
+  });
+
+  // Risk metrics over the trailing year
+  const { data: risk, isLoading: riskLoading } = useQuery({
+    queryKey: ['risk-metrics', RISK_PERIOD, viewedUser?.id],
+    queryFn: () => analyticsApi.getRiskMetrics(RISK_PERIOD, viewedUser?.id),
+  });
+
   // Fetch real APY data for positions
   const { data: positionAPYs, isLoading: apyLoading, error: apyError } = useQuery({
     queryKey: ['positionAPYs', viewedUser?.id],
@@ -135,6 +152,18 @@ const Analytics: React.FC = () => {
     })) || []
   ).sort((a, b) => b.value - a.value).slice(0, 10);
 
+  const formatReturn = (value: number | null | undefined) =>
+    value === null || value === undefined ? '—' : `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)}%`;
+  const returnColor = (value: number | null | undefined) =>
+    value === null || value === undefined ? 'text-gray-400' : value >= 0 ? 'text-green-400' : 'text-red-400';
+
+  const formatPercent = (value: number | null | undefined) =>
+    value === null || value === undefined ? '—' : `${(value * 100).toFixed(2)}%`;
+  const formatRatio = (value: number | null | undefined) =>
+    value === null || value === undefined ? '—' : value.toFixed(2);
+  const formatDate = (value: string | null | undefined) =>
+    value ? new Date(value).toLocaleDateString() : '—';
+
   // Protocol performance data (APY and value) - using real APY data
   const protocolPerformanceData = React.useMemo(() => {
     if (!positionAPYs?.data?.positions) {
@@ -214,6 +243,149 @@ const Analytics: React.FC = () => {
         </div>
       </div>
 
+      {/* Returns */}
+      <div className="card-hermetik p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-white font-heading">Returns ({selectedPeriod}D)</h2>
+          <TrendingUp className="w-6 h-6 text-hermetik-gold" />
+        </div>
+        {returnsLoading ? (
+          <div className="flex items-center justify-center py-6">
+            <LoadingSpinner size="md" />
+          </div>
+        ) : !returns?.hasData ? (
+          <p className="text-gray-400 text-sm">Returns need at least two daily snapshots in the period.</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div>
+                <p className="text-sm text-gray-400 font-heading">Time-weighted (TWR)</p>
+                <p className={`text-2xl font-bold ${returnColor(returns.twr.totalReturn)}`}>{formatReturn(returns.twr.totalReturn)}</p>
+                {returns.twr.annualizedReturn !== null && (
+                  <p className="text-xs text-gray-500">{formatReturn(returns.twr.annualizedReturn)} annualized</p>
+                )}
+              </div>
+              <div>
+                <p className="text-sm text-gray-400 font-heading">Money-weighted (MWR)</p>
+                <p className={`text-2xl font-bold ${returnColor(returns.mwr.periodReturn)}`}>{formatReturn(returns.mwr.periodReturn)}</p>
+                {returns.mwr.annualizedReturn !== null && (
+                  <p className="text-xs text-gray-500">{formatReturn(returns.mwr.annualizedReturn)} IRR</p>
+                )}
+              </div>
+              <div>
+                <p className="text-sm text-gray-400 font-heading">Gain / Loss</p>
+                <p className={`text-2xl font-bold ${returnColor(returns.gainLoss)}`}>
+                  {formatInCurrency(returns.gainLoss || 0, returns.currency, true)}
+                </p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-400 font-heading">Net Flows</p>
+                <p className="text-2xl font-bold text-white">
+                  {formatInCurrency(returns.netFlows || 0, returns.currency, true)}
+                </p>
+                <p className="text-xs text-gray-500">{returns.flowCount || 0} deposits / withdrawals</p>
+              </div>
+            </div>
+            <p className="text-xs text-gray-500 mt-4">
+              TWR measures portfolio performance independent of deposits and withdrawals; MWR (XIRR) reflects the timing and size of the client's own flows.
+            </p>
+          </>
+        )}
+      </div>
+
+      {/* Risk Metrics */}
+      <div className="card-hermetik p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-white font-heading">Risk Metrics (1Y)</h2>
+          <ShieldAlert className="w-6 h-6 text-hermetik-gold" />
+        </div>
+        {riskLoading ? (
+          <div className="flex items-center justify-center py-6">
+            <LoadingSpinner size="md" />
+          </div>
+        ) : !risk?.hasData ? (
+          <p className="text-gray-400 text-sm">Risk metrics need at least three daily snapshots in the last year.</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div>
+                <p className="text-sm text-gray-400 font-heading">Volatility</p>
+                <p className="text-2xl font-bold text-white">{formatPercent(risk.volatility)}</p>
+                <p className="text-xs text-gray-500">annualized</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-400 font-heading">Sharpe / Sortino</p>
+                <p className="text-2xl font-bold text-white">{formatRatio(risk.sharpeRatio)} / {formatRatio(risk.sortinoRatio)}</p>
+                <p className="text-xs text-gray-500">
+                  vs {risk.riskFreeRate?.averageRate.toFixed(2)}% {risk.riskFreeRate?.source === 'aave_usdc' ? 'Aave USDC' : 'default rate'}
+                </p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-400 font-heading">Max Drawdown</p>
+                <p className="text-2xl font-bold text-red-400">{risk.drawdown?.maxDrawdown ? `-${(risk.drawdown.maxDrawdown * 100).toFixed(2)}%` : '—'}</p>
+                {risk.drawdown?.peakDate && (
+                  <p className="text-xs text-gray-500">
+                    {formatDate(risk.drawdown.peakDate)} → {formatDate(risk.drawdown.troughDate)}
+                    {risk.drawdown.recovered ? `, recovered ${formatDate(risk.drawdown.recoveryDate)}` : ', not yet recovered'}
+                  </p>
+                )}
+              </div>
+              <div>
+                <p className="text-sm text-gray-400 font-heading">Calmar</p>
+                <p className="text-2xl font-bold text-white">{formatRatio(risk.calmarRatio)}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-400 font-heading">1-day VaR (95%)</p>
+                <p className="text-2xl font-bold text-white">{formatPercent(risk.valueAtRisk?.var)}</p>
+                <p className="text-xs text-gray-500">{formatInCurrency(risk.valueAtRisk?.varAmount || 0, risk.currency, true)}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-400 font-heading">1-day CVaR (95%)</p>
+                <p className="text-2xl font-bold text-white">{formatPercent(risk.valueAtRisk?.cvar)}</p>
+                <p className="text-xs text-gray-500">{formatInCurrency(risk.valueAtRisk?.cvarAmount || 0, risk.currency, true)}</p>
+              </div>
+            </div>
+
+            {risk.rollingVolatility && risk.rollingVolatility.length > 0 && (
+              <div className="h-64 mt-6">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={risk.rollingVolatility} margin={{ top: 10, right: 30, left: 20, bottom: 5 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#333333" />
+                    <XAxis
+                      dataKey="date"
+                      stroke="#B2A534"
+                      tick={{ fill: '#B2A534' }}
+                      tickFormatter={(value) => new Date(value).toLocaleDateString()}
+                    />
+                    <YAxis
+                      stroke="#B2A534"
+                      tick={{ fill: '#B2A534' }}
+                      tickFormatter={(value) => `${(value * 100).toFixed(0)}%`}
+                    />
+                    <Tooltip
+                      formatter={(value: number, name: string) => [`${(value * 100).toFixed(2)}%`, name]}
+                      labelFormatter={(label) => `Date: ${new Date(label).toLocaleDateString()}`}
+                      contentStyle={{
+                        backgroundColor: '#1a1a1a',
+                        border: '1px solid #00321d',
+                        borderRadius: '0.5rem',
+                        color: '#FFFFFF'
+                      }}
+                    />
+                    <Legend />
+                    <Line type="monotone" dataKey="vol30" name="30-day volatility" stroke="#B2A534" strokeWidth={2} dot={false} connectNulls />
+                    <Line type="monotone" dataKey="vol90" name="90-day volatility" stroke="#006b3a" strokeWidth={2} dot={false} connectNulls />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+            <p className="text-xs text-gray-500 mt-4">
+              From daily returns net of deposits and withdrawals. VaR is the historical 5th percentile daily loss; CVaR is the average loss beyond it.
+            </p>
+          </>
+        )}
+      </div>
+
       {/* Analytics Charts - Hermetik Specification */}
       <div className="space-y-6">
         {/* APY Breakdown by Position with Timeframe */}
@@ -8,6 +8,16 @@ import Card from '../components/UI/Card';
 import LoadingSpinner from '../components/UI/LoadingSpinner';
 import AdminViewBanner from '../components/Admin/AdminViewBanner';
 import Button from '../components/UI/Button';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import { BenchmarkKey } from '../types';
+import { formatInCurrency } from '../utils/formatters';
+
+// Lines on the history chart, in legend order
+const BENCHMARK_LINES: { key: BenchmarkKey; color: string }[] = [
+  { key: 'eth', color: '#627EEA' },
+  { key: 'btc', color: '#F7931A' },
+  { key: 'aave_usdc', color: '#9CA3AF' }
+];
 
 const Dashboard: React.FC = () => {
   console.log('Dashboard: Component rendering');
@@ -17,6 +27,7 @@ const Dashboard: React.FC = () => {
   const queryClient = useQueryClient();
   const [exportingNav, setExportingNav] = useState(false);
   const [error, setError] = useState('');
+  const [benchmarkPeriod, setBenchmarkPeriod] = useState(30);
   // Remove time period selector - using consecutive day APY calculation
   
   console.log('🔍 Dashboard: viewedUser:', viewedUser);
@@ -71,6 +82,15 @@ const Dashboard: React.FC = () => {
     staleTime: 240000
   });
 
+  // Portfolio return vs ETH, BTC and Aave USDC for the history chart
+  const { data: benchmarkComparison, isLoading: benchmarkLoading } = useQuery({
+    queryKey: ['benchmark-comparison', benchmarkPeriod, viewedUser?.id],
+    queryFn: () => analyticsApi.getBenchmarkComparison(benchmarkPeriod, viewedUser?.id),
+    enabled: !!wallets,
+    staleTime: 240000
+  });
+  const aaveBenchmark = benchmarkComparison?.benchmarks.aave_usdc;
+
   console.log('Dashboard: Query state:', { wallets, isLoading, error: queryError });
   console.log('Dashboard: APY state:', { positionAPYs, apyLoading, apyError });
   console.log('Dashboard: PnL state:', { pnlData, pnlLoading, pnlError });
@@ -441,7 +461,7 @@ const Dashboard: React.FC = () => {
                   <>
                     <div className="flex items-center space-x-2 mt-1">
                       <p className={`text-xl font-bold ${isPositive ? 'text-hermetik-gold' : 'text-red-400'}`}>
-                        {isPositive ? '+' : ''}${Math.abs(pnlAmount).toLocaleString(undefined, { maximumFractionDigits: 0 })}
+                        {isPositive ? '+' : ''}{formatInCurrency(Math.abs(pnlAmount), pnlData?.data?.currency, true)}
                       </p>
                       {isPositive ? (
                         <TrendingUp className="w-4 h-4 text-hermetik-gold" />
@@ -502,8 +522,16 @@ const Dashboard: React.FC = () => {
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-sm text-gray-400 font-heading">Benchmark</p>
-                <p className="text-xl font-bold text-hermetik-gold">+8.2%</p>
-                <p className="text-xs text-gray-500">Manual input</p>
+                <p className="text-xl font-bold text-hermetik-gold">
+                  {aaveBenchmark?.hasData && aaveBenchmark.benchmarkReturn !== undefined
+                    ? `${aaveBenchmark.benchmarkReturn >= 0 ? '+' : ''}${(aaveBenchmark.benchmarkReturn * 100).toFixed(2)}%`
+                    : '—'}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {aaveBenchmark?.hasData && aaveBenchmark.excessReturn !== undefined
+                    ? `Aave USDC ${benchmarkPeriod}D · portfolio ${aaveBenchmark.excessReturn >= 0 ? '+' : ''}${(aaveBenchmark.excessReturn * 100).toFixed(2)}% vs`
+                    : 'Aave USDC lending rate'}
+                </p>
               </div>
               <Target className="w-8 h-8 text-hermetik-gold" />
             </div>
@@ -518,7 +546,7 @@ const Dashboard: React.FC = () => {
                   {navData.totalNetFlows >= 0 ? '+' : ''}${navData.totalNetFlows.toLocaleString(undefined, { maximumFractionDigits: 0 })}
                 </p>
                 <p className="text-xs text-gray-500">
-                  {navData.totalNetFlows ? 'From NAV Calculator' : 'Set in NAV Calculator'}
+                  {navData.totalNetFlows ? 'From the capital account ledger' : 'No ledger flows recorded'}
                 </p>
               </div>
               <ArrowUpDown className={`w-8 h-8 ${navData.totalNetFlows >= 0 ? 'text-hermetik-green' : 'text-red-400'}`} />
@@ -624,6 +652,108 @@ const Dashboard: React.FC = () => {
 
 
 
+      {/* History vs Benchmarks */}
+      <Card>
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-semibold text-white">Performance vs Benchmarks</h2>
+          <div className="flex space-x-2">
+            {[30, 90, 365].map((period) => (
+              <button
+                key={period}
+                onClick={() => setBenchmarkPeriod(period)}
+                className={`px-3 py-1 rounded text-xs font-medium transition-colors ${
+                  benchmarkPeriod === period
+                    ? 'bg-hermetik-green text-white'
+                    : 'bg-hermetik-secondary text-gray-400 hover:bg-hermetik-green/20'
+                }`}
+              >
+                {period}D
+              </button>
+            ))}
+          </div>
+        </div>
+        {benchmarkLoading ? (
+          <div className="flex items-center justify-center h-64">
+            <LoadingSpinner size="md" />
+          </div>
+        ) : !benchmarkComparison?.hasData ? (
+          <p className="text-gray-400 text-sm">The comparison needs at least two daily snapshots in the period.</p>
+        ) : (
+          <>
+            <div className="h-72">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={benchmarkComparison.series} margin={{ top: 10, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#333333" />
+                  <XAxis
+                    dataKey="date"
+                    stroke="#B2A534"
+                    tick={{ fill: '#B2A534' }}
+                    tickFormatter={(value) => new Date(value).toLocaleDateString()}
+                  />
+                  <YAxis
+                    stroke="#B2A534"
+                    tick={{ fill: '#B2A534' }}
+                    tickFormatter={(value) => `${(value * 100).toFixed(0)}%`}
+                  />
+                  <Tooltip
+                    formatter={(value: number, name: string) => [`${(value * 100).toFixed(2)}%`, name]}
+                    labelFormatter={(label) => `Date: ${new Date(label).toLocaleDateString()}`}
+                    contentStyle={{
+                      backgroundColor: '#1a1a1a',
+                      border: '1px solid #00321d',
+                      borderRadius: '0.5rem',
+                      color: '#FFFFFF'
+                    }}
+                  />
+                  <Legend />
+                  <Line type="monotone" dataKey="portfolio" name="Portfolio" stroke="#B2A534" strokeWidth={3} dot={false} />
+                  {BENCHMARK_LINES.filter(line => benchmarkComparison.benchmarks[line.key]?.hasData).map(line => (
+                    <Line
+                      key={line.key}
+                      type="monotone"
+                      dataKey={line.key}
+                      name={benchmarkComparison.benchmarks[line.key]?.label}
+                      stroke={line.color}
+                      strokeWidth={2}
+                      dot={false}
+                      connectNulls
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-6">
+              {BENCHMARK_LINES.map(({ key }) => {
+                const stats = benchmarkComparison.benchmarks[key];
+                if (!stats?.hasData) return null;
+                const formatPercent = (value: number | null | undefined) =>
+                  value === null || value === undefined ? '—' : `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)}%`;
+                return (
+                  <div key={key} className="bg-gray-800 rounded-lg p-4 text-sm">
+                    <p className="text-white font-medium mb-2">vs {stats.label}</p>
+                    <div className="grid grid-cols-2 gap-1 text-gray-400">
+                      <span>Benchmark</span>
+                      <span className="text-right text-white">{formatPercent(stats.benchmarkReturn)}</span>
+                      <span>Excess</span>
+                      <span className={`text-right ${(stats.excessReturn || 0) >= 0 ? 'text-green-400' : 'text-red-400'}`}>{formatPercent(stats.excessReturn)}</span>
+                      <span>Alpha (ann.)</span>
+                      <span className="text-right text-white">{formatPercent(stats.alpha)}</span>
+                      <span>Beta</span>
+                      <span className="text-right text-white">{stats.beta === null || stats.beta === undefined ? '—' : stats.beta.toFixed(2)}</span>
+                      <span>Tracking error</span>
+                      <span className="text-right text-white">{stats.trackingError === null || stats.trackingError === undefined ? '—' : `${(stats.trackingError * 100).toFixed(2)}%`}</span>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+            <p className="text-xs text-gray-500 mt-4">
+              Cumulative returns net of deposits and withdrawals{benchmarkComparison.currency && benchmarkComparison.currency !== 'USD' ? `, measured in ${benchmarkComparison.currency}` : ''}. Each benchmark is compared over the days it has data for.
+            </p>
+          </>
+        )}
+      </Card>
+
       {/* Wallets Overview */}
       <Card>
         <h2 className="text-xl font-semibold text-white mb-6">Wallets</h2>
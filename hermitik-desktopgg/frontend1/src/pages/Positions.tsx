@@ -1,12 +1,12 @@
 import React, { useState } from 'react';
 import { useQuery } from '@tanstack/react-query';
 import { walletApi } from '../services/api';
-import { TrendingUp, TrendingDown, BarChart3 } from 'lucide-react';
+import { TrendingUp, TrendingDown, BarChart3, AlertTriangle } from 'lucide-react';
 import Card from '../components/UI/Card';
 import LoadingSpinner from '../components/UI/LoadingSpinner';
 import AdminViewBanner from '../components/Admin/AdminViewBanner';
 import { useUserView } from '../contexts/UserViewContext';
-import { Protocol, Wallet } from '../types';
+import { ImpermanentLossPosition, Position, Protocol, Wallet } from '../types';
 
 const Positions: React.FC = () => {
 
@@ -48,6 +48,23 @@ const Positions: React.FC = () => {
     staleTime: 240000 // Consider data stale after 4 minutes
   });
 
+  // Liquidity positions against holding their entry tokens
+  const { data: impermanentLoss } = useQuery({
+    queryKey: ['impermanentLoss', viewedUser?.id],
+    queryFn: async () => {
+      try {
+        const { analyticsApi } = await import('../services/api');
+        return await analyticsApi.getImpermanentLoss(viewedUser?.id);
+      } catch (error) {
+        console.error('❌ Impermanent loss error:', error);
+        return null;
+      }
+    },
+    enabled: !!localStorage.getItem('access_token') && !!wallets,
+    refetchInterval: 300000,
+    staleTime: 240000
+  });
+
   // Debug APY query status
   console.log('🔥 FRONTEND: APY Query Status:', {
     apyLoading,
@@ -257,6 +274,12 @@ const Positions: React.FC = () => {
         apyData = apyLookup.get(fallbackId4);
         console.log(`🔄 APY FALLBACK 4: Trying ${fallbackId4}`, { found: !!apyData });
       }
+
+      if (!apyData) {
+        // Stable position keys don't follow the formats above; match on the protocol and chain returned with them
+        apyData = Array.from(apyLookup.values()).find(data =>
+          data.protocolName?.toLowerCase() === protocolName.toLowerCase() && data.chain?.toLowerCase() === chain.toLowerCase());
+      }
     }
     
     console.log(`🔥 APY LOOKUP: ${protocolName} > ${chain}`, {
@@ -361,9 +384,92 @@ const Positions: React.FC = () => {
                 </span>
               </div>
             )}
+
+            {apyData.claimedRewards > 0 && (
+              <div className="flex justify-between">
+                <span className="text-gray-400">Rewards Claimed:</span>
+                <span className="text-green-400 font-medium">
+                  +${apyData.claimedRewards.toLocaleString(undefined, { maximumFractionDigits: 2 })}
+                </span>
+              </div>
+            )}
+
+            {apyData.realizedApy !== undefined && apyData.realizedApy !== null && (
+              <div className="flex justify-between" title="Unclaimed rewards gained plus rewards claimed over the period">
+                <span className="text-gray-400">Realized APY ({apyData.realizedDays}d):</span>
+                <span className={`font-medium ${apyData.realizedApy >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                  {apyData.realizedApy.toFixed(2)}%
+                </span>
+              </div>
+            )}
+
+            {apyData.claimedRewardsTotal > 0 && (
+              <div className="flex justify-between">
+                <span className="text-gray-400">Claimed in Period:</span>
+                <span className="text-gray-300">
+                  ${apyData.claimedRewardsTotal.toLocaleString(undefined, { maximumFractionDigits: 2 })}
+                  {!apyData.claimsConfirmed && ' *'}
+                </span>
+              </div>
+            )}
           </div>
+          {apyData.claimedRewardsTotal > 0 && !apyData.claimsConfirmed && (
+            <p className="text-xs text-gray-500 mt-1">
+              * Some claims were inferred from falling rewards without a matching wallet inflow
+            </p>
+          )}
         </div>
 
+        {/* Quoted vs Realized */}
+        {apyData.quotedApy !== undefined && apyData.quotedApy !== null && (
+          <div className="bg-gray-800/50 rounded-lg p-3 space-y-2 mt-3">
+            <h5 className="text-xs font-medium text-gray-300 mb-2">Quoted vs Realized</h5>
+
+            <div className="grid grid-cols-2 gap-3 text-sm">
+              <div className="flex justify-between" title={(apyData.quotedPools || []).map((pool: { symbol: string; side: string; apy: number }) =>
+                `${pool.symbol} ${pool.side}: ${pool.apy.toFixed(2)}%`).join('\n')}>
+                <span className="text-gray-400">Quoted APY:</span>
+                <span className="text-white font-medium">{apyData.quotedApy.toFixed(2)}%</span>
+              </div>
+
+              {apyData.realizedYieldApy !== undefined && apyData.realizedYieldApy !== null && (
+                <div className="flex justify-between" title="Yield and rewards earned, without price moves or deposits and withdrawals">
+                  <span className="text-gray-400">Realized ({apyData.realizedYieldDays}d):</span>
+                  <span className={`font-medium ${apyData.realizedYieldApy >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                    {apyData.realizedYieldApy.toFixed(2)}%
+                  </span>
+                </div>
+              )}
+
+              {apyData.apyDeviation !== undefined && apyData.apyDeviation !== null && (
+                <div className="flex justify-between">
+                  <span className="text-gray-400">Deviation:</span>
+                  <span className={`font-medium ${apyData.apyDeviation >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                    {apyData.apyDeviation >= 0 ? '+' : ''}{apyData.apyDeviation.toFixed(2)} pts
+                  </span>
+                </div>
+              )}
+
+              {apyData.quoteCoverage !== undefined && apyData.quoteCoverage < 1 && (
+                <div className="flex justify-between">
+                  <span className="text-gray-400">Quote Coverage:</span>
+                  <span className="text-gray-300">{(apyData.quoteCoverage * 100).toFixed(0)}%</span>
+                </div>
+              )}
+            </div>
+
+            {apyData.deviationAlert === 'underperforming' && (
+              <div className="flex items-center space-x-2 bg-red-900/30 border border-red-500/50 rounded px-2 py-1 text-xs text-red-400">
+                <AlertTriangle className="w-4 h-4" />
+                <span>Earning well below the protocol's quoted rate</span>
+              </div>
+            )}
+            {apyData.deviationAlert === 'outperforming' && (
+              <p className="text-xs text-green-400">Earning well above the protocol's quoted rate</p>
+            )}
+          </div>
+        )}
+
         {/* Calculation Details */}
         <div className="mt-3 pt-3 border-t border-gray-600">
           <div className="flex justify-between items-center text-xs">
@@ -391,6 +497,87 @@ const Positions: React.FC = () => {
     );
   };
 
+  // Impermanent loss entry for a position: same protocol, chain and tokens, then the same name
+  const findImpermanentLoss = (protocolName: string, chain: string, position: Position): ImpermanentLossPosition | undefined => {
+    const symbols = (position.tokens || []).map(token => token.symbol.toUpperCase()).sort().join('+');
+    const candidates = (impermanentLoss?.positions || []).filter(entry =>
+      entry.protocolName.toLowerCase() === protocolName.toLowerCase() &&
+      entry.chain.toLowerCase() === chain.toLowerCase() &&
+      entry.supplySymbols.map(symbol => symbol.toUpperCase()).sort().join('+') === symbols);
+    return candidates.find(entry => entry.positionName === position.position_name) || candidates[0];
+  };
+
+  const formatUsd = (value: number) =>
+    `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+
+  // Hold-versus-LP comparison for a liquidity position
+  const HoldVsLPDisplay = ({ data }: { data: ImpermanentLossPosition }) => (
+    <div className="bg-gray-800/50 border border-hermetik-green/20 rounded-lg p-4 mt-4">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-sm font-semibold text-white font-heading">Hold vs LP</h4>
+        <span className="text-xs text-gray-400">
+          Since {new Date(data.entryDate).toLocaleDateString()} ({data.days} day{data.days !== 1 ? 's' : ''})
+        </span>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3 text-sm">
+        <div className="flex justify-between">
+          <span className="text-gray-400">If Held:</span>
+          <span className="text-white font-medium">{formatUsd(data.holdValue)}</span>
+        </div>
+        <div className="flex justify-between">
+          <span className="text-gray-400">In Pool:</span>
+          <span className="text-white font-medium">{formatUsd(data.lpValue)}</span>
+        </div>
+
+        {data.impermanentLossUsd !== null && (
+          <div className="flex justify-between">
+            <span className="text-gray-400">Impermanent Loss:</span>
+            <span className="text-red-400 font-medium">
+              {formatUsd(data.impermanentLossUsd)} ({data.impermanentLossPercent?.toFixed(2)}%)
+            </span>
+          </div>
+        )}
+        {data.feeIncomeUsd !== null && (
+          <div className="flex justify-between">
+            <span className="text-gray-400">Fee Income:</span>
+            <span className={`font-medium ${data.feeIncomeUsd >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+              {formatUsd(data.feeIncomeUsd)}
+            </span>
+          </div>
+        )}
+
+        <div className="flex justify-between">
+          <span className="text-gray-400">Rewards:</span>
+          <span className="text-green-400 font-medium">{formatUsd(data.rewardsUsd)}</span>
+        </div>
+        <div className="flex justify-between">
+          <span className="text-gray-400">LP vs Hold:</span>
+          <span className={`font-medium ${data.netVsHoldUsd >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+            {data.netVsHoldUsd >= 0 ? '+' : ''}{formatUsd(data.netVsHoldUsd)}
+            {data.netVsHoldPercent !== null && ` (${data.netVsHoldPercent >= 0 ? '+' : ''}${data.netVsHoldPercent.toFixed(2)}%)`}
+          </span>
+        </div>
+      </div>
+
+      {data.feesCoverLoss !== null && (
+        <p className={`text-xs mt-3 ${data.feesCoverLoss ? 'text-green-400' : 'text-orange-400'}`}>
+          {data.feesCoverLoss ? 'Fees earned cover the impermanent loss' : 'Fees earned do not yet cover the impermanent loss'}
+        </p>
+      )}
+      {data.impermanentLossUsd === null && (
+        <p className="text-xs text-gray-500 mt-3">
+          Impermanent loss and fees are only split out for two-token pools
+        </p>
+      )}
+      {data.liquidityChanged && (
+        <p className="text-xs text-gray-500 mt-1 italic">
+          * Liquidity appears to have been added or removed since entry; the comparison is approximate
+        </p>
+      )}
+    </div>
+  );
+
   // Define table columns
   const tokensColumns = [
     { key: 'chain', label: 'Chain', align: 'left' as const, className: 'min-w-20' },
@@ -541,6 +728,12 @@ const Positions: React.FC = () => {
                           protocolName={protocol.name}
                           chain={position.chain || protocol.chain}
                         />
+
+                        {/* Hold vs LP Section (liquidity positions) */}
+                        {(() => {
+                          const ilData = findImpermanentLoss(protocol.name, position.chain || protocol.chain, position);
+                          return ilData ? <HoldVsLPDisplay data={ilData} /> : null;
+                        })()}
                       </div>
                     );
                   })}
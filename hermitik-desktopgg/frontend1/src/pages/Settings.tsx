@@ -1,12 +1,14 @@
 import React, { useState } from 'react';
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import { authApi, walletApi, analyticsApi } from '../services/api';
-import { Download, Plus, RefreshCw, Wallet, User, Settings as SettingsIcon } from 'lucide-react';
+import { Download, Plus, RefreshCw, Wallet, User, Settings as SettingsIcon, Coins } from 'lucide-react';
 import Card from '../components/UI/Card';
 import Button from '../components/UI/Button';
 import AdminViewBanner from '../components/Admin/AdminViewBanner';
 import { useAuth } from '../contexts/AuthContext';
 import { useUserView } from '../contexts/UserViewContext';
+import { ReportingCurrency } from '../types';
+import { REPORTING_CURRENCIES } from '../utils/formatters';
 
 const Settings: React.FC = () => {
   const { user, logout } = useAuth();
@@ -28,6 +30,24 @@ const Settings: React.FC = () => {
     },
   });
 
+  const { data: profile } = useQuery({
+    queryKey: ['profile'],
+    queryFn: () => authApi.getProfile(),
+    enabled: !isViewingAsAdmin,
+  });
+
+  const reportingCurrencyMutation = useMutation({
+    mutationFn: (currency: ReportingCurrency) => authApi.setReportingCurrency(currency),
+    onSuccess: () => {
+      setError('');
+      // Every analytics figure is presented in the new currency
+      queryClient.invalidateQueries();
+    },
+    onError: (err: unknown) => {
+      setError(err instanceof Error ? `Failed to update reporting currency: ${err.message}` : 'Failed to update reporting currency');
+    },
+  });
+
   const addWalletMutation = useMutation({
     mutationFn: (address: string) => authApi.addWallet(address),
     onSuccess: () => {
@@ -231,6 +251,33 @@ const Settings: React.FC = () => {
       </Card>
       )}
 
+      {/* Reporting Currency - Only show for the user themselves */}
+      {!isViewingAsAdmin && (
+        <Card>
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-semibold text-white">Reporting Currency</h2>
+          <Coins className="w-6 h-6 text-hermetik-gold" />
+        </div>
+        <div className="space-y-4">
+          <select
+            value={profile?.reportingCurrency || 'USD'}
+            onChange={(e) => reportingCurrencyMutation.mutate(e.target.value as ReportingCurrency)}
+            disabled={!profile || reportingCurrencyMutation.isPending}
+            className="w-full px-3 py-2 bg-hermetik-secondary border border-hermetik-green/30 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-hermetik-gold/50 focus:border-hermetik-gold transition-all"
+          >
+            {(Object.keys(REPORTING_CURRENCIES) as ReportingCurrency[]).map(currency => (
+              <option key={currency} value={currency}>
+                {currency} ({REPORTING_CURRENCIES[currency].symbol})
+              </option>
+            ))}
+          </select>
+          <p className="text-sm text-gray-500">
+            Analytics and NAV exports are shown in this currency, converted from USD at each day's stored exchange rate.
+          </p>
+        </div>
+      </Card>
+      )}
+
       {/* Wallets Display - Show for both admin and user, but read-only for admin */}
       <Card>
         <div className="flex items-center justify-between mb-6">
@@ -1,20 +1,40 @@
 import React, { useState } from 'react';
-import { useQuery } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { walletApi } from '../services/api';
-import { Search, Filter, ArrowUpDown } from 'lucide-react';
+import { Search, Filter, ArrowUpDown, EyeOff, Eye, ShieldCheck } from 'lucide-react';
 import Card from '../components/UI/Card';
 import LoadingSpinner from '../components/UI/LoadingSpinner';
 import AdminViewBanner from '../components/Admin/AdminViewBanner';
 import { useUserView } from '../contexts/UserViewContext';
-import { Token } from '../types';
+import { Token, TokenUserStatus } from '../types';
+
+const classificationStyles: Record<string, string> = {
+  suspicious: 'bg-yellow-900/50 text-yellow-300',
+  spam: 'bg-red-900/50 text-red-300',
+};
 
 const Tokens: React.FC = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedChain, setSelectedChain] = useState('all');
   const [sortBy, setSortBy] = useState<'value' | 'name' | 'amount'>('value');
   const [sortOrder, setSortOrder] = useState<'asc' | 'desc'>('desc');
+  const [showExcluded, setShowExcluded] = useState(false);
 
   const { viewedUser } = useUserView();
+  const queryClient = useQueryClient();
+
+  // Hides and not-spam marks apply to the next snapshot and NAV as well
+  const preferenceMutation = useMutation({
+    mutationFn: ({ token, status }: { token: Token; status: TokenUserStatus | null }) => {
+      const tokenAddress = token.id || token.symbol;
+      return status
+        ? walletApi.setTokenPreference(token.chain, tokenAddress, status, token.symbol, viewedUser?.id)
+        : walletApi.clearTokenPreference(token.chain, tokenAddress, viewedUser?.id);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['wallets'] });
+    },
+  });
 
   const { data: wallets, isLoading, error } = useQuery({
     queryKey: ['wallets', viewedUser?.id],
@@ -62,6 +82,8 @@ const Tokens: React.FC = () => {
     percentage_of_portfolio: (token.usd_value / totalPortfolioValue) * 100
   }));
 
+  const excludedTokens: Token[] = wallets.flatMap(wallet => wallet.excludedTokens || []);
+
   // Get unique chains for filter
   const chains = Array.from(new Set(allTokens.map(token => token.chain)));
 
@@ -133,6 +155,13 @@ const Tokens: React.FC = () => {
               className="w-full pl-10 pr-4 py-2 bg-hermetik-secondary border border-hermetik-green/30 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-hermetik-gold/50 focus:border-hermetik-gold transition-all"
             />
           </div>
+          <button
+            onClick={() => setShowExcluded(!showExcluded)}
+            className="flex items-center space-x-2 px-3 py-2 bg-hermetik-secondary border border-hermetik-green/30 rounded-lg text-gray-300 hover:text-white transition-all"
+          >
+            {showExcluded ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+            <span>{showExcluded ? 'Hide' : 'Show'} hidden & spam ({excludedTokens.length})</span>
+          </button>
           <div className="flex items-center space-x-2">
             <Filter className="w-4 h-4 text-gray-400" />
             <select
@@ -177,6 +206,7 @@ const Tokens: React.FC = () => {
                   </div>
                 </th>
                 <th className="text-right py-3 px-4 text-gray-400 font-medium">% of Portfolio</th>
+                <th className="py-3 px-4"></th>
               </tr>
             </thead>
             <tbody>
@@ -190,7 +220,17 @@ const Tokens: React.FC = () => {
                         </span>
                       </div>
                       <div>
-                        <p className="text-white font-medium">{token.symbol}</p>
+                        <div className="flex items-center space-x-2">
+                          <p className="text-white font-medium">{token.symbol}</p>
+                          {token.classification === 'suspicious' && (
+                            <span
+                              className={`px-2 py-0.5 rounded-full text-xs ${classificationStyles.suspicious}`}
+                              title={token.classification_reasons?.join(', ')}
+                            >
+                              suspicious
+                            </span>
+                          )}
+                        </div>
                         <p className="text-gray-400 text-sm">{token.name}</p>
                       </div>
                     </div>
@@ -222,6 +262,27 @@ const Tokens: React.FC = () => {
                       </div>
                     </div>
                   </td>
+                  <td className="py-4 px-4 text-right">
+                    {token.user_status === 'not_spam' ? (
+                      <button
+                        onClick={() => preferenceMutation.mutate({ token, status: null })}
+                        disabled={preferenceMutation.isPending}
+                        className="text-xs text-gray-400 hover:text-white disabled:opacity-50"
+                      >
+                        Reset
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => preferenceMutation.mutate({ token, status: 'hidden' })}
+                        disabled={preferenceMutation.isPending}
+                        className="flex items-center space-x-1 ml-auto text-xs text-gray-400 hover:text-white disabled:opacity-50"
+                        title="Hide this token and leave it out of snapshots and NAV"
+                      >
+                        <EyeOff className="w-3 h-3" />
+                        <span>Hide</span>
+                      </button>
+                    )}
+                  </td>
                 </tr>
               ))}
             </tbody>
@@ -229,6 +290,67 @@ const Tokens: React.FC = () => {
         </div>
       </Card>
 
+      {/* Hidden and spam tokens, left out of totals and NAV */}
+      {showExcluded && (
+        <Card padding="sm">
+          <h2 className="text-lg font-semibold text-white px-4 pt-2 pb-3">Hidden & Spam Tokens</h2>
+          {excludedTokens.length === 0 ? (
+            <p className="text-gray-400 px-4 pb-4">No tokens are hidden or flagged as spam.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b border-gray-800">
+                    <th className="text-left py-3 px-4 text-gray-400 font-medium">Token</th>
+                    <th className="text-left py-3 px-4 text-gray-400 font-medium">Chain</th>
+                    <th className="text-left py-3 px-4 text-gray-400 font-medium">Reason</th>
+                    <th className="text-right py-3 px-4 text-gray-400 font-medium">Reported Value</th>
+                    <th className="py-3 px-4"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {excludedTokens.map((token, index) => (
+                    <tr key={`${token.chain}-${token.id || token.symbol}-${index}`} className="border-b border-gray-800/50 hover:bg-gray-800/30">
+                      <td className="py-3 px-4">
+                        <p className="text-white font-medium">{token.symbol}</p>
+                        <p className="text-gray-400 text-sm truncate max-w-xs">{token.name}</p>
+                      </td>
+                      <td className="py-3 px-4">
+                        <span className="px-2 py-1 bg-blue-900/50 text-blue-300 rounded-full text-xs">
+                          {token.chain}
+                        </span>
+                      </td>
+                      <td className="py-3 px-4">
+                        <span className={`px-2 py-1 rounded-full text-xs ${token.user_status === 'hidden' ? 'bg-gray-700 text-gray-300' : classificationStyles.spam}`}>
+                          {token.user_status === 'hidden' ? 'hidden' : 'spam'}
+                        </span>
+                        <span className="ml-2 text-gray-500 text-xs">{token.classification_reasons?.join(', ')}</span>
+                      </td>
+                      <td className="py-3 px-4 text-right text-gray-400">
+                        ${(token.usd_value || 0).toLocaleString()}
+                      </td>
+                      <td className="py-3 px-4 text-right">
+                        <button
+                          onClick={() => preferenceMutation.mutate({
+                            token,
+                            status: token.user_status === 'hidden' ? null : 'not_spam'
+                          })}
+                          disabled={preferenceMutation.isPending}
+                          className="flex items-center space-x-1 ml-auto text-xs text-hermetik-gold hover:text-white disabled:opacity-50"
+                        >
+                          {token.user_status === 'hidden' ? <Eye className="w-3 h-3" /> : <ShieldCheck className="w-3 h-3" />}
+                          <span>{token.user_status === 'hidden' ? 'Unhide' : 'Not spam'}</span>
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </Card>
+      )}
+
       {/* Summary */}
       <Card>
         <div className="flex justify-center items-center">
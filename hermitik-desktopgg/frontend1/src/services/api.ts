@@ -1,5 +1,5 @@
 import axios from 'axios';
-import { AuthResponse, User, Wallet, PerformanceMetrics, HistoryPoint } from '../types';
+import { AuthResponse, User, Wallet, PerformanceMetrics, HistoryPoint, TokenUserStatus, ReturnsSummary, RiskMetrics, BenchmarkComparison, ReportingCurrency, ImpermanentLossSummary } from '../types';
 import { 
   mockAuthApi, 
   mockWalletApi, 
@@ -98,12 +98,17 @@ const realAuthApi = {
       id: user._id || user.id,
       username: user.name,
       email: user.email,
-      role: user.role
+      role: user.role,
+      reportingCurrency: user.reportingCurrency
     };
     console.log('API: Transformed profile response:', transformed);
     return transformed;
   },
 
+  setReportingCurrency: async (currency: ReportingCurrency, userId?: string): Promise<void> => {
+    await api.put('/auth/reporting-currency', { currency, userId });
+  },
+
   addWallet: async (address: string): Promise<{ message: string }> => {
     const response = await api.post('/auth/add-wallet', { wallet: address });
     return response.data;
@@ -176,6 +181,7 @@ const realWalletApi = {
         address: portfolio.address,
         name: `Wallet ${portfolio.address.slice(0, 6)}...${portfolio.address.slice(-4)}`,
         tokens: portfolio.tokens || [],
+        excludedTokens: portfolio.excluded_tokens || [],
         protocols: portfolio.protocols || [],
         totalValue: portfolio.summary?.total_usd_value || 0,
         chainDistribution: (portfolio.tokens || []).reduce((acc: any, token: any) => {
@@ -218,6 +224,7 @@ const realWalletApi = {
         address: portfolio.address,
         name: `Wallet ${portfolio.address.slice(0, 6)}...${portfolio.address.slice(-4)}`,
         tokens: portfolio.tokens || [],
+        excludedTokens: portfolio.excluded_tokens || [],
         protocols: portfolio.protocols || [],
         totalValue: portfolio.summary?.total_usd_value || 0,
         chainDistribution: (portfolio.tokens || []).reduce((acc: any, token: any) => {
@@ -245,6 +252,16 @@ const realWalletApi = {
       throw error;
     }
   },
+  // Hide a token or mark it not spam; userId lets admins act for a viewed user
+  setTokenPreference: async (chain: string, tokenAddress: string, status: TokenUserStatus, symbol?: string, userId?: string): Promise<void> => {
+    const query = userId ? `?userId=${userId}` : '';
+    await api.put(`/tokens/preferences/${chain}/${tokenAddress}${query}`, { status, symbol });
+  },
+
+  clearTokenPreference: async (chain: string, tokenAddress: string, userId?: string): Promise<void> => {
+    const query = userId ? `?userId=${userId}` : '';
+    await api.delete(`/tokens/preferences/${chain}/${tokenAddress}${query}`);
+  },
 };
 
 const realAnalyticsApi = {
@@ -258,6 +275,45 @@ const realAnalyticsApi = {
     return response.data;
   },
 
+  getReturns: async (period: number = 30, userId?: string): Promise<ReturnsSummary> => {
+    const params = new URLSearchParams();
+    params.append('period', period.toString());
+    if (userId) {
+      params.append('userId', userId);
+    }
+    const response = await api.get(`/analytics/returns?${params.toString()}`);
+    return response.data.data;
+  },
+
+  getRiskMetrics: async (period: number = 365, userId?: string): Promise<RiskMetrics> => {
+    const params = new URLSearchParams();
+    params.append('period', period.toString());
+    if (userId) {
+      params.append('userId', userId);
+    }
+    const response = await api.get(`/analytics/risk?${params.toString()}`);
+    return response.data.data;
+  },
+
+  getBenchmarkComparison: async (period: number = 30, userId?: string): Promise<BenchmarkComparison> => {
+    const params = new URLSearchParams();
+    params.append('period', period.toString());
+    if (userId) {
+      params.append('userId', userId);
+    }
+    const response = await api.get(`/analytics/benchmarks/compare?${params.toString()}`);
+    return response.data.data;
+  },
+
+  getImpermanentLoss: async (userId?: string): Promise<ImpermanentLossSummary> => {
+    const params = new URLSearchParams();
+    if (userId) {
+      params.append('userId', userId);
+    }
+    const response = await api.get(`/analytics/positions/impermanent-loss?${params.toString()}`);
+    return response.data.data;
+  },
+
   getPositionAPYs: async (period: number = 30, userId?: string): Promise<any> => {
     console.log(`🔥 API: Fetching position APYs from real backend for ${period} days${userId ? ` for user ${userId}` : ''}...`);
     const params = new URLSearchParams();
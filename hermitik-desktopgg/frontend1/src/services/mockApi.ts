@@ -8,7 +8,7 @@ import {
   findUserById,
   userWallets
 } from '../data/mockData';
-import { AuthResponse, User, Wallet, PerformanceMetrics, HistoryPoint } from '../types';
+import { AuthResponse, User, Wallet, PerformanceMetrics, HistoryPoint, TokenUserStatus, ReturnsSummary, RiskMetrics, BenchmarkComparison, ReportingCurrency, ImpermanentLossSummary } from '../types';
 
 // Simulate API delay
 const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
@@ -16,6 +16,25 @@ const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
 // Mock localStorage for tokens
 const MOCK_TOKEN_KEY = 'mock_access_token';
 const MOCK_USER_KEY = 'mock_current_user';
+const MOCK_TOKEN_PREFERENCES_KEY = 'mock_token_preferences';
+
+const getTokenPreferences = (): Record<string, TokenUserStatus> =>
+  JSON.parse(localStorage.getItem(MOCK_TOKEN_PREFERENCES_KEY) || '{}');
+
+// Move tokens the user hid into excludedTokens, as the backend classifier does
+const applyTokenPreferences = (wallets: Wallet[]): Wallet[] => {
+  const preferences = getTokenPreferences();
+  const isHidden = (token: Wallet['tokens'][number]) =>
+    preferences[`${token.chain}:${token.id || token.symbol}`.toLowerCase()] === 'hidden';
+
+  return wallets.map(wallet => ({
+    ...wallet,
+    tokens: wallet.tokens.filter(token => !isHidden(token)),
+    excludedTokens: wallet.tokens
+      .filter(isHidden)
+      .map(token => ({ ...token, classification: 'unverified' as const, classification_reasons: ['hidden_by_user'], user_status: 'hidden' as const }))
+  }));
+};
 
 export const mockAuthApi = {
   login: async (username: string, password: string): Promise<AuthResponse> => {
@@ -97,10 +116,22 @@ export const mockAuthApi = {
       id: user.id,
       username: user.username,
       email: user.email,
-      created_at: user.created_at
+      created_at: user.created_at,
+      reportingCurrency: user.reportingCurrency || 'USD'
     };
   },
 
+  setReportingCurrency: async (currency: ReportingCurrency): Promise<void> => {
+    await delay(300);
+
+    const userStr = localStorage.getItem(MOCK_USER_KEY);
+    if (!userStr) {
+      throw new Error('User not found');
+    }
+
+    localStorage.setItem(MOCK_USER_KEY, JSON.stringify({ ...JSON.parse(userStr), reportingCurrency: currency }));
+  },
+
   addWallet: async (address: string): Promise<{ message: string }> => {
     await delay(500);
     
@@ -395,12 +426,26 @@ export const mockWalletApi = {
     }
 
     const user = JSON.parse(userStr);
-    return getWalletsForUser(user.id);
+    return applyTokenPreferences(getWalletsForUser(user.id));
   },
 
   getUserWallets: async (userId: string): Promise<Wallet[]> => {
     await delay(600);
-    return getWalletsForUser(userId);
+    return applyTokenPreferences(getWalletsForUser(userId));
+  },
+
+  setTokenPreference: async (chain: string, tokenAddress: string, status: TokenUserStatus): Promise<void> => {
+    await delay(200);
+    const preferences = getTokenPreferences();
+    preferences[`${chain}:${tokenAddress}`.toLowerCase()] = status;
+    localStorage.setItem(MOCK_TOKEN_PREFERENCES_KEY, JSON.stringify(preferences));
+  },
+
+  clearTokenPreference: async (chain: string, tokenAddress: string): Promise<void> => {
+    await delay(200);
+    const preferences = getTokenPreferences();
+    delete preferences[`${chain}:${tokenAddress}`.toLowerCase()];
+    localStorage.setItem(MOCK_TOKEN_PREFERENCES_KEY, JSON.stringify(preferences));
   }
 };
 
@@ -425,6 +470,180 @@ export const mockAnalyticsApi = {
     };
   },
 
+  getReturns: async (period: number = 30): Promise<ReturnsSummary> => {
+    await delay(300);
+
+    // Mock history has no deposits or withdrawals, so TWR and MWR agree
+    const history = mockPortfolioHistory.slice(-(period + 1));
+    const first = history[0];
+    const last = history[history.length - 1];
+    const totalReturn = first.value > 0 ? last.value / first.value - 1 : 0;
+    const days = history.length - 1;
+    return {
+      hasData: history.length > 1,
+      start: first.date,
+      end: last.date,
+      days,
+      valuationCount: history.length,
+      startValue: first.value,
+      endValue: last.value,
+      netFlows: 0,
+      flowCount: 0,
+      gainLoss: last.value - first.value,
+      twr: { totalReturn, annualizedReturn: null },
+      mwr: { periodReturn: totalReturn, annualizedReturn: null }
+    };
+  },
+
+  getRiskMetrics: async (period: number = 365): Promise<RiskMetrics> => {
+    await delay(300);
+
+    const history = mockPortfolioHistory.slice(-(period + 1));
+    const returns = history.slice(1).map((point, i) => point.value / history[i].value - 1);
+    if (returns.length < 2) {
+      return { hasData: false, start: null, end: null, days: 0, observations: returns.length };
+    }
+
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const deviation = Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1));
+    const downside = Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(Math.min(r, 0), 2), 0) / returns.length);
+    const last = history[history.length - 1];
+    const totalReturn = last.value / history[0].value - 1;
+    const annualizedReturn = Math.pow(1 + totalReturn, 365 / returns.length) - 1;
+
+    let peak = history[0];
+    let maxDrawdown = 0;
+    let peakDate: string | null = null;
+    let troughDate: string | null = null;
+    history.forEach(point => {
+      if (point.value > peak.value) peak = point;
+      const drawdown = (peak.value - point.value) / peak.value;
+      if (drawdown > maxDrawdown) {
+        maxDrawdown = drawdown;
+        peakDate = peak.date;
+        troughDate = point.date;
+      }
+    });
+
+    const sorted = [...returns].sort((a, b) => a - b);
+    const tail = sorted.slice(0, Math.max(1, Math.ceil(sorted.length * 0.05)));
+    const valueAtRisk = Math.max(0, -tail[tail.length - 1]);
+    const cvar = Math.max(0, -tail.reduce((sum, r) => sum + r, 0) / tail.length);
+
+    return {
+      hasData: true,
+      start: history[0].date,
+      end: last.date,
+      days: returns.length,
+      observations: returns.length,
+      endValue: last.value,
+      totalReturn,
+      annualizedReturn,
+      volatility: deviation * Math.sqrt(365),
+      sharpeRatio: deviation ? (mean - 0.035 / 365) / deviation * Math.sqrt(365) : null,
+      sortinoRatio: downside ? (mean - 0.035 / 365) / downside * Math.sqrt(365) : null,
+      calmarRatio: maxDrawdown ? annualizedReturn / maxDrawdown : null,
+      riskFreeRate: { averageRate: 3.5, source: 'default' },
+      drawdown: { maxDrawdown, peakDate, troughDate, recoveryDate: null, recovered: maxDrawdown ? false : null, durationDays: 0 },
+      valueAtRisk: { confidence: 0.95, var: valueAtRisk, cvar, varAmount: valueAtRisk * last.value, cvarAmount: cvar * last.value },
+      rollingVolatility: []
+    };
+  },
+
+  getBenchmarkComparison: async (period: number = 30): Promise<BenchmarkComparison> => {
+    await delay(300);
+
+    // Mock benchmarks: a drifting ETH/BTC path and a flat 4% lending rate
+    const history = mockPortfolioHistory.slice(-(period + 1));
+    const first = history[0];
+    const series = history.map((point, i) => ({
+      date: point.date,
+      portfolio: point.value / first.value - 1,
+      eth: Math.sin(i / 5) * 0.04 + i * 0.001,
+      btc: Math.sin(i / 7) * 0.03 + i * 0.0008,
+      aave_usdc: Math.pow(1.04, i / 365) - 1
+    }));
+    const last = series[series.length - 1];
+    const stats = (label: string, benchmarkReturn: number) => ({
+      label,
+      hasData: true,
+      coveredPeriods: series.length - 1,
+      portfolioReturn: last.portfolio,
+      benchmarkReturn,
+      excessReturn: last.portfolio - benchmarkReturn,
+      beta: null,
+      alpha: null,
+      trackingError: null,
+      correlation: null
+    });
+
+    return {
+      hasData: history.length > 1,
+      start: first.date,
+      end: history[history.length - 1].date,
+      days: series.length - 1,
+      portfolio: { totalReturn: last.portfolio, periods: series.length - 1 },
+      benchmarks: {
+        eth: stats('ETH', last.eth),
+        btc: stats('BTC', last.btc),
+        aave_usdc: stats('Aave USDC', last.aave_usdc)
+      },
+      series
+    };
+  },
+
+  getImpermanentLoss: async (): Promise<ImpermanentLossSummary> => {
+    await delay(300);
+
+    // Mock ETH/USDC pool entered at ETH $1,800: amounts rebalanced as a 50/50 pool would
+    const entryEth = 2, entryUsdc = 3600, ethPrice = 2340.50;
+    const poolEth = Math.sqrt((entryEth * entryUsdc) / ethPrice);
+    const poolUsdc = Math.sqrt(entryEth * entryUsdc * ethPrice) + 45;
+    const holdValue = entryEth * ethPrice + entryUsdc;
+    const lpValue = poolEth * ethPrice + poolUsdc;
+    const ratio = ethPrice / 1800;
+    const lossPercent = (2 * Math.sqrt(ratio)) / (1 + ratio) - 1;
+    const impermanentLossUsd = holdValue * lossPercent;
+    const feeIncomeUsd = lpValue - holdValue - impermanentLossUsd;
+    const rewardsUsd = 12.4;
+
+    return {
+      positions: [{
+        positionKey: 'mock:ethereum:uniswap3~eth+usdc:1',
+        walletAddress: '0x742d35cc6634c0532925a3b844bc9e7595f0beb',
+        protocolName: 'Uniswap V3',
+        chain: 'ethereum',
+        positionName: 'Liquidity Pool',
+        supplySymbols: ['ETH', 'USDC'],
+        entryDate: new Date(Date.now() - 45 * 24 * 60 * 60 * 1000).toISOString(),
+        days: 45,
+        tokens: [
+          { symbol: 'ETH', entryAmount: entryEth, currentAmount: poolEth, entryPrice: 1800, currentPrice: ethPrice },
+          { symbol: 'USDC', entryAmount: entryUsdc, currentAmount: poolUsdc, entryPrice: 1, currentPrice: 1 }
+        ],
+        entryValue: entryEth * 1800 + entryUsdc,
+        holdValue,
+        lpValue,
+        rewardsUsd,
+        impermanentLossUsd,
+        impermanentLossPercent: lossPercent * 100,
+        feeIncomeUsd,
+        feesCoverLoss: feeIncomeUsd + impermanentLossUsd >= 0,
+        netVsHoldUsd: lpValue + rewardsUsd - holdValue,
+        netVsHoldPercent: ((lpValue + rewardsUsd) / holdValue - 1) * 100,
+        liquidityChanged: false
+      }],
+      totals: {
+        holdValue,
+        lpValue,
+        rewardsUsd,
+        impermanentLossUsd,
+        feeIncomeUsd,
+        netVsHoldUsd: lpValue + rewardsUsd - holdValue
+      }
+    };
+  },
+
   getPositionAPYs: async (period: number = 30, userId?: string): Promise<any> => {
     await delay(400);
     
@@ -439,7 +658,14 @@ export const mockAnalyticsApi = {
             unclaimedRewards: 8.5,
             calculationMethod: 'rewards_based_apy',
             confidence: 'medium',
-            days: 7
+            days: 7,
+            quotedApy: 18.4,
+            quotedPools: [{ symbol: 'WETH-USDC', side: 'supply', apy: 18.4 }],
+            quoteCoverage: 1,
+            realizedYieldApy: 11.9,
+            realizedYieldDays: 7,
+            apyDeviation: -6.5,
+            deviationAlert: 'underperforming'
           },
           'convex_frax_convex_base_convex': {
             apy: 8.2,
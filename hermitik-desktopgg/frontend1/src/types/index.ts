@@ -1,9 +1,13 @@
+// Currencies analytics and exports can be presented in; stored values are USD
+export type ReportingCurrency = 'USD' | 'EUR' | 'GBP' | 'ETH';
+
 export interface User {
   id: string;
   username: string;
   email: string;
   role?: string;
   created_at?: string;
+  reportingCurrency?: ReportingCurrency;
 }
 
 export interface AuthResponse {
@@ -11,7 +15,11 @@ export interface AuthResponse {
   user: User;
 }
 
+export type TokenClassification = 'trusted' | 'unverified' | 'suspicious' | 'spam';
+export type TokenUserStatus = 'hidden' | 'not_spam';
+
 export interface Token {
+  id?: string;
   symbol: string;
   name: string;
   amount: number;
@@ -20,6 +28,9 @@ export interface Token {
   chain: string;
   logo_url: string;
   percentage_of_portfolio?: number;
+  classification?: TokenClassification;
+  classification_reasons?: string[];
+  user_status?: TokenUserStatus | null;
 }
 
 export interface Position {
@@ -35,6 +46,12 @@ export interface Position {
     amount: number;
     usd_value: number;
   }>;
+  borrows?: Array<{
+    symbol: string;
+    amount: number;
+    usd_value: number;
+  }>;
+  health_rate?: number;
 }
 
 export interface Protocol {
@@ -59,6 +76,8 @@ export interface Wallet {
   address: string;
   name: string;
   tokens: Token[];
+  // Spam and user-hidden tokens, left out of the total and of NAV
+  excludedTokens?: Token[];
   protocols: Protocol[];
   totalValue: number;
   chainDistribution: Record<string, number>;
@@ -80,6 +99,144 @@ export interface PerformanceMetrics {
   max_drawdown: number;
 }
 
+// Flow-adjusted returns from /analytics/returns; annualized figures are null under a year
+export interface ReturnsSummary {
+  hasData: boolean;
+  currency?: ReportingCurrency;
+  start: string | null;
+  end: string | null;
+  days: number;
+  valuationCount: number;
+  startValue?: number;
+  endValue?: number;
+  netFlows?: number;
+  flowCount?: number;
+  gainLoss?: number;
+  twr: {
+    totalReturn: number | null;
+    annualizedReturn: number | null;
+  };
+  mwr: {
+    periodReturn: number | null;
+    annualizedReturn: number | null;
+  };
+}
+
+// Risk metrics from /analytics/risk; ratios are null when undefined (e.g. no downside days)
+export interface RiskMetrics {
+  hasData: boolean;
+  currency?: ReportingCurrency;
+  start: string | null;
+  end: string | null;
+  days: number;
+  observations: number;
+  endValue?: number;
+  totalReturn?: number;
+  annualizedReturn?: number;
+  volatility?: number;
+  sharpeRatio?: number | null;
+  sortinoRatio?: number | null;
+  calmarRatio?: number | null;
+  riskFreeRate?: {
+    averageRate: number;
+    source: 'aave_usdc' | 'default';
+  };
+  drawdown?: {
+    maxDrawdown: number;
+    peakDate: string | null;
+    troughDate: string | null;
+    recoveryDate: string | null;
+    recovered: boolean | null;
+    durationDays: number;
+  };
+  valueAtRisk?: {
+    confidence: number;
+    var: number | null;
+    cvar: number | null;
+    varAmount: number;
+    cvarAmount: number;
+  };
+  rollingVolatility?: {
+    date: string;
+    vol30: number | null;
+    vol90: number | null;
+  }[];
+}
+
+export type BenchmarkKey = 'eth' | 'btc' | 'aave_usdc';
+
+// One benchmark's figures over the days it has data for; ratios are null when undefined
+export interface BenchmarkStats {
+  label: string;
+  hasData: boolean;
+  coveredPeriods: number;
+  portfolioReturn?: number;
+  benchmarkReturn?: number;
+  excessReturn?: number;
+  beta?: number | null;
+  alpha?: number | null;
+  trackingError?: number | null;
+  correlation?: number | null;
+}
+
+// Portfolio vs benchmarks from /analytics/benchmarks/compare; series values are cumulative returns
+export interface BenchmarkComparison {
+  hasData: boolean;
+  currency?: ReportingCurrency;
+  start: string | null;
+  end: string | null;
+  days: number;
+  portfolio: {
+    totalReturn: number;
+    periods: number;
+  } | null;
+  benchmarks: Partial<Record<BenchmarkKey, BenchmarkStats>>;
+  series: ({ date: string; portfolio: number } & Partial<Record<BenchmarkKey, number | null>>)[];
+}
+
+// Liquidity position against holding its entry tokens, from /analytics/positions/impermanent-loss;
+// loss and fee figures are null for pools of other than two tokens
+export interface ImpermanentLossPosition {
+  positionKey: string | null;
+  walletAddress: string;
+  protocolName: string;
+  chain: string;
+  positionName: string | null;
+  supplySymbols: string[];
+  entryDate: string;
+  days: number;
+  tokens: {
+    symbol: string;
+    entryAmount: number;
+    currentAmount: number;
+    entryPrice: number;
+    currentPrice: number;
+  }[];
+  entryValue: number;
+  holdValue: number;
+  lpValue: number;
+  rewardsUsd: number;
+  impermanentLossUsd: number | null;
+  impermanentLossPercent: number | null;
+  feeIncomeUsd: number | null;
+  feesCoverLoss: boolean | null;
+  netVsHoldUsd: number;
+  netVsHoldPercent: number | null;
+  liquidityChanged: boolean;
+}
+
+export interface ImpermanentLossSummary {
+  positions: ImpermanentLossPosition[];
+  totals: {
+    holdValue: number;
+    lpValue: number;
+    rewardsUsd: number;
+    impermanentLossUsd: number;
+    feeIncomeUsd: number;
+    netVsHoldUsd: number;
+  };
+}
+
 export interface HistoryPoint {
   date: string;
   value: number;
@@ -1,3 +1,20 @@
+import { ReportingCurrency } from '../types';
+
+// Symbols and display precision of the reporting currencies the backend supports
+export const REPORTING_CURRENCIES: Record<ReportingCurrency, { symbol: string; decimals: number }> = {
+  USD: { symbol: '$', decimals: 2 },
+  EUR: { symbol: '€', decimals: 2 },
+  GBP: { symbol: '£', decimals: 2 },
+  ETH: { symbol: 'Ξ', decimals: 4 },
+};
+
+// Amount in a reporting currency; rounded drops the cents for fiat and keeps two decimals for ETH
+export const formatInCurrency = (amount: number, currency: ReportingCurrency = 'USD', rounded: boolean = false): string => {
+  const { symbol, decimals } = REPORTING_CURRENCIES[currency] || REPORTING_CURRENCIES.USD;
+  const digits = rounded ? decimals - 2 : decimals;
+  return `${amount < 0 ? '-' : ''}${symbol}${Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+};
+
 export const formatCurrency = (amount: number, decimals: number = 2): string => {
   return new Intl.NumberFormat('en-US', {
     style: 'currency',